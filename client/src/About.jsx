@@ -26,7 +26,7 @@ export default function AboutPage() {
           <section className="aboutSection">
             <h3 className="aboutH">What is it?</h3>
             <p className="aboutP">
-              A tool that takes a code archive (ZIP) and returns two things:
+              A tool that takes a code archive (ZIP, RAR, 7Z, TAR or TAR.GZ) and returns two things:
               <b> a file tree</b> and a <b>dependency graph</b> (imports between JS/TS
               files).
             </p>
@@ -46,8 +46,10 @@ export default function AboutPage() {
           <section className="aboutSection">
             <h3 className="aboutH">Limitations (for now)</h3>
             <ul className="aboutList">
-              <li>Full analysis is enabled only for ZIP (RAR/7Z are stored but not extracted).</li>
-              <li>The graph is based on <b>local imports only</b> (./, ../).</li>
+              <li>
+                The graph only links files <b>inside the project</b>: relative imports (./, ../),
+                tsconfig/jsconfig path aliases and package.json "imports"/"exports".
+              </li>
               <li>
                 Very large projects can produce a dense graph — it’s recommended to start
                 with a small/medium project.
@@ -59,7 +61,7 @@ export default function AboutPage() {
           <section className="aboutSection">
             <h3 className="aboutH">Security</h3>
             <p className="aboutP">
-              The server includes basic protections against malicious ZIP files
+              The server includes basic protections against malicious archives
               (unsafe paths, extraction limits). It also automatically cleans up
               temporary files on the server (TTL).
             </p>
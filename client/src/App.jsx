@@ -1,9 +1,34 @@
-import { useCallback, useMemo, useState } from "react";
-import ReactFlow, { Background, Controls, MiniMap, Handle, Position, MarkerType } from "reactflow";
-import { Routes, Route, Link } from "react-router-dom";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import ReactFlow, { Background, Controls, MiniMap, MarkerType } from "reactflow";
+import { Routes, Route, Link, useMatch, useNavigate, useSearchParams } from "react-router-dom";
 import AboutPage from "./About";
+import CyclesPanel from "./CyclesPanel";
+import RulesPanel from "./RulesPanel";
+import DiffPanel from "./DiffPanel";
+import DeadCodePanel from "./DeadCodePanel";
+import HotspotsPanel from "./HotspotsPanel";
+import CouplingPanel from "./CouplingPanel";
+import PathFinderPanel from "./PathFinderPanel";
+import HistoryPanel from "./HistoryPanel";
+import FileViewer from "./FileViewer";
+import FileTree from "./FileTree";
+import FileDetails from "./FileDetails";
+import JobProgress from "./JobProgress";
+import { getShortPathLabel } from "./pathUtils";
+import { GRAPH_EXPORT_FORMATS, downloadBlob, exportLayout } from "./graphExport";
+import { buildAdjacencyIndex, getFocusNeighborhood } from "./impact";
+import { getDeadCodeTags } from "./deadCode";
+import { applyDagreLayout, buildFilesViewElements, reactFlowNodeTypes, toReactFlowNode } from "./graphLayout";
+import { buildFolderGraph, collapseFolder, getDefaultExpandedFolders, getVisibleNodeId } from "./folderGraph";
+import {
+  HISTORY_METRIC_OPTIONS,
+  METRIC_OPTIONS,
+  formatMetric,
+  getMetricIntensity,
+  getMetricNodeSize,
+  getMetricNodeStyle,
+} from "./metrics";
 
-import dagre from "dagre";
 import "reactflow/dist/style.css";
 import "./app.css";
 
@@ -11,10 +36,12 @@ import "./app.css";
  * App
  * ---
  * Main UI for:
- * 1) uploading an archive (ZIP preferred),
+ * 1) uploading an archive (ZIP / RAR / 7Z / TAR / TAR.GZ),
  * 2) showing a file tree,
  * 3) visualizing a dependency graph (local imports),
- * 4) exploring incoming/outgoing relations for a selected file.
+ * 4) exploring incoming/outgoing relations for a selected file,
+ * 5) drilling down from folders to files (folders view),
+ * 6) comparing two analyses (diff view).
  */
 
 /* =========================
@@ -24,145 +51,32 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000
 console.log("API_BASE_URL from env:", API_BASE_URL);
 
 /**
- * Returns a shorter display version of a path (last 2 segments).
- * Example: "src/components/Button.jsx" -> "components/Button.jsx"
+ * Import kinds reported by the server for each edge (see server/lib/imports.js).
+ * Each kind gets its own edge style in the graph and can be toggled on/off.
  */
-function getShortPathLabel(fullPath) {
-  return fullPath.split("/").slice(-2).join("/");
-}
+const EDGE_KIND_LABELS = {
+  static: "Static",
+  require: "Require",
+  "re-export": "Re-export",
+  dynamic: "Dynamic",
+  worker: "Worker",
+  url: "URL",
+  "type-only": "Type-only",
+};
 
-/* =========================
- * Graph Layout (Dagre)
- * ========================= */
 /**
- * Applies a left-to-right layout to nodes using Dagre.
- * ReactFlow expects node.position to be the top-left corner,
- * while Dagre outputs center-based coordinates.
+ * File name base for downloads of an analysis: its archive / folder name without
+ * archive extensions or characters file systems reject ("my-app.tar.gz" -> "my-app").
  */
-function applyDagreLayout(nodes, edges) {
-  const dagreGraph = new dagre.graphlib.Graph();
-  dagreGraph.setDefaultEdgeLabel(() => ({}));
-
-  // Left-to-right layout, with spacing between nodes/layers.
-  dagreGraph.setGraph({ rankdir: "LR", nodesep: 40, ranksep: 80 });
-
-  // Dagre needs node sizes to compute the layout.
-  nodes.forEach((node) => dagreGraph.setNode(node.id, { width: 240, height: 78 }));
-  edges.forEach((edge) => dagreGraph.setEdge(edge.source, edge.target));
-
-  dagre.layout(dagreGraph);
-
-  return {
-    nodes: nodes.map((node) => {
-      const layoutPosition = dagreGraph.node(node.id);
-      return {
-        ...node,
-        // Convert Dagre's center position to ReactFlow's top-left position.
-        position: { x: layoutPosition.x - 120, y: layoutPosition.y - 39 },
-      };
-    }),
-    edges,
-  };
+function getDownloadBaseName(originalName) {
+  return (originalName || "codebase").replace(/(\.(zip|rar|7z|tar|tgz|gz))+$/i, "").replace(/[^\w.@-]+/g, "-");
 }
 
-/* =========================
- * ReactFlow Custom Node
- * ========================= */
 /**
- * FileNode
- * --------
- * A custom ReactFlow node that represents a file in the codebase.
- * - Left handle: incoming edges (imports into this file)
- * - Right handle: outgoing edges (imports from this file)
+ * Returns every kind of an edge (older responses only have `kind`, or nothing).
  */
-function FileNode({ data, selected }) {
-  return (
-    <div className={"node " + (selected ? "nodeSelected" : "")} title={data.fullPath}>
-      <Handle type="target" position={Position.Left} />
-      <div className="nodeTitle">{data.label}</div>
-      <div className="nodeSub">{data.fullPath}</div>
-      <Handle type="source" position={Position.Right} />
-    </div>
-  );
-}
-
-const reactFlowNodeTypes = { fileNode: FileNode };
-
-/* =========================
- * File Tree Helpers
- * ========================= */
-/**
- * Returns true if the node OR any of its descendants match the search query.
- * This allows folders to remain visible if they contain matching files.
- */
-function doesSubtreeMatchQuery(treeNode, query) {
-  const q = query.toLowerCase();
-
-  if ((treeNode.name || "").toLowerCase().includes(q)) return true;
-  if ((treeNode.path || "").toLowerCase().includes(q)) return true;
-
-  return (treeNode.children || []).some((child) => doesSubtreeMatchQuery(child, query));
-}
-
-/* =========================
- * File Tree Component
- * ========================= */
-/**
- * FileTree
- * --------
- * Recursive component that renders the file/folder tree.
- * - Clicking a folder toggles expand/collapse.
- * - Clicking a file selects it and highlights it in the graph.
- * - When a query exists, only relevant branches are shown.
- */
-function FileTree({ node, depth = 0, selectedPath, onSelectPath, query }) {
-  const [isOpen, setIsOpen] = useState(depth < 1);
-
-  const isFolder = node.type === "folder";
-  const normalizedQuery = query?.toLowerCase() || "";
-
-  const nodeMatchesQuery =
-    !normalizedQuery ||
-    (node.name && node.name.toLowerCase().includes(normalizedQuery)) ||
-    (node.path && node.path.toLowerCase().includes(normalizedQuery));
-
-  const children = node.children || [];
-  const anyChildMatchesQuery = !normalizedQuery
-    ? true
-    : children.some((child) => doesSubtreeMatchQuery(child, normalizedQuery));
-
-  // If searching and neither this node nor any descendant matches -> hide it.
-  if (normalizedQuery && !nodeMatchesQuery && !anyChildMatchesQuery) return null;
-
-  return (
-    <div style={{ marginInlineStart: depth * 10 }}>
-      <div
-        className={"treeRow " + (node.path && node.path === selectedPath ? "treeRowSelected" : "")}
-        onClick={() => {
-          if (isFolder) setIsOpen(!isOpen);
-          if (node.type === "file" && node.path) onSelectPath(node.path);
-        }}
-      >
-        <span className="treeIcon">{isFolder ? "📁" : "📄"}</span>
-        <span className="treeName">{node.name}</span>
-      </div>
-
-      {isFolder && isOpen && (
-        <div className="treeChildren">
-          {children.map((child, index) => (
-            <FileTree
-              key={(child.path || child.name) + ":" + index}
-              node={child}
-              depth={depth + 1}
-              selectedPath={selectedPath}
-              onSelectPath={onSelectPath}
-              query={query}
-            />
-          ))}
-        </div>
-      )}
-    </div>
-  );
+function getEdgeKinds(edge) {
+  return edge.kinds || [edge.kind || "static"];
 }
 
 /* =========================
@@ -198,41 +112,351 @@ export default function App() {
   // Search query to filter tree and graph
   const [searchQuery, setSearchQuery] = useState("");
 
+  // Import kinds hidden from the graph (an edge is hidden only if all its kinds are)
+  const [hiddenEdgeKinds, setHiddenEdgeKinds] = useState([]);
+
+  // Server-side directory / git repository to analyze instead of an upload (+ optional git ref)
+  const [serverPath, setServerPath] = useState("");
+  const [gitRef, setGitRef] = useState("");
+
+  // Upload option: add npm / Node builtin package nodes to the graph
+  const [includeExternalPackages, setIncludeExternalPackages] = useState(false);
+
+  // Optional architecture rules file (JSON), sent with the analysis
+  const [selectedRulesFile, setSelectedRulesFile] = useState(null);
+
+  // Extra entry points for the dead code report (globs, comma separated), sent with the analysis
+  const [entryPointGlobs, setEntryPointGlobs] = useState("");
+
+  // Import cycle highlighted in the graph (cycle id from stats.cycles)
+  const [selectedCycleId, setSelectedCycleId] = useState(null);
+
+  // Import path highlighted in the graph (node ids, importer first; from the Import Paths panel)
+  const [highlightedPath, setHighlightedPath] = useState(null);
+
+  // Graph view: "files" (file-level imports), "folders" (imports between folders),
+  // "packages" (workspace packages) or "diff"
+  const [graphView, setGraphView] = useState("files");
+
+  // Folders view: folders expanded into their subfolders / files (project-relative paths)
+  const [expandedFolders, setExpandedFolders] = useState([]);
+
+  // Files view focus mode: only the selected file and what is within `focusDepth` imports of it
+  // (0 = off), following "dependents", "dependencies" or "both"
+  const [focusDepth, setFocusDepth] = useState(0);
+  const [focusDirection, setFocusDirection] = useState("both");
+
+  // Files view: draw the git history's hidden coupling (co-changed files without an import) as edges
+  const [showCoChanges, setShowCoChanges] = useState(false);
+
+  // Files / folders views: show asset nodes (images, fonts, data files...) and the edges to them
+  const [showAssets, setShowAssets] = useState(true);
+
+  // Code metric drawn on graph nodes and tree rows ("" = none), as a "color" or a "size"
+  const [metricKey, setMetricKey] = useState("");
+  const [metricMode, setMetricMode] = useState("color");
+
+  // Analysis that failed / was cancelled / could not be loaded (so the effect below does not retry forever)
+  const [failedJobId, setFailedJobId] = useState(null);
+
+  // Latest progress event of the running analysis: { jobId, progress }
+  const [jobProgress, setJobProgress] = useState(null);
+
+  // Job whose cancellation was requested (disables the Cancel button)
+  const [cancellingJobId, setCancellingJobId] = useState(null);
+
+  // "Copy link" feedback
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+
+  // Stored analyses offered for comparison (GET /jobs) + the one picked in the select
+  const [storedJobs, setStoredJobs] = useState([]);
+  const [compareJobId, setCompareJobId] = useState("");
+
+  // Last GET /diff answer: { key, response, error } (key = before + after job ids)
+  const [diffState, setDiffState] = useState(null);
+
+  // /analysis/:jobId makes an analysis bookmarkable / shareable
+  const navigate = useNavigate();
+  const analysisRouteMatch = useMatch("/analysis/:jobId");
+  const routeJobId = analysisRouteMatch?.params.jobId || null;
+  const loadedJobId = analysisResult?.jobId || null;
+  const isLoadingStoredJob = Boolean(routeJobId) && routeJobId !== loadedJobId && routeJobId !== failedJobId;
+
+  // /analysis/:jobId?diff=<beforeJobId> compares the open analysis with an older one
+  const [searchParams, setSearchParams] = useSearchParams();
+  const diffBeforeJobId = searchParams.get("diff");
+  const diffKey = diffBeforeJobId && loadedJobId ? `${diffBeforeJobId}:${loadedJobId}` : null;
+  const currentDiff = diffState?.key === diffKey ? diffState : null;
+  const diffResponse = currentDiff?.response || null;
+
+  const toggleEdgeKind = useCallback((kind) => {
+    setHiddenEdgeKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+  }, []);
+
+  /**
+   * startAnalysis
+   * -------------
+   * Resets the page, sends one analysis request (archive upload or server path),
+   * then opens /analysis/:jobId where the progress of the background analysis is followed.
+   * @param {() => Promise<Response>} sendRequest
+   */
+  const startAnalysis = useCallback(
+    async (sendRequest) => {
+      setIsUploading(true);
+      setErrorMessage(null);
+      setSelectedFilePath(null);
+      setAnalysisResult(null);
+      setGraphView("files");
+      setExpandedFolders([]);
+      setSelectedCycleId(null);
+      setHighlightedPath(null);
+
+      try {
+        const response = await sendRequest();
+        const json = await response.json();
+
+        if (!response.ok || !json.ok) {
+          throw new Error(json?.error || "Upload failed");
+        }
+
+        navigate(`/analysis/${json.jobId}`);
+      } catch (err) {
+        setErrorMessage(err?.message || "Server error");
+      } finally {
+        setIsUploading(false);
+      }
+    },
+    [navigate]
+  );
+
   /**
    * uploadAndAnalyze
    * ---------------
-   * Sends the selected archive to the backend and stores the analysis result.
+   * Sends the selected archive to the backend.
    */
-  const uploadAndAnalyze = useCallback(async () => {
+  const uploadAndAnalyze = useCallback(() => {
     if (!selectedArchiveFile) return;
 
-    setIsUploading(true);
-    setErrorMessage(null);
-    setSelectedFilePath(null);
-    setAnalysisResult(null);
-
-    try {
+    return startAnalysis(async () => {
       const formData = new FormData();
       formData.append("archive", selectedArchiveFile);
+      if (includeExternalPackages) formData.append("includeExternal", "true");
+      if (selectedRulesFile) formData.append("rules", await selectedRulesFile.text());
+      if (entryPointGlobs.trim()) formData.append("entries", entryPointGlobs);
+
+      return fetch(`${API_BASE_URL}/upload`, { method: "POST", body: formData });
+    });
+  }, [selectedArchiveFile, includeExternalPackages, selectedRulesFile, entryPointGlobs, startAnalysis]);
 
-      const response = await fetch(`${API_BASE_URL}/upload`, {
+  /**
+   * analyzeServerPath
+   * -----------------
+   * Analyzes a directory / git repository that is already on the server
+   * (must be inside the server's ANALYZE_ROOTS), optionally at a git ref.
+   */
+  const analyzeServerPath = useCallback(() => {
+    if (!serverPath.trim()) return;
+
+    return startAnalysis(async () => {
+      const body = {
+        path: serverPath.trim(),
+        ref: gitRef.trim() || undefined,
+        includeExternal: includeExternalPackages,
+        rules: selectedRulesFile ? await selectedRulesFile.text() : undefined,
+        entries: entryPointGlobs.trim() || undefined,
+      };
+
+      return fetch(`${API_BASE_URL}/analyze/path`, {
         method: "POST",
-        body: formData,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    });
+  }, [serverPath, gitRef, includeExternalPackages, selectedRulesFile, entryPointGlobs, startAnalysis]);
+
+  /**
+   * Analysis loading
+   * ----------------
+   * Opening /analysis/:jobId (right after an upload, from a bookmark or a shared link)
+   * follows the job's progress events, then fetches the result once it is done.
+   * Finished analyses answer "done" right away.
+   */
+  useEffect(() => {
+    if (!routeJobId || routeJobId === loadedJobId) return;
+
+    let isCancelled = false;
+    const jobUrl = `${API_BASE_URL}/jobs/${encodeURIComponent(routeJobId)}`;
+    const events = new EventSource(`${jobUrl}/events`);
+
+    const stopWithError = (message) => {
+      events.close();
+      if (isCancelled) return;
+      setFailedJobId(routeJobId);
+      setErrorMessage(message);
+    };
+
+    events.addEventListener("progress", (event) => {
+      if (!isCancelled) setJobProgress({ jobId: routeJobId, progress: JSON.parse(event.data) });
+    });
+
+    events.addEventListener("done", () => {
+      events.close();
+
+      fetch(jobUrl)
+        .then(async (response) => {
+          const json = await response.json();
+          if (!response.ok || !json.ok) throw new Error(json?.error || "Could not load analysis");
+          return json;
+        })
+        .then((json) => {
+          if (isCancelled) return;
+          setAnalysisResult(json);
+          setErrorMessage(null);
+          setSelectedFilePath(null);
+          setGraphView("files");
+          setExpandedFolders(getDefaultExpandedFolders(json.tree));
+          setSelectedCycleId(null);
+          setHighlightedPath(null);
+          setIsLinkCopied(false);
+        })
+        .catch((err) => stopWithError(err?.message || "Server error"));
+    });
+
+    const onJobStopped = (event) => stopWithError(JSON.parse(event.data).error || "Analysis failed");
+    events.addEventListener("failed", onJobStopped);
+    events.addEventListener("cancelled", onJobStopped);
+
+    // Unknown job (404) or server gone: EventSource gives up (CLOSED); short drops are retried by the browser
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) stopWithError("Could not load analysis (it may have been deleted).");
+    };
+
+    return () => {
+      isCancelled = true;
+      events.close();
+    };
+  }, [routeJobId, loadedJobId]);
+
+  /**
+   * Stored analyses for the "Compare with" select, refreshed whenever another analysis opens.
+   */
+  useEffect(() => {
+    if (!loadedJobId) return;
+
+    let isCancelled = false;
+    fetch(`${API_BASE_URL}/jobs`)
+      .then((response) => response.json())
+      .then((json) => {
+        if (!isCancelled && json.ok) setStoredJobs(json.jobs);
+      })
+      .catch(() => {});
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [loadedJobId]);
+
+  /**
+   * Diff loading: once the "after" analysis is open, fetch its diff with ?diff=<beforeJobId>.
+   */
+  useEffect(() => {
+    if (!diffKey) return;
+
+    let isCancelled = false;
+    const query = `before=${encodeURIComponent(diffBeforeJobId)}&after=${encodeURIComponent(loadedJobId)}`;
+
+    fetch(`${API_BASE_URL}/diff?${query}`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (!response.ok || !json.ok) throw new Error(json?.error || "Could not compare analyses");
+        return json;
+      })
+      .then((json) => {
+        if (isCancelled) return;
+        setDiffState({ key: diffKey, response: json, error: null });
+        setGraphView("diff");
+      })
+      .catch((err) => {
+        if (!isCancelled) setDiffState({ key: diffKey, response: null, error: err?.message || "Server error" });
       });
 
+    return () => {
+      isCancelled = true;
+    };
+  }, [diffKey, diffBeforeJobId, loadedJobId]);
+
+  const showDiff = useCallback(() => {
+    if (compareJobId) setSearchParams({ diff: compareJobId });
+  }, [compareJobId, setSearchParams]);
+
+  const exitDiff = useCallback(() => {
+    setSearchParams({});
+    setGraphView("files");
+  }, [setSearchParams]);
+
+  const cancelRunningJob = useCallback(async () => {
+    if (!routeJobId) return;
+
+    setCancellingJobId(routeJobId);
+    try {
+      // The "cancelled" progress event reports the outcome
+      await fetch(`${API_BASE_URL}/jobs/${encodeURIComponent(routeJobId)}/cancel`, { method: "POST" });
+    } catch (err) {
+      setErrorMessage(err?.message || "Server error");
+    }
+  }, [routeJobId]);
+
+  const copyAnalysisLink = useCallback(async () => {
+    if (!loadedJobId) return;
+
+    const diffQuery = diffBeforeJobId ? `?diff=${encodeURIComponent(diffBeforeJobId)}` : "";
+    const link = `${window.location.origin}/analysis/${loadedJobId}${diffQuery}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setIsLinkCopied(true);
+    } catch {
+      window.prompt("Copy this link:", link);
+    }
+  }, [loadedJobId, diffBeforeJobId]);
+
+  const deleteAnalysis = useCallback(async () => {
+    if (!loadedJobId || !window.confirm("Delete this analysis from the server? Shared links will stop working.")) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/jobs/${loadedJobId}`, { method: "DELETE" });
       const json = await response.json();
+      if (!response.ok || !json.ok) throw new Error(json?.error || "Delete failed");
+
+      setAnalysisResult(null);
+      setSelectedFilePath(null);
+      setSelectedCycleId(null);
+      setHighlightedPath(null);
+      navigate("/");
+    } catch (err) {
+      setErrorMessage(err?.message || "Server error");
+    }
+  }, [loadedJobId, navigate]);
 
-      if (!response.ok || !json.ok) {
-        throw new Error(json?.error || "Upload failed");
+  /**
+   * downloadReport
+   * --------------
+   * Downloads the analysis as one offline HTML file (tree, graph, stats and findings embedded).
+   */
+  const downloadReport = useCallback(async () => {
+    if (!loadedJobId) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/jobs/${loadedJobId}/report`);
+      if (!response.ok) {
+        const json = await response.json().catch(() => null);
+        throw new Error(json?.error || "Report download failed");
       }
 
-      setAnalysisResult(json);
+      downloadBlob(await response.blob(), `${getDownloadBaseName(analysisResult?.originalName)}-report.html`);
     } catch (err) {
       setErrorMessage(err?.message || "Server error");
-    } finally {
-      setIsUploading(false);
     }
-  }, [selectedArchiveFile]);
+  }, [loadedJobId, analysisResult]);
 
   /**
    * graphAdjacencyIndex
@@ -241,24 +465,44 @@ export default function App() {
    * - outgoing edges: file -> [imports]
    * - incoming edges: file -> [importedBy]
    */
-  const graphAdjacencyIndex = useMemo(() => {
-    if (!analysisResult?.graph) return null;
-
-    const outgoingByNode = new Map();
-    const incomingByNode = new Map();
+  const graphAdjacencyIndex = useMemo(
+    () => (analysisResult?.graph ? buildAdjacencyIndex(analysisResult.graph) : null),
+    [analysisResult]
+  );
 
-    for (const node of analysisResult.graph.nodes) {
-      outgoingByNode.set(node.id, []);
-      incomingByNode.set(node.id, []);
-    }
+  // Files of the dead code report: path -> "orphan" | "unreachable" | "unused"
+  const deadCodeTags = useMemo(() => getDeadCodeTags(analysisResult?.stats?.deadCode), [analysisResult]);
 
-    for (const edge of analysisResult.graph.edges) {
-      if (outgoingByNode.has(edge.source)) outgoingByNode.get(edge.source).push(edge.target);
-      if (incomingByNode.has(edge.target)) incomingByNode.get(edge.target).push(edge.source);
+  /**
+   * fileMetric
+   * ----------
+   * Values of the picked code metric or git history value per file (+ the biggest one) and
+   * per folder, for tree rows and graph nodes.
+   */
+  const fileMetric = useMemo(() => {
+    if (!metricKey || !analysisResult?.graph) return null;
+
+    const valueById = new Map();
+    const valueByFolder = new Map();
+    const history = analysisResult.stats?.history;
+
+    if (HISTORY_METRIC_OPTIONS.some((option) => option.key === metricKey)) {
+      // Files without commits (e.g. not committed yet) have no value
+      for (const [id, fileHistory] of Object.entries(history?.files || {})) valueById.set(id, fileHistory[metricKey]);
+      for (const [folder, folderHistory] of Object.entries(history?.folders || {})) {
+        valueByFolder.set(folder, folderHistory[metricKey]);
+      }
+    } else {
+      for (const node of analysisResult.graph.nodes) {
+        if (node.metrics) valueById.set(node.id, node.metrics[metricKey]);
+      }
+      for (const [folder, totals] of Object.entries(analysisResult.stats?.metrics?.byFolder || {})) {
+        valueByFolder.set(folder, totals[metricKey]);
+      }
     }
 
-    return { outgoingByNode, incomingByNode };
-  }, [analysisResult]);
+    return { key: metricKey, mode: metricMode, valueById, valueByFolder, maxValue: Math.max(0, ...valueById.values()) };
+  }, [analysisResult, metricKey, metricMode]);
 
   /**
    * reactFlowLayout
@@ -272,36 +516,236 @@ export default function App() {
     const q = searchQuery.trim().toLowerCase();
     const isAllowedByQuery = (id) => !q || id.toLowerCase().includes(q);
 
-    // Filter nodes by query
-    const filteredNodeIds = analysisResult.graph.nodes.map((n) => n.id).filter(isAllowedByQuery);
+    // Picked code metric: node style, label and (in "size" mode) layout size
+    const getMetricData = (value, maxValue) => {
+      if (!fileMetric || value === undefined || value === null) return {};
+
+      const intensity = getMetricIntensity(value, maxValue);
+      const { label } = METRIC_OPTIONS.find((option) => option.key === metricKey);
+      return {
+        metricStyle: getMetricNodeStyle(intensity, metricMode),
+        metricLabel: `${formatMetric(metricKey, value)} ${metricKey === "bytes" ? "" : label.toLowerCase()}`.trim(),
+        layoutSize: metricMode === "size" ? getMetricNodeSize(intensity) : undefined,
+      };
+    };
+
+    // Diff view: union of both versions, colored by status (added / removed / moved / unchanged)
+    if (graphView === "diff" && diffResponse) {
+      const diffGraph = diffResponse.diff.graph;
+      const visibleIds = new Set(diffGraph.nodes.map((n) => n.id).filter(isAllowedByQuery));
+
+      const nodes = diffGraph.nodes
+        .filter((node) => visibleIds.has(node.id))
+        .map((node) => ({
+          id: node.id,
+          type: "fileNode",
+          data: {
+            label: node.type === "package" ? node.id : getShortPathLabel(node.id),
+            fullPath: node.previousPath ? `${node.previousPath} → ${node.id}` : node.id,
+            diffStatus: node.status,
+            afterId: node.afterId,
+          },
+          position: { x: 0, y: 0 },
+          selected: Boolean(node.afterId) && node.afterId === selectedFilePath,
+        }));
+
+      const edges = diffGraph.edges
+        .filter((edge) => visibleIds.has(edge.source) && visibleIds.has(edge.target))
+        .map((edge, index) => ({
+          id: "d" + index,
+          source: edge.source,
+          target: edge.target,
+          type: "smoothstep",
+          markerEnd: { type: MarkerType.ArrowClosed },
+          className: "edgeDiff-" + edge.status,
+        }));
+
+      return applyDagreLayout(nodes, edges);
+    }
 
-    const nodes = filteredNodeIds.map((id) => ({
-      id,
-      type: "fileNode",
-      data: { label: getShortPathLabel(id), fullPath: id },
-      position: { x: 0, y: 0 },
-      selected: selectedFilePath === id,
-    }));
+    // Package-level view (monorepos): one node per workspace package
+    if (graphView === "packages" && analysisResult.packageGraph) {
+      const packageNodes = analysisResult.packageGraph.nodes.filter(
+        (pkg) => isAllowedByQuery(pkg.id) || isAllowedByQuery(pkg.folder)
+      );
+      const visibleIds = new Set(packageNodes.map((pkg) => pkg.id));
+
+      const nodes = packageNodes.map((pkg) => ({
+        id: pkg.id,
+        type: "packageNode",
+        data: { label: pkg.id, folder: pkg.folder, files: pkg.files },
+        position: { x: 0, y: 0 },
+      }));
+
+      const edges = analysisResult.packageGraph.edges
+        .filter((edge) => visibleIds.has(edge.source) && visibleIds.has(edge.target))
+        .map((edge, index) => ({
+          id: "p" + index,
+          source: edge.source,
+          target: edge.target,
+          type: "smoothstep",
+          label: String(edge.weight),
+          markerEnd: { type: MarkerType.ArrowClosed },
+        }));
+
+      return applyDagreLayout(nodes, edges);
+    }
+
+    const isAllowedByKind = (edge) => getEdgeKinds(edge).some((kind) => !hiddenEdgeKinds.includes(kind));
+    const isAllowedNode = (node) => showAssets || node.type !== "asset";
+
+    // Folders view: files collapsed into folders, edges weighted by the number of file imports
+    if (graphView === "folders") {
+      const folderGraph = buildFolderGraph(
+        {
+          nodes: analysisResult.graph.nodes.filter((node) => isAllowedNode(node) && isAllowedByQuery(node.id)),
+          edges: analysisResult.graph.edges.filter(isAllowedByKind),
+        },
+        analysisResult.tree,
+        expandedFolders
+      );
+
+      // The selected file, or the collapsed folder it is in
+      const selectedNode = analysisResult.graph.nodes.find((node) => node.id === selectedFilePath);
+      const selectedVisibleId = selectedNode ? getVisibleNodeId(selectedNode, new Set(expandedFolders)) : null;
+
+      // Folders get the totals of their files (stats.metrics.byFolder, stats.history.folders)
+      const getVisibleMetricValue = (visibleNode) =>
+        visibleNode.kind === "folder"
+          ? fileMetric?.valueByFolder.get(visibleNode.folder.path)
+          : fileMetric?.valueById.get(visibleNode.id);
+      const maxVisibleMetricValue = fileMetric
+        ? Math.max(0, ...folderGraph.nodes.map((visibleNode) => getVisibleMetricValue(visibleNode) || 0))
+        : 0;
+
+      const nodes = folderGraph.nodes.map((visibleNode) => {
+        const common = { id: visibleNode.id, position: { x: 0, y: 0 }, selected: visibleNode.id === selectedVisibleId };
+
+        if (visibleNode.kind === "folder") {
+          return {
+            ...common,
+            type: "folderNode",
+            data: {
+              label: visibleNode.folder.name,
+              fullPath: visibleNode.folder.path,
+              fileCount: visibleNode.folder.fileCount,
+              codeFiles: visibleNode.codeFiles,
+              internalImports: visibleNode.internalImports,
+              ...getMetricData(getVisibleMetricValue(visibleNode), maxVisibleMetricValue),
+            },
+          };
+        }
+
+        return {
+          ...toReactFlowNode(visibleNode.node, {
+            deadCodeTag: deadCodeTags.get(visibleNode.id),
+            ...getMetricData(getVisibleMetricValue(visibleNode), maxVisibleMetricValue),
+          }),
+          ...common,
+        };
+      });
 
-    const edges = analysisResult.graph.edges
-      .filter((edge) => isAllowedByQuery(edge.source) && isAllowedByQuery(edge.target))
-      .map((edge, index) => {
-        const isEdgeRelatedToSelection =
-          selectedFilePath && (edge.source === selectedFilePath || edge.target === selectedFilePath);
+      const edges = folderGraph.edges.map((edge, index) => {
+        const isEdgeRelatedToSelection = edge.source === selectedVisibleId || edge.target === selectedVisibleId;
 
         return {
-          id: "e" + index,
+          id: "f" + index,
           source: edge.source,
           target: edge.target,
           type: "smoothstep",
+          label: String(edge.weight),
           markerEnd: { type: MarkerType.ArrowClosed },
-          animated: Boolean(isEdgeRelatedToSelection),
-          className: selectedFilePath ? (isEdgeRelatedToSelection ? "edgeHot" : "edgeDim") : "",
+          className: selectedVisibleId ? (isEdgeRelatedToSelection ? "edgeHot" : "edgeDim") : "",
         };
       });
 
+      return applyDagreLayout(nodes, edges);
+    }
+
+    // Focus mode: the selected file's neighborhood only
+    const focusIdSet =
+      focusDepth > 0 && selectedFilePath && graphAdjacencyIndex?.outgoingByNode.has(selectedFilePath)
+        ? getFocusNeighborhood(graphAdjacencyIndex, selectedFilePath, focusDepth, focusDirection)
+        : null;
+
+    const { nodes, edges } = buildFilesViewElements(analysisResult, {
+      searchQuery,
+      isNodeVisible: (node) => isAllowedNode(node) && (!focusIdSet || focusIdSet.has(node.id)),
+      isEdgeVisible: isAllowedByKind,
+      getNodeData: (node) => ({
+        deadCodeTag: deadCodeTags.get(node.id),
+        ...getMetricData(fileMetric?.valueById.get(node.id), fileMetric?.maxValue),
+      }),
+      selectedFilePath,
+      selectedCycleId,
+      highlightedPath,
+    });
+
+    // Hidden coupling overlay: files often committed together without an import between them
+    if (showCoChanges) {
+      const visibleIdSet = new Set(nodes.map((node) => node.id));
+      (analysisResult.stats?.history?.coChanges || [])
+        .filter((coChange) => !coChange.imported && visibleIdSet.has(coChange.source) && visibleIdSet.has(coChange.target))
+        .forEach((coChange, index) => {
+          edges.push({
+            id: "c" + index,
+            source: coChange.source,
+            target: coChange.target,
+            type: "smoothstep",
+            label: `${coChange.commits} commits`,
+            className: "edgeCoChange",
+          });
+        });
+    }
+
     return applyDagreLayout(nodes, edges);
-  }, [analysisResult, searchQuery, selectedFilePath]);
+  }, [
+    analysisResult,
+    searchQuery,
+    selectedFilePath,
+    hiddenEdgeKinds,
+    graphView,
+    expandedFolders,
+    focusDepth,
+    focusDirection,
+    graphAdjacencyIndex,
+    selectedCycleId,
+    highlightedPath,
+    showCoChanges,
+    showAssets,
+    diffResponse,
+    deadCodeTags,
+    fileMetric,
+    metricKey,
+    metricMode,
+  ]);
+
+  /**
+   * onGraphNodeClick
+   * ----------------
+   * Files view: select the file.
+   * Folders view: expand the folder in place (files are selected).
+   * Diff view: select the file in the open ("after") analysis.
+   * Packages view: drill into the package (files view filtered to its folder).
+   */
+  const onGraphNodeClick = useCallback((_, node) => {
+    if (node.type === "packageNode") {
+      setGraphView("files");
+      setSearchQuery(node.data.folder);
+      return;
+    }
+    if (node.type === "folderNode") {
+      const folderPath = node.data.fullPath;
+      setExpandedFolders((prev) => (prev.includes(folderPath) ? prev : [...prev, folderPath]));
+      return;
+    }
+    // Diff view: removed files are not in the open analysis
+    if (node.data.diffStatus) {
+      if (node.data.afterId) setSelectedFilePath(node.data.afterId);
+      return;
+    }
+    setSelectedFilePath(node.id);
+  }, []);
 
   /**
    * selectedFileConnections
@@ -310,6 +754,15 @@ export default function App() {
    * - outgoing imports
    * - incoming imported-by
    */
+  const selectedGraphNode = useMemo(() => {
+    if (!selectedFilePath || !analysisResult?.graph) return null;
+    return analysisResult.graph.nodes.find((n) => n.id === selectedFilePath) || null;
+  }, [selectedFilePath, analysisResult]);
+
+  // Package nodes (npm / workspace) have no source to show
+  const selectedSourcePath =
+    analysisResult?.graph && selectedGraphNode?.type !== "package" ? selectedFilePath : null;
+
   const selectedFileConnections = useMemo(() => {
     if (!selectedFilePath || !graphAdjacencyIndex) return null;
 
@@ -319,6 +772,655 @@ export default function App() {
     return { outgoing, incoming };
   }, [selectedFilePath, graphAdjacencyIndex]);
 
+  // Edge kinds can be toggled in the views built from file-level edges
+  const hasEdgeKindFilter = graphView === "files" || graphView === "folders";
+
+  /**
+   * exportGraph
+   * -----------
+   * Downloads the graph as drawn (current view, filters and highlights) as an image or a text graph.
+   * The file is named after the analyzed archive / folder and the view: "my-app-files.svg".
+   */
+  const exportGraph = useCallback(
+    async (format) => {
+      if (!reactFlowLayout) return;
+      try {
+        const { blob, extension } = await exportLayout(reactFlowLayout, format);
+        downloadBlob(blob, `${getDownloadBaseName(analysisResult?.originalName)}-${graphView}.${extension}`);
+      } catch (err) {
+        setErrorMessage(err?.message || "Export failed");
+      }
+    },
+    [reactFlowLayout, analysisResult, graphView]
+  );
+
+  // Same page for "/" and "/analysis/:jobId"
+  const homeElement = (
+    <HomeRoute>
+      {/* Upload card */}
+      <div className="card">
+        <div className="cardHead">
+          <div>
+            <div className="cardTitle">Upload & Analyze</div>
+            <div className="cardSub">
+              Any supported archive is extracted with basic safety limits (anti malicious archives).
+            </div>
+          </div>
+
+          {analysisResult?.stats?.graph && (
+            <div className="pill">
+              <span>Nodes:</span> <b>{analysisResult.stats.graph.nodes}</b>
+              <span>Edges:</span> <b>{analysisResult.stats.graph.edges}</b>
+            </div>
+          )}
+        </div>
+
+        <div className="cardBody">
+          <div className="uploadRow">
+            <div className="fileBox">
+              <input
+                type="file"
+                accept=".zip,.rar,.7z,.tar,.tar.gz,.tgz"
+                onChange={(e) => setSelectedArchiveFile(e.target.files?.[0] || null)}
+              />
+              <span className="muted">
+                {selectedArchiveFile ? `Selected: ${selectedArchiveFile.name}` : "No file selected"}
+              </span>
+            </div>
+
+            <label className="checkRow" title="Adds npm packages and Node builtins as graph nodes">
+              <input
+                type="checkbox"
+                checked={includeExternalPackages}
+                onChange={(e) => setIncludeExternalPackages(e.target.checked)}
+              />
+              <span>Include npm packages</span>
+            </label>
+
+            <button
+              className={"btn " + (selectedArchiveFile && !isUploading ? "btnPrimary" : "btnMuted")}
+              onClick={uploadAndAnalyze}
+              disabled={!selectedArchiveFile || isUploading}
+            >
+              {isUploading ? "Uploading..." : "Upload"}
+            </button>
+
+            <input
+              className="search"
+              placeholder="Search files (filters tree + graph)..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+            />
+          </div>
+
+          <div className="uploadRow pathRow">
+            <input
+              className="search"
+              placeholder="...or a directory / git repository on the server, e.g. /srv/repos/app"
+              value={serverPath}
+              onChange={(e) => setServerPath(e.target.value)}
+            />
+            <input
+              className="search refInput"
+              placeholder="git ref (optional)"
+              title="Branch, tag or commit: analyzed without checking it out"
+              value={gitRef}
+              onChange={(e) => setGitRef(e.target.value)}
+            />
+            <button
+              className={"btn " + (serverPath.trim() && !isUploading ? "btnPrimary" : "btnMuted")}
+              onClick={analyzeServerPath}
+              disabled={!serverPath.trim() || isUploading}
+            >
+              Analyze path
+            </button>
+          </div>
+
+          <div className="uploadRow pathRow">
+            <label
+              className="fileBox"
+              title="JSON rules (from / to globs, allow / deny, severity); replaces the project's codebase-explorer.rules.json"
+            >
+              <span>Architecture rules (optional):</span>
+              <input type="file" accept=".json" onChange={(e) => setSelectedRulesFile(e.target.files?.[0] || null)} />
+            </label>
+            <input
+              className="search"
+              placeholder="Extra entry points (optional), e.g. scripts/*.js, src/workers/**"
+              title="Added to the detected entry points (package.json, HTML <script> tags, conventions) for the dead code report"
+              value={entryPointGlobs}
+              onChange={(e) => setEntryPointGlobs(e.target.value)}
+            />
+          </div>
+
+          {isLoadingStoredJob && (
+            <JobProgress
+              progress={jobProgress?.jobId === routeJobId ? jobProgress.progress : null}
+              isCancelling={cancellingJobId === routeJobId}
+              onCancel={cancelRunningJob}
+            />
+          )}
+          {errorMessage && <div className="alert alertError">{errorMessage}</div>}
+          {analysisResult?.note && <div className="alert alertInfo">{analysisResult.note}</div>}
+
+          {analysisResult?.jobId && (
+            <div className="jobBar">
+              <span className="muted">
+                Analysis of <b>{analysisResult.originalName}</b>
+                {analysisResult.source?.commit && ` (commit ${analysisResult.source.commit.slice(0, 10)})`}
+                {analysisResult.createdAt && ` · ${new Date(analysisResult.createdAt).toLocaleString()}`}
+              </span>
+              <button className="btn btnSmall" onClick={copyAnalysisLink}>
+                {isLinkCopied ? "Link copied" : "Copy link"}
+              </button>
+              <button
+                className="btn btnSmall"
+                onClick={downloadReport}
+                title="One HTML file that opens offline: tree, graph, stats and findings"
+              >
+                Download report
+              </button>
+              <button className="btn btnSmall btnDanger" onClick={deleteAnalysis}>
+                Delete analysis
+              </button>
+
+              {diffBeforeJobId ? (
+                <button className="btn btnSmall" onClick={exitDiff}>
+                  Exit diff
+                </button>
+              ) : (
+                <span className="compareRow">
+                  <select value={compareJobId} onChange={(e) => setCompareJobId(e.target.value)}>
+                    <option value="">Compare with an earlier analysis...</option>
+                    {storedJobs
+                      .filter((job) => job.jobId !== loadedJobId)
+                      .map((job) => (
+                        <option key={job.jobId} value={job.jobId}>
+                          {job.originalName} · {new Date(job.createdAt).toLocaleString()}
+                        </option>
+                      ))}
+                  </select>
+                  <button className="btn btnSmall" onClick={showDiff} disabled={!compareJobId}>
+                    Show diff
+                  </button>
+                </span>
+              )}
+            </div>
+          )}
+
+          {diffKey && !currentDiff && <div className="muted">Comparing analyses...</div>}
+          {currentDiff?.error && <div className="alert alertError">{currentDiff.error}</div>}
+
+          {analysisResult?.stats?.exts && (
+            <div className="stats">
+              <div className="statsTitle">Quick Stats</div>
+              <div className="statsGrid">
+                {Object.entries(analysisResult.stats.exts)
+                  .sort((a, b) => b[1] - a[1])
+                  .slice(0, 10)
+                  .map(([ext, count]) => (
+                    <div key={ext} className="statChip">
+                      <span>{ext}</span>
+                      <b>{count}</b>
+                    </div>
+                  ))}
+              </div>
+            </div>
+          )}
+
+          {analysisResult?.stats?.languages && (
+            <div className="stats">
+              <div className="statsTitle">Languages (files in the graph)</div>
+              <div className="statsGrid">
+                {Object.entries(analysisResult.stats.languages)
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([language, count]) => (
+                    <div key={language} className="statChip">
+                      <span>{language}</span>
+                      <b>{count}</b>
+                    </div>
+                  ))}
+              </div>
+            </div>
+          )}
+
+          {analysisResult?.stats?.dependencies && (
+            <div className="stats">
+              <div className="statsTitle">
+                Undeclared Dependencies ({analysisResult.stats.dependencies.undeclared.length})
+              </div>
+              <div className="statsGrid">
+                {analysisResult.stats.dependencies.undeclared.length === 0 && (
+                  <span className="muted">None — every imported package is declared.</span>
+                )}
+                {analysisResult.stats.dependencies.undeclared.map((item) => (
+                  <button
+                    key={item.package + "@" + item.manifest}
+                    className="statChip statBtn statChipDanger"
+                    onClick={() => setSelectedFilePath("npm:" + item.package)}
+                    title={`Imported by ${item.files.join(", ")}\nNot declared in ${item.manifest || "any package.json"}`}
+                  >
+                    <span>{item.package}</span>
+                    <b>{item.files.length}</b>
+                  </button>
+                ))}
+              </div>
+
+              <div className="statsTitle statsTitleSpaced">
+                Unused Declared Dependencies ({analysisResult.stats.dependencies.unused.length})
+              </div>
+              <div className="statsGrid">
+                {analysisResult.stats.dependencies.unused.length === 0 && (
+                  <span className="muted">None — every declared package is imported.</span>
+                )}
+                {analysisResult.stats.dependencies.unused.map((item) => (
+                  <div
+                    key={item.package + "@" + item.manifest}
+                    className="statChip"
+                    title={`Declared in ${item.manifest}${item.dev ? " (devDependencies)" : ""}`}
+                  >
+                    <span>{item.package}</span>
+                    {item.dev && <b>dev</b>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Main grid */}
+      <div className="grid2">
+        {/* Tree */}
+        <div className="card">
+          <div className="cardHead">
+            <div>
+              <div className="cardTitle">File Tree</div>
+              <div className="cardSub">Click a file to select it and highlight it in the graph.</div>
+            </div>
+
+            {analysisResult?.filesCount != null && (
+              <div className="pill">
+                <span>Files:</span> <b>{analysisResult.filesCount}</b>
+              </div>
+            )}
+          </div>
+
+          <div className="cardBody">
+            <div className="treeBox">
+              {analysisResult?.tree ? (
+                <FileTree
+                  node={analysisResult.tree}
+                  selectedPath={selectedFilePath}
+                  onSelectPath={setSelectedFilePath}
+                  query={searchQuery}
+                  fileTags={deadCodeTags}
+                  metric={fileMetric}
+                />
+              ) : (
+                <div className="muted">Upload an archive to see the file tree.</div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Graph + details */}
+        <div className="card">
+          <div className="cardHead">
+            <div>
+              <div className="cardTitle">Dependency Graph</div>
+              <div className="cardSub">Click a node to see imports / imported-by.</div>
+            </div>
+
+            {selectedFilePath ? (
+              <div className="pill">
+                <span>Selected:</span> <b title={selectedFilePath}>{getShortPathLabel(selectedFilePath)}</b>
+              </div>
+            ) : (
+              <div className="pill">Select a file in the tree or graph</div>
+            )}
+          </div>
+
+          <div className="cardBody">
+            {analysisResult?.graph && (
+              <div className="edgeKindBar">
+                <span className="muted">View:</span>
+                {[
+                  ["files", "Files"],
+                  ["folders", "Folders"],
+                  analysisResult.packageGraph && ["packages", "Packages"],
+                  diffResponse && ["diff", "Diff"],
+                ].filter(Boolean).map(([view, label]) => (
+                  <button
+                    key={view}
+                    className={"statChip statBtn " + (graphView === view ? "viewChipActive" : "")}
+                    onClick={() => setGraphView(view)}
+                  >
+                    {label}
+                  </button>
+                ))}
+
+                {graphView === "folders" && (
+                  <>
+                    <span className="muted">Expanded:</span>
+                    {expandedFolders.length === 0 && <span className="muted">none (click a folder)</span>}
+                    {expandedFolders.map((folderPath) => (
+                      <button
+                        key={folderPath}
+                        className="statChip statBtn"
+                        onClick={() => setExpandedFolders((prev) => collapseFolder(prev, folderPath))}
+                        title="Collapse this folder"
+                      >
+                        {folderPath} ✕
+                      </button>
+                    ))}
+                    {expandedFolders.length > 0 && (
+                      <button
+                        className="statChip statBtn"
+                        onClick={() => setExpandedFolders(getDefaultExpandedFolders(analysisResult.tree))}
+                      >
+                        Collapse all
+                      </button>
+                    )}
+                  </>
+                )}
+
+                {graphView === "files" && (
+                  <>
+                    <span className="muted">Focus:</span>
+                    <select
+                      className="metricSelect"
+                      value={focusDepth}
+                      onChange={(e) => setFocusDepth(Number(e.target.value))}
+                      title="Show only the selected file and its neighborhood"
+                    >
+                      <option value={0}>Off</option>
+                      {[1, 2, 3, 4, 5].map((depth) => (
+                        <option key={depth} value={depth}>
+                          {depth === 1 ? "1 hop" : `${depth} hops`}
+                        </option>
+                      ))}
+                    </select>
+                    {focusDepth > 0 &&
+                      [
+                        ["both", "Both"],
+                        ["dependents", "Dependents"],
+                        ["dependencies", "Dependencies"],
+                      ].map(([direction, label]) => (
+                        <button
+                          key={direction}
+                          className={"statChip statBtn " + (focusDirection === direction ? "viewChipActive" : "")}
+                          onClick={() => setFocusDirection(direction)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    {focusDepth > 0 && !selectedFilePath && <span className="muted">select a file</span>}
+                    {analysisResult.stats?.history?.coChanges.some((coChange) => !coChange.imported) && (
+                      <button
+                        className={"statChip statBtn " + (showCoChanges ? "viewChipActive" : "")}
+                        onClick={() => setShowCoChanges((prev) => !prev)}
+                        title="Files often committed together, without an import between them"
+                      >
+                        Co-changes
+                      </button>
+                    )}
+                  </>
+                )}
+
+                {hasEdgeKindFilter && analysisResult.graph.nodes.some((node) => node.type === "asset") && (
+                  <button
+                    className={"statChip statBtn " + (showAssets ? "viewChipActive" : "")}
+                    onClick={() => setShowAssets((prev) => !prev)}
+                    title="Images, fonts, media and data files referenced by code"
+                  >
+                    Assets
+                  </button>
+                )}
+
+                {graphView === "diff" && diffResponse && (
+                  <>
+                    <span className="muted">Legend:</span>
+                    {["added", "removed", "moved", "unchanged"].map((status) => (
+                      <span key={status} className={"statChip diffChip-" + status}>
+                        {status}
+                      </span>
+                    ))}
+                  </>
+                )}
+
+                {hasEdgeKindFilter && (
+                  <>
+                    <span className="muted">Metric:</span>
+                    <select className="metricSelect" value={metricKey} onChange={(e) => setMetricKey(e.target.value)}>
+                      <option value="">None</option>
+                      {METRIC_OPTIONS.map((option) => (
+                        <option key={option.key} value={option.key}>
+                          {option.label}
+                        </option>
+                      ))}
+                      {analysisResult.stats?.history && (
+                        <optgroup label="Git history">
+                          {HISTORY_METRIC_OPTIONS.map((option) => (
+                            <option key={option.key} value={option.key}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                    {metricKey &&
+                      ["color", "size"].map((mode) => (
+                        <button
+                          key={mode}
+                          className={"statChip statBtn " + (metricMode === mode ? "viewChipActive" : "")}
+                          onClick={() => setMetricMode(mode)}
+                        >
+                          {mode === "color" ? "Color" : "Size"}
+                        </button>
+                      ))}
+                  </>
+                )}
+
+                {hasEdgeKindFilter && <span className="muted">Edge kinds:</span>}
+                {hasEdgeKindFilter && Object.entries(EDGE_KIND_LABELS).map(([kind, label]) => (
+                  <button
+                    key={kind}
+                    className={
+                      "statChip statBtn edgeKindChip edgeKindChip-" +
+                      kind +
+                      (hiddenEdgeKinds.includes(kind) ? " edgeKindChipOff" : "")
+                    }
+                    onClick={() => toggleEdgeKind(kind)}
+                    title={hiddenEdgeKinds.includes(kind) ? "Show these edges" : "Hide these edges"}
+                  >
+                    {label}
+                  </button>
+                ))}
+
+                {reactFlowLayout && <span className="muted">Export:</span>}
+                {reactFlowLayout &&
+                  GRAPH_EXPORT_FORMATS.map(({ key, label }) => (
+                    <button
+                      key={key}
+                      className="statChip statBtn"
+                      onClick={() => exportGraph(key)}
+                      title="Download the graph as shown (filters and highlights included)"
+                    >
+                      {label}
+                    </button>
+                  ))}
+              </div>
+            )}
+
+            <div className="graphSplit">
+              <div className="graphBox">
+                {reactFlowLayout ? (
+                  <ReactFlow
+                    nodes={reactFlowLayout.nodes}
+                    edges={reactFlowLayout.edges}
+                    nodeTypes={reactFlowNodeTypes}
+                    fitView
+                    onNodeClick={onGraphNodeClick}
+                  >
+                    <Background />
+                    <MiniMap />
+                    <Controls />
+                  </ReactFlow>
+                ) : (
+                  <div className="emptyGraph">Upload an archive to see the dependency graph.</div>
+                )}
+              </div>
+
+              <div className="sidePanel">
+                <div className="sideTitle">File Details</div>
+
+                {!selectedFilePath && (
+                  <div className="muted">Select a file to see its relationships.</div>
+                )}
+
+                {selectedFilePath && selectedFileConnections && (
+                  <FileDetails
+                    filePath={selectedFilePath}
+                    graphNode={selectedGraphNode}
+                    connections={selectedFileConnections}
+                    fileHistory={analysisResult?.stats?.history?.files[selectedFilePath]}
+                    adjacencyIndex={graphAdjacencyIndex}
+                    onSelectFile={setSelectedFilePath}
+                  />
+                )}
+              </div>
+            </div>
+
+            {analysisResult?.stats?.graph?.topDegree?.length ? (
+              <div className="topFiles">
+                <div className="statsTitle">Most Connected Files (High Degree)</div>
+                <div className="statsGrid">
+                  {analysisResult.stats.graph.topDegree.map((item) => (
+                    <button
+                      key={item.id}
+                      className="statChip statBtn"
+                      onClick={() => setSelectedFilePath(item.id)}
+                      title={item.id}
+                    >
+                      <span>{getShortPathLabel(item.id)}</span>
+                      <b>{item.degree}</b>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : null}
+
+            <PathFinderPanel
+              key={analysisResult?.jobId}
+              apiBaseUrl={API_BASE_URL}
+              jobId={analysisResult?.jobId}
+              graph={analysisResult?.graph}
+              selectedFilePath={selectedFilePath}
+              highlightedPath={highlightedPath}
+              onHighlightPath={(path) => {
+                setHighlightedPath(path);
+                if (path) setGraphView("files");
+              }}
+              onSelectFile={setSelectedFilePath}
+            />
+
+            <CyclesPanel
+              cycles={analysisResult?.stats?.cycles}
+              selectedCycleId={selectedCycleId}
+              onSelectCycle={(cycleId) => {
+                setSelectedCycleId(cycleId);
+                setGraphView("files");
+              }}
+              onSelectFile={setSelectedFilePath}
+            />
+
+            <RulesPanel
+              architecture={analysisResult?.stats?.architecture}
+              onSelectFile={(filePath) => {
+                setSelectedFilePath(filePath);
+                setGraphView("files");
+              }}
+            />
+
+            <HotspotsPanel
+              graph={analysisResult?.graph}
+              metrics={analysisResult?.stats?.metrics}
+              onSelectFile={(filePath) => {
+                setSelectedFilePath(filePath);
+                setGraphView("files");
+              }}
+            />
+
+            <CouplingPanel
+              coupling={analysisResult?.stats?.coupling}
+              selectedFilePath={selectedFilePath}
+              onSelectFile={(filePath) => {
+                setSelectedFilePath(filePath);
+                setGraphView("files");
+              }}
+              onSelectFolder={(folderPath) => {
+                setSearchQuery(folderPath);
+                setGraphView("files");
+              }}
+            />
+
+            <HistoryPanel
+              history={analysisResult?.stats?.history}
+              onSelectFile={(filePath) => {
+                setSelectedFilePath(filePath);
+                setGraphView("files");
+              }}
+              onSelectFolder={(folderPath) => {
+                setSearchQuery(folderPath);
+                setGraphView("files");
+              }}
+            />
+
+            <DeadCodePanel
+              deadCode={analysisResult?.stats?.deadCode}
+              onSelectFile={(filePath) => {
+                setSelectedFilePath(filePath);
+                setGraphView("files");
+              }}
+            />
+
+            <DiffPanel diffResponse={diffResponse} onSelectFile={setSelectedFilePath} />
+          </div>
+        </div>
+      </div>
+
+      {/* Source viewer */}
+      {analysisResult?.jobId && selectedSourcePath && (
+        <div className="card">
+          <div className="cardHead">
+            <div>
+              <div className="cardTitle">Source</div>
+              <div className="cardSub">Click an import to select that file in the tree and graph.</div>
+            </div>
+
+            <div className="pill">
+              <b title={selectedSourcePath}>{selectedSourcePath}</b>
+            </div>
+          </div>
+
+          <div className="cardBody">
+            <FileViewer
+              apiBaseUrl={API_BASE_URL}
+              jobId={analysisResult.jobId}
+              filePath={selectedSourcePath}
+              onSelectFile={setSelectedFilePath}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="footer">
+        Demo tip: upload a small project, click a few nodes, and show the dependency panel + search.
+      </div>
+    </HomeRoute>
+  );
+
   return (
     <div className="page">
       <div className="container">
@@ -326,7 +1428,7 @@ export default function App() {
         <div className="header">
           <div>
             <h1>Codebase Explorer</h1>
-            <p>Upload a project ZIP and get a file tree + dependency graph (imports).</p>
+            <p>Upload a project archive and get a file tree + dependency graph (imports).</p>
           </div>
 
           <div className="headerRight">
@@ -341,248 +1443,14 @@ export default function App() {
 
             <div className="pill">
               <span>Allowed:</span>
-              <b>ZIP</b>
-              <span>({`RAR/7Z are stored but not analyzed yet`})</span>
+              <b>ZIP / RAR / 7Z / TAR / TAR.GZ</b>
             </div>
           </div>
         </div>
 
         <Routes>
-          <Route
-            path="/"
-            element={
-              <HomeRoute>
-                {/* Upload card */}
-                <div className="card">
-                  <div className="cardHead">
-                    <div>
-                      <div className="cardTitle">Upload & Analyze</div>
-                      <div className="cardSub">
-                        ZIP is recommended. Extraction includes basic safety limits (anti malicious ZIP).
-                      </div>
-                    </div>
-
-                    {analysisResult?.stats?.graph && (
-                      <div className="pill">
-                        <span>Nodes:</span> <b>{analysisResult.stats.graph.nodes}</b>
-                        <span>Edges:</span> <b>{analysisResult.stats.graph.edges}</b>
-                      </div>
-                    )}
-                  </div>
-
-                  <div className="cardBody">
-                    <div className="uploadRow">
-                      <div className="fileBox">
-                        <input
-                          type="file"
-                          accept=".zip,.rar,.7z"
-                          onChange={(e) => setSelectedArchiveFile(e.target.files?.[0] || null)}
-                        />
-                        <span className="muted">
-                          {selectedArchiveFile ? `Selected: ${selectedArchiveFile.name}` : "No file selected"}
-                        </span>
-                      </div>
-
-                      <button
-                        className={"btn " + (selectedArchiveFile && !isUploading ? "btnPrimary" : "btnMuted")}
-                        onClick={uploadAndAnalyze}
-                        disabled={!selectedArchiveFile || isUploading}
-                      >
-                        {isUploading ? "Uploading & analyzing..." : "Upload"}
-                      </button>
-
-                      <input
-                        className="search"
-                        placeholder="Search files (filters tree + graph)..."
-                        value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
-                      />
-                    </div>
-
-                    {errorMessage && <div className="alert alertError">{errorMessage}</div>}
-                    {analysisResult?.note && <div className="alert alertInfo">{analysisResult.note}</div>}
-
-                    {analysisResult?.stats?.exts && (
-                      <div className="stats">
-                        <div className="statsTitle">Quick Stats</div>
-                        <div className="statsGrid">
-                          {Object.entries(analysisResult.stats.exts)
-                            .sort((a, b) => b[1] - a[1])
-                            .slice(0, 10)
-                            .map(([ext, count]) => (
-                              <div key={ext} className="statChip">
-                                <span>{ext}</span>
-                                <b>{count}</b>
-                              </div>
-                            ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                </div>
-
-                {/* Main grid */}
-                <div className="grid2">
-                  {/* Tree */}
-                  <div className="card">
-                    <div className="cardHead">
-                      <div>
-                        <div className="cardTitle">File Tree</div>
-                        <div className="cardSub">Click a file to select it and highlight it in the graph.</div>
-                      </div>
-
-                      {analysisResult?.filesCount != null && (
-                        <div className="pill">
-                          <span>Files:</span> <b>{analysisResult.filesCount}</b>
-                        </div>
-                      )}
-                    </div>
-
-                    <div className="cardBody">
-                      <div className="treeBox">
-                        {analysisResult?.tree ? (
-                          <FileTree
-                            node={analysisResult.tree}
-                            selectedPath={selectedFilePath}
-                            onSelectPath={setSelectedFilePath}
-                            query={searchQuery}
-                          />
-                        ) : (
-                          <div className="muted">Upload a ZIP to see the file tree.</div>
-                        )}
-                      </div>
-                    </div>
-                  </div>
-
-                  {/* Graph + details */}
-                  <div className="card">
-                    <div className="cardHead">
-                      <div>
-                        <div className="cardTitle">Dependency Graph</div>
-                        <div className="cardSub">Click a node to see imports / imported-by.</div>
-                      </div>
-
-                      {selectedFilePath ? (
-                        <div className="pill">
-                          <span>Selected:</span> <b title={selectedFilePath}>{getShortPathLabel(selectedFilePath)}</b>
-                        </div>
-                      ) : (
-                        <div className="pill">Select a file in the tree or graph</div>
-                      )}
-                    </div>
-
-                    <div className="cardBody">
-                      <div className="graphSplit">
-                        <div className="graphBox">
-                          {reactFlowLayout ? (
-                            <ReactFlow
-                              nodes={reactFlowLayout.nodes}
-                              edges={reactFlowLayout.edges}
-                              nodeTypes={reactFlowNodeTypes}
-                              fitView
-                              onNodeClick={(_, node) => setSelectedFilePath(node.id)}
-                            >
-                              <Background />
-                              <MiniMap />
-                              <Controls />
-                            </ReactFlow>
-                          ) : (
-                            <div className="emptyGraph">Upload a ZIP to see the dependency graph.</div>
-                          )}
-                        </div>
-
-                        <div className="sidePanel">
-                          <div className="sideTitle">File Details</div>
-
-                          {!selectedFilePath && (
-                            <div className="muted">Select a file to see its relationships.</div>
-                          )}
-
-                          {selectedFilePath && selectedFileConnections && (
-                            <>
-                              <div className="kv">
-                                <div className="k">Path</div>
-                                <div className="v">{selectedFilePath}</div>
-                              </div>
-
-                              <div className="lists">
-                                <div className="listBox">
-                                  <div className="listTitle">Imports (outgoing)</div>
-
-                                  {selectedFileConnections.outgoing.length === 0 ? (
-                                    <div className="muted">None</div>
-                                  ) : (
-                                    <ul>
-                                      {selectedFileConnections.outgoing.slice(0, 30).map((p) => (
-                                        <li key={p}>
-                                          <button
-                                            className="linkBtn"
-                                            onClick={() => setSelectedFilePath(p)}
-                                            title={p}
-                                          >
-                                            {getShortPathLabel(p)}
-                                          </button>
-                                        </li>
-                                      ))}
-                                    </ul>
-                                  )}
-                                </div>
-
-                                <div className="listBox">
-                                  <div className="listTitle">Imported By (incoming)</div>
-
-                                  {selectedFileConnections.incoming.length === 0 ? (
-                                    <div className="muted">None</div>
-                                  ) : (
-                                    <ul>
-                                      {selectedFileConnections.incoming.slice(0, 30).map((p) => (
-                                        <li key={p}>
-                                          <button
-                                            className="linkBtn"
-                                            onClick={() => setSelectedFilePath(p)}
-                                            title={p}
-                                          >
-                                            {getShortPathLabel(p)}
-                                          </button>
-                                        </li>
-                                      ))}
-                                    </ul>
-                                  )}
-                                </div>
-                              </div>
-                            </>
-                          )}
-                        </div>
-                      </div>
-
-                      {analysisResult?.stats?.graph?.topDegree?.length ? (
-                        <div className="topFiles">
-                          <div className="statsTitle">Most Connected Files (High Degree)</div>
-                          <div className="statsGrid">
-                            {analysisResult.stats.graph.topDegree.map((item) => (
-                              <button
-                                key={item.id}
-                                className="statChip statBtn"
-                                onClick={() => setSelectedFilePath(item.id)}
-                                title={item.id}
-                              >
-                                <span>{getShortPathLabel(item.id)}</span>
-                                <b>{item.degree}</b>
-                              </button>
-                            ))}
-                          </div>
-                        </div>
-                      ) : null}
-                    </div>
-                  </div>
-                </div>
-
-                <div className="footer">
-                  Demo tip: upload a small project, click a few nodes, and show the dependency panel + search.
-                </div>
-              </HomeRoute>
-            }
-          />
+          <Route path="/" element={homeElement} />
+          <Route path="/analysis/:jobId" element={homeElement} />
 
           <Route path="/about" element={<AboutPage />} />
         </Routes>
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { getHeatColor } from "./metrics";
+import { getShortPathLabel } from "./pathUtils";
+
+// How many rows the table shows
+const MAX_ROWS = 50;
+
+// Scatter plot size (px) and inner padding for the axes
+const PLOT_SIZE = 280;
+const PLOT_PADDING = 32;
+
+const COLUMNS = [
+  { key: "ca", label: "Ca", title: "Afferent coupling: files outside importing it" },
+  { key: "ce", label: "Ce", title: "Efferent coupling: files outside it imports" },
+  { key: "instability", label: "I", title: "Instability = Ce / (Ca + Ce)" },
+  { key: "abstractness", label: "A", title: "Abstractness (TypeScript interfaces, type aliases, abstract classes)" },
+  { key: "distance", label: "D", title: "Distance from the main sequence = |A + I - 1|" },
+];
+
+/**
+ * CouplingPanel
+ * -------------
+ * Coupling metrics of files or folders (stats.coupling):
+ * - Scatter plot of instability (x) vs abstractness (y), with the main sequence A + I = 1;
+ *   modules far from it sit in the "zone of pain" (stable + concrete) or the
+ *   "zone of uselessness" (unstable + abstract)
+ * - Sortable table (click a column header; again: reverse the order)
+ * Clicking a file selects it, clicking a folder filters the graph to it.
+ */
+export default function CouplingPanel({ coupling, selectedFilePath, onSelectFile, onSelectFolder }) {
+  const [grouping, setGrouping] = useState("files");
+  const [sort, setSort] = useState({ key: "distance", descending: true });
+
+  if (!coupling) return null;
+
+  const items = grouping === "files" ? coupling.files : coupling.folders;
+  const plottedItems = items.filter((item) => item.instability !== null && item.abstractness !== null);
+
+  const sortedItems = [...items].sort((a, b) => {
+    const difference = (a[sort.key] ?? -1) - (b[sort.key] ?? -1);
+    return (sort.descending ? -difference : difference) || a.id.localeCompare(b.id);
+  });
+
+  const sortBy = (key) =>
+    setSort((prev) => (prev.key === key ? { key, descending: !prev.descending } : { key, descending: true }));
+  const selectItem = (id) => (grouping === "files" ? onSelectFile(id) : onSelectFolder(id));
+
+  // 0..1 -> px (y grows downwards)
+  const plotRange = PLOT_SIZE - 2 * PLOT_PADDING;
+  const toX = (instability) => PLOT_PADDING + instability * plotRange;
+  const toY = (abstractness) => PLOT_SIZE - PLOT_PADDING - abstractness * plotRange;
+  const formatValue = (value) => (value === null ? "–" : String(value));
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">Coupling &amp; Instability</div>
+
+      <div className="edgeKindBar">
+        {[
+          ["files", "Files"],
+          ["folders", "Folders"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            className={"statChip statBtn " + (grouping === value ? "viewChipActive" : "")}
+            onClick={() => setGrouping(value)}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="muted">
+          {plottedItems.length} of {items.length} plotted (abstractness is only measured in TypeScript)
+        </span>
+      </div>
+
+      <div className="couplingSplit">
+        <svg className="couplingPlot" width={PLOT_SIZE} height={PLOT_SIZE} viewBox={`0 0 ${PLOT_SIZE} ${PLOT_SIZE}`}>
+          <rect x={toX(0)} y={toY(1)} width={plotRange} height={plotRange} className="plotFrame" />
+          <line x1={toX(0)} y1={toY(1)} x2={toX(1)} y2={toY(0)} className="plotMainSequence" />
+          <text x={toX(0) + 4} y={toY(0) - 6} className="plotZone">
+            zone of pain
+          </text>
+          <text x={toX(1) - 4} y={toY(1) + 14} className="plotZone" textAnchor="end">
+            zone of uselessness
+          </text>
+          <text x={PLOT_SIZE / 2} y={PLOT_SIZE - 8} className="plotAxis" textAnchor="middle">
+            Instability (I)
+          </text>
+          <text
+            x={10}
+            y={PLOT_SIZE / 2}
+            className="plotAxis"
+            textAnchor="middle"
+            transform={`rotate(-90 10 ${PLOT_SIZE / 2})`}
+          >
+            Abstractness (A)
+          </text>
+
+          {plottedItems.map((item) => (
+            <circle
+              key={item.id}
+              cx={toX(item.instability)}
+              cy={toY(item.abstractness)}
+              r={item.id === selectedFilePath ? 7 : 5}
+              fill={getHeatColor(item.distance)}
+              className={"plotPoint " + (item.id === selectedFilePath ? "plotPointSelected" : "")}
+              onClick={() => selectItem(item.id)}
+            >
+              <title>{`${item.id}\nI = ${item.instability} · A = ${item.abstractness} · D = ${item.distance}`}</title>
+            </circle>
+          ))}
+        </svg>
+
+        <div className="hotspotsTableBox">
+          <table className="hotspotsTable">
+            <thead>
+              <tr>
+                <th>{grouping === "files" ? "File" : "Folder"}</th>
+                {COLUMNS.map((column) => (
+                  <th key={column.key} className="sortableHeader" title={column.title} onClick={() => sortBy(column.key)}>
+                    {column.label}
+                    {sort.key === column.key && (sort.descending ? " ▼" : " ▲")}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedItems.slice(0, MAX_ROWS).map((item) => (
+                <tr key={item.id}>
+                  <td>
+                    <button className="linkBtn" onClick={() => selectItem(item.id)} title={item.id}>
+                      {grouping === "files" ? getShortPathLabel(item.id) : item.id}
+                    </button>
+                  </td>
+                  {COLUMNS.map((column) => (
+                    <td key={column.key} className="numberCell">
+                      {formatValue(item[column.key])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {sortedItems.length > MAX_ROWS && <div className="muted">+ {sortedItems.length - MAX_ROWS} more</div>}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { getShortPathLabel } from "./pathUtils";
+
+/**
+ * CyclesPanel
+ * -----------
+ * Lists the import cycles found by the server (stats.cycles).
+ * - Clicking a cycle highlights its files and edges in the graph (click again to clear).
+ * - Clicking a file in the example loop selects that file.
+ */
+export default function CyclesPanel({ cycles, selectedCycleId, onSelectCycle, onSelectFile }) {
+  if (!cycles) return null;
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">Import Cycles ({cycles.length})</div>
+
+      {cycles.length === 0 ? (
+        <div className="muted">No circular imports found.</div>
+      ) : (
+        <ul className="cycleList">
+          {cycles.map((cycle) => {
+            const isSelected = cycle.id === selectedCycleId;
+
+            return (
+              <li key={cycle.id} className={"cycleItem " + (isSelected ? "cycleItemSelected" : "")}>
+                <button className="cycleHead" onClick={() => onSelectCycle(isSelected ? null : cycle.id)}>
+                  <b>{cycle.files.length === 1 ? "Self-import" : `${cycle.files.length} files`}</b>
+                  <span className="muted">
+                    {cycle.edges.length} edges · {cycle.closingEdges.length} closing
+                  </span>
+                </button>
+
+                <div className="cyclePath">
+                  {cycle.path.map((filePath, index) => (
+                    <span key={filePath + ":" + index}>
+                      {index > 0 && <span className="cycleArrow">→</span>}
+                      <button className="linkBtn" onClick={() => onSelectFile(filePath)} title={filePath}>
+                        {getShortPathLabel(filePath)}
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
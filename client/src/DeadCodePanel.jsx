@@ -0,0 +1,113 @@
+import { getShortPathLabel } from "./pathUtils";
+
+// How many items each list shows before "+ N more"
+const MAX_LIST_ITEMS = 30;
+
+/**
+ * DeadCodePanel
+ * -------------
+ * Cleanup list from the server's dead code report (stats.deadCode).
+ * - Orphans: files nothing imports (and not entry points)
+ * - Unreachable: files no entry point reaches
+ * - Unused exports: exports none of the file's importers uses
+ * - Unused assets: images, fonts, data files... nothing references (public folders excluded)
+ * - Entry points: detected / configured, with the reason
+ * Clicking a file selects it.
+ */
+export default function DeadCodePanel({ deadCode, onSelectFile }) {
+  if (!deadCode) return null;
+
+  const { summary } = deadCode;
+  const orphanSet = new Set(deadCode.orphans);
+  // Orphans are unreachable too: listed once, as orphans
+  const unreachableImported = (deadCode.unreachable || []).filter((id) => !orphanSet.has(id));
+
+  const fileLink = (filePath) => (
+    <button className="linkBtn" onClick={() => onSelectFile(filePath)} title={filePath}>
+      {getShortPathLabel(filePath)}
+    </button>
+  );
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">Dead Code</div>
+
+      <div className="statsGrid">
+        <div className="statChip">
+          <span>Entry points</span> <b>{summary.entryPoints}</b>
+        </div>
+        <div className="statChip">
+          <span>Orphan files</span> <b>{summary.orphans}</b>
+        </div>
+        <div className="statChip">
+          <span>Unreachable files</span> <b>{summary.unreachable ?? "–"}</b>
+        </div>
+        <div className="statChip">
+          <span>Unused exports</span> <b>{summary.unusedExports}</b>
+        </div>
+        {summary.unusedAssets !== undefined && (
+          <div className="statChip">
+            <span>Unused assets</span> <b>{summary.unusedAssets}</b>
+          </div>
+        )}
+      </div>
+
+      {deadCode.unreachable === null && (
+        <div className="muted">
+          No entry point detected: add entry point globs when analyzing to find unreachable files.
+        </div>
+      )}
+
+      <div className="lists diffLists">
+        <DeadCodeList title="Orphan files" items={deadCode.orphans} renderItem={fileLink} />
+        <DeadCodeList title="Unreachable from entry points" items={unreachableImported} renderItem={fileLink} />
+        <DeadCodeList
+          title="Unused exports"
+          items={deadCode.unusedExports}
+          getKey={(item) => item.id}
+          renderItem={(item) => (
+            <>
+              {fileLink(item.id)}
+              <span className="muted"> {item.exports.join(", ")}</span>
+            </>
+          )}
+        />
+        <DeadCodeList title="Unused assets" items={deadCode.unusedAssets || []} renderItem={fileLink} />
+        <DeadCodeList
+          title="Entry points"
+          items={deadCode.entryPoints}
+          getKey={(entryPoint) => entryPoint.id}
+          renderItem={(entryPoint) => (
+            <>
+              {fileLink(entryPoint.id)}
+              <span className="muted"> {entryPoint.reason}</span>
+            </>
+          )}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One titled list of the report (hidden when empty).
+ */
+function DeadCodeList({ title, items, renderItem, getKey = (item) => item }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="listBox">
+      <div className="listTitle">
+        {title} ({items.length})
+      </div>
+      <ul>
+        {items.slice(0, MAX_LIST_ITEMS).map((item) => (
+          <li key={getKey(item)} className="diffItem">
+            {renderItem(item)}
+          </li>
+        ))}
+      </ul>
+      {items.length > MAX_LIST_ITEMS && <div className="muted">+ {items.length - MAX_LIST_ITEMS} more</div>}
+    </div>
+  );
+}
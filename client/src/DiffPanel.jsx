@@ -0,0 +1,157 @@
+import { getShortPathLabel } from "./pathUtils";
+
+// How many items each list shows before "+ N more"
+const MAX_LIST_ITEMS = 30;
+
+/**
+ * DiffPanel
+ * ---------
+ * Structural diff between the open analysis ("after") and another stored one
+ * ("before"), as returned by GET /diff.
+ * - Files added / removed / moved, import edges added / removed
+ * - Import cycles introduced / resolved, degree changes of hub files
+ * - Files that still exist are links: clicking one selects it in the open analysis
+ */
+export default function DiffPanel({ diffResponse, onSelectFile }) {
+  if (!diffResponse) return null;
+
+  const { diff, before } = diffResponse;
+  const { summary } = diff;
+
+  // Diff paths are relative to each side's project folder
+  const toAfterPath = (filePath) => (diff.prefixes.after ? `${diff.prefixes.after}/${filePath}` : filePath);
+
+  const fileLink = (filePath) => (
+    <button className="linkBtn" onClick={() => onSelectFile(toAfterPath(filePath))} title={filePath}>
+      {getShortPathLabel(filePath)}
+    </button>
+  );
+
+  return (
+    <div className="cyclesPanel diffPanel">
+      <div className="statsTitle">Changes since {before.originalName}</div>
+
+      <div className="statsGrid">
+        <div className="statChip diffChip-added">
+          <span>Files added</span> <b>{summary.filesAdded}</b>
+        </div>
+        <div className="statChip diffChip-removed">
+          <span>Files removed</span> <b>{summary.filesRemoved}</b>
+        </div>
+        <div className="statChip diffChip-moved">
+          <span>Files moved</span> <b>{summary.filesMoved}</b>
+        </div>
+        <div className="statChip diffChip-added">
+          <span>Imports added</span> <b>{summary.edgesAdded}</b>
+        </div>
+        <div className="statChip diffChip-removed">
+          <span>Imports removed</span> <b>{summary.edgesRemoved}</b>
+        </div>
+        <div className="statChip">
+          <span>Cycles</span> <b>+{summary.cyclesAdded} / −{summary.cyclesRemoved}</b>
+        </div>
+      </div>
+
+      <div className="lists diffLists">
+        <DiffList title="Added files" items={diff.files.added} renderItem={fileLink} />
+        <DiffList title="Removed files" items={diff.files.removed} renderItem={(filePath) => <span title={filePath}>{filePath}</span>} />
+        <DiffList
+          title="Moved files"
+          items={diff.files.moved}
+          getKey={(move) => move.to}
+          renderItem={(move) => (
+            <>
+              <span className="muted" title={move.from}>
+                {move.from}
+              </span>
+              <span className="cycleArrow">→</span>
+              {fileLink(move.to)}
+            </>
+          )}
+        />
+        <DiffList
+          title="Added imports"
+          items={diff.edges.added}
+          getKey={(edge) => edge.source + "=>" + edge.target}
+          renderItem={(edge) => (
+            <>
+              {fileLink(edge.source)}
+              <span className="cycleArrow">→</span>
+              {fileLink(edge.target)}
+            </>
+          )}
+        />
+        <DiffList
+          title="Removed imports"
+          items={diff.edges.removed}
+          getKey={(edge) => edge.source + "=>" + edge.target}
+          renderItem={(edge) => (
+            <span title={`${edge.source} → ${edge.target}`}>
+              {getShortPathLabel(edge.source)}
+              <span className="cycleArrow">→</span>
+              {getShortPathLabel(edge.target)}
+            </span>
+          )}
+        />
+        <DiffList
+          title="New cycles"
+          items={diff.cycles.added}
+          getKey={(cycle) => cycle.path.join(">")}
+          renderItem={(cycle) => cycle.path.map((filePath, index) => (
+            <span key={filePath + ":" + index}>
+              {index > 0 && <span className="cycleArrow">→</span>}
+              {fileLink(filePath)}
+            </span>
+          ))}
+        />
+        <DiffList
+          title="Resolved cycles"
+          items={diff.cycles.removed}
+          getKey={(cycle) => cycle.path.join(">")}
+          renderItem={(cycle) => <span className="muted">{cycle.path.map(getShortPathLabel).join(" → ")}</span>}
+        />
+        <DiffList
+          title="Hub degree changes"
+          items={diff.hubs.filter((hub) => hub.delta !== 0)}
+          getKey={(hub) => hub.id}
+          renderItem={(hub) => (
+            <>
+              {hub.after === null ? <span title={hub.id}>{getShortPathLabel(hub.id)}</span> : fileLink(hub.id)}
+              <span className="muted">
+                {" "}
+                {hub.before ?? "–"} → {hub.after ?? "–"}
+              </span>
+              <b className={hub.delta > 0 ? "diffDeltaUp" : "diffDeltaDown"}>
+                {" "}
+                {hub.delta > 0 ? `+${hub.delta}` : hub.delta}
+              </b>
+            </>
+          )}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One titled list of the diff (hidden when empty).
+ */
+function DiffList({ title, items, renderItem, getKey = (item) => item }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="listBox">
+      <div className="listTitle">
+        {title} ({items.length})
+      </div>
+      <ul>
+        {items.slice(0, MAX_LIST_ITEMS).map((item) => (
+          <li key={getKey(item)} className="diffItem">
+            {renderItem(item)}
+          </li>
+        ))}
+      </ul>
+      {items.length > MAX_LIST_ITEMS && <div className="muted">+ {items.length - MAX_LIST_ITEMS} more</div>}
+    </div>
+  );
+}
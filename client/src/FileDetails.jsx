@@ -0,0 +1,97 @@
+import ImpactPanel from "./ImpactPanel";
+import { formatFileHistory } from "./gitHistory";
+import { ASSET_TYPE_ICONS } from "./graphExport";
+import { getShortPathLabel } from "./pathUtils";
+
+/**
+ * FileDetails
+ * -----------
+ * Side panel content for the selected file (or package / asset node):
+ * language, git history, direct imports / importers and the transitive impact.
+ * @param {{outgoing:string[], incoming:string[]}} connections - Direct imports / importers.
+ */
+export default function FileDetails({ filePath, graphNode, connections, fileHistory, adjacencyIndex, onSelectFile }) {
+  return (
+    <>
+      <div className="kv">
+        <div className="k">Path</div>
+        <div className="v">{filePath}</div>
+      </div>
+
+      {graphNode?.language && (
+        <div className="kv">
+          <div className="k">Language</div>
+          <div className="v">{graphNode.language}</div>
+        </div>
+      )}
+
+      {graphNode?.assetType && (
+        <div className="kv">
+          <div className="k">Asset</div>
+          <div className="v">
+            {ASSET_TYPE_ICONS[graphNode.assetType]} {graphNode.assetType}
+          </div>
+        </div>
+      )}
+
+      {fileHistory && (
+        <div className="kv">
+          <div className="k">Git history</div>
+          <div className="v">{formatFileHistory(fileHistory)}</div>
+        </div>
+      )}
+
+      <div className="lists">
+        <div className="listBox">
+          <div className="listTitle">Imports (outgoing)</div>
+
+          {connections.outgoing.length === 0 ? (
+            <div className="muted">None</div>
+          ) : (
+            <ul>
+              {connections.outgoing.slice(0, 30).map((p) => (
+                <li key={p}>
+                  <button
+                    className="linkBtn"
+                    onClick={() => onSelectFile(p)}
+                    title={p}
+                  >
+                    {getShortPathLabel(p)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="listBox">
+          <div className="listTitle">Imported By (incoming)</div>
+
+          {connections.incoming.length === 0 ? (
+            <div className="muted">None</div>
+          ) : (
+            <ul>
+              {connections.incoming.slice(0, 30).map((p) => (
+                <li key={p}>
+                  <button
+                    className="linkBtn"
+                    onClick={() => onSelectFile(p)}
+                    title={p}
+                  >
+                    {getShortPathLabel(p)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <ImpactPanel
+        adjacencyIndex={adjacencyIndex}
+        filePath={filePath}
+        onSelectFile={onSelectFile}
+      />
+    </>
+  );
+}
@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { formatMetric, getHeatColor, getMetricIntensity } from "./metrics";
+
+/* =========================
+ * File Tree Helpers
+ * ========================= */
+/**
+ * Returns true if the node OR any of its descendants match the search query.
+ * This allows folders to remain visible if they contain matching files.
+ */
+function doesSubtreeMatchQuery(treeNode, query) {
+  const q = query.toLowerCase();
+
+  if ((treeNode.name || "").toLowerCase().includes(q)) return true;
+  if ((treeNode.path || "").toLowerCase().includes(q)) return true;
+
+  return (treeNode.children || []).some((child) => doesSubtreeMatchQuery(child, query));
+}
+
+/**
+ * Returns true if a file with this path is somewhere below the node.
+ */
+function doesSubtreeContainPath(treeNode, filePath) {
+  if (treeNode.path === filePath) return true;
+  return (treeNode.children || []).some((child) => doesSubtreeContainPath(child, filePath));
+}
+
+/* =========================
+ * File Tree Component
+ * ========================= */
+/**
+ * FileTree
+ * --------
+ * Recursive component that renders the file/folder tree.
+ * - Clicking a folder toggles expand/collapse.
+ * - Clicking a file selects it and highlights it in the graph.
+ * - When a query exists, only relevant branches are shown.
+ * - Folders containing a newly selected file open themselves (e.g. after clicking an import).
+ * - Files of the dead code report are tagged (fileTags: path -> "orphan" | "unreachable" | "unused").
+ * - With a metric picked, file rows show its value (heat background, or a bar in "size" mode).
+ */
+export default function FileTree({ node, depth = 0, selectedPath, onSelectPath, query, fileTags, metric }) {
+  const [isOpen, setIsOpen] = useState(depth < 1);
+
+  // Selection already revealed by this folder (adjusted during render, no effect needed)
+  const [revealedPath, setRevealedPath] = useState(null);
+  if (node.type === "folder" && selectedPath !== revealedPath) {
+    setRevealedPath(selectedPath);
+    if (selectedPath && !isOpen && doesSubtreeContainPath(node, selectedPath)) setIsOpen(true);
+  }
+
+  const isFolder = node.type === "folder";
+  const normalizedQuery = query?.toLowerCase() || "";
+
+  const nodeMatchesQuery =
+    !normalizedQuery ||
+    (node.name && node.name.toLowerCase().includes(normalizedQuery)) ||
+    (node.path && node.path.toLowerCase().includes(normalizedQuery));
+
+  const children = node.children || [];
+  const anyChildMatchesQuery = !normalizedQuery
+    ? true
+    : children.some((child) => doesSubtreeMatchQuery(child, normalizedQuery));
+
+  // If searching and neither this node nor any descendant matches -> hide it.
+  if (normalizedQuery && !nodeMatchesQuery && !anyChildMatchesQuery) return null;
+
+  const metricValue = metric && node.type === "file" ? metric.valueById.get(node.path) : undefined;
+  const metricIntensity = getMetricIntensity(metricValue, metric?.maxValue);
+
+  return (
+    <div style={{ marginInlineStart: depth * 10 }}>
+      <div
+        className={"treeRow " + (node.path && node.path === selectedPath ? "treeRowSelected" : "")}
+        style={metric?.mode === "color" && metricIntensity ? { background: getHeatColor(metricIntensity) } : undefined}
+        onClick={() => {
+          if (isFolder) setIsOpen(!isOpen);
+          if (node.type === "file" && node.path) onSelectPath(node.path);
+        }}
+      >
+        <span className="treeIcon">{isFolder ? "📁" : "📄"}</span>
+        <span className="treeName">{node.name}</span>
+        {fileTags?.has(node.path) && (
+          <span className={"deadTag deadTag-" + fileTags.get(node.path)}>{fileTags.get(node.path)}</span>
+        )}
+        {metricValue !== undefined && (
+          <span className="treeMetric muted">
+            {metric.mode === "size" && <span className="metricBar" style={{ width: Math.round(60 * metricIntensity) }} />}
+            {formatMetric(metric.key, metricValue)}
+          </span>
+        )}
+      </div>
+
+      {isFolder && isOpen && (
+        <div className="treeChildren">
+          {children.map((child, index) => (
+            <FileTree
+              key={(child.path || child.name) + ":" + index}
+              node={child}
+              depth={depth + 1}
+              selectedPath={selectedPath}
+              onSelectPath={onSelectPath}
+              query={query}
+              fileTags={fileTags}
+              metric={metric}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import { useEffect, useMemo, useState } from "react";
+import { Highlight, themes } from "prism-react-renderer";
+
+/**
+ * Prism language per file extension (anything else is shown as plain text).
+ */
+const LANGUAGE_BY_EXTENSION = {
+  ".js": "jsx",
+  ".jsx": "jsx",
+  ".mjs": "jsx",
+  ".cjs": "jsx",
+  ".ts": "typescript",
+  ".tsx": "tsx",
+  ".json": "json",
+  ".css": "css",
+  ".scss": "css",
+  ".less": "css",
+  ".md": "markdown",
+  ".yml": "yaml",
+  ".yaml": "yaml",
+  ".html": "markup",
+  ".xml": "markup",
+  ".svg": "markup",
+  ".vue": "markup",
+  ".svelte": "markup",
+  ".py": "python",
+  ".go": "go",
+  ".kt": "kotlin",
+  ".rs": "rust",
+  ".sql": "sql",
+  ".graphql": "graphql",
+};
+
+function getLanguage(filePath) {
+  const match = /\.[^./]+$/.exec(filePath || "");
+  return (match && LANGUAGE_BY_EXTENSION[match[0].toLowerCase()]) || "text";
+}
+
+// '"./foo"' -> './foo' (string tokens keep their quotes)
+function stripQuotes(text) {
+  return text.replace(/^["'`]|["'`]$/g, "");
+}
+
+/**
+ * FileViewer
+ * ----------
+ * Shows the source of one file of an analysis (GET /jobs/:jobId/file).
+ * - Syntax highlighted with line numbers
+ * - Every import that resolved to a project file is a link: clicking it selects that file
+ */
+export default function FileViewer({ apiBaseUrl, jobId, filePath, onSelectFile }) {
+  // { key, file, error } of the last response (key = jobId + path, so stale responses are ignored)
+  const [loadedFile, setLoadedFile] = useState(null);
+  const requestKey = `${jobId}:${filePath}`;
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    fetch(`${apiBaseUrl}/jobs/${encodeURIComponent(jobId)}/file?path=${encodeURIComponent(filePath)}`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (!response.ok || !json.ok) throw new Error(json?.error || "Could not load file");
+        return json;
+      })
+      .then((json) => {
+        if (!isCancelled) setLoadedFile({ key: requestKey, file: json, error: null });
+      })
+      .catch((err) => {
+        if (!isCancelled) setLoadedFile({ key: requestKey, file: null, error: err?.message || "Server error" });
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [apiBaseUrl, jobId, filePath, requestKey]);
+
+  const current = loadedFile?.key === requestKey ? loadedFile : null;
+  const file = current?.file;
+
+  // line number -> imports on that line that resolved to a project file
+  const linkedImportsByLine = useMemo(() => {
+    const byLine = new Map();
+    for (const item of file?.imports || []) {
+      if (!item.target || !item.line) continue;
+      if (!byLine.has(item.line)) byLine.set(item.line, []);
+      byLine.get(item.line).push(item);
+    }
+    return byLine;
+  }, [file]);
+
+  if (!current) return <div className="muted">Loading source...</div>;
+  if (current.error) return <div className="alert alertError">{current.error}</div>;
+  if (file.binary) return <div className="muted">Binary file ({file.size} bytes), nothing to show.</div>;
+
+  return (
+    <Highlight theme={themes.github} code={file.content.replace(/\n$/, "")} language={getLanguage(file.path)}>
+      {({ className, style, tokens, getLineProps, getTokenProps }) => (
+        <pre className={"codeView " + className} style={style}>
+          {tokens.map((line, lineIndex) => {
+            const lineNumber = lineIndex + 1;
+            const lineImports = linkedImportsByLine.get(lineNumber) || [];
+            const unmatchedImports = new Set(lineImports);
+
+            const lineTokens = line.map((token, tokenIndex) => {
+              const tokenProps = getTokenProps({ token });
+              const linkedImport =
+                token.types.includes("string") &&
+                lineImports.find((item) => item.specifier === stripQuotes(token.content));
+
+              if (!linkedImport) return <span key={tokenIndex} {...tokenProps} />;
+
+              unmatchedImports.delete(linkedImport);
+              return (
+                <button
+                  key={tokenIndex}
+                  className={tokenProps.className + " codeImportLink"}
+                  style={tokenProps.style}
+                  onClick={() => onSelectFile(linkedImport.target)}
+                  title={`Go to ${linkedImport.target}`}
+                >
+                  {token.content}
+                </button>
+              );
+            });
+
+            return (
+              <div key={lineIndex} {...getLineProps({ line })}>
+                <span className="codeLineNo">{lineNumber}</span>
+                {lineTokens}
+                {/* Imports the highlighter split into several tokens (e.g. template strings) */}
+                {[...unmatchedImports].map((item) => (
+                  <button
+                    key={item.specifier}
+                    className="codeImportLink codeImportMarker"
+                    onClick={() => onSelectFile(item.target)}
+                    title={`Go to ${item.target}`}
+                  >
+                    ↗ {item.target}
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+        </pre>
+      )}
+    </Highlight>
+  );
+}
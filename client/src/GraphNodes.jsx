@@ -0,0 +1,123 @@
+import { Handle, Position } from "reactflow";
+import { ASSET_TYPE_ICONS } from "./graphExport";
+
+/**
+ * FileNode
+ * --------
+ * A custom ReactFlow node that represents a file in the codebase.
+ * - Left handle: incoming edges (imports into this file)
+ * - Right handle: outgoing edges (imports from this file)
+ */
+export function FileNode({ data, selected }) {
+  return (
+    <div
+      className={
+        "node " +
+        (selected ? "nodeSelected " : "") +
+        (data.inCycle ? "nodeCycle " : "") +
+        (data.onPath ? "nodeOnPath " : "") +
+        (data.diffStatus ? "nodeDiff-" + data.diffStatus : "") +
+        (data.deadCodeTag ? " nodeDead" : "")
+      }
+      style={data.metricStyle}
+      title={data.fullPath}
+    >
+      <Handle type="target" position={Position.Left} />
+      <div className="nodeTitle">
+        {data.label}
+        {data.deadCodeTag && <span className={"deadTag deadTag-" + data.deadCodeTag}>{data.deadCodeTag}</span>}
+      </div>
+      <div className="nodeSub">
+        {data.fullPath}
+        {data.metricLabel && ` · ${data.metricLabel}`}
+      </div>
+      <Handle type="source" position={Position.Right} />
+    </div>
+  );
+}
+
+/**
+ * PackageNode
+ * -----------
+ * A custom ReactFlow node that represents a workspace package (monorepo view).
+ */
+export function PackageNode({ data, selected }) {
+  return (
+    <div className={"node nodePackage " + (selected ? "nodeSelected" : "")} title={data.folder}>
+      <Handle type="target" position={Position.Left} />
+      <div className="nodeTitle">📦 {data.label}</div>
+      <div className="nodeSub">
+        {data.folder} · {data.files} files
+      </div>
+      <Handle type="source" position={Position.Right} />
+    </div>
+  );
+}
+
+/**
+ * ExternalNode
+ * ------------
+ * A custom ReactFlow node for an npm package or Node builtin ("npm:lodash", "node:fs").
+ * Undeclared npm packages (missing from the nearest package.json) are flagged.
+ */
+export function ExternalNode({ data, selected }) {
+  const variant = data.builtin ? "nodeBuiltin" : data.declared === false ? "nodeUndeclared" : "";
+
+  return (
+    <div className={"node nodeExternal " + variant + " " + (selected ? "nodeSelected" : "")} title={data.fullPath}>
+      <Handle type="target" position={Position.Left} />
+      <div className="nodeTitle">{data.label}</div>
+      <div className="nodeSub">
+        {data.builtin ? "Node builtin" : data.declared === false ? "npm · not declared in package.json" : "npm package"}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * AssetNode
+ * ---------
+ * A custom ReactFlow node for a non-code file that code references (image, font, media, data file).
+ * Assets only have incoming edges.
+ */
+export function AssetNode({ data, selected }) {
+  return (
+    <div
+      className={"node nodeAsset " + (selected ? "nodeSelected " : "") + (data.deadCodeTag ? "nodeDead" : "")}
+      title={data.fullPath}
+    >
+      <Handle type="target" position={Position.Left} />
+      <div className="nodeTitle">
+        {ASSET_TYPE_ICONS[data.assetType] || "📄"} {data.label}
+        {data.deadCodeTag && <span className={"deadTag deadTag-" + data.deadCodeTag}>{data.deadCodeTag}</span>}
+      </div>
+      <div className="nodeSub">
+        {data.fullPath} · {data.assetType}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * FolderNode
+ * ----------
+ * A custom ReactFlow node for a collapsed folder (folders view).
+ * Clicking it expands the folder in place into its subfolders / files.
+ */
+export function FolderNode({ data, selected }) {
+  return (
+    <div
+      className={"node nodeFolder " + (selected ? "nodeSelected" : "")}
+      style={data.metricStyle}
+      title={`${data.fullPath} (click to expand)`}
+    >
+      <Handle type="target" position={Position.Left} />
+      <div className="nodeTitle">📁 {data.label}</div>
+      <div className="nodeSub">
+        {data.codeFiles} code files / {data.fileCount} files · {data.internalImports} internal imports
+        {data.metricLabel && ` · ${data.metricLabel}`}
+      </div>
+      <Handle type="source" position={Position.Right} />
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { formatOwner } from "./gitHistory";
+import { getShortPathLabel } from "./pathUtils";
+
+// How many rows each table shows
+const MAX_ROWS = 50;
+
+const TABS = [
+  ["hotspots", "Churn × complexity"],
+  ["coChanges", "Co-changes"],
+  ["owners", "Owners"],
+];
+
+/**
+ * HistoryPanel
+ * ------------
+ * Git history report (stats.history), when the analyzed project came with one:
+ * - Churn × complexity: files that change often and are complex (where refactoring pays off)
+ * - Co-changes: files often committed together; "hidden" ones have no import between them
+ * - Owners: author of most commits per folder
+ * Clicking a file selects it, clicking a folder filters the graph to it.
+ */
+export default function HistoryPanel({ history, onSelectFile, onSelectFolder }) {
+  const [tab, setTab] = useState("hotspots");
+  const [showHiddenOnly, setShowHiddenOnly] = useState(true);
+
+  if (!history) return null;
+  const { summary } = history;
+
+  const fileButton = (id) => (
+    <button className="linkBtn" onClick={() => onSelectFile(id)} title={id}>
+      {getShortPathLabel(id)}
+    </button>
+  );
+
+  const coChanges = history.coChanges.filter((coChange) => !showHiddenOnly || !coChange.imported);
+  const folders = Object.entries(history.folders);
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">
+        Git History ({summary.commits} commits · {summary.authors} authors
+        {summary.firstCommitAt && ` · ${summary.firstCommitAt.slice(0, 10)} → ${summary.lastCommitAt.slice(0, 10)}`})
+      </div>
+      {summary.truncated && <div className="muted">Only the newest {summary.commits} commits were read.</div>}
+
+      <div className="edgeKindBar">
+        {TABS.map(([value, label]) => (
+          <button
+            key={value}
+            className={"statChip statBtn " + (tab === value ? "viewChipActive" : "")}
+            onClick={() => setTab(value)}
+          >
+            {label}
+          </button>
+        ))}
+        {tab === "coChanges" && (
+          <label className="checkRow">
+            <input type="checkbox" checked={showHiddenOnly} onChange={(e) => setShowHiddenOnly(e.target.checked)} />
+            Hidden only (no import between them)
+          </label>
+        )}
+      </div>
+
+      <div className="hotspotsTableBox">
+        {tab === "hotspots" && (
+          <table className="hotspotsTable">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Commits</th>
+                <th>Churn</th>
+                <th>Complexity</th>
+                <th>Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.hotspots.map((hotspot) => (
+                <tr key={hotspot.id}>
+                  <td>{fileButton(hotspot.id)}</td>
+                  <td className="numberCell">{hotspot.commits}</td>
+                  <td className="numberCell">{hotspot.churn}</td>
+                  <td className="numberCell">{hotspot.complexity}</td>
+                  <td className="numberCell">{hotspot.score}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {tab === "coChanges" &&
+          (coChanges.length === 0 ? (
+            <div className="muted">No files are often committed together{showHiddenOnly && " without an import"}.</div>
+          ) : (
+            <table className="hotspotsTable">
+              <thead>
+                <tr>
+                  <th>Files</th>
+                  <th title="Commits changing both files">Commits</th>
+                  <th title="Share of the commits of the less often changed file">Together</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coChanges.map((coChange) => (
+                  <tr key={coChange.source + "\n" + coChange.target}>
+                    <td>
+                      {fileButton(coChange.source)}
+                      <span className="cycleArrow">↔</span>
+                      {fileButton(coChange.target)}
+                      {coChange.imported && <span className="muted"> (imported)</span>}
+                    </td>
+                    <td className="numberCell">{coChange.commits}</td>
+                    <td className="numberCell">{Math.round(coChange.confidence * 100)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+
+        {tab === "owners" && (
+          <table className="hotspotsTable">
+            <thead>
+              <tr>
+                <th>Folder</th>
+                <th>Owner</th>
+                <th>Authors</th>
+                <th>Commits</th>
+                <th title={`Last ${summary.recentDays} days of the history`}>Recent</th>
+              </tr>
+            </thead>
+            <tbody>
+              {folders.slice(0, MAX_ROWS).map(([folder, stats]) => (
+                <tr key={folder}>
+                  <td>
+                    <button className="linkBtn" onClick={() => onSelectFolder(folder)} title={folder}>
+                      {folder}
+                    </button>
+                  </td>
+                  <td>{formatOwner(stats)}</td>
+                  <td className="numberCell">{stats.authors}</td>
+                  <td className="numberCell">{stats.commits}</td>
+                  <td className="numberCell">{stats.recentCommits}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {tab === "owners" && folders.length > MAX_ROWS && <div className="muted">+ {folders.length - MAX_ROWS} more</div>}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useMemo, useState } from "react";
+import { METRIC_OPTIONS, formatMetric } from "./metrics";
+import { getShortPathLabel } from "./pathUtils";
+
+// How many rows the table shows
+const MAX_ROWS = 50;
+
+const GROUPINGS = [
+  ["files", "Files"],
+  ["folders", "Folders"],
+  ["extensions", "Extensions"],
+];
+
+/**
+ * HotspotsPanel
+ * -------------
+ * Sortable table of the code metrics computed by the server:
+ * - Files: every code file, with its degree (imports in + out) next to its size / complexity
+ * - Folders / Extensions: totals from stats.metrics
+ * Clicking a column header sorts by it (again: reverses the order); clicking a file selects it.
+ */
+export default function HotspotsPanel({ graph, metrics, onSelectFile }) {
+  const [grouping, setGrouping] = useState("files");
+  const [sort, setSort] = useState({ key: "complexity", descending: true });
+
+  const rows = useMemo(() => {
+    if (!graph || !metrics) return [];
+
+    if (grouping === "files") {
+      const degreeById = new Map();
+      for (const edge of graph.edges) {
+        degreeById.set(edge.source, (degreeById.get(edge.source) || 0) + 1);
+        degreeById.set(edge.target, (degreeById.get(edge.target) || 0) + 1);
+      }
+
+      return graph.nodes
+        .filter((node) => node.metrics)
+        .map((node) => ({ id: node.id, isFile: true, values: { ...node.metrics, degree: degreeById.get(node.id) || 0 } }));
+    }
+
+    const totalsByKey = grouping === "folders" ? metrics.byFolder : metrics.byExtension;
+    return Object.entries(totalsByKey).map(([key, totals]) => ({ id: key, isFile: false, values: totals }));
+  }, [graph, metrics, grouping]);
+
+  if (!metrics) return null;
+
+  const columns = [
+    ...(grouping === "files" ? [] : [{ key: "files", label: "Files" }]),
+    ...METRIC_OPTIONS,
+    ...(grouping === "files" ? [{ key: "degree", label: "Degree" }] : []),
+  ];
+
+  const sortedRows = [...rows].sort((a, b) => {
+    const difference = (a.values[sort.key] ?? -1) - (b.values[sort.key] ?? -1);
+    return (sort.descending ? -difference : difference) || a.id.localeCompare(b.id);
+  });
+
+  const sortBy = (key) =>
+    setSort((prev) => (prev.key === key ? { key, descending: !prev.descending } : { key, descending: true }));
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">
+        Hotspots ({metrics.totals.files} code files · {metrics.totals.sourceLines} lines of code)
+      </div>
+
+      <div className="edgeKindBar">
+        {GROUPINGS.map(([value, label]) => (
+          <button
+            key={value}
+            className={"statChip statBtn " + (grouping === value ? "viewChipActive" : "")}
+            onClick={() => setGrouping(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="hotspotsTableBox">
+        <table className="hotspotsTable">
+          <thead>
+            <tr>
+              <th>{grouping === "extensions" ? "Extension" : grouping === "folders" ? "Folder" : "File"}</th>
+              {columns.map((column) => (
+                <th key={column.key} className="sortableHeader" onClick={() => sortBy(column.key)}>
+                  {column.label}
+                  {sort.key === column.key && (sort.descending ? " ▼" : " ▲")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.slice(0, MAX_ROWS).map((row) => (
+              <tr key={row.id}>
+                <td>
+                  {row.isFile ? (
+                    <button className="linkBtn" onClick={() => onSelectFile(row.id)} title={row.id}>
+                      {getShortPathLabel(row.id)}
+                    </button>
+                  ) : (
+                    row.id
+                  )}
+                </td>
+                {columns.map((column) => (
+                  <td key={column.key} className="numberCell">
+                    {formatMetric(column.key, row.values[column.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {sortedRows.length > MAX_ROWS && <div className="muted">+ {sortedRows.length - MAX_ROWS} more</div>}
+    </div>
+  );
+}
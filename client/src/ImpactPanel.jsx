@@ -0,0 +1,76 @@
+import { useMemo, useState } from "react";
+import { getDistances, groupByDistance } from "./impact";
+import { getShortPathLabel } from "./pathUtils";
+
+// Files listed per distance (the count always covers all of them)
+const MAX_FILES_PER_DISTANCE = 30;
+
+/**
+ * ImpactPanel
+ * -----------
+ * Transitive impact of the selected file, grouped by distance (1 = direct):
+ * - Dependents: what may break when the file changes
+ * - Dependencies: everything the file pulls in
+ * Clicking a file selects it.
+ */
+export default function ImpactPanel({ adjacencyIndex, filePath, onSelectFile }) {
+  const [direction, setDirection] = useState("dependents");
+
+  const impact = useMemo(() => {
+    if (!adjacencyIndex || !filePath) return null;
+    const dependents = getDistances(adjacencyIndex.incomingByNode, filePath);
+    const dependencies = getDistances(adjacencyIndex.outgoingByNode, filePath);
+    return {
+      dependents: { count: dependents.size, groups: groupByDistance(dependents) },
+      dependencies: { count: dependencies.size, groups: groupByDistance(dependencies) },
+    };
+  }, [adjacencyIndex, filePath]);
+
+  if (!impact) return null;
+  const { count, groups } = impact[direction];
+
+  return (
+    <div className="listBox impactBox">
+      <div className="listTitle">Impact (transitive)</div>
+
+      <div className="edgeKindBar">
+        {[
+          ["dependents", "Dependents"],
+          ["dependencies", "Dependencies"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            className={"statChip statBtn " + (direction === value ? "viewChipActive" : "")}
+            onClick={() => setDirection(value)}
+          >
+            {label} <b>{impact[value].count}</b>
+          </button>
+        ))}
+      </div>
+
+      {count === 0 ? (
+        <div className="muted">{direction === "dependents" ? "Nothing imports this file." : "This file imports nothing."}</div>
+      ) : (
+        groups.map(({ distance, ids }) => (
+          <div key={distance} className="impactGroup">
+            <div className="muted">
+              {distance === 1 ? "Direct" : `${distance} imports away`} ({ids.length})
+            </div>
+            <ul>
+              {ids.slice(0, MAX_FILES_PER_DISTANCE).map((id) => (
+                <li key={id}>
+                  <button className="linkBtn" onClick={() => onSelectFile(id)} title={id}>
+                    {getShortPathLabel(id)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {ids.length > MAX_FILES_PER_DISTANCE && (
+              <div className="muted">+ {ids.length - MAX_FILES_PER_DISTANCE} more</div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
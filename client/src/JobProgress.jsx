@@ -0,0 +1,67 @@
+/**
+ * Analysis phases in the order the server runs them, with the share of the
+ * progress bar each one covers (extracting and parsing are the slow ones).
+ */
+const PHASES = [
+  { id: "queued", label: "Waiting to start", weight: 0 },
+  { id: "exporting", label: "Exporting git ref", weight: 0 },
+  { id: "extracting", label: "Extracting archive", weight: 40 },
+  { id: "scanning", label: "Scanning files", weight: 5 },
+  { id: "parsing", label: "Parsing imports", weight: 45 },
+  { id: "analyzing", label: "Computing stats", weight: 7 },
+  { id: "saving", label: "Saving results", weight: 3 },
+  { id: "done", label: "Done", weight: 0 },
+];
+
+/**
+ * Returns how far along the current phase is (0..1), when the server knows the totals.
+ */
+function getPhaseFraction(progress) {
+  if (progress.phase === "extracting" && progress.filesTotal) {
+    return progress.filesExtracted / progress.filesTotal;
+  }
+  if (progress.phase === "parsing" && progress.filesToParse) {
+    return progress.filesParsed / progress.filesToParse;
+  }
+  return 0;
+}
+
+/**
+ * JobProgress
+ * -----------
+ * Progress bar for a running analysis (fed by the server's progress events).
+ * - Shows the current phase + files extracted / parsed
+ * - Offers a Cancel button while the job is running
+ */
+export default function JobProgress({ progress, isCancelling, onCancel }) {
+  const phaseIndex = Math.max(0, PHASES.findIndex((phase) => phase.id === progress?.phase));
+  const phase = PHASES[phaseIndex];
+
+  const completedWeight = PHASES.slice(0, phaseIndex).reduce((sum, p) => sum + p.weight, 0);
+  const percent = Math.min(100, Math.round(completedWeight + phase.weight * getPhaseFraction(progress || {})));
+
+  return (
+    <div className="jobProgress">
+      <div className="jobProgressHead">
+        <b>{progress ? phase.label : "Loading analysis"}...</b>
+        <span className="muted">{percent}%</span>
+      </div>
+
+      <div className="progressTrack">
+        <div className="progressFill" style={{ width: `${percent}%` }} />
+      </div>
+
+      <div className="jobProgressFoot">
+        <span className="muted">
+          Extracted {progress?.filesExtracted ?? 0}
+          {progress?.filesTotal ? ` / ${progress.filesTotal}` : ""} files
+          {progress?.filesToParse != null && ` · Parsed ${progress.filesParsed} / ${progress.filesToParse}`}
+        </span>
+
+        <button className="btn btnSmall btnDanger" onClick={onCancel} disabled={isCancelling}>
+          {isCancelling ? "Cancelling..." : "Cancel"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { getShortPathLabel } from "./pathUtils";
+
+/**
+ * PathFinderPanel
+ * ---------------
+ * "Why is this file imported?"
+ * - Find paths: shortest import chain from a source to a target file + every chain of at most
+ *   `maxLength` imports (GET /jobs/:jobId/paths)
+ * - Reached from: every entry point that imports the target, with its shortest chain
+ *   (GET /jobs/:jobId/entry-paths)
+ * Clicking a chain highlights it in the graph (click again to clear); clicking a file selects it.
+ */
+export default function PathFinderPanel({ apiBaseUrl, jobId, graph, selectedFilePath, highlightedPath, onHighlightPath, onSelectFile }) {
+  const [fromPath, setFromPath] = useState("");
+  const [toPath, setToPath] = useState("");
+  const [maxLength, setMaxLength] = useState("6");
+  // { kind: "paths" | "entries", response } of the last query
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  if (!graph || !jobId) return null;
+
+  const runQuery = async (kind, query) => {
+    setIsLoading(true);
+    setErrorMessage(null);
+    try {
+      const route = kind === "paths" ? "paths" : "entry-paths";
+      const response = await fetch(`${apiBaseUrl}/jobs/${encodeURIComponent(jobId)}/${route}?${new URLSearchParams(query)}`);
+      const json = await response.json();
+      if (!response.ok || !json.ok) throw new Error(json?.error || "Query failed");
+
+      setResult({ kind, response: json });
+      const firstPath = kind === "paths" ? json.shortest : json.entryPoints?.[0]?.path;
+      onHighlightPath(firstPath || null);
+    } catch (err) {
+      setResult(null);
+      setErrorMessage(err?.message || "Server error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const findPaths = () => runQuery("paths", { from: fromPath.trim(), to: toPath.trim(), maxLength });
+  const findEntryPoints = () => runQuery("entries", { to: toPath.trim() });
+
+  const isSamePath = (path) => Boolean(highlightedPath) && path.join("\n") === highlightedPath.join("\n");
+
+  const renderPath = (path, head) => (
+    <li key={path.join("\n")} className={"cycleItem " + (isSamePath(path) ? "pathItemSelected" : "")}>
+      <button className="cycleHead" onClick={() => onHighlightPath(isSamePath(path) ? null : path)}>
+        {head}
+        <span className="muted">{path.length - 1 === 1 ? "1 import" : `${path.length - 1} imports`}</span>
+      </button>
+      <div className="cyclePath">
+        {path.map((filePath, index) => (
+          <span key={filePath}>
+            {index > 0 && <span className="cycleArrow">→</span>}
+            <button className="linkBtn" onClick={() => onSelectFile(filePath)} title={filePath}>
+              {getShortPathLabel(filePath)}
+            </button>
+          </span>
+        ))}
+      </div>
+    </li>
+  );
+
+  const renderResult = () => {
+    if (!result) return null;
+    const { response } = result;
+
+    if (result.kind === "entries") {
+      if (!response.entryPoints) return <div className="muted">This analysis has no entry points (analyze it again).</div>;
+      if (response.entryPoints.length === 0) return <div className="muted">No entry point imports this file.</div>;
+      return (
+        <ul className="cycleList">
+          {response.entryPoints.map((entryPoint) =>
+            renderPath(entryPoint.path, <b title={entryPoint.reason}>{getShortPathLabel(entryPoint.id)}</b>)
+          )}
+        </ul>
+      );
+    }
+
+    if (!response.shortest) return <div className="muted">The source does not import the target, even indirectly.</div>;
+    return (
+      <>
+        {response.paths.length === 0 && (
+          <div className="muted">No path of at most {response.maxLength} imports; the shortest one:</div>
+        )}
+        <ul className="cycleList">
+          {(response.paths.length ? response.paths : [response.shortest]).map((path, index) =>
+            renderPath(path, <b>{index === 0 ? "Shortest" : `Path ${index + 1}`}</b>)
+          )}
+        </ul>
+        {response.truncated && <div className="muted">Only the first {response.paths.length} paths are listed.</div>}
+      </>
+    );
+  };
+
+  const canFindPaths = fromPath.trim() && toPath.trim() && !isLoading;
+  const canFindEntryPoints = toPath.trim() && !isLoading;
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">Import Paths</div>
+
+      <datalist id="pathFinderFiles">
+        {graph.nodes.map((node) => (
+          <option key={node.id} value={node.id} />
+        ))}
+      </datalist>
+
+      <div className="pathFinderRow">
+        <input
+          className="search"
+          list="pathFinderFiles"
+          placeholder="Source file, e.g. src/pages/Checkout.tsx"
+          value={fromPath}
+          onChange={(e) => setFromPath(e.target.value)}
+        />
+        <button className="btn btnSmall" disabled={!selectedFilePath} onClick={() => setFromPath(selectedFilePath)}>
+          Use selected
+        </button>
+      </div>
+      <div className="pathFinderRow">
+        <input
+          className="search"
+          list="pathFinderFiles"
+          placeholder="Target file, e.g. src/lib/legacyCrypto.js"
+          value={toPath}
+          onChange={(e) => setToPath(e.target.value)}
+        />
+        <button className="btn btnSmall" disabled={!selectedFilePath} onClick={() => setToPath(selectedFilePath)}>
+          Use selected
+        </button>
+      </div>
+
+      <div className="pathFinderRow">
+        <label className="muted">
+          Max length{" "}
+          <input
+            className="pathLengthInput"
+            type="number"
+            min="1"
+            max="12"
+            value={maxLength}
+            onChange={(e) => setMaxLength(e.target.value)}
+          />
+        </label>
+        <button className={"btn btnSmall " + (canFindPaths ? "btnPrimary" : "")} disabled={!canFindPaths} onClick={findPaths}>
+          Find paths
+        </button>
+        <button className="btn btnSmall" disabled={!canFindEntryPoints} onClick={findEntryPoints}>
+          Reached from
+        </button>
+        {highlightedPath && (
+          <button className="btn btnSmall" onClick={() => onHighlightPath(null)}>
+            Clear highlight
+          </button>
+        )}
+      </div>
+
+      {errorMessage && <div className="alert alertError">{errorMessage}</div>}
+      {renderResult()}
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import { useCallback, useMemo, useState } from "react";
+import ReactFlow, { Background, Controls, MiniMap } from "reactflow";
+import CyclesPanel from "./CyclesPanel";
+import RulesPanel from "./RulesPanel";
+import DeadCodePanel from "./DeadCodePanel";
+import HotspotsPanel from "./HotspotsPanel";
+import CouplingPanel from "./CouplingPanel";
+import HistoryPanel from "./HistoryPanel";
+import FileTree from "./FileTree";
+import FileDetails from "./FileDetails";
+import { getShortPathLabel } from "./pathUtils";
+import { buildAdjacencyIndex } from "./impact";
+import { getDeadCodeTags } from "./deadCode";
+import { applyDagreLayout, buildFilesViewElements, reactFlowNodeTypes } from "./graphLayout";
+
+/**
+ * ReportApp
+ * ---------
+ * Offline HTML report of one analysis (GET /jobs/:jobId/report, built by `npm run build:report`).
+ * The analysis is embedded in the page, so everything runs from file:// without the server:
+ * - file tree and files graph, filtered by the search, with the selected file's edges highlighted
+ * - file details (imports / importers, impact) for the selected file
+ * - findings: most connected files, cycles, rule violations, hotspots, coupling, git history, dead code
+ * Source code is not embedded (no file viewer), and the graph is the files view only.
+ */
+export default function ReportApp({ analysis }) {
+  const [searchQuery, setSearchQuery] = useState("");
+  const [selectedFilePath, setSelectedFilePath] = useState(null);
+  const [selectedCycleId, setSelectedCycleId] = useState(null);
+
+  const graphAdjacencyIndex = useMemo(() => buildAdjacencyIndex(analysis.graph), [analysis]);
+  const deadCodeTags = useMemo(() => getDeadCodeTags(analysis.stats?.deadCode), [analysis]);
+
+  const selectedGraphNode = useMemo(
+    () => analysis.graph.nodes.find((node) => node.id === selectedFilePath) || null,
+    [analysis, selectedFilePath]
+  );
+
+  /**
+   * reactFlowLayout
+   * ---------------
+   * Files view of the app (see buildFilesViewElements): nodes matching the search, the selected file's
+   * edges animated, the selected cycle drawn in red.
+   */
+  const reactFlowLayout = useMemo(() => {
+    const { nodes, edges } = buildFilesViewElements(analysis, {
+      searchQuery,
+      getNodeData: (node) => ({ deadCodeTag: deadCodeTags.get(node.id) }),
+      selectedFilePath,
+      selectedCycleId,
+    });
+    return applyDagreLayout(nodes, edges);
+  }, [analysis, searchQuery, selectedFilePath, selectedCycleId, deadCodeTags]);
+
+  const onGraphNodeClick = useCallback((_, node) => setSelectedFilePath(node.id), []);
+
+  const selectedFileConnections = selectedFilePath
+    ? {
+        outgoing: graphAdjacencyIndex.outgoingByNode.get(selectedFilePath) || [],
+        incoming: graphAdjacencyIndex.incomingByNode.get(selectedFilePath) || [],
+      }
+    : null;
+
+  const stats = analysis.stats || {};
+
+  return (
+    <div className="page">
+      <div className="container">
+        {/* Header */}
+        <div className="header">
+          <div>
+            <h1>Codebase Explorer report</h1>
+            <p>
+              Analysis of <b>{analysis.originalName}</b>
+              {analysis.source?.commit && ` (commit ${analysis.source.commit.slice(0, 10)})`}
+              {analysis.createdAt && ` · ${new Date(analysis.createdAt).toLocaleString()}`}
+            </p>
+          </div>
+
+          {stats.graph && (
+            <div className="headerRight">
+              <div className="pill">
+                <span>Nodes:</span> <b>{stats.graph.nodes}</b>
+                <span>Edges:</span> <b>{stats.graph.edges}</b>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="cardBody">
+            <input
+              className="search"
+              placeholder="Search files (filters tree + graph)..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+            />
+
+            {stats.exts && (
+              <div className="stats">
+                <div className="statsTitle">Quick Stats</div>
+                <div className="statsGrid">
+                  {Object.entries(stats.exts)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 10)
+                    .map(([ext, count]) => (
+                      <div key={ext} className="statChip">
+                        <span>{ext}</span>
+                        <b>{count}</b>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
+            {stats.languages && (
+              <div className="stats">
+                <div className="statsTitle">Languages (files in the graph)</div>
+                <div className="statsGrid">
+                  {Object.entries(stats.languages)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([language, count]) => (
+                      <div key={language} className="statChip">
+                        <span>{language}</span>
+                        <b>{count}</b>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Main grid */}
+        <div className="grid2">
+          {/* Tree */}
+          <div className="card">
+            <div className="cardHead">
+              <div>
+                <div className="cardTitle">File Tree</div>
+                <div className="cardSub">Click a file to select it and highlight it in the graph.</div>
+              </div>
+
+              {analysis.filesCount != null && (
+                <div className="pill">
+                  <span>Files:</span> <b>{analysis.filesCount}</b>
+                </div>
+              )}
+            </div>
+
+            <div className="cardBody">
+              <div className="treeBox">
+                <FileTree
+                  node={analysis.tree}
+                  selectedPath={selectedFilePath}
+                  onSelectPath={setSelectedFilePath}
+                  query={searchQuery}
+                  fileTags={deadCodeTags}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Graph + details */}
+          <div className="card">
+            <div className="cardHead">
+              <div>
+                <div className="cardTitle">Dependency Graph</div>
+                <div className="cardSub">Click a node to see imports / imported-by.</div>
+              </div>
+
+              {selectedFilePath ? (
+                <div className="pill">
+                  <span>Selected:</span> <b title={selectedFilePath}>{getShortPathLabel(selectedFilePath)}</b>
+                </div>
+              ) : (
+                <div className="pill">Select a file in the tree or graph</div>
+              )}
+            </div>
+
+            <div className="cardBody">
+              <div className="graphSplit">
+                <div className="graphBox">
+                  <ReactFlow
+                    nodes={reactFlowLayout.nodes}
+                    edges={reactFlowLayout.edges}
+                    nodeTypes={reactFlowNodeTypes}
+                    fitView
+                    onNodeClick={onGraphNodeClick}
+                  >
+                    <Background />
+                    <MiniMap />
+                    <Controls />
+                  </ReactFlow>
+                </div>
+
+                <div className="sidePanel">
+                  <div className="sideTitle">File Details</div>
+
+                  {!selectedFilePath && <div className="muted">Select a file to see its relationships.</div>}
+
+                  {selectedFileConnections && (
+                    <FileDetails
+                      filePath={selectedFilePath}
+                      graphNode={selectedGraphNode}
+                      connections={selectedFileConnections}
+                      fileHistory={stats.history?.files[selectedFilePath]}
+                      adjacencyIndex={graphAdjacencyIndex}
+                      onSelectFile={setSelectedFilePath}
+                    />
+                  )}
+                </div>
+              </div>
+
+              {stats.graph?.topDegree?.length ? (
+                <div className="topFiles">
+                  <div className="statsTitle">Most Connected Files (High Degree)</div>
+                  <div className="statsGrid">
+                    {stats.graph.topDegree.map((item) => (
+                      <button
+                        key={item.id}
+                        className="statChip statBtn"
+                        onClick={() => setSelectedFilePath(item.id)}
+                        title={item.id}
+                      >
+                        <span>{getShortPathLabel(item.id)}</span>
+                        <b>{item.degree}</b>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : null}
+
+              <CyclesPanel
+                cycles={stats.cycles}
+                selectedCycleId={selectedCycleId}
+                onSelectCycle={setSelectedCycleId}
+                onSelectFile={setSelectedFilePath}
+              />
+              <RulesPanel architecture={stats.architecture} onSelectFile={setSelectedFilePath} />
+              <HotspotsPanel graph={analysis.graph} metrics={stats.metrics} onSelectFile={setSelectedFilePath} />
+              <CouplingPanel
+                coupling={stats.coupling}
+                selectedFilePath={selectedFilePath}
+                onSelectFile={setSelectedFilePath}
+                onSelectFolder={setSearchQuery}
+              />
+              <HistoryPanel history={stats.history} onSelectFile={setSelectedFilePath} onSelectFolder={setSearchQuery} />
+              <DeadCodePanel deadCode={stats.deadCode} onSelectFile={setSelectedFilePath} />
+            </div>
+          </div>
+        </div>
+
+        <div className="footer">Generated by Codebase Explorer. This file works offline: no server is needed.</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { getShortPathLabel } from "./pathUtils";
+
+/**
+ * RulesPanel
+ * ----------
+ * Lists the architecture rule violations found by the server (stats.architecture).
+ * - Violations are grouped by rule, errors first
+ * - Clicking a file of a violating import selects that file (its edges light up in the graph)
+ */
+export default function RulesPanel({ architecture, onSelectFile }) {
+  if (!architecture) return null;
+
+  const { violations, summary, rulesFile } = architecture;
+
+  // rule name -> its violations, in rule order (errors, then warnings, then infos)
+  const severityOrder = ["error", "warn", "info"];
+  const groups = architecture.rules
+    .filter((rule) => rule.type === "deny")
+    .map((rule) => ({ rule, violations: violations.filter((v) => v.rule === rule.name) }))
+    .filter((group) => group.violations.length > 0)
+    .sort((a, b) => severityOrder.indexOf(a.rule.severity) - severityOrder.indexOf(b.rule.severity));
+
+  return (
+    <div className="cyclesPanel">
+      <div className="statsTitle">Architecture Rules ({violations.length} violations)</div>
+      <div className="muted rulesSource">
+        {rulesFile ? `From ${rulesFile}` : "From the uploaded rules file"} · {summary.error} errors · {summary.warn}{" "}
+        warnings · {summary.info} infos
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="muted">No forbidden imports found.</div>
+      ) : (
+        <ul className="cycleList">
+          {groups.map(({ rule, violations: ruleViolations }) => (
+            <li key={rule.name} className={"cycleItem ruleItem-" + rule.severity}>
+              <div className="cycleHead">
+                <span className={"severityBadge severityBadge-" + rule.severity}>{rule.severity}</span>
+                <b>{rule.name}</b>
+                <span className="muted">{ruleViolations.length} imports</span>
+              </div>
+              {rule.comment && <div className="muted ruleComment">{rule.comment}</div>}
+
+              {ruleViolations.map((violation) => (
+                <div key={violation.source + "=>" + violation.target} className="cyclePath">
+                  <button className="linkBtn" onClick={() => onSelectFile(violation.source)} title={violation.source}>
+                    {getShortPathLabel(violation.source)}
+                  </button>
+                  <span className="cycleArrow">→</span>
+                  <button className="linkBtn" onClick={() => onSelectFile(violation.target)} title={violation.target}>
+                    {getShortPathLabel(violation.target)}
+                  </button>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
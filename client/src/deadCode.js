@@ -0,0 +1,20 @@
+/**
+ * deadCode
+ * --------
+ * Display helpers for the dead code report (stats.deadCode).
+ */
+
+/**
+ * Tags of the report's files, for tree rows and graph nodes: path -> "orphan" (nothing imports it),
+ * "unreachable" (imported, but not from any entry point) or "unused" (asset).
+ * @returns {Map<string,string>}
+ */
+export function getDeadCodeTags(deadCode) {
+  const tags = new Map();
+  if (!deadCode) return tags;
+
+  for (const id of deadCode.unreachable || []) tags.set(id, "unreachable");
+  for (const id of deadCode.orphans) tags.set(id, "orphan");
+  for (const id of deadCode.unusedAssets || []) tags.set(id, "unused");
+  return tags;
+}
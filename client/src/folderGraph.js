@@ -0,0 +1,138 @@
+/**
+ * folderGraph
+ * -----------
+ * Folder-level view of the dependency graph (big projects).
+ * Files are collapsed into their folders (the file tree hierarchy), except inside
+ * expanded folders, where subfolders and files show up in place.
+ * An edge between two visible nodes counts the file-level imports between them.
+ *
+ * Folder node ids end with "/" ("src/ui/") so they never clash with file ids.
+ */
+
+/**
+ * Indexes every folder of a tree built by the server (buildFileTreeFromPaths):
+ * folder path -> { path, name, fileCount } (fileCount = files anywhere below it).
+ */
+export function indexTreeFolders(tree) {
+  const folderByPath = new Map();
+
+  function visit(node, folderPath) {
+    let fileCount = 0;
+
+    for (const child of node.children || []) {
+      if (child.type === "folder") {
+        const childPath = folderPath ? `${folderPath}/${child.name}` : child.name;
+        fileCount += visit(child, childPath);
+      } else {
+        fileCount += 1;
+      }
+    }
+
+    if (folderPath) folderByPath.set(folderPath, { path: folderPath, name: node.name, fileCount });
+    return fileCount;
+  }
+
+  if (tree) visit(tree, "");
+  return folderByPath;
+}
+
+/**
+ * Folders expanded when an analysis opens: the chain of folders that are the only
+ * child of their parent ("my-app", "my-app/src"), so the first level shown has several nodes.
+ */
+export function getDefaultExpandedFolders(tree) {
+  const expandedFolders = [];
+  let node = tree;
+  let folderPath = "";
+
+  while (node?.children?.length === 1 && node.children[0].type === "folder") {
+    node = node.children[0];
+    folderPath = folderPath ? `${folderPath}/${node.name}` : node.name;
+    expandedFolders.push(folderPath);
+  }
+
+  return expandedFolders;
+}
+
+/**
+ * Returns the expanded folders once a folder (and every folder below it) is collapsed.
+ */
+export function collapseFolder(expandedFolders, folderPath) {
+  return expandedFolders.filter((path) => path !== folderPath && !path.startsWith(folderPath + "/"));
+}
+
+/**
+ * Id of the node a graph node is drawn as: its outermost collapsed folder, or itself.
+ * Package nodes ("npm:lodash") are always drawn as themselves.
+ */
+export function getVisibleNodeId(node, expandedFolderSet) {
+  if (node.type === "package") return node.id;
+
+  const segments = node.id.split("/");
+  for (let i = 1; i < segments.length; i += 1) {
+    const folderPath = segments.slice(0, i).join("/");
+    if (!expandedFolderSet.has(folderPath)) return folderPath + "/";
+  }
+
+  return node.id;
+}
+
+/**
+ * Aggregates the file graph into visible nodes.
+ * @param {{nodes:object[], edges:object[]}} graph - Analysis graph (already filtered by the caller).
+ * @param {object} tree - Analysis file tree.
+ * @param {string[]} expandedFolders
+ * @returns {{nodes:{id:string, kind:"folder"|"file"|"package", node?:object, folder?:object, codeFiles?:number, internalImports?:number}[], edges:{source:string, target:string, weight:number}[]}}
+ */
+export function buildFolderGraph(graph, tree, expandedFolders) {
+  const folderByPath = indexTreeFolders(tree);
+  const expandedFolderSet = new Set(expandedFolders);
+
+  const visibleIdByNodeId = new Map();
+  const visibleNodes = new Map();
+
+  for (const node of graph.nodes) {
+    const visibleId = getVisibleNodeId(node, expandedFolderSet);
+    visibleIdByNodeId.set(node.id, visibleId);
+    // Assets are drawn (and linked) like files, but are not code
+    const codeFiles = node.type === "asset" ? 0 : 1;
+
+    if (visibleNodes.has(visibleId)) {
+      visibleNodes.get(visibleId).codeFiles += codeFiles;
+      continue;
+    }
+
+    if (visibleId === node.id) {
+      visibleNodes.set(visibleId, { id: visibleId, kind: node.type === "package" ? "package" : "file", node, codeFiles });
+    } else {
+      const folderPath = visibleId.slice(0, -1);
+      visibleNodes.set(visibleId, {
+        id: visibleId,
+        kind: "folder",
+        folder: folderByPath.get(folderPath) || { path: folderPath, name: folderPath.split("/").pop(), fileCount: 0 },
+        codeFiles,
+        internalImports: 0,
+      });
+    }
+  }
+
+  // Imports between two files of the same collapsed folder stay inside it
+  const edgeByKey = new Map();
+  for (const edge of graph.edges) {
+    const source = visibleIdByNodeId.get(edge.source);
+    const target = visibleIdByNodeId.get(edge.target);
+    if (!source || !target) continue;
+
+    if (source === target) {
+      const visibleNode = visibleNodes.get(source);
+      if (visibleNode.kind === "folder") visibleNode.internalImports += 1;
+      continue;
+    }
+
+    const key = source + "=>" + target;
+    if (!edgeByKey.has(key)) edgeByKey.set(key, { source, target, weight: 0 });
+    edgeByKey.get(key).weight += 1;
+  }
+
+  return { nodes: [...visibleNodes.values()], edges: [...edgeByKey.values()] };
+}
@@ -0,0 +1,25 @@
+/**
+ * gitHistory
+ * ----------
+ * Display helpers for the git history report (stats.history).
+ */
+
+/**
+ * "alice (75%)": the author of most commits and their share of the commits.
+ */
+export function formatOwner(stats) {
+  return `${stats.owner} (${Math.round(stats.ownerShare * 100)}%)`;
+}
+
+/**
+ * One-line summary of a file's history, e.g.
+ * "12 commits · 340 lines changed · 3 authors, owner alice (75%) · last 2024-06-02".
+ */
+export function formatFileHistory(fileHistory) {
+  return [
+    fileHistory.commits === 1 ? "1 commit" : `${fileHistory.commits} commits`,
+    `${fileHistory.churn} lines changed`,
+    `${fileHistory.authors === 1 ? "1 author" : `${fileHistory.authors} authors`}, owner ${formatOwner(fileHistory)}`,
+    `last ${fileHistory.lastCommitAt.slice(0, 10)}`,
+  ].join(" · ");
+}
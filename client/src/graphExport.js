@@ -0,0 +1,401 @@
+/**
+ * graphExport
+ * -----------
+ * Exports the graph as drawn (the laid-out ReactFlow nodes / edges of the current view, with the
+ * search filter, focus and highlighting applied) as an SVG or PNG image, Graphviz DOT or a Mermaid
+ * flowchart. The server exports whole graphs instead (server/lib/exporters.js, CLI `--format`).
+ */
+
+export const GRAPH_EXPORT_FORMATS = [
+  { key: "svg", label: "SVG" },
+  { key: "png", label: "PNG" },
+  { key: "dot", label: "DOT" },
+  { key: "mermaid", label: "Mermaid" },
+];
+
+// Icons of asset nodes per asset type (see server/lib/assets.js)
+export const ASSET_TYPE_ICONS = { image: "🖼️", font: "🔤", media: "🎞️", data: "🗂️" };
+
+// Empty space around the drawing (px)
+const SVG_MARGIN = 24;
+
+// PNG pixels per SVG pixel, lowered for huge graphs so the canvas stays under browser limits
+const PNG_SCALE = 2;
+const MAX_CANVAS_SIDE = 16384;
+
+/**
+ * Size of a laid-out node: 240x78 unless node.data.layoutSize says otherwise (metric "size" mode).
+ * Used by the Dagre layout and by the SVG export, so both draw nodes the same size.
+ */
+export function getLayoutNodeSize(node) {
+  return node.data?.layoutSize || { width: 240, height: 78 };
+}
+
+/* =========================
+ * Node / Edge Appearance
+ * ========================= */
+/**
+ * Title and subtitle of a node, as the ReactFlow node components render them.
+ */
+function getNodeText(node) {
+  const { data } = node;
+  const tag = data.deadCodeTag ? ` [${data.deadCodeTag}]` : "";
+  const metric = data.metricLabel ? ` · ${data.metricLabel}` : "";
+
+  switch (node.type) {
+    case "packageNode":
+      return { title: `📦 ${data.label}`, sub: `${data.folder} · ${data.files} files` };
+    case "folderNode":
+      return {
+        title: `📁 ${data.label}`,
+        sub: `${data.codeFiles} code files / ${data.fileCount} files · ${data.internalImports} internal imports${metric}`,
+      };
+    case "externalNode":
+      return {
+        title: data.label,
+        sub: data.builtin ? "Node builtin" : data.declared === false ? "npm · not declared in package.json" : "npm package",
+      };
+    case "assetNode":
+      return { title: `${ASSET_TYPE_ICONS[data.assetType] || "📄"} ${data.label}${tag}`, sub: `${data.fullPath} · ${data.assetType}` };
+    default:
+      return { title: `${data.label}${tag}`, sub: `${data.fullPath}${metric}` };
+  }
+}
+
+/**
+ * Fill / stroke of a node, in the colors of App.css (selection and highlights win over the node type).
+ */
+function getNodeStyle(node) {
+  const { data } = node;
+  const style = { fill: "#ffffff", stroke: "#dbdee3", strokeWidth: 1, dashed: false, opacity: 1 };
+
+  if (node.type === "packageNode") Object.assign(style, { fill: "#f0f9ff", stroke: "#a5d8f3" });
+  if (node.type === "folderNode") Object.assign(style, { fill: "#faf5ff", stroke: "#c9b0f5" });
+  if (node.type === "assetNode") Object.assign(style, { fill: "#f0fdfa", stroke: "#9fe3db" });
+  if (node.type === "externalNode") {
+    Object.assign(style, { fill: data.builtin ? "#f1f5f9" : "#fefce8", dashed: true });
+    if (data.declared === false) Object.assign(style, { fill: "#fef2f2", stroke: "#e57373" });
+  }
+  if (data.metricStyle?.background) style.fill = data.metricStyle.background;
+
+  if (data.deadCodeTag) Object.assign(style, { dashed: true, opacity: 0.8 });
+  if (data.diffStatus === "added") Object.assign(style, { fill: "#f0fdf4", stroke: "#16a34a" });
+  if (data.diffStatus === "removed") Object.assign(style, { fill: "#fef2f2", stroke: "#dc2626", opacity: 0.75 });
+  if (data.diffStatus === "moved") Object.assign(style, { fill: "#eff6ff", stroke: "#2563eb" });
+  if (data.diffStatus === "unchanged") style.opacity = 0.7;
+  if (data.inCycle) Object.assign(style, { fill: "#fef2f2", stroke: "#e57373" });
+  if (data.onPath) Object.assign(style, { stroke: "#0ea5e9", strokeWidth: 2 });
+  if (node.selected) Object.assign(style, { stroke: "#0ea5e9", strokeWidth: 2 });
+
+  return style;
+}
+
+// Edge classes set by App.jsx -> stroke attributes (later entries win)
+const EDGE_STYLE_BY_CLASS = {
+  "edgeKind-dynamic": { dasharray: "6 4" },
+  "edgeKind-worker": { dasharray: "6 4", stroke: "#10b981" },
+  "edgeKind-url": { dasharray: "2 4", stroke: "#14b8a6" },
+  "edgeKind-type-only": { dasharray: "2 4", stroke: "#8b5cf6" },
+  "edgeKind-re-export": { stroke: "#0ea5e9" },
+  "edgeKind-require": { stroke: "#f59e0b" },
+  edgeCoChange: { stroke: "#f59e0b", width: 2, dasharray: "3 5" },
+  "edgeDiff-added": { stroke: "#16a34a", width: 2 },
+  "edgeDiff-removed": { stroke: "#dc2626", width: 2, dasharray: "6 4" },
+  "edgeDiff-unchanged": { opacity: 0.35 },
+  edgeCycle: { stroke: "#dc2626", width: 2 },
+  edgeCycleClosing: { width: 3 },
+  edgePath: { stroke: "#0ea5e9", width: 2.5 },
+  "edgeViolation-warn": { stroke: "#d97706", width: 2 },
+  "edgeViolation-error": { stroke: "#dc2626", width: 2.5 },
+  edgeDim: { opacity: 0.25 },
+};
+
+function getEdgeStyle(edge) {
+  const style = { stroke: "#b1b1b7", width: 1, dasharray: null, opacity: 1 };
+  const classNames = new Set((edge.className || "").split(" ").filter(Boolean));
+
+  for (const [className, classStyle] of Object.entries(EDGE_STYLE_BY_CLASS)) {
+    if (classNames.has(className)) Object.assign(style, classStyle);
+  }
+  return style;
+}
+
+/**
+ * Import kind of an edge, from its "edgeKind-*" class (null outside the files view).
+ */
+function getEdgeKind(edge) {
+  const match = /(?:^|\s)edgeKind-(\S+)/.exec(edge.className || "");
+  return match ? match[1] : null;
+}
+
+function isHighlightedEdge(edge) {
+  return /\b(edgeHot|edgeCycle|edgePath|edgeViolation-\w+)\b/.test(edge.className || "");
+}
+
+/* =========================
+ * SVG / PNG
+ * ========================= */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Text is clipped by character count (SVG text does not wrap)
+function fitText(text, width, charWidth) {
+  const maxChars = Math.max(4, Math.floor(width / charWidth));
+  return text.length > maxChars ? text.slice(0, maxChars - 1) + "…" : text;
+}
+
+/**
+ * Draws a laid-out graph as a standalone SVG document.
+ * Edges are drawn like ReactFlow's "smoothstep" ones: right side of the source to the left side of the target.
+ * @param {{nodes:object[], edges:object[]}} layout - Output of applyDagreLayout() in App.jsx.
+ * @returns {{svg:string, width:number, height:number}}
+ */
+export function layoutToSvg(layout) {
+  const boxById = new Map(
+    layout.nodes.map((node) => [node.id, { ...node.position, ...getLayoutNodeSize(node) }])
+  );
+  const boxes = [...boxById.values()];
+  const minX = Math.min(0, ...boxes.map((box) => box.x)) - SVG_MARGIN;
+  const minY = Math.min(0, ...boxes.map((box) => box.y)) - SVG_MARGIN;
+  const width = Math.ceil(Math.max(0, ...boxes.map((box) => box.x + box.width)) + SVG_MARGIN - minX);
+  const height = Math.ceil(Math.max(0, ...boxes.map((box) => box.y + box.height)) + SVG_MARGIN - minY);
+
+  const markerIds = new Map(); // Arrow head color -> marker id
+  const edgeElements = layout.edges.map((edge) => {
+    const sourceBox = boxById.get(edge.source);
+    const targetBox = boxById.get(edge.target);
+    if (!sourceBox || !targetBox) return "";
+
+    const style = getEdgeStyle(edge);
+    const x1 = sourceBox.x + sourceBox.width;
+    const y1 = sourceBox.y + sourceBox.height / 2;
+    const x2 = targetBox.x;
+    const y2 = targetBox.y + targetBox.height / 2;
+    const midX = (x1 + x2) / 2;
+
+    let marker = "";
+    if (edge.markerEnd) {
+      if (!markerIds.has(style.stroke)) markerIds.set(style.stroke, `arrow${markerIds.size}`);
+      marker = ` marker-end="url(#${markerIds.get(style.stroke)})"`;
+    }
+
+    const label = edge.label
+      ? `<text x="${midX}" y="${(y1 + y2) / 2 - 4}" text-anchor="middle" font-size="10" fill="#334155">${escapeXml(edge.label)}</text>`
+      : "";
+
+    return (
+      `<g opacity="${style.opacity}">` +
+      `<path d="M ${x1} ${y1} H ${midX} V ${y2} H ${x2}" fill="none" stroke="${style.stroke}" stroke-width="${style.width}"` +
+      (style.dasharray ? ` stroke-dasharray="${style.dasharray}"` : "") +
+      `${marker}/>${label}</g>`
+    );
+  });
+
+  const nodeElements = layout.nodes.map((node) => {
+    const box = boxById.get(node.id);
+    const style = getNodeStyle(node);
+    const { title, sub } = getNodeText(node);
+
+    return (
+      `<g opacity="${style.opacity}">` +
+      `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="14" fill="${style.fill}" ` +
+      `stroke="${style.stroke}" stroke-width="${style.strokeWidth}"${style.dashed ? ' stroke-dasharray="5 3"' : ""}/>` +
+      `<text x="${box.x + 10}" y="${box.y + 24}" font-size="13" font-weight="900" fill="#0f172a">` +
+      `${escapeXml(fitText(title, box.width - 20, 8))}</text>` +
+      `<text x="${box.x + 10}" y="${box.y + 44}" font-size="10" fill="#0f172a" fill-opacity="0.7">` +
+      `${escapeXml(fitText(sub, box.width - 20, 6))}</text>` +
+      `<title>${escapeXml(node.data.fullPath || node.id)}</title>` +
+      "</g>"
+    );
+  });
+
+  const markers = [...markerIds].map(
+    ([color, id]) =>
+      `<marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+      `<path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  );
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${minX} ${minY} ${width} ${height}" ` +
+      'font-family="system-ui, -apple-system, Segoe UI, Roboto, sans-serif">',
+    `<defs>${markers.join("")}</defs>`,
+    `<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...edgeElements.filter(Boolean),
+    ...nodeElements,
+    "</svg>",
+  ].join("\n");
+
+  return { svg: svg + "\n", width, height };
+}
+
+/**
+ * Renders the SVG of a layout to a PNG (2x, or less when the graph is huge).
+ * @returns {Promise<Blob>}
+ */
+export async function layoutToPngBlob(layout) {
+  const { svg, width, height } = layoutToSvg(layout);
+  const scale = Math.min(PNG_SCALE, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height);
+
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return await new Promise((resolve, reject) =>
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png")
+    );
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/* =========================
+ * Graphviz DOT / Mermaid
+ * ========================= */
+// Same styles as the server export (server/lib/exporters.js)
+const DOT_EDGE_STYLE_BY_KIND = { dynamic: "dashed", worker: "dashed", url: "dotted", "type-only": "dotted" };
+
+// Label of a node in text formats: its full path when it has one
+function getNodeLabel(node) {
+  if (node.type === "folderNode") return node.data.fullPath + "/";
+  return node.data.fullPath || node.data.label || node.id;
+}
+
+// DOT quoted ID: only `"` and `\` need escaping
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Writes a laid-out graph as a Graphviz digraph. Selected / highlighted nodes and edges are drawn
+ * in bold blue (red for cycles); dimmed edges are gray.
+ */
+export function layoutToDot(layout) {
+  const lines = ["digraph codebase {", "  rankdir=LR;", '  node [shape=box, style=rounded, fontname="Helvetica"];'];
+
+  for (const node of layout.nodes) {
+    const attributes = [`label=${quoteDot(getNodeLabel(node))}`];
+    if (node.type === "externalNode") attributes.push("shape=ellipse", "style=dashed");
+    if (node.type === "folderNode") attributes.push("shape=folder");
+    if (node.type === "assetNode") attributes.push("shape=note");
+    if (node.selected || node.data.onPath) attributes.push('color="#0ea5e9"', "penwidth=2");
+    else if (node.data.inCycle) attributes.push('color="#dc2626"');
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(", ")}];`);
+  }
+
+  for (const edge of layout.edges) {
+    const attributes = [];
+    const kind = getEdgeKind(edge);
+    const style = getEdgeStyle(edge);
+
+    if (DOT_EDGE_STYLE_BY_KIND[kind] || style.dasharray) attributes.push(`style=${DOT_EDGE_STYLE_BY_KIND[kind] || "dashed"}`);
+    if (style.opacity < 0.5) attributes.push('color="#cbd5e1"');
+    else if (isHighlightedEdge(edge)) attributes.push(`color="${style.stroke}"`, "penwidth=2");
+    if (edge.label) attributes.push(`label=${quoteDot(edge.label)}`);
+
+    const attributeList = attributes.length ? ` [${attributes.join(", ")}]` : "";
+    lines.push(`  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)}${attributeList};`);
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+// Mermaid labels are quoted strings where `"` must be written as an entity
+function quoteMermaid(value) {
+  return `"${String(value).replace(/"/g, "#quot;")}"`;
+}
+
+/**
+ * Writes a laid-out graph as a Mermaid flowchart (renders in GitHub / GitLab markdown).
+ * Highlights become classes (nodes) and linkStyle lines (edges).
+ */
+export function layoutToMermaid(layout) {
+  // Paths aren't valid Mermaid ids ("/", ".", "@"...), so nodes get short generated ids
+  const mermaidIdByNodeId = new Map(layout.nodes.map((node, index) => [node.id, `n${index}`]));
+  const lines = ["flowchart LR"];
+  const classLines = [];
+
+  for (const node of layout.nodes) {
+    const id = mermaidIdByNodeId.get(node.id);
+    const label = quoteMermaid(getNodeLabel(node));
+    if (node.type === "externalNode") lines.push(`  ${id}([${label}])`);
+    else if (node.type === "assetNode") lines.push(`  ${id}[/${label}/]`);
+    else if (node.type === "folderNode") lines.push(`  ${id}[[${label}]]`);
+    else lines.push(`  ${id}[${label}]`);
+
+    if (node.selected || node.data.onPath) classLines.push(`  class ${id} highlighted`);
+    else if (node.data.inCycle) classLines.push(`  class ${id} cycle`);
+    else if (node.data.deadCodeTag) classLines.push(`  class ${id} dead`);
+  }
+
+  const edges = layout.edges.filter((edge) => mermaidIdByNodeId.has(edge.source) && mermaidIdByNodeId.has(edge.target));
+  edges.forEach((edge, index) => {
+    const style = getEdgeStyle(edge);
+    const arrow = (DOT_EDGE_STYLE_BY_KIND[getEdgeKind(edge)] || style.dasharray) ? "-.->" : "-->";
+    const label = edge.label ? `|${quoteMermaid(edge.label)}|` : "";
+    lines.push(`  ${mermaidIdByNodeId.get(edge.source)} ${arrow}${label} ${mermaidIdByNodeId.get(edge.target)}`);
+
+    if (style.opacity < 0.5) classLines.push(`  linkStyle ${index} stroke:#cbd5e1`);
+    else if (isHighlightedEdge(edge)) classLines.push(`  linkStyle ${index} stroke:${style.stroke},stroke-width:2px`);
+  });
+
+  if (classLines.length > 0) {
+    lines.push(
+      "  classDef highlighted stroke:#0ea5e9,stroke-width:2px",
+      "  classDef cycle fill:#fef2f2,stroke:#dc2626",
+      "  classDef dead stroke-dasharray:5 3",
+      ...classLines
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/* =========================
+ * Download
+ * ========================= */
+/**
+ * Builds the file of a format for a laid-out graph.
+ * @param {{nodes:object[], edges:object[]}} layout
+ * @param {"svg"|"png"|"dot"|"mermaid"} format - One of GRAPH_EXPORT_FORMATS.
+ * @returns {Promise<{blob:Blob, extension:string}>}
+ */
+export async function exportLayout(layout, format) {
+  switch (format) {
+    case "svg":
+      return { blob: new Blob([layoutToSvg(layout).svg], { type: "image/svg+xml" }), extension: "svg" };
+    case "png":
+      return { blob: await layoutToPngBlob(layout), extension: "png" };
+    case "dot":
+      return { blob: new Blob([layoutToDot(layout)], { type: "text/vnd.graphviz" }), extension: "dot" };
+    default:
+      return { blob: new Blob([layoutToMermaid(layout)], { type: "text/plain" }), extension: "mmd" };
+  }
+}
+
+/**
+ * Saves a blob as a file through a temporary download link.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked once the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,187 @@
+/**
+ * graphLayout
+ * -----------
+ * ReactFlow nodes + edges of the files view, their positions (Dagre), and the ReactFlow node types
+ * they are drawn with. Shared by the app and the offline HTML report (ReportApp.jsx).
+ */
+
+import dagre from "dagre";
+import { MarkerType } from "reactflow";
+import { AssetNode, ExternalNode, FileNode, FolderNode, PackageNode } from "./GraphNodes";
+import { getLayoutNodeSize } from "./graphExport";
+import { getShortPathLabel } from "./pathUtils";
+
+export const reactFlowNodeTypes = {
+  fileNode: FileNode,
+  packageNode: PackageNode,
+  externalNode: ExternalNode,
+  assetNode: AssetNode,
+  folderNode: FolderNode,
+};
+
+/**
+ * ReactFlow node (not laid out yet) for a node of the analysis graph: a file, an asset or
+ * an npm / Node builtin package.
+ * @param {object} graphNode - Node of analysis.graph.
+ * @param {object} [fileData] - Extra data of file nodes (highlights, dead code tag, metric...);
+ *   asset nodes only use its deadCodeTag.
+ */
+export function toReactFlowNode(graphNode, fileData = {}) {
+  const common = { id: graphNode.id, position: { x: 0, y: 0 } };
+
+  if (graphNode.type === "package") {
+    return {
+      ...common,
+      type: "externalNode",
+      data: { label: graphNode.name, fullPath: graphNode.id, builtin: graphNode.builtin, declared: graphNode.declared },
+    };
+  }
+  if (graphNode.type === "asset") {
+    return {
+      ...common,
+      type: "assetNode",
+      data: {
+        label: getShortPathLabel(graphNode.id),
+        fullPath: graphNode.id,
+        assetType: graphNode.assetType,
+        deadCodeTag: fileData.deadCodeTag,
+      },
+    };
+  }
+  return {
+    ...common,
+    type: "fileNode",
+    data: { label: getShortPathLabel(graphNode.id), fullPath: graphNode.id, ...fileData },
+  };
+}
+
+/* =========================
+ * Files View
+ * ========================= */
+/**
+ * ReactFlow nodes and edges (not laid out yet) of the files view: the graph nodes matching the search
+ * and the caller's filters, with the selection highlighted. A selected cycle wins over a highlighted
+ * import path, which wins over the selected file's edges; rule violations are always colored.
+ * @param {{graph:object, stats?:object}} analysis
+ * @param {object} [options]
+ * @param {string} [options.searchQuery] - Keeps the nodes whose path contains it (case-insensitive).
+ * @param {(graphNode:object) => boolean} [options.isNodeVisible] - Extra node filter (assets, focus...).
+ * @param {(edge:object) => boolean} [options.isEdgeVisible] - Extra edge filter (import kinds...).
+ * @param {(graphNode:object) => object} [options.getNodeData] - Extra data of a file node (dead code tag, metric...).
+ * @param {string|null} [options.selectedFilePath]
+ * @param {string|null} [options.selectedCycleId] - Id of a stats.cycles entry.
+ * @param {string[]|null} [options.highlightedPath] - Files of an import path, in order.
+ * @returns {{nodes:object[], edges:object[]}}
+ */
+export function buildFilesViewElements(analysis, options = {}) {
+  const {
+    searchQuery = "",
+    isNodeVisible = () => true,
+    isEdgeVisible = () => true,
+    getNodeData = () => ({}),
+    selectedFilePath = null,
+    selectedCycleId = null,
+    highlightedPath = null,
+  } = options;
+
+  const q = searchQuery.trim().toLowerCase();
+  const nodeById = new Map(analysis.graph.nodes.map((node) => [node.id, node]));
+  const isVisibleId = (id) => (!q || id.toLowerCase().includes(q)) && isNodeVisible(nodeById.get(id));
+
+  // Highlighted cycle: member files + edges between them
+  const selectedCycle = (analysis.stats?.cycles || []).find((cycle) => cycle.id === selectedCycleId);
+  const cycleFileSet = new Set(selectedCycle?.files || []);
+  const cycleEdgeKeySet = new Set((selectedCycle?.edges || []).map((e) => e.source + "=>" + e.target));
+  const closingEdgeKeySet = new Set((selectedCycle?.closingEdges || []).map((e) => e.source + "=>" + e.target));
+
+  // Highlighted import path: its files + the edges between consecutive files
+  const pathFileSet = new Set(highlightedPath || []);
+  const pathEdgeKeySet = new Set((highlightedPath || []).slice(1).map((id, index) => highlightedPath[index] + "=>" + id));
+
+  // Architecture rule violations: edge key -> worst severity (errors are red, warnings amber)
+  const violationSeverityByEdgeKey = new Map();
+  for (const violation of analysis.stats?.architecture?.violations || []) {
+    const edgeKey = violation.source + "=>" + violation.target;
+    if (violationSeverityByEdgeKey.get(edgeKey) !== "error") violationSeverityByEdgeKey.set(edgeKey, violation.severity);
+  }
+
+  const nodes = analysis.graph.nodes
+    .filter((node) => isVisibleId(node.id))
+    .map((node) => ({
+      ...toReactFlowNode(node, {
+        inCycle: cycleFileSet.has(node.id),
+        onPath: pathFileSet.has(node.id),
+        ...getNodeData(node),
+      }),
+      selected: node.id === selectedFilePath,
+    }));
+
+  const hasHighlight = Boolean(selectedCycle || highlightedPath || selectedFilePath);
+  const edges = analysis.graph.edges
+    .filter((edge) => isVisibleId(edge.source) && isVisibleId(edge.target) && isEdgeVisible(edge))
+    .map((edge, index) => {
+      const edgeKey = edge.source + "=>" + edge.target;
+      const isEdgeInCycle = cycleEdgeKeySet.has(edgeKey);
+      const isEdgeOnPath = pathEdgeKeySet.has(edgeKey);
+      const isEdgeRelatedToSelection = selectedCycle
+        ? isEdgeInCycle
+        : highlightedPath
+          ? isEdgeOnPath
+          : selectedFilePath && (edge.source === selectedFilePath || edge.target === selectedFilePath);
+
+      return {
+        id: "e" + index,
+        source: edge.source,
+        target: edge.target,
+        type: "smoothstep",
+        markerEnd: { type: MarkerType.ArrowClosed },
+        animated: Boolean(isEdgeRelatedToSelection),
+        className: [
+          "edgeKind-" + (edge.kind || "static"),
+          hasHighlight ? (isEdgeRelatedToSelection ? "edgeHot" : "edgeDim") : "",
+          isEdgeInCycle ? "edgeCycle" : "",
+          closingEdgeKeySet.has(edgeKey) ? "edgeCycleClosing" : "",
+          isEdgeOnPath ? "edgePath" : "",
+          violationSeverityByEdgeKey.has(edgeKey) ? "edgeViolation-" + violationSeverityByEdgeKey.get(edgeKey) : "",
+        ].join(" "),
+      };
+    });
+
+  return { nodes, edges };
+}
+
+/* =========================
+ * Graph Layout (Dagre)
+ * ========================= */
+/**
+ * Applies a left-to-right layout to nodes using Dagre.
+ * ReactFlow expects node.position to be the top-left corner,
+ * while Dagre outputs center-based coordinates.
+ * Nodes are 240x78 unless node.data.layoutSize says otherwise (see getLayoutNodeSize()).
+ */
+export function applyDagreLayout(nodes, edges) {
+  const dagreGraph = new dagre.graphlib.Graph();
+  dagreGraph.setDefaultEdgeLabel(() => ({}));
+
+  // Left-to-right layout, with spacing between nodes/layers.
+  dagreGraph.setGraph({ rankdir: "LR", nodesep: 40, ranksep: 80 });
+
+  // Dagre needs node sizes to compute the layout.
+  nodes.forEach((node) => dagreGraph.setNode(node.id, getLayoutNodeSize(node)));
+  edges.forEach((edge) => dagreGraph.setEdge(edge.source, edge.target));
+
+  dagre.layout(dagreGraph);
+
+  return {
+    nodes: nodes.map((node) => {
+      const layoutPosition = dagreGraph.node(node.id);
+      const { width, height } = getLayoutNodeSize(node);
+      return {
+        ...node,
+        // Convert Dagre's center position to ReactFlow's top-left position.
+        position: { x: layoutPosition.x - width / 2, y: layoutPosition.y - height / 2 },
+      };
+    }),
+    edges,
+  };
+}
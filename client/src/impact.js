@@ -0,0 +1,89 @@
+/**
+ * impact
+ * ------
+ * Transitive impact of a file (its "blast radius"), computed in the browser from the
+ * adjacency lists of the import graph:
+ * - dependents:   every file that imports it, directly or not
+ * - dependencies: every file it imports, directly or not
+ */
+
+/**
+ * Adjacency lists of the import graph: node id -> ids it imports / ids importing it.
+ * @param {{nodes:{id:string}[], edges:{source:string, target:string}[]}} graph
+ * @returns {{outgoingByNode:Map<string,string[]>, incomingByNode:Map<string,string[]>}}
+ */
+export function buildAdjacencyIndex(graph) {
+  const outgoingByNode = new Map();
+  const incomingByNode = new Map();
+
+  for (const node of graph.nodes) {
+    outgoingByNode.set(node.id, []);
+    incomingByNode.set(node.id, []);
+  }
+
+  for (const edge of graph.edges) {
+    if (outgoingByNode.has(edge.source)) outgoingByNode.get(edge.source).push(edge.target);
+    if (incomingByNode.has(edge.target)) incomingByNode.get(edge.target).push(edge.source);
+  }
+
+  return { outgoingByNode, incomingByNode };
+}
+
+/**
+ * Breadth-first from a file along the given adjacency lists.
+ * @param {Map<string,string[]>} neighborsById - outgoingByNode (dependencies) or incomingByNode (dependents).
+ * @param {string} startId
+ * @param {number} [maxDepth] - Stop after this many imports (default: no limit).
+ * @returns {Map<string,number>} Reached id -> distance in imports (the start file is left out).
+ */
+export function getDistances(neighborsById, startId, maxDepth = Infinity) {
+  const distanceById = new Map([[startId, 0]]);
+  const queue = [startId];
+
+  for (let index = 0; index < queue.length; index++) {
+    const id = queue[index];
+    const distance = distanceById.get(id);
+    if (distance >= maxDepth) continue;
+
+    for (const neighborId of neighborsById.get(id) || []) {
+      if (distanceById.has(neighborId)) continue;
+      distanceById.set(neighborId, distance + 1);
+      queue.push(neighborId);
+    }
+  }
+
+  distanceById.delete(startId);
+  return distanceById;
+}
+
+/**
+ * Groups the result of getDistances() by distance: [{ distance, ids }], nearest first, ids sorted.
+ */
+export function groupByDistance(distanceById) {
+  const idsByDistance = new Map();
+  for (const [id, distance] of distanceById) {
+    if (!idsByDistance.has(distance)) idsByDistance.set(distance, []);
+    idsByDistance.get(distance).push(id);
+  }
+
+  return [...idsByDistance.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([distance, ids]) => ({ distance, ids: ids.sort() }));
+}
+
+/**
+ * Ids shown by the graph's focus mode: the file + everything within `depth` imports of it,
+ * in one direction ("dependents" / "dependencies") or both.
+ * @param {{outgoingByNode:Map<string,string[]>, incomingByNode:Map<string,string[]>}} adjacencyIndex
+ * @returns {Set<string>}
+ */
+export function getFocusNeighborhood(adjacencyIndex, fileId, depth, direction) {
+  const ids = new Set([fileId]);
+  if (direction !== "dependents") {
+    for (const id of getDistances(adjacencyIndex.outgoingByNode, fileId, depth).keys()) ids.add(id);
+  }
+  if (direction !== "dependencies") {
+    for (const id of getDistances(adjacencyIndex.incomingByNode, fileId, depth).keys()) ids.add(id);
+  }
+  return ids;
+}
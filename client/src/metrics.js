@@ -0,0 +1,73 @@
+/**
+ * metrics
+ * -------
+ * Code metrics computed by the server (graph node `metrics`, stats.metrics totals),
+ * git history values (stats.history), and how they are drawn: node / tree row color (heat) or size.
+ */
+
+/**
+ * Metrics offered in the UI, in display order.
+ */
+export const METRIC_OPTIONS = [
+  { key: "sourceLines", label: "Lines of code" },
+  { key: "logicalLines", label: "Logical lines" },
+  { key: "commentLines", label: "Comment lines" },
+  { key: "functions", label: "Functions" },
+  { key: "complexity", label: "Complexity" },
+  { key: "bytes", label: "Size" },
+];
+
+/**
+ * Git history values (stats.history.files / folders), offered with the code metrics when the
+ * analysis has a history.
+ */
+export const HISTORY_METRIC_OPTIONS = [
+  { key: "commits", label: "Commits" },
+  { key: "churn", label: "Churn (lines changed)" },
+  { key: "recentChurn", label: "Recent churn" },
+  { key: "authors", label: "Authors" },
+];
+
+/**
+ * Formats a metric value for display ("12.4 KB" for sizes, "–" when unknown).
+ */
+export function formatMetric(key, value) {
+  if (value === null || value === undefined) return "–";
+  if (key !== "bytes") return String(value);
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Returns 0..1 for a value relative to the biggest one (square root, so a few
+ * huge files don't flatten everything else).
+ */
+export function getMetricIntensity(value, maxValue) {
+  if (!value || !maxValue) return 0;
+  return Math.sqrt(Math.min(value / maxValue, 1));
+}
+
+/**
+ * Inline style of a graph node for a metric intensity:
+ * - "color": white -> red background
+ * - "size":  wider / taller node (applyDagreLayout() reads the same size)
+ */
+export function getMetricNodeStyle(intensity, mode) {
+  if (mode === "size") {
+    const size = getMetricNodeSize(intensity);
+    return { width: size.width, minHeight: size.height };
+  }
+  return { background: getHeatColor(intensity) };
+}
+
+/**
+ * Node size used by the "size" mode: 240x78 (the default) up to twice as big.
+ */
+export function getMetricNodeSize(intensity) {
+  return { width: Math.round(240 * (1 + intensity)), height: Math.round(78 * (1 + intensity)) };
+}
+
+export function getHeatColor(intensity) {
+  return `hsl(${Math.round(45 - 45 * intensity)}, 90%, ${Math.round(98 - 30 * intensity)}%)`;
+}
@@ -0,0 +1,13 @@
+/**
+ * pathUtils
+ * ---------
+ * Small helpers for displaying project-relative file paths.
+ */
+
+/**
+ * Returns a shorter display version of a path (last 2 segments).
+ * Example: "src/components/Button.jsx" -> "components/Button.jsx"
+ */
+export function getShortPathLabel(fullPath) {
+  return fullPath.split("/").slice(-2).join("/");
+}
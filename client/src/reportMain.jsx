@@ -0,0 +1,19 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import ReportApp from "./ReportApp";
+import "reactflow/dist/style.css";
+import "./App.css";
+
+// The analysis is embedded in the page by the server (see report.html)
+const analysis = JSON.parse(document.getElementById("report-data").textContent);
+if (analysis) document.title = `${analysis.originalName} · Codebase Explorer report`;
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    {analysis ? (
+      <ReportApp analysis={analysis} />
+    ) : (
+      <div className="alert alertError">This report has no analysis: download it from Codebase Explorer.</div>
+    )}
+  </React.StrictMode>
+);
@@ -0,0 +1,55 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+/**
+ * Build of the offline HTML report (src/reportMain.jsx): one self-contained report.html,
+ * with its script and styles inlined so it opens from file:// (no module / stylesheet requests).
+ * The server fills in the analysis when it serves it (GET /jobs/:jobId/report).
+ */
+function inlineBundle() {
+  return {
+    name: 'inline-bundle',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const html = Object.values(bundle).find((file) => file.fileName.endsWith('.html'))
+      if (!html) return
+
+      let source = String(html.source)
+      for (const file of Object.values(bundle)) {
+        if (file === html) continue
+        const fileUrl = '/' + file.fileName
+
+        if (file.type === 'chunk') {
+          // "</script" inside the code would end the inline script early
+          const code = file.code.replace(/<\/script/gi, '<\\/script')
+          source = source.replace(
+            new RegExp(`<script[^>]*src="${fileUrl}"[^>]*></script>`),
+            () => `<script type="module">${code}</script>`
+          )
+        } else if (file.fileName.endsWith('.css')) {
+          source = source.replace(
+            new RegExp(`<link[^>]*href="${fileUrl}"[^>]*>`),
+            () => `<style>${file.source}</style>`
+          )
+        } else {
+          continue
+        }
+        delete bundle[file.fileName]
+      }
+      html.source = source
+    },
+  }
+}
+
+export default defineConfig({
+  plugins: [react(), inlineBundle()],
+  publicDir: false,
+  build: {
+    outDir: 'dist-report',
+    emptyOutDir: true,
+    assetsInlineLimit: Number.MAX_SAFE_INTEGER,
+    cssCodeSplit: false,
+    modulePreload: false,
+    rollupOptions: { input: 'report.html' },
+  },
+})
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * bin/codebase-explorer.js
+ * ------------------------
+ * Command-line interface for Codebase Explorer: runs the same analysis as the
+ * server (lib/analysis.js) on a local directory, git ref or archive, without
+ * starting the API or the React app, and writes the result to stdout or a file.
+ *
+ * Examples:
+ *   codebase-explorer ./my-app > analysis.json
+ *   codebase-explorer ./my-app --format dot | dot -Tsvg > graph.svg
+ *   codebase-explorer project.zip --format mermaid --output graph.mmd
+ *   codebase-explorer ./repo --ref v1.2.0 --format graphml --output graph.graphml
+ *   codebase-explorer ./my-app --rules layers.json --output /dev/null   (CI gate)
+ *   codebase-explorer ./my-app --entry "scripts/*.js" --entry "src/workers/**"
+ *
+ * Exit codes: 0 = success, 1 = analysis failed, 2 = invalid arguments,
+ * 3 = error-level architecture rule violations, 130 = interrupted (Ctrl+C).
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const os = require("os"); // Temp directory for extracted archives
+const { parseArgs } = require("util"); // Command-line option parsing
+const {
+  ARCHIVE_EXTENSIONS,
+  DEFAULT_EXTRACTION_LIMITS,
+  getArchiveExtension,
+} = require("../lib/archives"); // Safe archive extraction
+const { analyzeDirectory } = require("../lib/analysis"); // Tree + graphs + stats of a directory
+const { EXPORT_FORMATS, exportAnalysis } = require("../lib/exporters"); // JSON / DOT / Mermaid / GraphML
+const { getRepositoryInfo, resolveGitRef, exportGitTree } = require("../lib/git"); // Analyze git refs without checkout
+const { RULES_FILE_NAME, parseRulesConfig } = require("../lib/rules"); // Architecture rules
+const { parseEntryPointPatterns } = require("../lib/deadCode"); // Entry point globs
+const { describeError } = require("../lib/errors"); // Error code -> message
+const { createAnalysisPool } = require("../lib/analysisWorker"); // Extraction + parsing on worker threads
+const { getDefaultWorkerCount } = require("../lib/workerPool"); // Default thread count
+
+const USAGE = `Usage: codebase-explorer <path> [options]
+
+Analyzes a directory, a git repository or an archive (${ARCHIVE_EXTENSIONS.join(", ")}).
+
+Options:
+  -f, --format <format>   Output format: ${EXPORT_FORMATS.join(", ")} (default: json)
+  -o, --output <file>     Write the result to a file instead of stdout
+  -g, --graph <graph>     Graph exported by dot / mermaid / graphml: files or packages (default: files)
+  -r, --ref <ref>         Analyze a branch, tag or commit of a git repository (nothing is checked out)
+  -e, --include-external  Add npm / Node builtin package nodes and the dependency report
+  -R, --rules <file>      Architecture rules to check (default: the project's ${RULES_FILE_NAME});
+                          exits with code 3 on error-level violations
+  -E, --entry <glob>      Extra entry point(s) for the dead code report, relative to the project
+                          folder (repeatable; package.json, HTML and conventions are detected)
+  -w, --workers <count>   Worker threads for extraction and parsing (default: ${getDefaultWorkerCount()};
+                          0 = main thread only)
+  -q, --quiet             Don't print progress on stderr
+  -h, --help              Show this help
+`;
+
+const CLI_OPTIONS = {
+  format: { type: "string", short: "f", default: "json" },
+  output: { type: "string", short: "o" },
+  graph: { type: "string", short: "g", default: "files" },
+  ref: { type: "string", short: "r" },
+  "include-external": { type: "boolean", short: "e", default: false },
+  rules: { type: "string", short: "R" },
+  entry: { type: "string", short: "E", multiple: true, default: [] },
+  workers: { type: "string", short: "w" },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/* =========================
+ * Arguments
+ * ========================= */
+/**
+ * Parses and validates argv. Throws an Error with `usageError: true` on invalid arguments.
+ * @returns {{inputPath:string, format:string, output?:string, graph:string, ref?:string, includeExternal:boolean, rulesPath?:string, entryPoints:string[], workers:number, quiet:boolean, help:boolean}}
+ */
+function parseCliArguments(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw createUsageError(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 1) throw createUsageError("Expected exactly one <path> to analyze.");
+  if (!EXPORT_FORMATS.includes(values.format)) throw createUsageError(`Unknown format "${values.format}".`);
+  if (!["files", "packages"].includes(values.graph)) throw createUsageError(`Unknown graph "${values.graph}".`);
+
+  const workers = values.workers === undefined ? getDefaultWorkerCount() : Number(values.workers);
+  if (!Number.isInteger(workers) || workers < 0) throw createUsageError(`Invalid worker count "${values.workers}".`);
+
+  return {
+    inputPath: path.resolve(positionals[0]),
+    format: values.format,
+    output: values.output,
+    graph: values.graph,
+    ref: values.ref,
+    includeExternal: values["include-external"],
+    rulesPath: values.rules && path.resolve(values.rules),
+    entryPoints: parseEntryPointPatterns(values.entry),
+    workers,
+    quiet: values.quiet,
+    help: false,
+  };
+}
+
+function createUsageError(message) {
+  const err = new Error(message);
+  err.usageError = true;
+  return err;
+}
+
+/* =========================
+ * Source Preparation
+ * ========================= */
+/**
+ * Gets the files to analyze on disk, like the server's prepareAnalysisRoot():
+ * - directory        analyzed in place (bare repositories at HEAD)
+ * - directory + ref  commit exported with `git archive` into a temp dir, then extracted
+ * - archive          extracted into a temp dir (same safety limits as uploads)
+ * history: where the git history report is read from (the repository; none for archives, see lib/history.js)
+ * @returns {Promise<{rootDir:string, source:object, history:object|null}>}
+ */
+async function prepareSource({ inputPath, ref }, tempDir, { analysisPool, signal, onProgress }) {
+  let inputStat;
+  try {
+    inputStat = await fs.promises.stat(inputPath);
+  } catch {
+    throw createUsageError(`No such file or directory: ${inputPath}`);
+  }
+
+  const extractionTargetDir = path.join(tempDir, "source");
+  const extractArchive = (archivePath, archiveExtension) =>
+    analysisPool.run(
+      "extractArchive",
+      { archivePath, archiveExtension, targetDir: extractionTargetDir, limits: DEFAULT_EXTRACTION_LIMITS },
+      { signal, onProgress }
+    );
+
+  if (inputStat.isDirectory()) {
+    const repositoryInfo = await getRepositoryInfo(inputPath);
+    const gitRef = ref || (repositoryInfo?.bare ? "HEAD" : null);
+
+    if (!gitRef) {
+      return {
+        rootDir: inputPath,
+        source: { type: "directory", path: inputPath, ref: null, commit: null },
+        history: { repoDir: inputPath },
+      };
+    }
+    if (!repositoryInfo) throw new Error("NOT_A_GIT_REPOSITORY");
+
+    const commit = await resolveGitRef(inputPath, gitRef);
+    const tarPath = path.join(tempDir, "export.tar");
+
+    onProgress({ phase: "exporting" });
+    await exportGitTree(inputPath, commit, tarPath, { signal });
+
+    onProgress({ phase: "extracting" });
+    await extractArchive(tarPath, ".tar");
+    return {
+      rootDir: extractionTargetDir,
+      source: { type: "git", path: inputPath, ref: gitRef, commit },
+      history: { repoDir: inputPath, commit },
+    };
+  }
+
+  const archiveExtension = getArchiveExtension(inputPath);
+  if (!archiveExtension) throw new Error("INVALID_FILE_TYPE");
+  if (ref) throw createUsageError("--ref only applies to git repositories.");
+
+  onProgress({ phase: "extracting" });
+  await extractArchive(inputPath, archiveExtension);
+  return {
+    rootDir: extractionTargetDir,
+    source: { type: "archive", path: inputPath, ref: null, commit: null },
+    history: null,
+  };
+}
+
+/**
+ * Reads and validates a --rules file (throws "INVALID_RULES" with a detail message).
+ */
+async function loadRulesFile(rulesPath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(rulesPath, "utf8");
+  } catch {
+    throw createUsageError(`Cannot read rules file: ${rulesPath}`);
+  }
+  return parseRulesConfig(text);
+}
+
+/* =========================
+ * Progress + Report (stderr)
+ * ========================= */
+/**
+ * Prints one line per phase on stderr (only on a terminal, so pipes and hooks stay quiet).
+ */
+function createProgressReporter(quiet) {
+  if (quiet || !process.stderr.isTTY) return () => {};
+
+  let lastPhase = null;
+  return (progress) => {
+    if (!progress.phase || progress.phase === lastPhase) return;
+    lastPhase = progress.phase;
+    process.stderr.write(`codebase-explorer: ${progress.phase}...\n`);
+  };
+}
+
+/**
+ * Prints architecture rule violations on stderr, one per line, then a summary.
+ * @param {{rulesFile:string|null, violations:object[], summary:{error:number,warn:number,info:number}}} architecture
+ */
+function printViolations(architecture) {
+  for (const violation of architecture.violations) {
+    process.stderr.write(
+      `${violation.severity.padEnd(5)}  ${violation.source} -> ${violation.target}  (${violation.rule})\n`
+    );
+  }
+
+  const { error, warn, info } = architecture.summary;
+  const rulesName = architecture.rulesFile || "the --rules file";
+  process.stderr.write(
+    `codebase-explorer: ${architecture.violations.length} violation(s) of ${rulesName} ` +
+      `(${error} error, ${warn} warn, ${info} info)\n`
+  );
+}
+
+/* =========================
+ * Main
+ * ========================= */
+async function main(argv) {
+  let options;
+  try {
+    options = parseCliArguments(argv);
+  } catch (err) {
+    process.stderr.write(`codebase-explorer: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  // Ctrl+C stops extraction / parsing and still removes the temp files
+  const abortController = new AbortController();
+  const onInterrupt = () => abortController.abort();
+  process.once("SIGINT", onInterrupt);
+
+  const onProgress = createProgressReporter(options.quiet);
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "codebase-explorer-"));
+  const analysisPool = createAnalysisPool(options.workers);
+
+  try {
+    // Read before the (possibly long) analysis, so a broken rules file fails fast
+    const rules = options.rulesPath ? await loadRulesFile(options.rulesPath) : null;
+    const { rootDir, source, history } = await prepareSource(options, tempDir, {
+      analysisPool,
+      signal: abortController.signal,
+      onProgress,
+    });
+
+    const analysis = await analyzeDirectory(rootDir, {
+      includeExternalPackages: options.includeExternal,
+      rules,
+      entryPoints: options.entryPoints,
+      history,
+      maxFiles: DEFAULT_EXTRACTION_LIMITS.maxFiles,
+      analysisPool,
+      signal: abortController.signal,
+      onProgress,
+    });
+
+    // Same fields as a stored job (minus jobId), so JSON exports can be compared with server analyses
+    const result = {
+      originalName: path.basename(source.path) + (source.ref ? `@${source.ref}` : ""),
+      source,
+      createdAt: new Date().toISOString(),
+      options: { includeExternal: options.includeExternal, entryPoints: options.entryPoints },
+      ...analysis,
+    };
+
+    const output = exportAnalysis(result, options.format, { graph: options.graph });
+    if (options.output) await fs.promises.writeFile(options.output, output);
+    else process.stdout.write(output);
+
+    const { architecture } = analysis.stats;
+    if (!architecture) return 0;
+
+    if (!options.quiet) printViolations(architecture);
+    return architecture.summary.error > 0 ? 3 : 0;
+  } catch (err) {
+    if (err.usageError) {
+      process.stderr.write(`codebase-explorer: ${err.message}\n`);
+      return 2;
+    }
+
+    const { status, error } = describeError(err);
+    process.stderr.write(`codebase-explorer: ${status === 500 ? err.message : error}\n`);
+    return err.message === "JOB_CANCELLED" ? 130 : 1;
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+    await analysisPool.destroy();
+    await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Exit code only: stdout is left to flush (large exports would be cut by process.exit())
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -4,13 +4,19 @@
  * Backend API for Codebase Explorer.
  *
  * Responsibilities:
- * - Accept an uploaded archive (ZIP/RAR/7Z)
- * - Extract ZIP safely (Zip Slip + zip-bomb limits)
- * - Build:
+ * - Accept an uploaded archive (ZIP/RAR/7Z/TAR/TAR.GZ), or a server-side directory /
+ *   git repository inside an allowlisted root (POST /analyze/path, optional git ref)
+ * - Extract it safely (Zip Slip + zip-bomb limits, see lib/archives.js)
+ * - Build (lib/analysis.js, the same pipeline as the bin/codebase-explorer.js CLI):
  *   1) File tree
- *   2) Local-import dependency graph (JS/TS)
- *   3) Quick stats
- * - Return the analysis result as JSON
+ *   2) Local-import dependency graph (JS/TS, components, stylesheets, Python, Go, Java / Kotlin,
+ *      see lib/importGraph.js)
+ *   2b) Package-level graph for monorepo workspaces (see lib/workspaces.js)
+ *   2c) Optional npm / Node builtin package nodes (see lib/dependencies.js)
+ *   3) Quick stats (+ import cycles, undeclared / unused dependency report)
+ * - Run the analysis in the background and stream its progress (Server-Sent Events)
+ * - Persist every analysis under its jobId and serve it again (GET/DELETE /jobs/:jobId)
+ * - Render an analysis as a self-contained HTML report (GET /jobs/:jobId/report, see lib/report.js)
  * - Auto-clean temporary files after a TTL
  */
 
@@ -19,8 +25,24 @@ const cors = require("cors"); // Enables CORS so the frontend can call the API f
 const multer = require("multer"); // Handles multipart/form-data file uploads
 const path = require("path"); // Cross-platform path utilities
 const fs = require("fs"); // File system utilities (read/write/remove files, folders)
-const unzipper = require("unzipper"); // ZIP extraction library (stream-based)
 const crypto = require("crypto"); // Provides randomUUID for job IDs
+const {
+  ARCHIVE_EXTENSIONS,
+  DEFAULT_EXTRACTION_LIMITS,
+  getArchiveExtension,
+} = require("./lib/archives"); // Safe archive extraction
+const { listSourceImports } = require("./lib/languages"); // Import parsing of every language
+const { analyzeDirectory, collectTreeFilePaths } = require("./lib/analysis"); // Tree + graphs + stats of a directory
+const { parseRulesConfig } = require("./lib/rules"); // Architecture rules (forbidden dependencies)
+const { parseEntryPointPatterns } = require("./lib/deadCode"); // Entry point globs (dead code report)
+const { diffAnalyses } = require("./lib/diff"); // Structural diff of two analyses
+const { parseMaxPathLength, findImportPaths, findEntryPointPaths } = require("./lib/importPaths"); // "Why is this imported" queries
+const { describeError } = require("./lib/errors"); // Error code -> HTTP status + message
+const { createJobStore, isValidJobId } = require("./lib/jobStore"); // File-based storage of analysis results
+const { createJobTracker } = require("./lib/jobTracker"); // Running jobs: progress + cancellation
+const { getRepositoryInfo, resolveGitRef, exportGitTree } = require("./lib/git"); // Analyze git refs without checkout
+const { DEFAULT_REPORT_TEMPLATE_PATH, renderReport, getReportFileName } = require("./lib/report"); // Offline HTML report
+const { createAnalysisPool } = require("./lib/analysisWorker"); // Extraction + parsing on worker threads
 
 /* =========================
  * App Bootstrap
@@ -36,12 +58,41 @@ const SERVER_PORT = process.env.PORT ? Number(process.env.PORT) : 4000;
 // Max size of the uploaded archive itself (before extraction)
 const MAX_UPLOAD_BYTES = 400 * 1024 * 1024; // 400MB
 
-// Extraction safety limits (zip-bomb mitigation)
-const MAX_EXTRACTED_TOTAL_BYTES = 1500 * 1024 * 1024; // 1.5GB total extracted
-const MAX_EXTRACTED_FILE_BYTES = 30 * 1024 * 1024; // 30MB per extracted file
-const MAX_EXTRACTED_FILES = 15000; // Max number of extracted files
+// Extraction safety limits (zip-bomb mitigation): 15000 files, 30MB per file, 1.5GB total
+const EXTRACTION_LIMITS = DEFAULT_EXTRACTION_LIMITS;
 
-// Cleanup TTL (how long to keep temp files on disk)
+// Server-side directories that POST /analyze/path may read (and everything below them).
+// ANALYZE_ROOTS="/srv/repos:/home/me/code" (";" on Windows). Unset = endpoint disabled.
+const ANALYZE_ALLOWED_ROOTS = (process.env.ANALYZE_ROOTS || "")
+  .split(path.delimiter)
+  .filter(Boolean)
+  .flatMap((rootPath) => {
+    try {
+      return [fs.realpathSync(rootPath)];
+    } catch {
+      console.warn(`ANALYZE_ROOTS: skipping missing directory ${rootPath}`);
+      return [];
+    }
+  });
+
+// Built report page that GET /jobs/:jobId/report fills in (`npm run build:report` in client/)
+const REPORT_TEMPLATE_PATH = process.env.REPORT_TEMPLATE || DEFAULT_REPORT_TEMPLATE_PATH;
+
+// Worker threads shared by all analyses for extraction and parsing (default: CPU cores - 1, max 8).
+// ANALYSIS_WORKERS=0 runs them on the main thread.
+const ANALYSIS_WORKERS = (() => {
+  if (!process.env.ANALYSIS_WORKERS) return undefined;
+  const workerCount = Number(process.env.ANALYSIS_WORKERS);
+  if (Number.isInteger(workerCount) && workerCount >= 0) return workerCount;
+  console.warn(`ANALYSIS_WORKERS: ignoring invalid value ${process.env.ANALYSIS_WORKERS}`);
+  return undefined;
+})();
+
+// Largest file the source viewer returns
+const MAX_VIEWABLE_FILE_BYTES = 1024 * 1024; // 1MB
+
+// Cleanup TTL (how long to keep uploaded archives + extracted files on disk).
+// Analysis results (JSON) are kept until deleted through DELETE /jobs/:jobId.
 const CLEANUP_TTL_MS = 60 * 60 * 1000; // 1 hour
 
 /* =========================
@@ -61,12 +112,17 @@ app.use(
  * Directories
  * ========================= */
 const UPLOADS_DIR = path.join(__dirname, "uploads"); // Where uploaded archives are stored
-const EXTRACTED_DIR = path.join(__dirname, "extracted"); // Where ZIP contents are extracted
+const EXTRACTED_DIR = path.join(__dirname, "extracted"); // Where archive contents are extracted
+const JOBS_DIR = path.join(__dirname, "jobs"); // Where analysis results are persisted
 
 // Ensure directories exist (creates them if missing)
 fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 fs.mkdirSync(EXTRACTED_DIR, { recursive: true });
 
+const jobStore = createJobStore(JOBS_DIR);
+const jobTracker = createJobTracker();
+const analysisPool = createAnalysisPool(ANALYSIS_WORKERS);
+
 /* =========================
  * Multer Upload Setup
  * ========================= */
@@ -78,8 +134,8 @@ const storageEngine = multer.diskStorage({
   filename: (req, file, callback) => callback(null, `${Date.now()}-${file.originalname}`),
 });
 
-// Allowed archive extensions (we accept these uploads, but only ZIP is analyzed currently)
-const ALLOWED_ARCHIVE_EXTENSIONS = [".zip", ".rar", ".7z"];
+// Allowed archive extensions (all of them are extracted and analyzed)
+const ALLOWED_ARCHIVE_EXTENSIONS = ARCHIVE_EXTENSIONS;
 
 const uploadArchive = multer({
   storage: storageEngine,
@@ -88,7 +144,7 @@ const uploadArchive = multer({
 
   // Filter by file extension (basic validation)
   fileFilter: (req, file, callback) => {
-    const ext = path.extname(file.originalname).toLowerCase();
+    const ext = getArchiveExtension(file.originalname);
     if (!ALLOWED_ARCHIVE_EXTENSIONS.includes(ext)) {
       return callback(new Error("INVALID_FILE_TYPE"), false);
     }
@@ -106,6 +162,10 @@ app.get("/health", (req, res) => {
 /* =========================
  * Upload + Analyze Endpoint
  * Field name: "archive"
+ * Optional field: "includeExternal" = "true" (npm / builtin package nodes)
+ * Optional field: "rules" = architecture rules JSON (overrides a committed codebase-explorer.rules.json)
+ * Optional field: "entries" = extra entry point globs, comma / newline separated (dead code report)
+ * Responds 202 with the jobId right away; the analysis keeps running in the background.
  * ========================= */
 app.post("/upload", uploadArchive.single("archive"), async (req, res, next) => {
   try {
@@ -114,7 +174,18 @@ app.post("/upload", uploadArchive.single("archive"), async (req, res, next) => {
       return res.status(400).json({ ok: false, error: "No file uploaded" });
     }
 
-    const uploadedExtension = path.extname(req.file.originalname).toLowerCase();
+    const uploadedExtension = getArchiveExtension(req.file.originalname);
+    const includeExternalPackages = req.body?.includeExternal === "true";
+
+    let rules = null;
+    let entryPoints = [];
+    try {
+      rules = req.body?.rules ? parseRulesConfig(req.body.rules) : null;
+      entryPoints = parseEntryPointPatterns(req.body?.entries);
+    } catch (err) {
+      await safeRemovePath(req.file.path);
+      throw err;
+    }
 
     // Common metadata returned for any archive type
     const baseResponse = {
@@ -125,443 +196,550 @@ app.post("/upload", uploadArchive.single("archive"), async (req, res, next) => {
       ext: uploadedExtension,
     };
 
-    // For now: only ZIP extraction/analysis is implemented
-    if (uploadedExtension !== ".zip") {
-      return res.json({
-        ...baseResponse,
-        note: "RAR/7Z were saved on the server. Currently, analysis (tree/graph) is enabled only for ZIP. RAR/7Z extraction can be added later.",
-      });
-    }
-
-    // ZIP analysis flow:
-    const archivePath = req.file.path; // Full path to the uploaded archive on disk
     const jobId = crypto.randomUUID(); // Unique ID for this analysis job
 
-    const extractionTargetDir = path.join(EXTRACTED_DIR, jobId);
-
-    // Extract ZIP with safety guards
-    await safeExtractZip(archivePath, extractionTargetDir, {
-      maxFiles: MAX_EXTRACTED_FILES,
-      maxFileBytes: MAX_EXTRACTED_FILE_BYTES,
-      maxTotalBytes: MAX_EXTRACTED_TOTAL_BYTES,
+    // Extraction + analysis run in the background (progress: GET /jobs/:jobId/events)
+    runAnalysisJob({
+      jobId,
+      source: { type: "archive", archivePath: req.file.path, archiveExtension: uploadedExtension },
+      baseResponse,
+      includeExternalPackages,
+      rules,
+      entryPoints,
     });
 
-    // Collect all extracted files (absolute paths)
-    const allExtractedFilesAbs = await walkDirectoryFiles(extractionTargetDir);
-
-    // Common "noise" directories to ignore
-    const ignoredFolderNames = [
-      "node_modules",
-      ".git",
-      "dist",
-      "build",
-      "coverage",
-      ".next",
-      ".nuxt",
-      ".svelte-kit",
-      ".cache",
-      ".turbo",
-      ".vite",
-      "out",
-    ];
-
-    // Filter out ignored paths
-    const analyzedFilesAbs = allExtractedFilesAbs.filter((absPath) => {
-      const relPath = path.relative(extractionTargetDir, absPath).replace(/\\/g, "/");
-      return !ignoredFolderNames.some((folder) => relPath.split("/").includes(folder));
-    });
+    return res.status(202).json({ ...baseResponse, jobId, status: "running" });
+  } catch (err) {
+    // Forward to centralized error handler
+    next(err);
+  }
+});
+
+/* =========================
+ * Analyze Server Path Endpoint
+ * Body (JSON): { path: "/srv/repos/app", ref?: "v1.2.0", includeExternal?: true, rules?: {...}, entries?: ["scripts/*.js"] }
+ * - path must be inside one of ANALYZE_ROOTS
+ * - with a ref (branch, tag, commit), the path must be in a git repository: the ref is
+ *   exported with `git archive` and extracted like an upload, nothing is checked out
+ * - bare repositories are analyzed at HEAD when no ref is given
+ * - otherwise the directory is analyzed in place (read-only)
+ * Responds 202 with the jobId, like /upload.
+ * ========================= */
+app.post("/analyze/path", async (req, res, next) => {
+  try {
+    if (!ANALYZE_ALLOWED_ROOTS.length) throw new Error("PATH_ANALYSIS_DISABLED");
 
-    // Build outputs
-    const fileTree = buildFileTreeFromPaths(extractionTargetDir, analyzedFilesAbs);
-    const importsGraph = await buildLocalImportsGraph(extractionTargetDir, analyzedFilesAbs);
-    const stats = buildAnalysisStats(extractionTargetDir, analyzedFilesAbs, importsGraph);
+    const { path: requestedPath, includeExternal } = req.body || {};
+    const ref = typeof req.body?.ref === "string" ? req.body.ref.trim() : "";
+    const rules = req.body?.rules ? parseRulesConfig(req.body.rules) : null;
+    const entryPoints = parseEntryPointPatterns(req.body?.entries);
 
-    // Schedule cleanup of temp files
-    scheduleJobCleanup(archivePath, extractionTargetDir);
+    const rootDir = await resolveAllowedDirectory(requestedPath);
+    const repository = await getRepositoryInfo(rootDir);
+    if (ref && !repository) throw new Error("NOT_A_GIT_REPOSITORY");
 
-    // Return everything the frontend needs
-    return res.json({
-      ...baseResponse,
+    const jobId = crypto.randomUUID(); // Unique ID for this analysis job
+    const gitRef = ref || (repository?.bare ? "HEAD" : null);
+
+    let source;
+    if (gitRef) {
+      const commit = await resolveGitRef(rootDir, gitRef);
+      source = { type: "git", repoDir: rootDir, commit };
+    } else {
+      source = { type: "directory", rootDir };
+    }
+
+    const baseResponse = {
+      ok: true,
+      originalName: path.basename(rootDir) + (gitRef ? `@${gitRef}` : ""),
+      source: { type: source.type, path: rootDir, ref: gitRef, commit: source.commit || null },
+      // The exported TAR of a git ref lives in uploads/ until the TTL, like an uploaded archive
+      storedAs: gitRef ? `${jobId}.tar` : null,
+    };
+
+    runAnalysisJob({
       jobId,
-      filesCount: analyzedFilesAbs.length,
-      stats,
-      tree: fileTree,
-      graph: importsGraph,
+      source,
+      baseResponse,
+      includeExternalPackages: includeExternal === true || includeExternal === "true",
+      rules,
+      entryPoints,
     });
+
+    return res.status(202).json({ ...baseResponse, jobId, status: "running" });
   } catch (err) {
-    // Forward to centralized error handler
     next(err);
   }
 });
 
 /* =========================
- * Central Error Handler
+ * Stored Jobs Endpoints
+ * - GET    /jobs               stored analyses, newest first (summaries, for picking one to compare)
+ * - GET    /jobs/:jobId        full analysis (tree, graph, stats, ...)
+ * - GET    /jobs/:jobId/tree   file tree only
+ * - GET    /jobs/:jobId/graph  file graph + package graph
+ * - GET    /jobs/:jobId/stats  stats only
+ * - GET    /jobs/:jobId/violations architecture rule violations; 422 when some are errors (CI gate)
+ * - GET    /jobs/:jobId/file   source of one file (?path=src/a.ts) + its import links
+ * - GET    /jobs/:jobId/paths  import paths between two files (?from=src/a.ts&to=src/b.ts&maxLength=6)
+ * - GET    /jobs/:jobId/entry-paths entry points that reach a file (?to=src/b.ts), with their shortest paths
+ * - GET    /jobs/:jobId/events progress stream (Server-Sent Events)
+ * - POST   /jobs/:jobId/cancel stops a running analysis
+ * - DELETE /jobs/:jobId        removes the analysis and its temp files (cancels it if still running)
+ *
+ * While a job is running (or if it failed / was cancelled) the GET routes
+ * answer with its status instead of the result.
  * ========================= */
-app.use((err, req, res, next) => {
-  if (err && err.message === "INVALID_FILE_TYPE") {
-    return res.status(400).json({ ok: false, error: "Only ZIP / RAR / 7Z files are allowed." });
-  }
+/**
+ * Responds with the status of a job that has no stored result (yet).
+ * @param {{jobId:string, status:string, progress:object, error:string|null}} trackedJob - From jobTracker.get().
+ */
+function sendUnfinishedJob(res, trackedJob) {
+  const { jobId, status, progress, error } = trackedJob;
 
-if (err && err.code === "LIMIT_FILE_SIZE") {
-  return res.status(413).json({ ok: false, error: "File is too large (limit: 400MB)." });
+  if (status === "running") return res.status(202).json({ ok: true, jobId, status, progress });
+  return res.status(409).json({ ok: false, jobId, status, error });
 }
 
+/**
+ * Creates a GET handler that loads a stored job and responds with part of it.
+ * @param {(job:object, req:object) => object} pickPart - Selects the fields to return (may throw an error code).
+ * @param {(job:object) => number} [pickStatus] - HTTP status of the response (default 200).
+ */
+function sendStoredJob(pickPart, pickStatus = () => 200) {
+  return async (req, res, next) => {
+    try {
+      const trackedJob = jobTracker.get(req.params.jobId);
+      if (trackedJob && trackedJob.status !== "done") return sendUnfinishedJob(res, trackedJob);
 
-  if (err && err.message === "UNSAFE_ZIP_PATH") {
-    return res.status(400).json({ ok: false, error: "Invalid ZIP: unsafe file path found inside the archive." });
-  }
+      const job = await jobStore.load(req.params.jobId);
+      if (!job) return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
 
-  if (err && err.message === "ZIP_LIMITS_EXCEEDED") {
-    return res.status(413).json({ ok: false, error: "ZIP exceeds extraction limits (too many files or extracted size too large)." });
-  }
+      return res.status(pickStatus(job)).json({ ok: true, jobId: job.jobId, ...pickPart(job, req) });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
 
-  console.error(err);
-  res.status(500).json({ ok: false, error: "Server error" });
+app.get("/jobs", async (req, res, next) => {
+  try {
+    res.json({ ok: true, jobs: await jobStore.list() });
+  } catch (err) {
+    next(err);
+  }
 });
 
-/* =========================
- * Safe ZIP Extraction
- * - Prevents Zip Slip (path traversal)
- * - Limits file count / file size / total extracted size
- * ========================= */
-/**
- * Safely extracts a ZIP archive into a target directory.
- * @param {string} zipPath - Absolute path to the uploaded ZIP file.
- * @param {string} targetDir - Directory where files should be extracted.
- * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
- */
-async function safeExtractZip(zipPath, targetDir, limits) {
-  await fs.promises.mkdir(targetDir, { recursive: true });
+app.get("/jobs/:jobId", sendStoredJob((job) => job));
+app.get("/jobs/:jobId/tree", sendStoredJob((job) => ({ tree: job.tree })));
+app.get("/jobs/:jobId/graph", sendStoredJob((job) => ({ graph: job.graph, packageGraph: job.packageGraph })));
+app.get("/jobs/:jobId/stats", sendStoredJob((job) => ({ filesCount: job.filesCount, stats: job.stats })));
+
+app.get(
+  "/jobs/:jobId/violations",
+  sendStoredJob(
+    (job) => ({ architecture: job.stats?.architecture || null }),
+    // 422 on error-level violations, so `curl --fail` can gate a CI step
+    (job) => (job.stats?.architecture?.summary.error ? 422 : 200)
+  )
+);
 
-  let extractedTotalBytes = 0;
-  let extractedFilesCount = 0;
+// Import paths from one file to another: ?from=<path>&to=<path>[&maxLength=6]
+app.get(
+  "/jobs/:jobId/paths",
+  sendStoredJob((job, req) => {
+    const maxLength = parseMaxPathLength(req.query.maxLength);
+    const { from, to } = req.query;
+    return { from, to, maxLength, ...findImportPaths(job.graph, from, to, { maxLength }) };
+  })
+);
 
-  // Read ZIP directory entries (metadata + streams)
-  const zipDirectory = await unzipper.Open.file(zipPath);
+// Entry points that reach a file: ?to=<path> (entryPoints is null for analyses without a dead code report)
+app.get(
+  "/jobs/:jobId/entry-paths",
+  sendStoredJob((job, req) => {
+    const entryPoints = job.stats?.deadCode?.entryPoints;
+    const { to } = req.query;
+    return { to, entryPoints: entryPoints ? findEntryPointPaths(job.graph, to, entryPoints) : null };
+  })
+);
 
-  for (const entry of zipDirectory.files) {
-    // Skip directory entries, only extract files
-    if (entry.type === "Directory") continue;
+// Offline HTML report: the analysis embedded in the client's report page, downloaded as a file
+app.get("/jobs/:jobId/report", async (req, res, next) => {
+  try {
+    const trackedJob = jobTracker.get(req.params.jobId);
+    if (trackedJob && trackedJob.status !== "done") return sendUnfinishedJob(res, trackedJob);
 
-    extractedFilesCount += 1;
-    if (extractedFilesCount > limits.maxFiles) throw new Error("ZIP_LIMITS_EXCEEDED");
+    const job = await jobStore.load(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
 
-    // Uncompressed size is often available; still guard during streaming just in case
-    const uncompressedSize = Number(entry.uncompressedSize || 0);
+    const html = await renderReport(job, REPORT_TEMPLATE_PATH);
+    res.attachment(getReportFileName(job));
+    return res.type("html").send(html);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (uncompressedSize > limits.maxFileBytes) throw new Error("ZIP_LIMITS_EXCEEDED");
+app.get("/jobs/:jobId/file", async (req, res, next) => {
+  try {
+    const job = await jobStore.load(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
 
-    extractedTotalBytes += uncompressedSize;
-    if (extractedTotalBytes > limits.maxTotalBytes) throw new Error("ZIP_LIMITS_EXCEEDED");
+    const { relPath, absPath, size } = await resolveJobSourceFile(job, req.query.path);
+    if (size > MAX_VIEWABLE_FILE_BYTES) throw new Error("FILE_TOO_LARGE");
 
-    // --- Zip Slip protection ---
-    // Normalize entry paths and reject unsafe ones like:
-    //   "../../etc/passwd" or absolute paths "/root/..."
-    const relPath = entry.path.replace(/\\/g, "/");
-    const normalizedRelPath = path.posix.normalize(relPath);
+    const buffer = await fs.promises.readFile(absPath);
 
-    if (
-      normalizedRelPath.startsWith("..") ||
-      normalizedRelPath.includes("/../") ||
-      path.posix.isAbsolute(normalizedRelPath)
-    ) {
-      throw new Error("UNSAFE_ZIP_PATH");
+    // A NUL byte in the first KB is a good enough sign of a binary file
+    if (buffer.subarray(0, 1024).includes(0)) {
+      return res.json({ ok: true, jobId: job.jobId, path: relPath, size, binary: true, content: null, imports: [] });
     }
 
-    const destinationPath = path.join(targetDir, normalizedRelPath);
+    const content = buffer.toString("utf8");
 
-    // Extra guard: ensure final resolved path stays inside targetDir
-    const resolvedTargetDir = path.resolve(targetDir);
-    const resolvedDestinationPath = path.resolve(destinationPath);
+    // Import lines link to the file they resolved to during the analysis
+    const targetBySpecifier = new Map();
+    for (const edge of job.graph.edges) {
+      if (edge.source !== relPath) continue;
+      for (const specifier of edge.specifiers || []) targetBySpecifier.set(specifier, edge.target);
+    }
 
-    if (
-      !resolvedDestinationPath.startsWith(resolvedTargetDir + path.sep) &&
-      resolvedDestinationPath !== resolvedTargetDir
-    ) {
-      throw new Error("UNSAFE_ZIP_PATH");
+    const imports = listSourceImports(content, relPath).map((occurrence) => ({
+      ...occurrence,
+      target: targetBySpecifier.get(occurrence.specifier) || null,
+    }));
+
+    return res.json({ ok: true, jobId: job.jobId, path: relPath, size, binary: false, content, imports });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/jobs/:jobId/events", async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidJobId(jobId)) throw new Error("INVALID_JOB_ID");
+
+    const trackedJob = jobTracker.get(jobId);
+
+    // Not tracked in memory: finished long ago (stored) or unknown
+    if (!trackedJob && !(await jobStore.load(jobId))) {
+      return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
     }
 
-    // Ensure destination folder exists
-    await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
 
-    // Stream the entry into a file while enforcing per-file size limits
-    await new Promise((resolve, reject) => {
-      let writtenBytes = 0;
+    const sendEvent = (eventName, data) => res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
 
-      const readStream = entry.stream();
-      const writeStream = fs.createWriteStream(destinationPath);
+    if (!trackedJob) {
+      sendEvent("done", { jobId, error: null });
+      return res.end();
+    }
 
-      readStream.on("data", (chunk) => {
-        writtenBytes += chunk.length;
+    // Current state first, so late subscribers don't wait for the next update
+    sendEvent("progress", trackedJob.progress);
+    if (trackedJob.status !== "running") {
+      sendEvent(trackedJob.status, { jobId, error: trackedJob.error });
+      return res.end();
+    }
 
-        // If the file grows beyond limit, abort extraction
-        if (writtenBytes > limits.maxFileBytes) {
-          readStream.destroy();
-          writeStream.destroy();
-          reject(new Error("ZIP_LIMITS_EXCEEDED"));
-        }
-      });
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
 
-      readStream.on("error", reject);
-      writeStream.on("error", reject);
-      writeStream.on("finish", resolve);
+    const unsubscribe = jobTracker.subscribe(jobId, (eventName, data) => {
+      sendEvent(eventName, data);
+      if (eventName !== "progress") res.end();
+    });
 
-      readStream.pipe(writeStream);
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
+  } catch (err) {
+    next(err);
   }
-}
+});
 
-/* =========================
- * Helper: Walk Directory
- * ========================= */
-/**
- * Recursively collects all file paths under a directory.
- * @param {string} dir - Root directory to scan.
- * @returns {Promise<string[]>} Absolute paths to all files found.
- */
-async function walkDirectoryFiles(dir) {
-  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-  const files = [];
-
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      files.push(...(await walkDirectoryFiles(fullPath)));
-    } else {
-      files.push(fullPath);
-    }
+app.post("/jobs/:jobId/cancel", (req, res) => {
+  if (!jobTracker.cancel(req.params.jobId)) {
+    return res.status(409).json({ ok: false, error: "Analysis is not running." });
   }
 
-  return files;
-}
+  return res.json({ ok: true, jobId: req.params.jobId, status: "cancelling" });
+});
 
-/* =========================
- * Helper: Build File Tree
- * ========================= */
-/**
- * Builds a hierarchical folder/file structure from a list of absolute file paths.
- * @param {string} rootDir - Root extraction directory (used to create relative paths).
- * @param {string[]} filePathsAbs - Absolute file paths to include.
- * @returns {{name:string,type:"folder",children:any[]}} Tree object for the frontend.
- */
-function buildFileTreeFromPaths(rootDir, filePathsAbs) {
-  const root = { name: "root", type: "folder", children: [] };
-
-  function getOrCreateFolderNode(parentNode, folderName) {
-    let folderNode = parentNode.children.find(
-      (child) => child.type === "folder" && child.name === folderName
-    );
-
-    if (!folderNode) {
-      folderNode = { name: folderName, type: "folder", children: [] };
-      parentNode.children.push(folderNode);
-
-      // Keep folders first, then files, both alphabetically
-      parentNode.children.sort((a, b) =>
-        a.type === b.type ? a.name.localeCompare(b.name) : a.type === "folder" ? -1 : 1
-      );
+app.delete("/jobs/:jobId", async (req, res, next) => {
+  try {
+    // A running job removes its own temp files (and its saved analysis) once it notices the cancellation
+    if (jobTracker.cancel(req.params.jobId)) {
+      return res.json({ ok: true, jobId: req.params.jobId, deleted: true });
     }
 
-    return folderNode;
-  }
+    const job = await jobStore.load(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
 
-  for (const absPath of filePathsAbs) {
-    const relPath = path.relative(rootDir, absPath).replace(/\\/g, "/");
-    const parts = relPath.split("/").filter(Boolean);
+    await jobStore.remove(job.jobId);
 
-    let currentNode = root;
+    // Temp files may still be on disk if the TTL has not run out yet
+    await safeRemovePath(path.join(EXTRACTED_DIR, job.jobId));
+    if (job.storedAs) await safeRemovePath(path.join(UPLOADS_DIR, path.basename(job.storedAs)));
 
-    for (let i = 0; i < parts.length; i++) {
-      const name = parts[i];
-      const isLast = i === parts.length - 1;
+    return res.json({ ok: true, jobId: job.jobId, deleted: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* =========================
+ * Diff Endpoint
+ * GET /diff?before=<jobId>&after=<jobId>
+ * Structural diff of two stored analyses (files, edges, cycles, hub degrees + combined graph).
+ * ========================= */
+app.get("/diff", async (req, res, next) => {
+  try {
+    const jobIds = [req.query.before, req.query.after];
+    if (!jobIds.every(isValidJobId)) throw new Error("INVALID_JOB_ID");
 
-      if (isLast) {
-        currentNode.children.push({ name, type: "file", path: relPath });
-      } else {
-        currentNode = getOrCreateFolderNode(currentNode, name);
-      }
+    for (const jobId of jobIds) {
+      const trackedJob = jobTracker.get(jobId);
+      if (trackedJob && trackedJob.status !== "done") return sendUnfinishedJob(res, trackedJob);
     }
-  }
 
-  // Sort recursively so the entire tree is stable and consistent
-  function sortTree(node) {
-    if (!node.children) return;
+    const [before, after] = await Promise.all(jobIds.map((jobId) => jobStore.load(jobId)));
+    if (!before || !after) {
+      return res.status(404).json({ ok: false, error: "Analysis not found (it may have been deleted)." });
+    }
 
-    node.children.sort((a, b) =>
-      a.type === b.type ? a.name.localeCompare(b.name) : a.type === "folder" ? -1 : 1
-    );
+    const describeSide = (job) => ({
+      jobId: job.jobId,
+      originalName: job.originalName,
+      createdAt: job.createdAt,
+      source: job.source || null,
+    });
 
-    node.children.forEach(sortTree);
+    res.json({ ok: true, before: describeSide(before), after: describeSide(after), diff: diffAnalyses(before, after) });
+  } catch (err) {
+    next(err);
   }
+});
 
-  sortTree(root);
-  return root;
-}
+/* =========================
+ * Central Error Handler
+ * ========================= */
+app.use((err, req, res, next) => {
+  const { status, error } = describeError(err);
+  if (status === 500) console.error(err);
+
+  res.status(status).json({ ok: false, error });
+});
 
 /* =========================
- * Helper: Imports Graph
- * (JS/TS local imports only)
+ * Analysis Pipeline (background job)
  * ========================= */
 /**
- * Checks whether an import specifier is local (relative path).
- * Examples: "./x", "../y"
+ * Where the files of an analysis come from:
+ * - { type: "archive", archivePath, archiveExtension }  uploaded archive, extracted to EXTRACTED_DIR/<jobId>
+ * - { type: "git", repoDir, commit }                    commit exported with `git archive`, then extracted
+ * - { type: "directory", rootDir }                      server-side directory, analyzed in place (read-only)
+ * @typedef {object} AnalysisSource
  */
-function isLocalImportSpecifier(spec) {
-  return typeof spec === "string" && (spec.startsWith("./") || spec.startsWith("../"));
-}
 
 /**
- * Extracts import specifiers from JS/TS content using regex patterns.
- * Supports:
- * - import ... from "x"
- * - import "x"
- * - require("x")
+ * Gets the files of an analysis source on disk and returns the directory to analyze.
+ * Temp paths (archive, extraction dir) are pushed to `tempPaths` as soon as they exist.
  */
-function extractImportSpecifiers(fileContent) {
-  const specs = new Set();
+async function prepareAnalysisRoot(jobId, source, tempPaths, { signal, reportProgress }) {
+  if (source.type === "directory") return source.rootDir;
+
+  let archivePath = source.archivePath;
+  let archiveExtension = source.archiveExtension;
+  if (source.type === "archive") tempPaths.push(archivePath);
+
+  if (source.type === "git") {
+    reportProgress({ phase: "exporting" });
+    archivePath = path.join(UPLOADS_DIR, `${jobId}.tar`);
+    archiveExtension = ".tar";
+    tempPaths.push(archivePath);
+    await exportGitTree(source.repoDir, source.commit, archivePath, { signal });
+  }
 
-  const IMPORT_FROM_RE = /import\s+[^;]*?\sfrom\s+["']([^"']+)["']/g;
-  const IMPORT_BARE_RE = /import\s+["']([^"']+)["']/g;
-  const REQUIRE_RE = /require\(\s*["']([^"']+)["']\s*\)/g;
+  const extractionTargetDir = path.join(EXTRACTED_DIR, jobId);
+  tempPaths.push(extractionTargetDir);
 
-  let match;
-  while ((match = IMPORT_FROM_RE.exec(fileContent))) specs.add(match[1]);
-  while ((match = IMPORT_BARE_RE.exec(fileContent))) specs.add(match[1]);
-  while ((match = REQUIRE_RE.exec(fileContent))) specs.add(match[1]);
+  // Extract the archive with safety guards
+  reportProgress({ phase: "extracting" });
+  await analysisPool.run(
+    "extractArchive",
+    { archivePath, archiveExtension, targetDir: extractionTargetDir, limits: EXTRACTION_LIMITS },
+    { signal, onProgress: reportProgress }
+  );
 
-  return [...specs];
+  return extractionTargetDir;
 }
 
 /**
- * Converts an import specifier into an actual file path within the extracted project.
- * It tries common JS/TS resolution patterns (file extension and index files).
+ * Where the git history of an analysis source is read from (see lib/history.js):
+ * the repository of a server directory / git ref. Uploaded archives have none (git never runs on them).
+ * @returns {import("./lib/history").HistorySource|null}
  */
-function resolveImportToRelativeFile(fromFileRelPath, importSpec, existingRelPathsSet) {
-  const fromDir = path.posix.dirname(fromFileRelPath.replace(/\\/g, "/"));
-  const base = path.posix.normalize(path.posix.join(fromDir, importSpec.replace(/\\/g, "/")));
-
-  const candidates = [
-    base,
-    `${base}.js`,
-    `${base}.jsx`,
-    `${base}.ts`,
-    `${base}.tsx`,
-    path.posix.join(base, "index.js"),
-    path.posix.join(base, "index.jsx"),
-    path.posix.join(base, "index.ts"),
-    path.posix.join(base, "index.tsx"),
-  ];
-
-  for (const candidate of candidates) {
-    if (existingRelPathsSet.has(candidate)) return candidate;
-  }
-
+function getHistorySource(source) {
+  if (source.type === "directory") return { repoDir: source.rootDir };
+  if (source.type === "git") return { repoDir: source.repoDir, commit: source.commit };
   return null;
 }
 
 /**
- * Builds a dependency graph from local imports inside JS/TS files.
- * @param {string} rootDir - Extraction root directory.
- * @param {string[]} filePathsAbs - Absolute file paths to consider.
- * @returns {Promise<{nodes:{id:string}[], edges:{source:string,target:string}[]}>}
+ * Gets the files of a source, analyzes them and stores the result, reporting progress to the job tracker.
+ * Phases: [exporting ->] [extracting ->] scanning -> parsing -> analyzing -> saving -> done.
+ * Never throws: failures and cancellations are reported as job events,
+ * and their temp files are removed right away (a source directory is never touched).
+ * @param {{jobId:string, source:AnalysisSource, baseResponse:object, includeExternalPackages:boolean, rules:object[]|null, entryPoints:string[]}} job
  */
-async function buildLocalImportsGraph(rootDir, filePathsAbs) {
-  const CODE_EXTENSIONS = new Set([".js", ".jsx", ".ts", ".tsx"]);
+async function runAnalysisJob({ jobId, source, baseResponse, includeExternalPackages, rules, entryPoints }) {
+  const { signal, reportProgress } = jobTracker.start(jobId);
+  const throwIfCancelled = () => {
+    if (signal.aborted) throw new Error("JOB_CANCELLED");
+  };
 
-  const codeFilesAbs = filePathsAbs.filter((absPath) =>
-    CODE_EXTENSIONS.has(path.extname(absPath).toLowerCase())
-  );
+  const tempPaths = [];
 
-  // Convert absolute paths into relative IDs used by the frontend
-  const relPaths = codeFilesAbs.map((absPath) => path.relative(rootDir, absPath).replace(/\\/g, "/"));
-  const relPathsSet = new Set(relPaths);
+  try {
+    const analysisRootDir = await prepareAnalysisRoot(jobId, source, tempPaths, { signal, reportProgress });
+
+    // Scanning, parsing and stats: the same pipeline as the CLI (lib/analysis.js)
+    const analysis = await analyzeDirectory(analysisRootDir, {
+      includeExternalPackages,
+      rules,
+      entryPoints,
+      history: getHistorySource(source),
+      maxFiles: EXTRACTION_LIMITS.maxFiles,
+      analysisPool,
+      signal,
+      onProgress: reportProgress,
+    });
 
-  const nodes = relPaths.map((id) => ({ id }));
-  const edges = [];
-  const edgeKeySet = new Set(); // Prevent duplicate edges
+    throwIfCancelled();
+    reportProgress({ phase: "saving" });
 
-  for (let i = 0; i < codeFilesAbs.length; i++) {
-    const absPath = codeFilesAbs[i];
-    const fromRelPath = relPaths[i];
+    // Persist so the analysis can be reloaded / shared through /jobs/:jobId
+    await jobStore.save({
+      ...baseResponse,
+      jobId,
+      createdAt: new Date().toISOString(),
+      options: { includeExternal: includeExternalPackages, entryPoints },
+      ...analysis,
+    });
 
-    let fileContent = "";
-    try {
-      fileContent = await fs.promises.readFile(absPath, "utf8");
-    } catch {
-      // Ignore unreadable files (binary, permission, etc.)
-      continue;
+    // Cancelled (or deleted) while saving: the analysis must not stay listed
+    if (signal.aborted) {
+      await jobStore.remove(jobId);
+      throw new Error("JOB_CANCELLED");
     }
 
-    const localImportSpecs = extractImportSpecifiers(fileContent).filter(isLocalImportSpecifier);
-
-    for (const spec of localImportSpecs) {
-      const targetRelPath = resolveImportToRelativeFile(fromRelPath, spec, relPathsSet);
-      if (!targetRelPath) continue;
+    // Schedule cleanup of temp files
+    scheduleJobCleanup(tempPaths);
+    jobTracker.finish(jobId, "done");
+  } catch (err) {
+    // Don't keep half-extracted, rejected or cancelled jobs around until the TTL
+    for (const tempPath of tempPaths) await safeRemovePath(tempPath).catch(() => {});
 
-      const edgeKey = `${fromRelPath}=>${targetRelPath}`;
-      if (edgeKeySet.has(edgeKey)) continue;
-      edgeKeySet.add(edgeKey);
+    const { status, error } = describeError(err);
+    if (status === 500) console.error(err);
 
-      edges.push({ source: fromRelPath, target: targetRelPath });
-    }
+    jobTracker.finish(jobId, err?.message === "JOB_CANCELLED" ? "cancelled" : "failed", error);
   }
-
-  return { nodes, edges };
 }
 
 /* =========================
- * Stats
+ * Helper: Server Paths + Source File Access
  * ========================= */
 /**
- * Builds quick stats:
- * - file count per extension
- * - graph node/edge counts
- * - most connected files (degree)
+ * Resolves a project-relative path to the extracted file of a job.
+ * Only files listed in the analysis tree are served, so path traversal
+ * ("../", absolute paths) and symlinks are rejected.
+ * @param {{jobId:string, tree:object}} job - Stored analysis.
+ * @param {string} requestedPath - Project-relative path from the query string.
+ * @returns {Promise<{relPath:string, absPath:string, size:number}>}
  */
-function buildAnalysisStats(rootDir, filePathsAbs, graph) {
-  const countByExtension = {};
+async function resolveJobSourceFile(job, requestedPath) {
+  if (typeof requestedPath !== "string" || !requestedPath) throw new Error("INVALID_FILE_PATH");
 
-  for (const absPath of filePathsAbs) {
-    const relPath = path.relative(rootDir, absPath).replace(/\\/g, "/");
-    const ext = path.extname(relPath).toLowerCase() || "(none)";
-    countByExtension[ext] = (countByExtension[ext] || 0) + 1;
+  const relPath = path.posix.normalize(requestedPath.replace(/\\/g, "/"));
+  if (relPath.startsWith("..") || path.posix.isAbsolute(relPath) || !collectTreeFilePaths(job.tree).has(relPath)) {
+    throw new Error("INVALID_FILE_PATH");
   }
 
-  // Degree = incoming + outgoing connections
-  const degreeByNode = new Map();
-  for (const node of graph.nodes) degreeByNode.set(node.id, 0);
+  // Directories analyzed in place are read where they are (if still allowed), everything else was extracted
+  const isInPlace = job.source?.type === "directory";
+  if (isInPlace && !isInsideAllowedRoot(job.source.path)) throw new Error("PATH_NOT_ALLOWED");
+  const jobRootDir = isInPlace ? job.source.path : path.resolve(EXTRACTED_DIR, job.jobId);
 
-  for (const edge of graph.edges) {
-    degreeByNode.set(edge.source, (degreeByNode.get(edge.source) || 0) + 1);
-    degreeByNode.set(edge.target, (degreeByNode.get(edge.target) || 0) + 1);
+  let realRootDir, realAbsPath, fileStat;
+  try {
+    realRootDir = await fs.promises.realpath(jobRootDir);
+    realAbsPath = await fs.promises.realpath(path.resolve(jobRootDir, relPath));
+    fileStat = await fs.promises.lstat(realAbsPath);
+  } catch (err) {
+    // Extracted files are removed after the TTL, the stored analysis stays
+    if (err.code === "ENOENT") throw new Error("SOURCE_EXPIRED");
+    throw err;
   }
 
-  const topDegree = [...degreeByNode.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 8)
-    .map(([id, degree]) => ({ id, degree }));
-
-  return {
-    exts: countByExtension,
-    graph: {
-      nodes: graph.nodes.length,
-      edges: graph.edges.length,
-      topDegree,
-    },
-  };
+  // Extra guard: the real path (symlinks resolved) must stay inside the job's root directory
+  if (!realAbsPath.startsWith(realRootDir + path.sep) || !fileStat.isFile()) throw new Error("INVALID_FILE_PATH");
+  return { relPath, absPath: realAbsPath, size: fileStat.size };
+}
+
+/**
+ * Returns true when a real (symlink-free) path is one of the allowed roots or below one.
+ */
+function isInsideAllowedRoot(realPath) {
+  return ANALYZE_ALLOWED_ROOTS.some((rootPath) => realPath === rootPath || realPath.startsWith(rootPath + path.sep));
+}
+
+/**
+ * Validates a directory requested through POST /analyze/path and returns its real path.
+ * Symlinks are resolved first, so a link inside an allowed root can't point outside of it.
+ * @param {string} requestedPath - Absolute server path from the request body.
+ * @returns {Promise<string>}
+ */
+async function resolveAllowedDirectory(requestedPath) {
+  if (typeof requestedPath !== "string" || !path.isAbsolute(requestedPath)) throw new Error("PATH_NOT_ALLOWED");
+
+  // Checked before touching the disk, so paths outside the roots can't be probed for existence
+  if (!isInsideAllowedRoot(path.resolve(requestedPath))) throw new Error("PATH_NOT_ALLOWED");
+
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(requestedPath);
+  } catch {
+    throw new Error("PATH_NOT_FOUND");
+  }
+
+  if (!isInsideAllowedRoot(realPath)) throw new Error("PATH_NOT_ALLOWED");
+
+  const dirStat = await fs.promises.stat(realPath);
+  if (!dirStat.isDirectory()) throw new Error("PATH_NOT_FOUND");
+
+  return realPath;
 }
 
 /* =========================
  * Cleanup
  * ========================= */
 /**
- * Schedules deletion of the uploaded archive and the extracted directory after TTL.
+ * Schedules deletion of a job's temp files (archive, extracted directory) after TTL.
+ * @param {string[]} tempPaths
  */
-function scheduleJobCleanup(archivePath, extractionTargetDir) { 
+function scheduleJobCleanup(tempPaths) {
   setTimeout(async () => {
     try {
-      await safeRemovePath(archivePath);
-      await safeRemovePath(extractionTargetDir);
+      for (const tempPath of tempPaths) await safeRemovePath(tempPath);
     } catch {
       // Intentionally ignore cleanup errors
     }
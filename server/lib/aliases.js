@@ -0,0 +1,460 @@
+/**
+ * lib/aliases.js
+ * --------------
+ * Non-relative import resolution based on project configuration files
+ * found inside the uploaded archive:
+ *
+ * - tsconfig.json / jsconfig.json
+ *     compilerOptions.paths   ("@/*": ["src/*"])
+ *     compilerOptions.baseUrl ("components/Button" -> "<baseUrl>/components/Button")
+ *     extends chains (relative config files inside the archive)
+ *     references (solution configs: each referenced project, e.g. Vite's tsconfig.app.json,
+ *     applies to the files its include / files cover)
+ * - package.json
+ *     "imports" subpath imports ("#utils" -> "./src/utils/index.js")
+ *     "exports" self-references ("my-pkg/feature" from inside my-pkg)
+ *
+ * The resolver returns candidate base paths (project-relative, without
+ * extension probing); lib/imports.js turns them into real files.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { matchesGlob } = require("./glob"); // tsconfig "include" patterns
+
+// Conditions we accept when walking conditional "imports"/"exports" maps.
+// Object key order decides the winner (as in Node), this only filters keys.
+const PACKAGE_CONDITIONS = new Set([
+  "source",
+  "import",
+  "module",
+  "browser",
+  "require",
+  "node",
+  "development",
+  "default",
+]);
+
+const TSCONFIG_FILE_NAMES = ["tsconfig.json", "jsconfig.json"];
+
+/* =========================
+ * JSON with comments
+ * ========================= */
+/**
+ * Parses JSON that may contain comments and trailing commas (tsconfig style).
+ * Returns null when the content is not valid even after cleanup.
+ */
+function parseJsonc(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  let output = "";
+  let inString = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === "\\") {
+        output += next ?? "";
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === "/" && next === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      output += "\n";
+    } else if (char === "/" && next === "*") {
+      i += 2;
+      while (i < source.length && !(source[i] === "*" && source[i + 1] === "/")) i++;
+      i++;
+    } else if (char === ",") {
+      // Drop trailing commas: "," followed only by whitespace before "}" or "]"
+      const rest = source.slice(i + 1).match(/^\s*(.)/);
+      if (!rest || (rest[1] !== "}" && rest[1] !== "]")) output += char;
+    } else {
+      output += char;
+    }
+  }
+
+  try {
+    return JSON.parse(output);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads and parses a JSON(C) file from the extracted project.
+ */
+async function readJsonFile(rootDir, relPath) {
+  try {
+    const content = await fs.promises.readFile(path.join(rootDir, relPath), "utf8");
+    return parseJsonc(content);
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+ * Pattern helpers
+ * ========================= */
+/**
+ * Matches a specifier against a pattern with at most one "*".
+ * Returns the text captured by "*" ("" for exact matches) or null.
+ */
+function matchStarPattern(pattern, specifier) {
+  const starIndex = pattern.indexOf("*");
+  if (starIndex === -1) return pattern === specifier ? "" : null;
+
+  const prefix = pattern.slice(0, starIndex);
+  const suffix = pattern.slice(starIndex + 1);
+
+  if (specifier.length < prefix.length + suffix.length) return null;
+  if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix)) return null;
+
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+/**
+ * Finds the best matching key of a pattern map: exact match first,
+ * then the pattern with the longest prefix before "*" (TS + Node rules).
+ * @returns {{key:string, captured:string}|null}
+ */
+function findBestPatternMatch(keys, specifier) {
+  if (keys.includes(specifier)) return { key: specifier, captured: "" };
+
+  let best = null;
+  for (const key of keys) {
+    if (!key.includes("*")) continue;
+
+    const captured = matchStarPattern(key, specifier);
+    if (captured === null) continue;
+
+    const prefixLength = key.indexOf("*");
+    if (!best || prefixLength > best.key.indexOf("*")) best = { key, captured };
+  }
+
+  return best;
+}
+
+/**
+ * Returns the closest ancestor folder of a file that is in `folders`
+ * (a Map keyed by folder path, "" for the project root).
+ */
+function findNearestFolderEntry(fromFileRelPath, folders) {
+  let dir = path.posix.dirname(fromFileRelPath);
+
+  while (true) {
+    const key = dir === "." ? "" : dir;
+    if (folders.has(key)) return folders.get(key);
+    if (!key) return null;
+    dir = path.posix.dirname(dir);
+  }
+}
+
+/* =========================
+ * tsconfig / jsconfig
+ * ========================= */
+/**
+ * Loads one tsconfig/jsconfig with its "extends" chain and returns the
+ * raw alias settings, with every path made project-relative:
+ * - baseUrl:        folder used for bare "baseUrl" resolution (or null)
+ * - paths:          the "paths" map (or null)
+ * - pathsConfigDir: folder of the config that declared "paths"
+ * - include / files: the files the config covers, made project-relative (null = not set)
+ */
+async function loadTsconfigChain(rootDir, configRelPath, existingRelPathsSet, visited) {
+  if (visited.has(configRelPath)) return null; // extends cycle
+  visited.add(configRelPath);
+
+  const config = await readJsonFile(rootDir, configRelPath);
+  if (!config || typeof config !== "object") return null;
+
+  const configDir = path.posix.dirname(configRelPath);
+
+  // Start from the parent configs (later entries override earlier ones)
+  const effective = { baseUrl: null, paths: null, pathsConfigDir: null, include: null, files: null };
+  const parentSpecs = Array.isArray(config.extends) ? config.extends : config.extends ? [config.extends] : [];
+
+  for (const parentSpec of parentSpecs) {
+    // Only relative configs can live inside the archive (package configs sit in node_modules)
+    if (typeof parentSpec !== "string" || !parentSpec.startsWith(".")) continue;
+
+    let parentRelPath = path.posix.normalize(path.posix.join(configDir, parentSpec));
+    if (!existingRelPathsSet.has(parentRelPath) && existingRelPathsSet.has(`${parentRelPath}.json`)) {
+      parentRelPath = `${parentRelPath}.json`;
+    }
+    if (!existingRelPathsSet.has(parentRelPath)) continue;
+
+    const parent = await loadTsconfigChain(rootDir, parentRelPath, existingRelPathsSet, visited);
+    if (!parent) continue;
+
+    if (parent.baseUrl) effective.baseUrl = parent.baseUrl;
+    if (parent.paths) Object.assign(effective, { paths: parent.paths, pathsConfigDir: parent.pathsConfigDir });
+    if (parent.include) effective.include = parent.include;
+    if (parent.files) effective.files = parent.files;
+  }
+
+  // "include" / "files" entries are relative to the config that declares them
+  const toProjectPaths = (entries) =>
+    entries.filter((entry) => typeof entry === "string").map((entry) => path.posix.normalize(path.posix.join(configDir, entry)));
+  if (Array.isArray(config.include)) effective.include = toProjectPaths(config.include);
+  if (Array.isArray(config.files)) effective.files = toProjectPaths(config.files);
+
+  const compilerOptions = config.compilerOptions || {};
+
+  if (typeof compilerOptions.baseUrl === "string") {
+    effective.baseUrl = path.posix.normalize(path.posix.join(configDir, compilerOptions.baseUrl));
+  }
+
+  if (compilerOptions.paths && typeof compilerOptions.paths === "object") {
+    effective.paths = compilerOptions.paths;
+    effective.pathsConfigDir = configDir;
+  }
+
+  return effective;
+}
+
+/**
+ * Loads the effective aliases of a tsconfig/jsconfig.
+ * "paths" targets are relative to baseUrl, or to the declaring config when there is no baseUrl.
+ * @returns {Promise<{baseUrl:string|null, paths:object|null, pathsBaseDir:string|null, configDir:string, include:string[]|null, files:string[]|null}|null>}
+ */
+async function loadTsconfigAliases(rootDir, configRelPath, existingRelPathsSet) {
+  const chain = await loadTsconfigChain(rootDir, configRelPath, existingRelPathsSet, new Set());
+  if (!chain) return null;
+
+  return {
+    baseUrl: chain.baseUrl,
+    paths: chain.paths,
+    pathsBaseDir: chain.paths ? chain.baseUrl ?? chain.pathsConfigDir : null,
+    configDir: path.posix.dirname(configRelPath),
+    include: chain.include,
+    files: chain.files,
+  };
+}
+
+function hasTsconfigAliases(aliases) {
+  return Boolean(aliases && (aliases.paths || aliases.baseUrl));
+}
+
+/**
+ * Lists the configs a tsconfig "references" (project-relative paths of the ones inside the archive).
+ * A reference names a config file or a folder holding a tsconfig.json.
+ */
+async function listTsconfigReferences(rootDir, configRelPath, existingRelPathsSet) {
+  const config = await readJsonFile(rootDir, configRelPath);
+  if (!config || !Array.isArray(config.references)) return [];
+
+  const configDir = path.posix.dirname(configRelPath);
+  return config.references
+    .filter((reference) => typeof reference?.path === "string")
+    .map((reference) => path.posix.normalize(path.posix.join(configDir, reference.path)))
+    .map((referenceRelPath) =>
+      existingRelPathsSet.has(referenceRelPath) ? referenceRelPath : path.posix.join(referenceRelPath, "tsconfig.json")
+    )
+    .filter((referenceRelPath) => existingRelPathsSet.has(referenceRelPath));
+}
+
+/**
+ * Returns true when a file is part of a tsconfig's project: listed in "files", matched by "include"
+ * (a pattern without wildcards also covers the folder it names), or anywhere under the config's
+ * folder when it sets neither (TypeScript's default include).
+ */
+function isCoveredByTsconfig(aliases, fileRelPath) {
+  if (!aliases.include && !aliases.files) {
+    return aliases.configDir === "." || fileRelPath.startsWith(`${aliases.configDir}/`);
+  }
+
+  if (aliases.files?.includes(fileRelPath)) return true;
+  return (aliases.include || []).some((pattern) => {
+    if (pattern === ".") return true;
+    return matchesGlob(fileRelPath, pattern) || matchesGlob(fileRelPath, `${pattern}/**`);
+  });
+}
+
+/**
+ * Returns candidate bases for a specifier using tsconfig "paths" and "baseUrl".
+ */
+function getTsconfigCandidates(aliases, specifier) {
+  const candidates = [];
+
+  if (aliases.paths) {
+    const match = findBestPatternMatch(Object.keys(aliases.paths), specifier);
+    const targets = match ? aliases.paths[match.key] : null;
+
+    if (Array.isArray(targets)) {
+      for (const target of targets) {
+        if (typeof target !== "string") continue;
+        const substituted = target.replace("*", match.captured);
+        candidates.push(path.posix.normalize(path.posix.join(aliases.pathsBaseDir, substituted)));
+      }
+    }
+  }
+
+  if (aliases.baseUrl) {
+    candidates.push(path.posix.normalize(path.posix.join(aliases.baseUrl, specifier)));
+  }
+
+  return candidates;
+}
+
+/* =========================
+ * package.json "imports" / "exports"
+ * ========================= */
+/**
+ * Resolves an "imports"/"exports" target value (string, array of fallbacks,
+ * or conditions object) into package-relative targets like "./src/x.js".
+ */
+function collectConditionalTargets(target, captured) {
+  if (typeof target === "string") {
+    // Only package-internal targets are files; bare targets point to other packages
+    return target.startsWith("./") ? [target.split("*").join(captured)] : [];
+  }
+
+  if (Array.isArray(target)) {
+    return target.flatMap((item) => collectConditionalTargets(item, captured));
+  }
+
+  if (target && typeof target === "object") {
+    for (const [condition, value] of Object.entries(target)) {
+      if (!PACKAGE_CONDITIONS.has(condition)) continue;
+      const resolved = collectConditionalTargets(value, captured);
+      if (resolved.length) return resolved;
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Resolves a specifier against a subpath map ("imports" or the object form of "exports").
+ * @returns {string[]} Package-relative targets.
+ */
+function resolveSubpathMap(subpathMap, subpath) {
+  const match = findBestPatternMatch(Object.keys(subpathMap), subpath);
+  if (!match) return [];
+  return collectConditionalTargets(subpathMap[match.key], match.captured);
+}
+
+/**
+ * Resolves a subpath ("." or "./feature") through a package.json "exports" field.
+ * Falls back to "module"/"main" for the package root when there is no "exports".
+ * @param {object} packageJson - Parsed package.json.
+ * @param {string} subpath - "." or "./something".
+ * @returns {string[]} Package-relative targets.
+ */
+function resolvePackageExports(packageJson, subpath) {
+  const { exports: exportsField } = packageJson;
+
+  if (exportsField === undefined || exportsField === null) {
+    if (subpath !== ".") return [subpath];
+    const entry = packageJson.module || packageJson.main || "./index.js";
+    return [entry.startsWith(".") ? entry : `./${entry}`];
+  }
+
+  // Sugar forms: "exports": "./index.js" / [...] / { "import": ..., "require": ... }
+  const isSubpathMap =
+    typeof exportsField === "object" &&
+    !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((key) => key.startsWith("."));
+
+  if (!isSubpathMap) return subpath === "." ? collectConditionalTargets(exportsField, "") : [];
+  return resolveSubpathMap(exportsField, subpath);
+}
+
+/* =========================
+ * Resolver
+ * ========================= */
+/**
+ * Loads every tsconfig/jsconfig and package.json in the project and returns
+ * a resolver for non-relative specifiers.
+ * @param {string} rootDir - Extraction root directory.
+ * @param {string[]} relPaths - Project-relative paths of all analyzed files.
+ * @returns {Promise<{getCandidateBases:(fromFileRelPath:string, specifier:string) => string[]}>}
+ */
+async function loadAliasResolver(rootDir, relPaths) {
+  const existingRelPathsSet = new Set(relPaths);
+
+  // Folder -> effective tsconfig aliases (tsconfig.json wins over jsconfig.json):
+  // { referenced: aliases of the referenced projects, own: the config's own aliases or null }
+  const tsconfigByFolder = new Map();
+  // Folder -> parsed package.json
+  const packageJsonByFolder = new Map();
+
+  for (const relPath of relPaths) {
+    const fileName = path.posix.basename(relPath);
+    const folder = path.posix.dirname(relPath) === "." ? "" : path.posix.dirname(relPath);
+
+    if (TSCONFIG_FILE_NAMES.includes(fileName)) {
+      if (fileName === "jsconfig.json" && existingRelPathsSet.has(path.posix.join(folder, "tsconfig.json"))) continue;
+
+      const ownAliases = await loadTsconfigAliases(rootDir, relPath, existingRelPathsSet);
+      const referencedAliases = [];
+      for (const referenceRelPath of await listTsconfigReferences(rootDir, relPath, existingRelPathsSet)) {
+        const aliases = await loadTsconfigAliases(rootDir, referenceRelPath, existingRelPathsSet);
+        if (hasTsconfigAliases(aliases)) referencedAliases.push(aliases);
+      }
+
+      if (hasTsconfigAliases(ownAliases) || referencedAliases.length) {
+        tsconfigByFolder.set(folder, { referenced: referencedAliases, own: hasTsconfigAliases(ownAliases) ? ownAliases : null });
+      }
+    } else if (fileName === "package.json") {
+      const packageJson = await readJsonFile(rootDir, relPath);
+      if (packageJson && typeof packageJson === "object") packageJsonByFolder.set(folder, { folder, packageJson });
+    }
+  }
+
+  /**
+   * Returns project-relative candidate bases for a non-relative specifier.
+   */
+  function getCandidateBases(fromFileRelPath, specifier) {
+    const packageEntry = findNearestFolderEntry(fromFileRelPath, packageJsonByFolder);
+
+    // 1) package.json "imports" (#subpath)
+    if (specifier.startsWith("#")) {
+      const importsField = packageEntry?.packageJson.imports;
+      if (!importsField || typeof importsField !== "object") return [];
+
+      return resolveSubpathMap(importsField, specifier).map((target) =>
+        path.posix.normalize(path.posix.join(packageEntry.folder, target))
+      );
+    }
+
+    const candidates = [];
+
+    // 2) tsconfig/jsconfig "paths" + "baseUrl": the referenced project that covers the file, else the config's own
+    const tsconfigEntry = findNearestFolderEntry(fromFileRelPath, tsconfigByFolder);
+    const aliases =
+      tsconfigEntry?.referenced.find((referenced) => isCoveredByTsconfig(referenced, fromFileRelPath)) ||
+      tsconfigEntry?.own;
+    if (aliases) candidates.push(...getTsconfigCandidates(aliases, specifier));
+
+    // 3) Self-reference through the package's own "exports"
+    const packageName = packageEntry?.packageJson.name;
+    if (packageName && packageEntry.packageJson.exports && (specifier === packageName || specifier.startsWith(`${packageName}/`))) {
+      const subpath = `.${specifier.slice(packageName.length)}`;
+      for (const target of resolvePackageExports(packageEntry.packageJson, subpath)) {
+        candidates.push(path.posix.normalize(path.posix.join(packageEntry.folder, target)));
+      }
+    }
+
+    return candidates;
+  }
+
+  return { getCandidateBases };
+}
+
+module.exports = {
+  parseJsonc,
+  readJsonFile,
+  resolvePackageExports,
+  loadAliasResolver,
+};
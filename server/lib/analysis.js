@@ -0,0 +1,353 @@
+/**
+ * lib/analysis.js
+ * ---------------
+ * The analysis pipeline of Codebase Explorer, independent of how the files got on disk.
+ *
+ * Given a directory, it builds:
+ *   1) File tree
+ *   2) Local-import dependency graph (JS/TS, Vue / Svelte, stylesheets, Python, Go, Java / Kotlin,
+ *      see importGraph.js)
+ *   2b) Package-level graph for monorepo workspaces (see workspaces.js)
+ *   2c) Optional npm / Node builtin package nodes (see dependencies.js)
+ *   3) Quick stats (+ import cycles, undeclared / unused dependency report,
+ *      architecture rule violations, see rules.js, dead code report, see deadCode.js,
+ *      code metrics totals, see metrics.js, coupling metrics, see coupling.js,
+ *      git history report, see history.js)
+ *
+ * Used by the server's background jobs (index.js) and by the command-line interface (bin/).
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { buildLocalImportsGraph } = require("./importGraph"); // Import graph of every language
+const { detectWorkspaces, buildPackageGraph } = require("./workspaces"); // Monorepo packages
+const {
+  loadPackageManifests,
+  annotateExternalDependencies,
+  buildDependencyReport,
+} = require("./dependencies"); // npm packages + declared/undeclared report
+const { findImportCycles } = require("./cycles"); // Circular dependency detection
+const { loadProjectRules, checkArchitectureRules } = require("./rules"); // Forbidden dependencies
+const { detectEntryPoints, findDeadCode } = require("./deadCode"); // Entry points + unreachable files
+const { buildMetricsReport } = require("./metrics"); // Code metrics per folder / extension
+const { computeCouplingMetrics } = require("./coupling"); // Ca, Ce, instability, abstractness
+const { readGitHistory, buildHistoryReport } = require("./history"); // Change frequency, owners, co-changes
+
+// Common "noise" directories that are never analyzed
+const IGNORED_FOLDER_NAMES = [
+  "node_modules",
+  ".git",
+  "dist",
+  "build",
+  "coverage",
+  ".next",
+  ".nuxt",
+  ".svelte-kit",
+  ".cache",
+  ".turbo",
+  ".vite",
+  "out",
+  "__pycache__",
+  ".venv",
+  "venv",
+  ".gradle",
+];
+
+/* =========================
+ * Pipeline
+ * ========================= */
+/**
+ * Analyzes every file under a directory.
+ * Phases reported through onProgress: scanning -> parsing -> analyzing
+ * (parsing also reports { filesParsed, filesToParse }).
+ * @param {string} rootDir - Directory to analyze (read-only).
+ * @param {object} [options]
+ * @param {boolean} [options.includeExternalPackages] - Add npm / Node builtin package nodes + dependency report.
+ * @param {object[]} [options.rules] - Architecture rules (parseRulesConfig()); default: the project's
+ *   committed rules file, if any.
+ * @param {string[]} [options.entryPoints] - Entry point globs (relative to the project folder), added to
+ *   the detected ones for the dead code report.
+ * @param {import("./history").HistorySource} [options.history] - Git history to read for the history
+ *   report (stats.history is null without it, or when it cannot be read).
+ * @param {number} [options.maxFiles] - Throws "TOO_MANY_FILES" past this count.
+ * @param {object} [options.analysisPool] - Worker threads that parse the files (createAnalysisPool() of
+ *   lib/analysisWorker.js); default: parse on the main thread.
+ * @param {AbortSignal} [options.signal] - Aborting rejects with "JOB_CANCELLED".
+ * @param {(progress:object) => void} [options.onProgress]
+ * @returns {Promise<{filesCount:number, stats:object, tree:object, graph:object, packageGraph:object|null}>}
+ */
+async function analyzeDirectory(rootDir, options = {}) {
+  const {
+    includeExternalPackages = false,
+    rules = null,
+    entryPoints = [],
+    history = null,
+    maxFiles,
+    analysisPool,
+    signal,
+    onProgress = () => {},
+  } = options;
+  const throwIfCancelled = () => {
+    if (signal?.aborted) throw new Error("JOB_CANCELLED");
+  };
+
+  // Collect all files to analyze (absolute paths), without "noise" folders
+  throwIfCancelled();
+  onProgress({ phase: "scanning" });
+  const analyzedFilesAbs = await walkDirectoryFiles(rootDir, {
+    ignoredFolderNames: IGNORED_FOLDER_NAMES,
+    maxFiles,
+  });
+
+  // Build outputs
+  const fileTree = buildFileTreeFromPaths(rootDir, analyzedFilesAbs);
+  const analyzedRelPaths = analyzedFilesAbs.map((absPath) => path.relative(rootDir, absPath).replace(/\\/g, "/"));
+  const workspaces = await detectWorkspaces(rootDir, analyzedRelPaths);
+
+  // External packages are checked against the nearest package.json
+  const manifests = includeExternalPackages ? await loadPackageManifests(rootDir, analyzedRelPaths) : null;
+
+  onProgress({ phase: "parsing" });
+  const importsGraph = await buildLocalImportsGraph(rootDir, analyzedFilesAbs, {
+    workspaces,
+    includeExternalPackages,
+    manifests,
+    analysisPool,
+    signal,
+    onProgress,
+  });
+
+  throwIfCancelled();
+  onProgress({ phase: "analyzing" });
+  const packageGraph = buildPackageGraph(workspaces, importsGraph);
+
+  if (manifests) annotateExternalDependencies(importsGraph, manifests);
+
+  // Rules sent with the analysis win over the project's committed rules file
+  const ruleSet = rules
+    ? { file: null, basePath: getWrapperFolder(analyzedRelPaths), rules }
+    : await loadProjectRules(rootDir, analyzedRelPaths);
+
+  const detectedEntryPoints = await detectEntryPoints(rootDir, analyzedRelPaths, importsGraph, {
+    patterns: entryPoints,
+    basePath: getWrapperFolder(analyzedRelPaths),
+  });
+
+  const gitHistory = history ? await readGitHistory(history, { signal }) : null;
+
+  const stats = buildAnalysisStats(rootDir, analyzedFilesAbs, importsGraph, {
+    manifests,
+    ruleSet,
+    entryPoints: detectedEntryPoints,
+    gitHistory,
+  });
+  throwIfCancelled();
+
+  return {
+    filesCount: analyzedFilesAbs.length,
+    stats,
+    tree: fileTree,
+    graph: importsGraph,
+    packageGraph,
+  };
+}
+
+/* =========================
+ * Helper: Walk Directory
+ * ========================= */
+/**
+ * Recursively collects all file paths under a directory.
+ * Symbolic links are skipped (they could point outside the directory).
+ * @param {string} dir - Root directory to scan.
+ * @param {{ignoredFolderNames?:string[], maxFiles?:number}} [options]
+ *   - ignoredFolderNames: folders that are not entered at all (node_modules, .git...)
+ *   - maxFiles: throws "TOO_MANY_FILES" past this count (server directories have no extraction limits)
+ * @returns {Promise<string[]>} Absolute paths to all files found.
+ */
+async function walkDirectoryFiles(dir, options = {}, files = []) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (options.ignoredFolderNames?.includes(entry.name)) continue;
+      await walkDirectoryFiles(fullPath, options, files);
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+      if (options.maxFiles && files.length > options.maxFiles) throw new Error("TOO_MANY_FILES");
+    }
+  }
+
+  return files;
+}
+
+/* =========================
+ * Helper: Build File Tree
+ * ========================= */
+/**
+ * Builds a hierarchical folder/file structure from a list of absolute file paths.
+ * @param {string} rootDir - Root extraction directory (used to create relative paths).
+ * @param {string[]} filePathsAbs - Absolute file paths to include.
+ * @returns {{name:string,type:"folder",children:any[]}} Tree object for the frontend.
+ */
+function buildFileTreeFromPaths(rootDir, filePathsAbs) {
+  const root = { name: "root", type: "folder", children: [] };
+
+  function getOrCreateFolderNode(parentNode, folderName) {
+    let folderNode = parentNode.children.find(
+      (child) => child.type === "folder" && child.name === folderName
+    );
+
+    if (!folderNode) {
+      folderNode = { name: folderName, type: "folder", children: [] };
+      parentNode.children.push(folderNode);
+
+      // Keep folders first, then files, both alphabetically
+      parentNode.children.sort((a, b) =>
+        a.type === b.type ? a.name.localeCompare(b.name) : a.type === "folder" ? -1 : 1
+      );
+    }
+
+    return folderNode;
+  }
+
+  for (const absPath of filePathsAbs) {
+    const relPath = path.relative(rootDir, absPath).replace(/\\/g, "/");
+    const parts = relPath.split("/").filter(Boolean);
+
+    let currentNode = root;
+
+    for (let i = 0; i < parts.length; i++) {
+      const name = parts[i];
+      const isLast = i === parts.length - 1;
+
+      if (isLast) {
+        currentNode.children.push({ name, type: "file", path: relPath });
+      } else {
+        currentNode = getOrCreateFolderNode(currentNode, name);
+      }
+    }
+  }
+
+  // Sort recursively so the entire tree is stable and consistent
+  function sortTree(node) {
+    if (!node.children) return;
+
+    node.children.sort((a, b) =>
+      a.type === b.type ? a.name.localeCompare(b.name) : a.type === "folder" ? -1 : 1
+    );
+
+    node.children.forEach(sortTree);
+  }
+
+  sortTree(root);
+  return root;
+}
+
+/**
+ * Returns the single top-level folder every file is in ("my-app" for most zipped projects), or "".
+ */
+function getWrapperFolder(relPaths) {
+  const topFolders = new Set(relPaths.map((relPath) => (relPath.includes("/") ? relPath.split("/")[0] : "")));
+  const [topFolder] = topFolders;
+  return topFolders.size === 1 ? topFolder : "";
+}
+
+/**
+ * Returns the paths of every file in a tree built by buildFileTreeFromPaths().
+ */
+function collectTreeFilePaths(treeNode, filePaths = new Set()) {
+  if (treeNode.type === "file") filePaths.add(treeNode.path);
+  for (const child of treeNode.children || []) collectTreeFilePaths(child, filePaths);
+  return filePaths;
+}
+
+/* =========================
+ * Stats
+ * ========================= */
+/**
+ * Builds quick stats:
+ * - file count per extension, graph file count per language
+ * - code metrics totals (whole project, per extension, per folder)
+ * - coupling metrics of every file and folder (Ca, Ce, instability, abstractness, distance)
+ * - graph node/edge counts
+ * - most connected files (degree, package nodes excluded)
+ * - import cycles (strongly connected components, see cycles.js)
+ * - dependency report (undeclared / unused), when package manifests are given
+ * - architecture rule violations, when a rule set is given
+ * - dead code (unreachable / orphan files, unused exports), when entry points are given
+ * - git history (change frequency, owners, co-changes, churn x complexity hotspots), when read
+ */
+function buildAnalysisStats(rootDir, filePathsAbs, graph, options = {}) {
+  const countByExtension = {};
+  const relPaths = filePathsAbs.map((absPath) => path.relative(rootDir, absPath).replace(/\\/g, "/"));
+
+  for (const relPath of relPaths) {
+    const ext = path.extname(relPath).toLowerCase() || "(none)";
+    countByExtension[ext] = (countByExtension[ext] || 0) + 1;
+  }
+
+  const countByLanguage = {};
+  for (const node of graph.nodes) {
+    if (node.type === "file") countByLanguage[node.language] = (countByLanguage[node.language] || 0) + 1;
+  }
+
+  // Degree = incoming + outgoing connections
+  const degreeByNode = new Map();
+  for (const node of graph.nodes) {
+    if (node.type !== "package") degreeByNode.set(node.id, 0);
+  }
+
+  for (const edge of graph.edges) {
+    if (degreeByNode.has(edge.source)) degreeByNode.set(edge.source, degreeByNode.get(edge.source) + 1);
+    if (degreeByNode.has(edge.target)) degreeByNode.set(edge.target, degreeByNode.get(edge.target) + 1);
+  }
+
+  const topDegree = [...degreeByNode.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8)
+    .map(([id, degree]) => ({ id, degree }));
+
+  const metricsReport = buildMetricsReport(graph);
+
+  return {
+    exts: countByExtension,
+    languages: countByLanguage,
+    metrics: metricsReport,
+    coupling: computeCouplingMetrics(graph, metricsReport),
+    graph: {
+      nodes: graph.nodes.length,
+      edges: graph.edges.length,
+      topDegree,
+    },
+    cycles: findImportCycles(graph),
+    dependencies: options.manifests ? buildDependencyReport(graph, options.manifests) : null,
+    architecture: options.ruleSet ? buildArchitectureReport(graph, options.ruleSet) : null,
+    deadCode: options.entryPoints ? findDeadCode(graph, options.entryPoints) : null,
+    history: options.gitHistory ? buildHistoryReport(options.gitHistory, relPaths, graph) : null,
+  };
+}
+
+/**
+ * Violations of a rule set + where the rules came from (rulesFile: null = sent with the analysis).
+ */
+function buildArchitectureReport(graph, ruleSet) {
+  const { violations, summary } = checkArchitectureRules(graph, ruleSet.rules, { basePath: ruleSet.basePath });
+
+  return {
+    rulesFile: ruleSet.file,
+    rules: ruleSet.rules,
+    violations,
+    summary,
+  };
+}
+
+module.exports = {
+  IGNORED_FOLDER_NAMES,
+  analyzeDirectory,
+  walkDirectoryFiles,
+  buildFileTreeFromPaths,
+  collectTreeFilePaths,
+  getWrapperFolder,
+  buildAnalysisStats,
+};
@@ -0,0 +1,84 @@
+/**
+ * lib/analysisWorker.js
+ * ---------------------
+ * Tasks that lib/workerPool.js runs off the main thread:
+ * - parseFiles      reads a batch of source files and extracts their imports, exports and metrics
+ *                   (see lib/languages/), so only the parse results cross back to the main thread
+ * - extractArchive  extracts an archive with the usual safety guards (see lib/archives.js);
+ *                   7-Zip in particular runs as one long synchronous call
+ *
+ * Loaded by a worker thread, this module answers the pool's messages; on the main thread
+ * (pool size 0) the pool calls runTask() directly.
+ */
+
+const fs = require("fs"); // File system utilities
+const { isMainThread, parentPort } = require("worker_threads"); // Pool messages
+const { getLanguage } = require("./languages"); // Per-language extraction
+const { extractArchive } = require("./archives"); // Safe archive extraction
+const { getDefaultWorkerCount, createWorkerPool } = require("./workerPool"); // Bounded worker threads
+
+/**
+ * Creates the pool analyses run their tasks on (see runTask).
+ * @param {number} [size] - Max worker threads (0 = main thread; default: CPU cores - 1, see lib/workerPool.js).
+ */
+function createAnalysisPool(size = getDefaultWorkerCount()) {
+  return createWorkerPool(__filename, { size });
+}
+
+/**
+ * Runs one task.
+ * @param {"parseFiles"|"extractArchive"} type
+ * @param {object} payload
+ *   - parseFiles:     { files: { absPath, relPath }[] }
+ *   - extractArchive: { archivePath, archiveExtension, targetDir, limits }
+ * @param {{signal?:AbortSignal, onProgress?:(progress:object) => void}} [options]
+ * @returns {Promise<any>} parseFiles: the parse() result of each file, in order (null when unreadable);
+ *   extractArchive: nothing.
+ */
+async function runTask(type, payload, options = {}) {
+  switch (type) {
+    case "parseFiles":
+      return parseFiles(payload.files, options);
+    case "extractArchive":
+      return extractArchive(payload.archivePath, payload.archiveExtension, payload.targetDir, payload.limits, options);
+    default:
+      throw new Error(`Unknown analysis task: ${type}`);
+  }
+}
+
+async function parseFiles(files, { signal } = {}) {
+  const parsedModules = [];
+
+  for (const { absPath, relPath } of files) {
+    if (signal?.aborted) throw new Error("JOB_CANCELLED");
+
+    let fileContent = "";
+    try {
+      fileContent = await fs.promises.readFile(absPath, "utf8");
+    } catch {
+      // Ignore unreadable files (binary, permission, etc.)
+      parsedModules.push(null);
+      continue;
+    }
+
+    parsedModules.push(getLanguage(relPath).parse(fileContent, relPath));
+  }
+
+  return parsedModules;
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on("message", ({ type, payload }) => {
+    const onProgress = (progress) => parentPort.postMessage({ type: "progress", progress });
+
+    runTask(type, payload, { onProgress }).then(
+      (result) => parentPort.postMessage({ type: "result", result }),
+      (err) => parentPort.postMessage({ type: "error", message: err.message })
+    );
+  });
+}
+
+module.exports = {
+  createAnalysisPool,
+  runTask,
+};
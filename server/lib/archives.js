@@ -0,0 +1,471 @@
+/**
+ * lib/archives.js
+ * ---------------
+ * Safe archive extraction for Codebase Explorer.
+ *
+ * Supported formats:
+ * - ZIP            (unzipper, stream-based)
+ * - TAR / TAR.GZ   (tar, stream-based)
+ * - 7Z / RAR       (7-Zip compiled to WASM)
+ *
+ * Every extractor enforces the same guarantees:
+ * - Zip Slip protection (no entry may land outside the target directory)
+ * - Limits on file count / per-file size / total extracted size
+ *
+ * Extractors also accept { signal, onProgress } so a background job can be
+ * cancelled (AbortSignal -> "JOB_CANCELLED") and report files extracted / total.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const unzipper = require("unzipper"); // ZIP extraction library (stream-based)
+const tar = require("tar"); // TAR / TAR.GZ parser (stream-based)
+const SevenZip = require("7z-wasm"); // 7-Zip (WASM build) for 7Z and RAR
+
+/* =========================
+ * Supported Formats
+ * ========================= */
+// Order matters: multi-part extensions must be checked before their suffixes
+const ARCHIVE_EXTENSIONS = [".tar.gz", ".tgz", ".tar", ".zip", ".rar", ".7z"];
+
+// Extraction safety limits (zip-bomb mitigation), shared by the server and the CLI
+const DEFAULT_EXTRACTION_LIMITS = {
+  maxFiles: 15000, // Max number of extracted files
+  maxFileBytes: 30 * 1024 * 1024, // 30MB per extracted file
+  maxTotalBytes: 1500 * 1024 * 1024, // 1.5GB total extracted
+};
+
+/**
+ * Returns the archive extension of a file name (e.g. ".zip", ".tar.gz"),
+ * or null when the name does not end with a supported archive extension.
+ * @param {string} fileName - Original file name of the upload.
+ * @returns {string|null}
+ */
+function getArchiveExtension(fileName) {
+  const lowerName = String(fileName || "").toLowerCase();
+  return ARCHIVE_EXTENSIONS.find((ext) => lowerName.endsWith(ext)) || null;
+}
+
+/**
+ * Extracts any supported archive into a target directory.
+ * @param {string} archivePath - Absolute path to the uploaded archive.
+ * @param {string} archiveExtension - Extension returned by getArchiveExtension().
+ * @param {string} targetDir - Directory where files should be extracted.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ * @param {ExtractionOptions} [options]
+ */
+async function extractArchive(archivePath, archiveExtension, targetDir, limits, options = {}) {
+  switch (archiveExtension) {
+    case ".zip":
+      return safeExtractZip(archivePath, targetDir, limits, options);
+    case ".tar":
+    case ".tar.gz":
+    case ".tgz":
+      return safeExtractTar(archivePath, targetDir, limits, options);
+    case ".7z":
+    case ".rar":
+      return safeExtractWithSevenZip(archivePath, targetDir, limits, options);
+    default:
+      throw new Error("INVALID_FILE_TYPE");
+  }
+}
+
+/**
+ * @typedef {object} ExtractionOptions
+ * @property {AbortSignal} [signal] - Aborting stops the extraction with "JOB_CANCELLED".
+ * @property {(progress:{filesExtracted:number, filesTotal:number|null}) => void} [onProgress]
+ *   Called after each extracted file (filesTotal is null when unknown up front, e.g. TAR streams).
+ */
+
+/* =========================
+ * Shared Guards
+ * ========================= */
+/**
+ * Throws "JOB_CANCELLED" once the signal has been aborted.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new Error("JOB_CANCELLED");
+}
+
+/**
+ * Tracks file count and total size while extracting, throwing once a limit is crossed.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ */
+function createExtractionBudget(limits) {
+  let extractedTotalBytes = 0;
+  let extractedFilesCount = 0;
+
+  return {
+    /**
+     * Registers one file with its declared (uncompressed) size.
+     */
+    addFile(declaredBytes) {
+      extractedFilesCount += 1;
+      if (extractedFilesCount > limits.maxFiles) throw new Error("ARCHIVE_LIMITS_EXCEEDED");
+
+      const size = Number(declaredBytes || 0);
+      if (size > limits.maxFileBytes) throw new Error("ARCHIVE_LIMITS_EXCEEDED");
+
+      extractedTotalBytes += size;
+      if (extractedTotalBytes > limits.maxTotalBytes) throw new Error("ARCHIVE_LIMITS_EXCEEDED");
+    },
+  };
+}
+
+/**
+ * Converts an entry path from inside an archive into a destination path,
+ * rejecting unsafe ones like "../../etc/passwd" or absolute paths "/root/...".
+ * @param {string} targetDir - Extraction root directory.
+ * @param {string} entryPath - Path as stored inside the archive.
+ * @returns {string} Absolute destination path inside targetDir.
+ */
+function resolveSafeEntryPath(targetDir, entryPath) {
+  // --- Zip Slip protection ---
+  const relPath = String(entryPath).replace(/\\/g, "/");
+  const normalizedRelPath = path.posix.normalize(relPath);
+
+  if (
+    normalizedRelPath.startsWith("..") ||
+    normalizedRelPath.includes("/../") ||
+    path.posix.isAbsolute(normalizedRelPath) ||
+    /^[a-zA-Z]:/.test(normalizedRelPath)
+  ) {
+    throw new Error("UNSAFE_ARCHIVE_PATH");
+  }
+
+  const destinationPath = path.join(targetDir, normalizedRelPath);
+
+  // Extra guard: ensure final resolved path stays inside targetDir
+  const resolvedTargetDir = path.resolve(targetDir);
+  const resolvedDestinationPath = path.resolve(destinationPath);
+
+  if (
+    !resolvedDestinationPath.startsWith(resolvedTargetDir + path.sep) &&
+    resolvedDestinationPath !== resolvedTargetDir
+  ) {
+    throw new Error("UNSAFE_ARCHIVE_PATH");
+  }
+
+  return destinationPath;
+}
+
+/**
+ * Streams an entry into a file while enforcing the per-file size limit.
+ * @param {import("stream").Readable} readStream - Entry content stream.
+ * @param {string} destinationPath - Where to write the file.
+ * @param {number} maxFileBytes - Per-file size limit.
+ */
+async function writeEntryStream(readStream, destinationPath, maxFileBytes) {
+  // Ensure destination folder exists
+  await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+
+  await new Promise((resolve, reject) => {
+    let writtenBytes = 0;
+
+    const writeStream = fs.createWriteStream(destinationPath);
+
+    // Pipe before listening for "data": some entry streams start flowing synchronously
+    readStream.pipe(writeStream);
+
+    readStream.on("data", (chunk) => {
+      writtenBytes += chunk.length;
+
+      // If the file grows beyond limit, abort extraction
+      if (writtenBytes > maxFileBytes) {
+        readStream.destroy();
+        writeStream.destroy();
+        reject(new Error("ARCHIVE_LIMITS_EXCEEDED"));
+      }
+    });
+
+    readStream.on("error", reject);
+    writeStream.on("error", reject);
+    writeStream.on("finish", resolve);
+  });
+}
+
+/* =========================
+ * ZIP
+ * ========================= */
+/**
+ * Safely extracts a ZIP archive into a target directory.
+ * @param {string} zipPath - Absolute path to the uploaded ZIP file.
+ * @param {string} targetDir - Directory where files should be extracted.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ * @param {ExtractionOptions} [options]
+ */
+async function safeExtractZip(zipPath, targetDir, limits, options = {}) {
+  const { signal, onProgress } = options;
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  const budget = createExtractionBudget(limits);
+
+  // Read ZIP directory entries (metadata + streams)
+  const zipDirectory = await unzipper.Open.file(zipPath);
+
+  // Skip directory entries, only extract files
+  const fileEntries = zipDirectory.files.filter((entry) => entry.type !== "Directory");
+  let filesExtracted = 0;
+
+  for (const entry of fileEntries) {
+    throwIfCancelled(signal);
+
+    // Uncompressed size is often available; still guard during streaming just in case
+    budget.addFile(entry.uncompressedSize);
+
+    const destinationPath = resolveSafeEntryPath(targetDir, entry.path);
+    await writeEntryStream(entry.stream(), destinationPath, limits.maxFileBytes);
+
+    filesExtracted += 1;
+    onProgress?.({ filesExtracted, filesTotal: fileEntries.length });
+  }
+}
+
+/* =========================
+ * TAR / TAR.GZ
+ * ========================= */
+// Entry types that carry regular file content (links, devices, FIFOs are skipped)
+const TAR_FILE_ENTRY_TYPES = new Set(["File", "OldFile", "ContiguousFile"]);
+
+/**
+ * Safely extracts a TAR archive (optionally gzip-compressed) into a target directory.
+ * Compression is detected automatically by the parser.
+ * @param {string} tarPath - Absolute path to the uploaded TAR / TAR.GZ file.
+ * @param {string} targetDir - Directory where files should be extracted.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ * @param {ExtractionOptions} [options]
+ */
+async function safeExtractTar(tarPath, targetDir, limits, options = {}) {
+  const { signal, onProgress } = options;
+  await fs.promises.mkdir(targetDir, { recursive: true });
+  throwIfCancelled(signal);
+
+  const budget = createExtractionBudget(limits);
+  const pendingWrites = [];
+  let filesExtracted = 0;
+
+  await new Promise((resolve, reject) => {
+    const sourceStream = fs.createReadStream(tarPath);
+    const parser = new tar.Parser({ strict: true });
+    let failed = false;
+
+    const onAbort = () => fail(new Error("JOB_CANCELLED"));
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      signal?.removeEventListener("abort", onAbort);
+      sourceStream.destroy();
+      reject(err);
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    parser.on("entry", (entry) => {
+      // Drain anything we do not extract so the parser can move on
+      if (failed || !TAR_FILE_ENTRY_TYPES.has(entry.type)) return entry.resume();
+
+      try {
+        budget.addFile(entry.size);
+        const destinationPath = resolveSafeEntryPath(targetDir, entry.path);
+        pendingWrites.push(
+          writeEntryStream(entry, destinationPath, limits.maxFileBytes)
+            .then(() => {
+              filesExtracted += 1;
+              // The total is unknown until the whole stream has been read
+              onProgress?.({ filesExtracted, filesTotal: null });
+            })
+            .catch(fail)
+        );
+      } catch (err) {
+        entry.resume();
+        fail(err);
+      }
+    });
+
+    parser.on("error", () => fail(new Error("ARCHIVE_EXTRACTION_FAILED")));
+    parser.on("end", () =>
+      Promise.all(pendingWrites).then(() => {
+        if (failed) return;
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      })
+    );
+    sourceStream.on("error", fail);
+
+    sourceStream.pipe(parser);
+  });
+}
+
+/* =========================
+ * 7Z / RAR (7-Zip WASM)
+ * ========================= */
+// Mount points inside the WASM virtual file system
+const SEVEN_ZIP_SOURCE_MOUNT = "/source";
+const SEVEN_ZIP_TARGET_MOUNT = "/target";
+
+/**
+ * Runs one 7-Zip command with the archive folder and target folder mounted.
+ * @param {string} archivePath - Absolute path to the archive on disk.
+ * @param {string} targetDir - Directory mounted as the output folder.
+ * @param {(archiveInWasm:string) => string[]} buildArgs - Builds the CLI arguments.
+ * @returns {Promise<string[]>} Lines printed to stdout.
+ */
+async function runSevenZip(archivePath, targetDir, buildArgs) {
+  const outputLines = [];
+
+  const sevenZip = await SevenZip({
+    print: (line) => outputLines.push(line),
+    printErr: () => {},
+  });
+
+  sevenZip.FS.mkdir(SEVEN_ZIP_SOURCE_MOUNT);
+  sevenZip.FS.mkdir(SEVEN_ZIP_TARGET_MOUNT);
+  sevenZip.FS.mount(sevenZip.NODEFS, { root: path.dirname(archivePath) }, SEVEN_ZIP_SOURCE_MOUNT);
+  sevenZip.FS.mount(sevenZip.NODEFS, { root: targetDir }, SEVEN_ZIP_TARGET_MOUNT);
+
+  const archiveInWasm = `${SEVEN_ZIP_SOURCE_MOUNT}/${path.basename(archivePath)}`;
+
+  let exitCode;
+  try {
+    exitCode = sevenZip.callMain(buildArgs(archiveInWasm));
+  } catch {
+    exitCode = -1;
+  }
+
+  if (exitCode !== 0) throw new Error("ARCHIVE_EXTRACTION_FAILED");
+  return outputLines;
+}
+
+/**
+ * Parses the technical listing ("7z l -slt") into entry objects.
+ * @param {string[]} lines - Listing output.
+ * @returns {{path:string, size:number, isDirectory:boolean, isEncrypted:boolean}[]}
+ */
+function parseSevenZipListing(lines) {
+  const entries = [];
+  let current = null;
+  let inEntriesSection = false;
+
+  for (const line of lines) {
+    // Archive-level properties come first, entries start after the dashed separator
+    if (line.startsWith("----------")) {
+      inEntriesSection = true;
+      continue;
+    }
+    if (!inEntriesSection) continue;
+
+    const separatorIndex = line.indexOf(" = ");
+    if (separatorIndex === -1) continue;
+
+    const key = line.slice(0, separatorIndex);
+    const value = line.slice(separatorIndex + 3);
+
+    if (key === "Path") {
+      current = { path: value, size: 0, isDirectory: false, isEncrypted: false };
+      entries.push(current);
+    } else if (current && key === "Size") {
+      current.size = Number(value || 0);
+    } else if (current && key === "Folder") {
+      current.isDirectory = value === "+";
+    } else if (current && key === "Attributes") {
+      current.isDirectory = current.isDirectory || value.startsWith("D");
+    } else if (current && key === "Encrypted") {
+      current.isEncrypted = value === "+";
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Safely extracts a 7Z or RAR archive into a target directory.
+ * Entries are validated from the archive listing before anything is written,
+ * then the extracted tree is verified again on disk.
+ * @param {string} archivePath - Absolute path to the uploaded archive.
+ * @param {string} targetDir - Directory where files should be extracted.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ * @param {ExtractionOptions} [options]
+ */
+async function safeExtractWithSevenZip(archivePath, targetDir, limits, options = {}) {
+  const { signal, onProgress } = options;
+  await fs.promises.mkdir(targetDir, { recursive: true });
+  throwIfCancelled(signal);
+
+  const budget = createExtractionBudget(limits);
+
+  // 1) Validate every entry from the listing (paths + declared sizes)
+  const listing = await runSevenZip(archivePath, targetDir, (archiveInWasm) => [
+    "l",
+    "-slt",
+    archiveInWasm,
+  ]);
+
+  const entries = parseSevenZipListing(listing);
+  for (const entry of entries) {
+    // Encrypted archives would make 7-Zip wait for a password
+    if (entry.isEncrypted) throw new Error("ARCHIVE_EXTRACTION_FAILED");
+
+    resolveSafeEntryPath(targetDir, entry.path);
+    if (!entry.isDirectory) budget.addFile(entry.size);
+  }
+
+  // 7-Zip extracts everything in one synchronous call, so progress jumps from 0 to total
+  const filesTotal = entries.filter((entry) => !entry.isDirectory).length;
+  throwIfCancelled(signal);
+  onProgress?.({ filesExtracted: 0, filesTotal });
+
+  // 2) Extract (-y: never prompt, -bso0/-bsp0: no progress output)
+  await runSevenZip(archivePath, targetDir, (archiveInWasm) => [
+    "x",
+    archiveInWasm,
+    `-o${SEVEN_ZIP_TARGET_MOUNT}`,
+    "-y",
+    "-bso0",
+    "-bsp0",
+  ]);
+
+  // 3) Verify what actually landed on disk
+  await verifyExtractedTree(targetDir, limits);
+  onProgress?.({ filesExtracted: filesTotal, filesTotal });
+}
+
+/**
+ * Walks an extracted tree and enforces limits on what is actually on disk.
+ * Symbolic links are rejected because they could point outside the target directory.
+ * @param {string} targetDir - Extraction root directory.
+ * @param {{maxFiles:number, maxFileBytes:number, maxTotalBytes:number}} limits - Safety limits.
+ */
+async function verifyExtractedTree(targetDir, limits) {
+  const budget = createExtractionBudget(limits);
+
+  async function visit(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isSymbolicLink()) throw new Error("UNSAFE_ARCHIVE_PATH");
+
+      if (entry.isDirectory()) {
+        await visit(fullPath);
+      } else {
+        const fileStat = await fs.promises.lstat(fullPath);
+        budget.addFile(fileStat.size);
+      }
+    }
+  }
+
+  await visit(targetDir);
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  DEFAULT_EXTRACTION_LIMITS,
+  getArchiveExtension,
+  extractArchive,
+  safeExtractZip,
+  safeExtractTar,
+  safeExtractWithSevenZip,
+};
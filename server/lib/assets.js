@@ -0,0 +1,50 @@
+/**
+ * lib/assets.js
+ * -------------
+ * Non-code files that code references: images, fonts, media and data files (JSON fixtures...).
+ *
+ * They become graph nodes of their own ({ type: "asset", assetType: "image" | "font" | "media" | "data" })
+ * so that `import logo from "./logo.svg"`, `new URL("./data.json", import.meta.url)` or a
+ * stylesheet's `url(./bg.png)` link to them, and the dead code report can list unused ones.
+ *
+ * Config files that happen to be JSON (package.json, tsconfig.json...) and dotfiles are not assets.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+
+const ASSET_TYPE_BY_EXTENSION = new Map(
+  Object.entries({
+    image: [".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".avif", ".ico", ".bmp"],
+    font: [".woff", ".woff2", ".ttf", ".otf", ".eot"],
+    media: [".mp4", ".webm", ".ogg", ".mp3", ".wav", ".flac"],
+    data: [".json", ".csv", ".wasm"],
+  }).flatMap(([assetType, extensions]) => extensions.map((ext) => [ext, assetType]))
+);
+
+// JSON files read by tools, not referenced by code
+const CONFIG_FILE_RE =
+  /^(package(-lock)?|composer|lerna|nx|turbo|vercel|renovate|[jt]sconfig(\..+)?|[^/]+\.config|codebase-explorer\.rules)\.json$/i;
+
+// Folders served as-is by dev servers / frameworks: their files are referenced by URL, not imported
+const PUBLIC_FOLDER_RE = /(^|\/)(public|static)\//;
+
+/**
+ * Returns the asset type of a file ("image", "font", "media", "data"), or null when it is not an asset.
+ */
+function getAssetType(relPath) {
+  const fileName = path.posix.basename(relPath);
+  if (relPath.split("/").some((part) => part.startsWith(".")) || CONFIG_FILE_RE.test(fileName)) return null;
+  return ASSET_TYPE_BY_EXTENSION.get(path.posix.extname(fileName).toLowerCase()) || null;
+}
+
+/**
+ * Returns true for assets of a public / static folder (used by URL, so never reported as unused).
+ */
+function isPublicAsset(relPath) {
+  return PUBLIC_FOLDER_RE.test(relPath);
+}
+
+module.exports = {
+  getAssetType,
+  isPublicAsset,
+};
@@ -0,0 +1,87 @@
+/**
+ * lib/ast.js
+ * ----------
+ * Parsing JS/JSX/TS/TSX into an AST (@babel/parser) and walking it.
+ * Shared by the import extraction (imports.js) and the code metrics (metrics.js),
+ * so every file is parsed once.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const babelParser = require("@babel/parser"); // JS/TS parser producing an AST
+
+/* =========================
+ * Parsing
+ * ========================= */
+/**
+ * Returns @babel/parser plugins for a file based on its extension.
+ * - .ts/.mts/.cts -> TypeScript (no JSX, so `<T>value` casts keep working)
+ * - .tsx -> TypeScript + JSX
+ * - .js/.jsx/.mjs/.cjs -> JSX
+ */
+function getParserPlugins(fileRelPath) {
+  const ext = path.extname(fileRelPath).toLowerCase();
+  const commonPlugins = ["decorators-legacy", "importAttributes", "explicitResourceManagement"];
+
+  if (ext === ".ts" || ext === ".mts" || ext === ".cts") return ["typescript", ...commonPlugins];
+  if (ext === ".tsx") return ["typescript", "jsx", ...commonPlugins];
+  return ["jsx", ...commonPlugins];
+}
+
+/**
+ * Parses file content into an AST. Returns null when the file cannot be parsed.
+ */
+function parseSource(fileContent, fileRelPath) {
+  try {
+    return babelParser.parse(fileContent, {
+      sourceType: "unambiguous",
+      allowImportExportEverywhere: true,
+      allowReturnOutsideFunction: true,
+      errorRecovery: true,
+      plugins: getParserPlugins(fileRelPath),
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the string value of a literal node (string literal or
+ * template literal without expressions), otherwise null.
+ */
+function getStaticStringValue(node) {
+  if (!node) return null;
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis.map((quasi) => quasi.value.cooked).join("");
+  }
+  return null;
+}
+
+/**
+ * Calls visitor(node) for every AST node in the tree (depth-first).
+ */
+function walkAst(node, visitor) {
+  if (!node || typeof node.type !== "string") return;
+
+  visitor(node);
+
+  for (const key of Object.keys(node)) {
+    // Skip location info and comments (they are not child nodes)
+    if (key === "loc" || key === "leadingComments" || key === "trailingComments" || key === "innerComments") {
+      continue;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) walkAst(child, visitor);
+    } else if (value && typeof value === "object") {
+      walkAst(value, visitor);
+    }
+  }
+}
+
+module.exports = {
+  parseSource,
+  getStaticStringValue,
+  walkAst,
+};
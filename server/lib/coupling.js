@@ -0,0 +1,114 @@
+/**
+ * lib/coupling.js
+ * ---------------
+ * Coupling metrics (Robert C. Martin's package metrics) for every file and folder.
+ *
+ * - ca: afferent coupling, how many files outside the module import it
+ * - ce: efferent coupling, how many files outside the module it imports
+ * - instability:  I = Ce / (Ca + Ce)   (0 = stable, 1 = unstable; null when isolated)
+ * - abstractness: A = abstract / (abstract + concrete) types, measured in TypeScript files
+ *                 (interfaces, type aliases, abstract classes vs classes, top-level functions,
+ *                 see metrics.js); null when the module has none
+ * - distance:     D = |A + I - 1|, distance from the "main sequence" (null when A or I is)
+ *
+ * A module is a file, or a folder with every file below it. Only project files count:
+ * package nodes (npm:lodash) are left out, so results do not depend on "Include npm packages".
+ */
+
+/**
+ * @typedef {{id:string, ca:number, ce:number, instability:number|null, abstractness:number|null, distance:number|null}} CouplingMetrics
+ */
+
+/* =========================
+ * Public API
+ * ========================= */
+/**
+ * Computes the coupling metrics of every file and folder of a graph.
+ * @param {{nodes:{id:string, type?:string, metrics?:object}[], edges:{source:string, target:string}[]}} graph
+ * @param {{byFolder:Object<string,object>}} metricsReport - From buildMetricsReport() (folder type counts).
+ * @returns {{files:CouplingMetrics[], folders:CouplingMetrics[]}}
+ */
+function computeCouplingMetrics(graph, metricsReport) {
+  const fileNodes = graph.nodes.filter((node) => node.type !== "package" && node.type !== "asset");
+  const fileIds = new Set(fileNodes.map((node) => node.id));
+
+  const importersById = new Map();
+  const importsById = new Map();
+  const outsideImportersByFolder = new Map();
+  const outsideImportsByFolder = new Map();
+
+  for (const edge of graph.edges) {
+    if (edge.source === edge.target || !fileIds.has(edge.source) || !fileIds.has(edge.target)) continue;
+
+    addToSet(importersById, edge.target, edge.source);
+    addToSet(importsById, edge.source, edge.target);
+
+    // Folders holding one end only: the edge crosses their boundary
+    const sourceFolders = new Set(listFolders(edge.source));
+    const targetFolders = new Set(listFolders(edge.target));
+    for (const folder of targetFolders) {
+      if (!sourceFolders.has(folder)) addToSet(outsideImportersByFolder, folder, edge.source);
+    }
+    for (const folder of sourceFolders) {
+      if (!targetFolders.has(folder)) addToSet(outsideImportsByFolder, folder, edge.target);
+    }
+  }
+
+  const files = fileNodes.map((node) =>
+    createCouplingMetrics(
+      node.id,
+      importersById.get(node.id)?.size || 0,
+      importsById.get(node.id)?.size || 0,
+      node.metrics?.abstractTypes ?? null,
+      node.metrics?.concreteTypes ?? null
+    )
+  );
+
+  const folderIds = new Set(fileNodes.flatMap((node) => listFolders(node.id)));
+  const folders = [...folderIds].sort().map((folder) => {
+    const totals = metricsReport?.byFolder?.[folder];
+    return createCouplingMetrics(
+      folder,
+      outsideImportersByFolder.get(folder)?.size || 0,
+      outsideImportsByFolder.get(folder)?.size || 0,
+      totals ? totals.abstractTypes : null,
+      totals ? totals.concreteTypes : null
+    );
+  });
+
+  return { files, folders };
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+function createCouplingMetrics(id, ca, ce, abstractTypes, concreteTypes) {
+  const instability = ca + ce > 0 ? round(ce / (ca + ce)) : null;
+  const typeCount = (abstractTypes || 0) + (concreteTypes || 0);
+  const abstractness = typeCount > 0 ? round(abstractTypes / typeCount) : null;
+  const distance = instability !== null && abstractness !== null ? round(Math.abs(abstractness + instability - 1)) : null;
+
+  return { id, ca, ce, instability, abstractness, distance };
+}
+
+// "src/ui/Button.tsx" -> ["src", "src/ui"]
+function listFolders(fileId) {
+  const segments = fileId.split("/").slice(0, -1);
+  return segments.map((_, index) => segments.slice(0, index + 1).join("/"));
+}
+
+function addToSet(setByKey, key, value) {
+  if (!setByKey.has(key)) setByKey.set(key, new Set());
+  setByKey.get(key).add(value);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  computeCouplingMetrics,
+  // Shared with the history report (lib/history.js)
+  listFolders,
+  round,
+};
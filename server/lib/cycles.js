@@ -0,0 +1,202 @@
+/**
+ * lib/cycles.js
+ * -------------
+ * Circular dependency detection for Codebase Explorer.
+ *
+ * Cycles are the strongly connected components (Tarjan) of the import graph,
+ * restricted to imports that run at module load time (static, require,
+ * re-export). Type-only and dynamic imports cannot cause "undefined at
+ * import time" bugs, so they don't create cycles here.
+ */
+
+// Import kinds evaluated when the importing module is loaded
+const LOAD_TIME_KINDS = new Set(["static", "require", "re-export"]);
+
+/**
+ * Returns true when at least one way an edge imports its target runs at load time.
+ */
+function isLoadTimeEdge(edge) {
+  const kinds = edge.kinds || [edge.kind || "static"];
+  return kinds.some((kind) => LOAD_TIME_KINDS.has(kind));
+}
+
+/**
+ * Finds strongly connected components with Tarjan's algorithm (iterative,
+ * so deep import chains can't overflow the call stack).
+ * @param {string[]} nodeIds - Graph node ids.
+ * @param {Map<string,string[]>} outgoingById - Adjacency list.
+ * @returns {string[][]} Components (each a list of node ids).
+ */
+function findStronglyConnectedComponents(nodeIds, outgoingById) {
+  let nextIndex = 0;
+  const indexById = new Map();
+  const lowLinkById = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+
+  for (const startId of nodeIds) {
+    if (indexById.has(startId)) continue;
+
+    // Each frame: [nodeId, position in its neighbor list]
+    const callStack = [[startId, 0]];
+    indexById.set(startId, nextIndex);
+    lowLinkById.set(startId, nextIndex);
+    nextIndex += 1;
+    stack.push(startId);
+    onStack.add(startId);
+
+    while (callStack.length) {
+      const frame = callStack[callStack.length - 1];
+      const [nodeId, neighborPosition] = frame;
+      const neighbors = outgoingById.get(nodeId) || [];
+
+      if (neighborPosition < neighbors.length) {
+        frame[1] += 1;
+        const neighborId = neighbors[neighborPosition];
+
+        if (!indexById.has(neighborId)) {
+          indexById.set(neighborId, nextIndex);
+          lowLinkById.set(neighborId, nextIndex);
+          nextIndex += 1;
+          stack.push(neighborId);
+          onStack.add(neighborId);
+          callStack.push([neighborId, 0]);
+        } else if (onStack.has(neighborId)) {
+          lowLinkById.set(nodeId, Math.min(lowLinkById.get(nodeId), indexById.get(neighborId)));
+        }
+        continue;
+      }
+
+      // All neighbors visited: pop the frame and propagate the low-link
+      callStack.pop();
+      if (callStack.length) {
+        const parentId = callStack[callStack.length - 1][0];
+        lowLinkById.set(parentId, Math.min(lowLinkById.get(parentId), lowLinkById.get(nodeId)));
+      }
+
+      if (lowLinkById.get(nodeId) === indexById.get(nodeId)) {
+        const component = [];
+        let memberId;
+        do {
+          memberId = stack.pop();
+          onStack.delete(memberId);
+          component.push(memberId);
+        } while (memberId !== nodeId);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Finds the shortest loop through `startId` inside a component (BFS),
+ * returned as a path that starts and ends with startId.
+ */
+function findShortestLoop(startId, internalOutgoingById) {
+  const previousById = new Map([[startId, null]]);
+  const queue = [startId];
+
+  while (queue.length) {
+    const nodeId = queue.shift();
+
+    for (const neighborId of internalOutgoingById.get(nodeId)) {
+      if (neighborId === startId) {
+        const loop = [startId];
+        for (let id = nodeId; id !== null; id = previousById.get(id)) loop.unshift(id);
+        return loop;
+      }
+
+      if (!previousById.has(neighborId)) {
+        previousById.set(neighborId, nodeId);
+        queue.push(neighborId);
+      }
+    }
+  }
+
+  return [startId];
+}
+
+/**
+ * Finds every import cycle in the graph.
+ * Each cycle is one strongly connected component with:
+ * - files:        member files (sorted)
+ * - edges:        every load-time import between members
+ * - closingEdges: the edges that close a loop (back edges of a DFS from the first file)
+ * - path:         one shortest example loop, e.g. [a, b, c, a]
+ * @param {{nodes:{id:string}[], edges:{source:string,target:string,kind?:string,kinds?:string[]}[]}} graph
+ * @returns {{id:string, files:string[], edges:{source:string,target:string}[], closingEdges:{source:string,target:string}[], path:string[]}[]}
+ */
+function findImportCycles(graph) {
+  const nodeIds = graph.nodes.map((node) => node.id);
+  const outgoingById = new Map(nodeIds.map((id) => [id, []]));
+
+  for (const edge of graph.edges) {
+    if (!isLoadTimeEdge(edge) || !outgoingById.has(edge.source)) continue;
+    outgoingById.get(edge.source).push(edge.target);
+  }
+
+  const components = findStronglyConnectedComponents(nodeIds, outgoingById).filter(
+    (component) =>
+      component.length > 1 || (outgoingById.get(component[0]) || []).includes(component[0]) // self-import
+  );
+
+  const cycles = components.map((component) => {
+    const files = [...component].sort();
+    const memberSet = new Set(files);
+
+    const edges = [];
+    const internalOutgoingById = new Map();
+    for (const source of files) {
+      const targets = outgoingById.get(source).filter((target) => memberSet.has(target));
+      internalOutgoingById.set(source, targets);
+      for (const target of targets) edges.push({ source, target });
+    }
+
+    // DFS inside the component: an edge to a node on the current path closes a loop
+    const closingEdges = [];
+    const visited = new Set();
+    const onPath = new Set();
+    const dfsStack = [[files[0], 0]];
+    visited.add(files[0]);
+    onPath.add(files[0]);
+
+    while (dfsStack.length) {
+      const frame = dfsStack[dfsStack.length - 1];
+      const [nodeId, position] = frame;
+      const neighbors = internalOutgoingById.get(nodeId);
+
+      if (position >= neighbors.length) {
+        dfsStack.pop();
+        onPath.delete(nodeId);
+        continue;
+      }
+
+      frame[1] += 1;
+      const neighborId = neighbors[position];
+
+      if (onPath.has(neighborId)) {
+        closingEdges.push({ source: nodeId, target: neighborId });
+      } else if (!visited.has(neighborId)) {
+        visited.add(neighborId);
+        onPath.add(neighborId);
+        dfsStack.push([neighborId, 0]);
+      }
+    }
+
+    return {
+      id: files[0],
+      files,
+      edges,
+      closingEdges,
+      path: findShortestLoop(files[0], internalOutgoingById),
+    };
+  });
+
+  // Biggest cycles first, they are usually the most painful ones
+  return cycles.sort((a, b) => b.files.length - a.files.length || a.id.localeCompare(b.id));
+}
+
+module.exports = { findImportCycles };
@@ -0,0 +1,364 @@
+/**
+ * lib/deadCode.js
+ * ---------------
+ * Dead code report for Codebase Explorer: what the project's entry points never use.
+ *
+ * Entry points are detected automatically:
+ * - package.json "main", "module", "browser", "bin" and "exports" of every package, and the
+ *   files its "scripts" run ("node server.js"); a built path ("dist/index.js") falls back to
+ *   the same path under "src/" ("src/index.ts")
+ * - <script src="..."> and <link rel="stylesheet" href="..."> tags of HTML files ("/src/main.jsx" is
+ *   relative to the HTML file's folder, like Vite)
+ * - conventions: tests (also Python, Go, Java / Kotlin ones), stories, config files, Python / Go main
+ *   modules, and framework files (Next.js pages / app routes, Remix routes, Gatsby, SvelteKit routes,
+ *   Nuxt pages) in packages depending on that framework
+ * and completed with globs set by the user (relative to the project folder, like uploaded rules).
+ *
+ * Reported:
+ * - unreachable: files that no entry point reaches through imports (of any kind)
+ * - orphans: files nothing imports that are not entry points
+ * - unused exports: exports of imported files that none of their importers uses, by name
+ *   (`import *`, `export *`, dynamic imports and plain require() use every export)
+ * - unused assets: images, fonts, media and data files nothing references (files of public/ and
+ *   static/ folders are served by URL, so they are left out)
+ *
+ * Type declaration files (.d.ts) are never reported: they are not imported.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { readJsonFile } = require("./aliases"); // JSON(C) reading
+const { resolveFileFromBase } = require("./imports"); // Extension / index file resolution
+const { globToRegExp } = require("./glob"); // Glob matching
+const { isPublicAsset } = require("./assets"); // Assets served by URL
+
+// Files always treated as entry points (run by tools, not imported)
+const CONVENTION_ENTRY_POINTS = [
+  { reason: "test file", pattern: /(^|\/)__tests__\/|\.(test|spec)\.[cm]?[jt]sx?$/ },
+  { reason: "story", pattern: /\.stories\.[cm]?[jt]sx?$/ },
+  { reason: "config file", pattern: /(^|\/)[^/]+\.config\.[cm]?[jt]s$|(^|\/)\.[^/]+rc\.[cm]?js$/ },
+  {
+    reason: "test file",
+    pattern: /(^|\/)(test_[^/]+|[^/]+_test|conftest)\.py$|_test\.go$|(^|\/)src\/test\/|(Test|Tests)\.(java|kt)$/,
+  },
+  { reason: "main module", pattern: /(^|\/)(__main__|manage|setup)\.py$|(^|\/)main\.go$/ },
+];
+
+// Framework files, relative to the folder of a package.json depending on the framework
+const FRAMEWORK_ENTRY_POINTS = [
+  {
+    framework: "Next.js",
+    dependency: (name) => name === "next",
+    pattern: /^(src\/)?(pages\/.+|app\/(.+\/)?(page|layout|template|loading|error|not-found|default|route)\.[jt]sx?|middleware\.[jt]s)$/,
+  },
+  {
+    framework: "Remix",
+    dependency: (name) => name.startsWith("@remix-run/"),
+    pattern: /^app\/(root|entry\.client|entry\.server)\.[jt]sx?$|^app\/routes\/.+\.[jt]sx?$/,
+  },
+  {
+    framework: "Gatsby",
+    dependency: (name) => name === "gatsby",
+    pattern: /^gatsby-(browser|node|ssr|config)\.[jt]sx?$|^src\/(pages|templates)\/.+\.[jt]sx?$/,
+  },
+  {
+    framework: "SvelteKit",
+    dependency: (name) => name === "@sveltejs/kit",
+    pattern: /^src\/routes\/(.+\/)?\+[^/]+$|^src\/hooks\.(client|server)\.[jt]s$/,
+  },
+  {
+    framework: "Nuxt",
+    dependency: (name) => name === "nuxt",
+    pattern: /^app\.vue$|^(pages|layouts|middleware|plugins|server)\/.+\.(vue|[jt]s)$/,
+  },
+];
+
+// package.json fields pointing at entry files
+const MANIFEST_ENTRY_FIELDS = ["main", "module", "browser", "bin", "exports"];
+
+// Build output folders (not analyzed): "dist/index.js" is looked up as "src/index"
+const BUILD_OUTPUT_RE = /^(dist|build|lib|out)\/((esm|cjs|es|umd)\/)?(.+?)(\.[cm]?js)?$/;
+
+/* =========================
+ * Entry Point Patterns
+ * ========================= */
+/**
+ * Validates user-set entry point globs: an array of strings, or one string
+ * (globs separated by commas or new lines). Throws "INVALID_ENTRY_POINTS" with a `detail`.
+ * @returns {string[]}
+ */
+function parseEntryPointPatterns(value) {
+  if (value === undefined || value === null || value === "") return [];
+
+  const patterns = typeof value === "string" ? value.split(/[\n,]/) : value;
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== "string")) {
+    const err = new Error("INVALID_ENTRY_POINTS");
+    err.detail = "expected globs separated by commas, or an array of globs";
+    throw err;
+  }
+
+  return patterns.map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+/* =========================
+ * Entry Point Detection
+ * ========================= */
+/**
+ * Finds the entry points of a project among the graph's file nodes.
+ * @param {string} rootDir - Analyzed directory.
+ * @param {string[]} relPaths - Every analyzed file (project-relative POSIX paths).
+ * @param {{nodes:{id:string,type?:string}[]}} graph - Import graph.
+ * @param {{patterns?:string[], basePath?:string}} [options]
+ *   - patterns: user-set globs (parseEntryPointPatterns())
+ *   - basePath: folder the globs are relative to ("" = analyzed root)
+ * @returns {Promise<{id:string, reason:string}[]>} Sorted by id, one reason per file.
+ */
+async function detectEntryPoints(rootDir, relPaths, graph, options = {}) {
+  const codeFileIds = graph.nodes.filter((node) => node.type !== "package").map((node) => node.id);
+  const codeFileSet = new Set(codeFileIds);
+  const reasonById = new Map();
+
+  const addEntryPoint = (id, reason) => {
+    if (id && codeFileSet.has(id) && !reasonById.has(id)) reasonById.set(id, reason);
+  };
+
+  // User-set globs first, so their reason is the one shown
+  const basePath = options.basePath || "";
+  for (const pattern of options.patterns || []) {
+    const patternRegExp = globToRegExp(pattern);
+    for (const id of codeFileIds) {
+      const projectPath = basePath && id.startsWith(basePath + "/") ? id.slice(basePath.length + 1) : id;
+      if (patternRegExp.test(projectPath)) addEntryPoint(id, `configured (${pattern})`);
+    }
+  }
+
+  for (const relPath of relPaths) {
+    const fileName = path.posix.basename(relPath);
+
+    if (fileName === "package.json") {
+      const manifest = await readJsonFile(rootDir, relPath);
+      if (!manifest || typeof manifest !== "object") continue;
+
+      for (const { id, reason } of listManifestEntryPoints(manifest, getFolder(relPath), codeFileSet, codeFileIds)) {
+        addEntryPoint(id, reason);
+      }
+    } else if (/\.html?$/i.test(fileName)) {
+      let html = "";
+      try {
+        html = await fs.promises.readFile(path.join(rootDir, relPath), "utf8");
+      } catch {
+        continue;
+      }
+
+      for (const src of listScriptSources(html)) {
+        addEntryPoint(resolveEntryFile(getFolder(relPath), src, codeFileSet), `<script> in ${fileName}`);
+      }
+      for (const href of listStylesheetLinks(html)) {
+        addEntryPoint(resolveEntryFile(getFolder(relPath), href, codeFileSet), `<link> in ${fileName}`);
+      }
+    }
+  }
+
+  for (const id of codeFileIds) {
+    const convention = CONVENTION_ENTRY_POINTS.find(({ pattern }) => pattern.test(id));
+    if (convention) addEntryPoint(id, convention.reason);
+  }
+
+  return [...reasonById]
+    .map(([id, reason]) => ({ id, reason }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Entry points declared by one package.json (fields, scripts and framework conventions).
+ */
+function listManifestEntryPoints(manifest, folder, codeFileSet, codeFileIds) {
+  const entryPoints = [];
+  const add = (target, reason) => {
+    const id = resolveEntryFile(folder, target, codeFileSet);
+    if (id) entryPoints.push({ id, reason });
+  };
+
+  for (const field of MANIFEST_ENTRY_FIELDS) {
+    const value = manifest[field];
+    // "browser" can also be a map of replaced modules
+    if (field === "browser" && typeof value !== "string") continue;
+    for (const target of collectStrings(value)) add(target, `package.json "${field}"`);
+  }
+
+  // Node loads index.js when "main" is missing
+  if (!manifest.main && !manifest.exports) add("index.js", 'package.json "main" (default)');
+
+  for (const [scriptName, command] of Object.entries(manifest.scripts || {})) {
+    if (typeof command !== "string") continue;
+    for (const token of command.split(/[\s;&|()]+/)) {
+      if (/\.[cm]?[jt]sx?$/.test(token)) add(token, `package.json script "${scriptName}"`);
+    }
+  }
+
+  const dependencyNames = Object.keys({ ...manifest.dependencies, ...manifest.devDependencies });
+  for (const { framework, dependency, pattern } of FRAMEWORK_ENTRY_POINTS) {
+    if (!dependencyNames.some(dependency)) continue;
+
+    for (const id of codeFileIds) {
+      if (folder && !id.startsWith(folder + "/")) continue;
+      if (pattern.test(folder ? id.slice(folder.length + 1) : id)) entryPoints.push({ id, reason: `${framework} convention` });
+    }
+  }
+
+  return entryPoints;
+}
+
+/**
+ * Every string of a package.json field (strings, arrays, nested "exports" conditions).
+ */
+function collectStrings(value, strings = []) {
+  if (typeof value === "string") strings.push(value);
+  else if (Array.isArray(value)) value.forEach((item) => collectStrings(item, strings));
+  else if (value && typeof value === "object") Object.values(value).forEach((item) => collectStrings(item, strings));
+  return strings;
+}
+
+/**
+ * src attributes of the <script> tags of an HTML file (local files only).
+ */
+function listScriptSources(html) {
+  const sources = [];
+  const SCRIPT_SRC_RE = /<script\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+
+  let match;
+  while ((match = SCRIPT_SRC_RE.exec(html))) {
+    const src = match[1].split(/[?#]/)[0];
+    if (!/^([a-z][a-z0-9+.-]*:)?\/\//i.test(src)) sources.push(src);
+  }
+
+  return sources;
+}
+
+/**
+ * href attributes of the <link rel="stylesheet"> tags of an HTML file (local files only).
+ */
+function listStylesheetLinks(html) {
+  const hrefs = [];
+  const LINK_RE = /<link\b[^>]*>/gi;
+
+  let match;
+  while ((match = LINK_RE.exec(html))) {
+    if (!/\brel\s*=\s*["']?stylesheet\b/i.test(match[0])) continue;
+    const href = /\bhref\s*=\s*["']([^"']+)["']/i.exec(match[0])?.[1].split(/[?#]/)[0];
+    if (href && !/^([a-z][a-z0-9+.-]*:)?\/\//i.test(href)) hrefs.push(href);
+  }
+
+  return hrefs;
+}
+
+/**
+ * Resolves a path written in a package.json / HTML file of `folder` to a code file id, or null.
+ */
+function resolveEntryFile(folder, target, codeFileSet) {
+  if (!target || target.includes("*")) return null;
+
+  const relativeTarget = path.posix.normalize(target.replace(/\\/g, "/").replace(/^\//, ""));
+  if (relativeTarget.startsWith("../")) return null;
+
+  const base = folder ? `${folder}/${relativeTarget}` : relativeTarget;
+  const resolved = resolveFileFromBase(base, codeFileSet);
+  if (resolved) return resolved;
+
+  const buildOutput = BUILD_OUTPUT_RE.exec(relativeTarget);
+  if (!buildOutput) return null;
+
+  const sourceBase = `src/${buildOutput[4]}`;
+  return resolveFileFromBase(folder ? `${folder}/${sourceBase}` : sourceBase, codeFileSet);
+}
+
+function getFolder(relPath) {
+  const folder = path.posix.dirname(relPath);
+  return folder === "." ? "" : folder;
+}
+
+/* =========================
+ * Report
+ * ========================= */
+/**
+ * Builds the dead code report of a graph.
+ * @param {{nodes:{id:string,type?:string,exports?:string[]|null}[], edges:{source:string,target:string,names?:string[]}[]}} graph
+ * @param {{id:string, reason:string}[]} entryPoints - From detectEntryPoints().
+ * @returns {{entryPoints:object[], unreachable:string[]|null, orphans:string[], unusedExports:{id:string, exports:string[]}[], unusedAssets:string[], summary:object}}
+ *   unreachable is null when no entry point was found (everything would be unreachable).
+ */
+function findDeadCode(graph, entryPoints) {
+  const fileIds = graph.nodes
+    .filter((node) => node.type !== "package" && node.type !== "asset" && !/\.d\.[cm]?ts$/.test(node.id))
+    .map((node) => node.id);
+  const entryIds = new Set(entryPoints.map((entryPoint) => entryPoint.id));
+
+  const outgoingById = new Map();
+  const importerCountById = new Map();
+  const usedNamesById = new Map();
+
+  for (const edge of graph.edges) {
+    if (!outgoingById.has(edge.source)) outgoingById.set(edge.source, []);
+    outgoingById.get(edge.source).push(edge.target);
+    if (edge.source === edge.target) continue;
+
+    importerCountById.set(edge.target, (importerCountById.get(edge.target) || 0) + 1);
+    if (!usedNamesById.has(edge.target)) usedNamesById.set(edge.target, new Set());
+    // Analyses stored before names were recorded: the whole module is used
+    for (const name of edge.names || ["*"]) usedNamesById.get(edge.target).add(name);
+  }
+
+  // Reachability (breadth-first, from every entry point)
+  const reachable = new Set(entryIds);
+  const queue = [...entryIds];
+  while (queue.length > 0) {
+    for (const target of outgoingById.get(queue.shift()) || []) {
+      if (!reachable.has(target)) {
+        reachable.add(target);
+        queue.push(target);
+      }
+    }
+  }
+
+  const unreachable = entryIds.size > 0 ? fileIds.filter((id) => !reachable.has(id)) : null;
+  const orphans = fileIds.filter((id) => !entryIds.has(id) && !importerCountById.has(id));
+  const unusedAssets = graph.nodes
+    .filter((node) => node.type === "asset" && !importerCountById.has(node.id) && !isPublicAsset(node.id))
+    .map((node) => node.id);
+
+  // Entry points export their public API; orphans are reported as whole files
+  const fileIdSet = new Set(fileIds);
+  const unusedExports = [];
+  for (const node of graph.nodes) {
+    if (!fileIdSet.has(node.id) || entryIds.has(node.id) || !Array.isArray(node.exports)) continue;
+
+    const usedNames = usedNamesById.get(node.id);
+    if (!usedNames || usedNames.has("*")) continue;
+    // import x from "./cjs-module" gets its whole module.exports object
+    if (usedNames.has("default") && !node.exports.includes("default")) continue;
+
+    const unusedNames = node.exports.filter((name) => !usedNames.has(name));
+    if (unusedNames.length > 0) unusedExports.push({ id: node.id, exports: unusedNames });
+  }
+
+  return {
+    entryPoints,
+    unreachable,
+    orphans,
+    unusedExports,
+    unusedAssets,
+    summary: {
+      entryPoints: entryPoints.length,
+      unreachable: unreachable ? unreachable.length : null,
+      orphans: orphans.length,
+      unusedExports: unusedExports.reduce((count, item) => count + item.exports.length, 0),
+      unusedAssets: unusedAssets.length,
+    },
+  };
+}
+
+module.exports = {
+  parseEntryPointPatterns,
+  detectEntryPoints,
+  findDeadCode,
+};
@@ -0,0 +1,210 @@
+/**
+ * lib/dependencies.js
+ * -------------------
+ * External (npm / Node builtin) dependencies for Codebase Explorer.
+ *
+ * - Turns bare import specifiers into package nodes
+ *   ("lodash/fp" -> "npm:lodash", "fs/promises" -> "node:fs"); a builtin name that the nearest
+ *   package.json declares ("buffer", "events", "util"...) is the npm polyfill of a browser build
+ * - Checks each package import against the nearest package.json
+ * - Reports undeclared dependencies (imported, not declared) and
+ *   unused declared dependencies (declared, never imported)
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { builtinModules } = require("module"); // Names of Node builtin modules
+const { readJsonFile } = require("./aliases"); // JSON(C) reading
+const { splitPackageSpecifier } = require("./workspaces"); // "@scope/name/sub" -> "@scope/name"
+
+const NODE_BUILTINS = new Set(builtinModules.map((name) => name.split("/")[0]));
+
+// Valid npm package name (optionally scoped)
+const PACKAGE_NAME_RE = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+
+// Manifest fields that declare dependencies (the "dev" flag is used in the report)
+const DEPENDENCY_FIELDS = [
+  { field: "dependencies", dev: false },
+  { field: "peerDependencies", dev: false },
+  { field: "optionalDependencies", dev: false },
+  { field: "devDependencies", dev: true },
+];
+
+/* =========================
+ * Package nodes
+ * ========================= */
+/**
+ * Converts an unresolved bare specifier into an external package descriptor.
+ * Returns null for anything that is not a package (relative paths, URLs, unresolved aliases).
+ * @param {string} specifier - Import specifier as written in the source.
+ * @param {Map<string,object>|null} [declared] - Dependencies of the importing file's nearest package.json
+ *   (see loadPackageManifests()): declared builtin names are npm packages, unless written "node:x".
+ * @returns {{id:string, name:string, builtin:boolean}|null}
+ */
+function getExternalPackage(specifier, declared = null) {
+  if (!specifier || /^[./#~]/.test(specifier) || /^[a-z][a-z0-9+.-]*:\/\//i.test(specifier)) return null;
+
+  if (specifier.startsWith("node:")) {
+    const name = specifier.slice("node:".length).split("/")[0];
+    return { id: `node:${name}`, name, builtin: true };
+  }
+
+  const { name } = splitPackageSpecifier(specifier);
+  if (NODE_BUILTINS.has(name) && !declared?.has(name)) return { id: `node:${name}`, name, builtin: true };
+  if (!PACKAGE_NAME_RE.test(name)) return null;
+
+  return { id: `npm:${name}`, name, builtin: false };
+}
+
+/* =========================
+ * Manifests
+ * ========================= */
+/**
+ * Loads every package.json of the project with its declared dependencies.
+ * @param {string} rootDir - Extraction root directory.
+ * @param {string[]} relPaths - Project-relative paths of all analyzed files.
+ * @returns {Promise<{path:string, folder:string, name:string|null, declared:Map<string,{dev:boolean}>, scripts:string}[]>}
+ */
+async function loadPackageManifests(rootDir, relPaths) {
+  const manifests = [];
+
+  for (const relPath of relPaths) {
+    if (path.posix.basename(relPath) !== "package.json") continue;
+
+    const packageJson = await readJsonFile(rootDir, relPath);
+    if (!packageJson || typeof packageJson !== "object") continue;
+
+    const declared = new Map();
+    for (const { field, dev } of DEPENDENCY_FIELDS) {
+      for (const name of Object.keys(packageJson[field] || {})) {
+        // A runtime declaration wins over a dev one
+        if (!declared.has(name) || !dev) declared.set(name, { dev });
+      }
+    }
+
+    const folder = path.posix.dirname(relPath);
+    manifests.push({
+      path: relPath,
+      folder: folder === "." ? "" : folder,
+      name: packageJson.name || null,
+      declared,
+      scripts: Object.values(packageJson.scripts || {}).join("\n"),
+    });
+  }
+
+  return manifests;
+}
+
+/**
+ * Returns the manifest closest to a file (deepest folder that contains it).
+ */
+function findNearestManifest(fileRelPath, manifestsByDepth) {
+  return (
+    manifestsByDepth.find((manifest) => !manifest.folder || fileRelPath.startsWith(`${manifest.folder}/`)) || null
+  );
+}
+
+function sortByDepth(manifests) {
+  return [...manifests].sort((a, b) => b.folder.length - a.folder.length);
+}
+
+/**
+ * Returns a function that finds the manifest closest to a file (or null).
+ * @param {object[]} manifests - From loadPackageManifests().
+ */
+function createManifestLookup(manifests) {
+  const manifestsByDepth = sortByDepth(manifests);
+  return (fileRelPath) => findNearestManifest(fileRelPath, manifestsByDepth);
+}
+
+/* =========================
+ * Annotation + Report
+ * ========================= */
+/**
+ * Marks every edge to an npm package node with `declared` (declared in the
+ * importing file's nearest package.json) and `manifest` (that package.json).
+ * Package nodes get `declared: true` only if every importer declares them.
+ * Mutates the graph in place.
+ */
+function annotateExternalDependencies(graph, manifests) {
+  const manifestsByDepth = sortByDepth(manifests);
+  const packageNodesById = new Map(
+    graph.nodes.filter((node) => node.type === "package" && !node.builtin).map((node) => [node.id, node])
+  );
+
+  for (const node of packageNodesById.values()) node.declared = true;
+
+  for (const edge of graph.edges) {
+    const packageNode = packageNodesById.get(edge.target);
+    if (!packageNode) continue;
+
+    const manifest = findNearestManifest(edge.source, manifestsByDepth);
+    edge.manifest = manifest ? manifest.path : null;
+    edge.declared = Boolean(manifest?.declared.has(packageNode.name) || manifest?.name === packageNode.name);
+
+    if (!edge.declared) packageNode.declared = false;
+  }
+}
+
+/**
+ * Builds the dependency report used in stats:
+ * - undeclared: packages imported by files whose nearest package.json does not declare them
+ * - unused:     packages declared in a package.json but never imported by the files it owns
+ *               (@types/* and packages used in "scripts" are skipped, they are rarely imported)
+ * @param {{nodes:object[], edges:object[]}} graph - Graph annotated by annotateExternalDependencies().
+ * @param {object[]} manifests - From loadPackageManifests().
+ */
+function buildDependencyReport(graph, manifests) {
+  const manifestsByDepth = sortByDepth(manifests);
+  const packageNodesById = new Map(
+    graph.nodes.filter((node) => node.type === "package" && !node.builtin).map((node) => [node.id, node])
+  );
+
+  const undeclaredByKey = new Map();
+  const importedByManifest = new Map(manifests.map((manifest) => [manifest.path, new Set()]));
+
+  for (const edge of graph.edges) {
+    const packageNode = packageNodesById.get(edge.target);
+    if (!packageNode) continue;
+
+    const manifest = findNearestManifest(edge.source, manifestsByDepth);
+    if (manifest) importedByManifest.get(manifest.path).add(packageNode.name);
+
+    if (edge.declared) continue;
+
+    const key = `${packageNode.name}@${edge.manifest || ""}`;
+    if (!undeclaredByKey.has(key)) {
+      undeclaredByKey.set(key, { package: packageNode.name, manifest: edge.manifest, files: [] });
+    }
+    undeclaredByKey.get(key).files.push(edge.source);
+  }
+
+  const unused = [];
+  for (const manifest of manifests) {
+    const imported = importedByManifest.get(manifest.path);
+
+    for (const [name, { dev }] of manifest.declared) {
+      if (imported.has(name) || name.startsWith("@types/")) continue;
+
+      // CLI tools (vite, eslint, nodemon...) are referenced from scripts, not imports
+      const binaryName = name.split("/").pop();
+      if (manifest.scripts && new RegExp(`(^|[\\s/])${binaryName.replace(/[.+]/g, "\\$&")}\\b`).test(manifest.scripts)) {
+        continue;
+      }
+
+      unused.push({ package: name, manifest: manifest.path, dev });
+    }
+  }
+
+  return {
+    undeclared: [...undeclaredByKey.values()].sort((a, b) => a.package.localeCompare(b.package)),
+    unused: unused.sort((a, b) => a.package.localeCompare(b.package)),
+  };
+}
+
+module.exports = {
+  getExternalPackage,
+  loadPackageManifests,
+  createManifestLookup,
+  annotateExternalDependencies,
+  buildDependencyReport,
+};
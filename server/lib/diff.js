@@ -0,0 +1,307 @@
+/**
+ * lib/diff.js
+ * -----------
+ * Structural diff of two analyses ("before" / "after") for Codebase Explorer.
+ *
+ * Reports:
+ * - files added, removed and moved
+ * - import edges added and removed
+ * - import cycles introduced and resolved
+ * - degree changes of hub files (stats.graph.topDegree of either side)
+ * - a combined graph where every node / edge has a status, for the diff view
+ *
+ * Paths are compared relative to each analysis' project folder, so "app-v1/src/a.js"
+ * and "app-v2/src/a.js" (two zipped versions) are the same file. A single top-level
+ * folder is only stripped when that makes both sides line up better (a project
+ * that only has "src/" keeps it).
+ *
+ * Moves are detected without file contents (extracted files don't outlive the TTL):
+ * a removed and an added file with the same name are paired, preferring the pair
+ * whose folders have the longest common ending.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { collectTreeFilePaths, getWrapperFolder } = require("./analysis"); // Tree helpers
+
+/* =========================
+ * Public API
+ * ========================= */
+/**
+ * Compares two stored analyses.
+ * @param {{tree:object, graph:object, stats:object}} before
+ * @param {{tree:object, graph:object, stats:object}} after
+ * @returns {{prefixes:object, summary:object, files:object, edges:object, cycles:object, hubs:object[], graph:object}}
+ */
+function diffAnalyses(before, after) {
+  const [beforeSide, afterSide] = createAlignedSides(before, after);
+
+  // Files (whole tree, not only code files)
+  const beforeFiles = new Set(beforeSide.files.keys());
+  const afterFiles = new Set(afterSide.files.keys());
+  const removedFiles = [...beforeFiles].filter((file) => !afterFiles.has(file));
+  const addedFiles = [...afterFiles].filter((file) => !beforeFiles.has(file));
+  const moves = detectMoves(removedFiles, addedFiles);
+
+  const movedFrom = new Set(moves.map((move) => move.from));
+  const movedTo = new Set(moves.map((move) => move.to));
+  const afterPathByBeforePath = new Map(moves.map((move) => [move.from, move.to]));
+
+  // Before ids in "after" naming, so edges of moved files are not reported as removed + added
+  const toAfterNaming = (id) => afterPathByBeforePath.get(id) || id;
+
+  // Edges
+  const beforeEdges = new Map();
+  for (const edge of beforeSide.edges) {
+    const source = toAfterNaming(edge.source);
+    const target = toAfterNaming(edge.target);
+    beforeEdges.set(source + "=>" + target, { source, target, kind: edge.kind });
+  }
+  const afterEdges = new Map(afterSide.edges.map((edge) => [edge.source + "=>" + edge.target, edge]));
+
+  const addedEdges = [...afterEdges].filter(([key]) => !beforeEdges.has(key)).map(([, edge]) => edge);
+  const removedEdges = [...beforeEdges].filter(([key]) => !afterEdges.has(key)).map(([, edge]) => edge);
+
+  // Cycles: same set of files (after naming) = same cycle
+  const cycleKey = (files) => [...files].sort().join("\n");
+  const beforeCycles = new Map(
+    beforeSide.cycles.map((cycle) => {
+      const renamedCycle = { files: cycle.files.map(toAfterNaming), path: cycle.path.map(toAfterNaming) };
+      return [cycleKey(renamedCycle.files), renamedCycle];
+    })
+  );
+  const afterCycles = new Map(afterSide.cycles.map((cycle) => [cycleKey(cycle.files), cycle]));
+
+  const addedCycles = [...afterCycles].filter(([key]) => !beforeCycles.has(key)).map(([, cycle]) => cycle);
+  const removedCycles = [...beforeCycles].filter(([key]) => !afterCycles.has(key)).map(([, cycle]) => cycle);
+
+  // Hubs: degree on both sides of every file that is a hub on either side
+  const beforeDegrees = countDegrees(beforeSide.nodes, beforeSide.edges, toAfterNaming);
+  const afterDegrees = countDegrees(afterSide.nodes, afterSide.edges, (id) => id);
+  const hubIds = new Set([...beforeSide.hubIds].map(toAfterNaming).concat([...afterSide.hubIds]));
+  const hubs = [...hubIds]
+    .map((id) => {
+      const beforeDegree = beforeDegrees.get(id) ?? null;
+      const afterDegree = afterDegrees.get(id) ?? null;
+      return { id, before: beforeDegree, after: afterDegree, delta: (afterDegree || 0) - (beforeDegree || 0) };
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.id.localeCompare(b.id));
+
+  const graph = buildCombinedGraph({
+    beforeSide,
+    afterSide,
+    toAfterNaming,
+    addedFiles: new Set(addedFiles),
+    movedTo,
+    previousPathByPath: new Map(moves.map((move) => [move.to, move.from])),
+    addedEdgeKeys: new Set(addedEdges.map((edge) => edge.source + "=>" + edge.target)),
+    removedEdges,
+  });
+
+  return {
+    // Project folder of each side: a diff path "src/a.js" is "<prefix>/src/a.js" in that analysis
+    prefixes: { before: beforeSide.prefix, after: afterSide.prefix },
+    summary: {
+      filesAdded: addedFiles.length - movedTo.size,
+      filesRemoved: removedFiles.length - movedFrom.size,
+      filesMoved: moves.length,
+      edgesAdded: addedEdges.length,
+      edgesRemoved: removedEdges.length,
+      cyclesAdded: addedCycles.length,
+      cyclesRemoved: removedCycles.length,
+    },
+    files: {
+      added: addedFiles.filter((file) => !movedTo.has(file)),
+      removed: removedFiles.filter((file) => !movedFrom.has(file)),
+      moved: moves,
+    },
+    edges: { added: addedEdges, removed: removedEdges },
+    cycles: { added: addedCycles, removed: removedCycles },
+    hubs,
+    graph,
+  };
+}
+
+/* =========================
+ * Sides
+ * ========================= */
+/**
+ * Picks the project folder of each analysis ("" or its single top-level folder):
+ * the combination under which the most file paths exist on both sides.
+ */
+function createAlignedSides(before, after) {
+  const beforePaths = [...collectTreeFilePaths(before.tree)];
+  const afterPaths = [...collectTreeFilePaths(after.tree)];
+  const prefixCandidates = (paths) => [...new Set(["", getWrapperFolder(paths)])];
+
+  let best = null;
+  for (const beforePrefix of prefixCandidates(beforePaths)) {
+    for (const afterPrefix of prefixCandidates(afterPaths)) {
+      const beforeSet = new Set(beforePaths.map((filePath) => stripPrefix(filePath, beforePrefix)));
+      const overlap = afterPaths.filter((filePath) => beforeSet.has(stripPrefix(filePath, afterPrefix))).length;
+      if (!best || overlap > best.overlap) best = { overlap, beforePrefix, afterPrefix };
+    }
+  }
+
+  return [createSide(before, beforePaths, best.beforePrefix), createSide(after, afterPaths, best.afterPrefix)];
+}
+
+function stripPrefix(filePath, prefix) {
+  return prefix && filePath.startsWith(prefix + "/") ? filePath.slice(prefix.length + 1) : filePath;
+}
+
+/**
+ * Rewrites an analysis relative to its project folder.
+ * - files: project path -> path in the analysis (the node id to select in its graph)
+ */
+function createSide(analysis, treePaths, prefix) {
+  const packageIds = new Set(analysis.graph.nodes.filter((node) => node.type === "package").map((node) => node.id));
+  const normalize = (id) => (packageIds.has(id) ? id : stripPrefix(id, prefix));
+
+  return {
+    prefix,
+    packageIds,
+    files: new Map(treePaths.map((filePath) => [normalize(filePath), filePath])),
+    nodes: analysis.graph.nodes.map((node) => ({ ...node, id: normalize(node.id) })),
+    edges: analysis.graph.edges.map((edge) => ({
+      source: normalize(edge.source),
+      target: normalize(edge.target),
+      kind: edge.kind || "static",
+    })),
+    cycles: (analysis.stats?.cycles || []).map((cycle) => ({
+      files: cycle.files.map(normalize),
+      path: cycle.path.map(normalize),
+    })),
+    hubIds: new Set((analysis.stats?.graph?.topDegree || []).map((item) => normalize(item.id))),
+  };
+}
+
+/**
+ * Pairs removed and added files with the same name into moves.
+ * Candidates are ranked by how many trailing folder names they share; ambiguous ties are left alone.
+ * @returns {{from:string, to:string}[]}
+ */
+function detectMoves(removedFiles, addedFiles) {
+  const addedByName = new Map();
+  for (const file of addedFiles) {
+    const name = path.posix.basename(file);
+    if (!addedByName.has(name)) addedByName.set(name, []);
+    addedByName.get(name).push(file);
+  }
+
+  const candidates = [];
+  for (const from of removedFiles) {
+    for (const to of addedByName.get(path.posix.basename(from)) || []) {
+      candidates.push({ from, to, score: countCommonTrailingFolders(from, to) });
+    }
+  }
+
+  // Best pairs first; a pair tied with another pair for the same file is ambiguous
+  candidates.sort((a, b) => b.score - a.score);
+  const moves = [];
+  const usedFrom = new Set();
+  const usedTo = new Set();
+
+  for (const candidate of candidates) {
+    if (usedFrom.has(candidate.from) || usedTo.has(candidate.to)) continue;
+
+    const isAmbiguous = candidates.some(
+      (other) =>
+        other !== candidate &&
+        other.score === candidate.score &&
+        !usedFrom.has(other.from) &&
+        !usedTo.has(other.to) &&
+        (other.from === candidate.from || other.to === candidate.to)
+    );
+    if (isAmbiguous) continue;
+
+    moves.push({ from: candidate.from, to: candidate.to });
+    usedFrom.add(candidate.from);
+    usedTo.add(candidate.to);
+  }
+
+  return moves.sort((a, b) => a.to.localeCompare(b.to));
+}
+
+// "src/ui/Button.jsx" vs "packages/ui/Button.jsx" -> 1 ("ui")
+function countCommonTrailingFolders(pathA, pathB) {
+  const foldersA = pathA.split("/").slice(0, -1).reverse();
+  const foldersB = pathB.split("/").slice(0, -1).reverse();
+
+  let count = 0;
+  while (count < foldersA.length && count < foldersB.length && foldersA[count] === foldersB[count]) count += 1;
+  return count;
+}
+
+/**
+ * Degree (incoming + outgoing) of every file node, package nodes excluded (like stats.graph.topDegree).
+ */
+function countDegrees(nodes, edges, rename) {
+  const degreeById = new Map();
+  for (const node of nodes) {
+    if (node.type !== "package") degreeById.set(rename(node.id), 0);
+  }
+
+  for (const edge of edges) {
+    for (const id of [rename(edge.source), rename(edge.target)]) {
+      if (degreeById.has(id)) degreeById.set(id, degreeById.get(id) + 1);
+    }
+  }
+
+  return degreeById;
+}
+
+/* =========================
+ * Combined Graph
+ * ========================= */
+/**
+ * Union of both graphs in "after" naming, each node / edge with a status:
+ * "added", "removed", "moved" (nodes only) or "unchanged".
+ * Nodes also carry the id to select in each analysis (afterId / beforeId), and moved
+ * nodes their previous path.
+ */
+function buildCombinedGraph({ beforeSide, afterSide, toAfterNaming, addedFiles, movedTo, previousPathByPath, addedEdgeKeys, removedEdges }) {
+  const nodes = new Map();
+
+  for (const node of afterSide.nodes) {
+    let status = "unchanged";
+    if (movedTo.has(node.id)) status = "moved";
+    else if (addedFiles.has(node.id) || (node.type === "package" && !beforeSide.packageIds.has(node.id))) status = "added";
+
+    nodes.set(node.id, {
+      id: node.id,
+      type: node.type || "file",
+      status,
+      previousPath: previousPathByPath.get(node.id) || null,
+      afterId: afterSide.files.get(node.id) || node.id,
+      beforeId: beforeSide.files.get(previousPathByPath.get(node.id) || node.id) || null,
+    });
+  }
+
+  for (const node of beforeSide.nodes) {
+    const id = toAfterNaming(node.id);
+    if (nodes.has(id)) continue;
+
+    nodes.set(id, {
+      id,
+      type: node.type || "file",
+      status: "removed",
+      previousPath: null,
+      afterId: null,
+      beforeId: beforeSide.files.get(node.id) || node.id,
+    });
+  }
+
+  const edges = [
+    ...afterSide.edges.map((edge) => ({
+      ...edge,
+      status: addedEdgeKeys.has(edge.source + "=>" + edge.target) ? "added" : "unchanged",
+    })),
+    ...removedEdges.map((edge) => ({ ...edge, status: "removed" })),
+  ];
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+module.exports = {
+  diffAnalyses,
+};
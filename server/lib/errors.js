@@ -0,0 +1,121 @@
+/**
+ * lib/errors.js
+ * -------------
+ * User-facing messages for the error codes thrown across Codebase Explorer.
+ *
+ * Modules throw plain `new Error("SOME_CODE")`; this is the single place that
+ * turns a code into an HTTP status + a message a user can act on.
+ */
+
+const { DEFAULT_EXTRACTION_LIMITS } = require("./archives"); // Limits quoted in messages
+const { MAX_PATH_LENGTH } = require("./importPaths"); // Path query limit quoted in messages
+
+/**
+ * Maps known error codes to an HTTP status + user-facing message.
+ * Shared by the server's error handler, its background jobs (which report errors through progress events)
+ * and the command-line interface (which only prints the message).
+ * @returns {{status:number, error:string}}
+ */
+function describeError(err) {
+  if (err && err.message === "INVALID_FILE_TYPE") {
+    return { status: 400, error: "Only ZIP / RAR / 7Z / TAR / TAR.GZ files are allowed." };
+  }
+
+  if (err && err.code === "LIMIT_FILE_SIZE") {
+    return { status: 413, error: "File is too large (limit: 400MB)." };
+  }
+
+  if (err && err.message === "UNSAFE_ARCHIVE_PATH") {
+    return { status: 400, error: "Invalid archive: unsafe file path found inside the archive." };
+  }
+
+  if (err && err.message === "ARCHIVE_LIMITS_EXCEEDED") {
+    return { status: 413, error: "Archive exceeds extraction limits (too many files or extracted size too large)." };
+  }
+
+  if (err && err.message === "INVALID_JOB_ID") {
+    return { status: 400, error: "Invalid analysis ID." };
+  }
+
+  if (err && err.message === "ARCHIVE_EXTRACTION_FAILED") {
+    return { status: 400, error: "Archive could not be extracted (corrupt, encrypted or unsupported)." };
+  }
+
+  if (err && err.message === "INVALID_FILE_PATH") {
+    return { status: 400, error: "Invalid file path (it must be a file of the analyzed project)." };
+  }
+
+  if (err && err.message === "FILE_TOO_LARGE") {
+    return { status: 413, error: "File is too large to display (limit: 1MB)." };
+  }
+
+  if (err && err.message === "SOURCE_EXPIRED") {
+    return { status: 410, error: "Source file is no longer on the server (extracted files are removed 1 hour after the analysis)." };
+  }
+
+  if (err && err.message === "TOO_MANY_FILES") {
+    return { status: 413, error: `Too many files to analyze (limit: ${DEFAULT_EXTRACTION_LIMITS.maxFiles}).` };
+  }
+
+  if (err && err.message === "PATH_ANALYSIS_DISABLED") {
+    return { status: 403, error: "Path analysis is disabled (set ANALYZE_ROOTS on the server)." };
+  }
+
+  if (err && err.message === "PATH_NOT_ALLOWED") {
+    return { status: 403, error: "Path must be an absolute path inside one of the allowed roots (ANALYZE_ROOTS)." };
+  }
+
+  if (err && err.message === "PATH_NOT_FOUND") {
+    return { status: 404, error: "Directory not found on the server." };
+  }
+
+  if (err && err.message === "NOT_A_GIT_REPOSITORY") {
+    return { status: 400, error: "A git ref was given but the directory is not in a git repository." };
+  }
+
+  if (err && err.message === "INVALID_GIT_REF") {
+    return { status: 400, error: "Unknown git ref (use a branch, tag or commit of the repository)." };
+  }
+
+  if (err && err.message === "GIT_COMMAND_FAILED") {
+    return { status: 500, error: "git failed to export the repository." };
+  }
+
+  if (err && err.message === "INVALID_EXPORT_FORMAT") {
+    return { status: 400, error: "Unknown export format (use json, dot, mermaid or graphml)." };
+  }
+
+  if (err && err.message === "NO_PACKAGE_GRAPH") {
+    return { status: 400, error: "This project has no workspace packages, so there is no package graph to export." };
+  }
+
+  if (err && err.message === "REPORT_NOT_BUILT") {
+    return { status: 503, error: "The HTML report is not built on this server (run `npm run build:report` in client/)." };
+  }
+
+  if (err && err.message === "ANALYSIS_WORKER_FAILED") {
+    return { status: 500, error: "The analysis stopped unexpectedly (a worker thread crashed, e.g. out of memory)." };
+  }
+
+  if (err && err.message === "INVALID_RULES") {
+    return { status: 400, error: `Invalid architecture rules${err.detail ? `: ${err.detail}` : ""}.` };
+  }
+
+  if (err && err.message === "INVALID_ENTRY_POINTS") {
+    return { status: 400, error: `Invalid entry points${err.detail ? `: ${err.detail}` : ""}.` };
+  }
+
+  if (err && err.message === "INVALID_PATH_LENGTH") {
+    return { status: 400, error: `Invalid maxLength (use a whole number from 1 to ${MAX_PATH_LENGTH}).` };
+  }
+
+  if (err && err.message === "JOB_CANCELLED") {
+    return { status: 409, error: "Analysis was cancelled." };
+  }
+
+  return { status: 500, error: "Server error" };
+}
+
+module.exports = {
+  describeError,
+};
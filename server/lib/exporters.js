@@ -0,0 +1,202 @@
+/**
+ * lib/exporters.js
+ * ----------------
+ * Serializes an analysis (see analysis.js) for other tools.
+ *
+ * Formats:
+ * - json     the whole analysis (tree, graphs, stats), same shape as GET /jobs/:jobId
+ * - dot      Graphviz digraph
+ * - mermaid  Mermaid flowchart (renders in GitHub / GitLab markdown)
+ * - graphml  GraphML XML (Gephi, yEd, Cytoscape...)
+ *
+ * Graph formats export either the file graph or the workspace package graph.
+ */
+
+const EXPORT_FORMATS = ["json", "dot", "mermaid", "graphml"];
+
+// Edge styles per import kind (static / require / re-export keep the default solid line)
+const DOT_EDGE_STYLE_BY_KIND = { dynamic: "dashed", worker: "dashed", url: "dotted", "type-only": "dotted" };
+
+/* =========================
+ * Public API
+ * ========================= */
+/**
+ * Serializes an analysis in one of EXPORT_FORMATS.
+ * Throws "INVALID_EXPORT_FORMAT" for unknown formats, and "NO_PACKAGE_GRAPH" when the
+ * package graph is requested for a project without workspaces.
+ * @param {{tree:object, graph:object, packageGraph:object|null}} analysis
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {{graph?:"files"|"packages"}} [options] - Which graph the graph formats export (default: files).
+ * @returns {string}
+ */
+function exportAnalysis(analysis, format, options = {}) {
+  if (format === "json") return JSON.stringify(analysis, null, 2) + "\n";
+  if (!EXPORT_FORMATS.includes(format)) throw new Error("INVALID_EXPORT_FORMAT");
+
+  const graph = options.graph === "packages" ? toPackageExportGraph(analysis.packageGraph) : toFileExportGraph(analysis.graph);
+
+  switch (format) {
+    case "dot":
+      return toDot(graph);
+    case "mermaid":
+      return toMermaid(graph);
+    default:
+      return toGraphML(graph);
+  }
+}
+
+/* =========================
+ * Normalized Graph
+ * ========================= */
+/**
+ * Both graphs are first reduced to the same shape:
+ * - nodes: { id, label, type }            type: "file" | "asset" | "package" | "workspace"
+ * - edges: { source, target, kind, label } label: text shown on the edge (or null)
+ * @typedef {{nodes:{id:string,label:string,type:string}[], edges:{source:string,target:string,kind:string|null,label:string|null}[]}} ExportGraph
+ */
+
+/** @returns {ExportGraph} */
+function toFileExportGraph(graph) {
+  return {
+    nodes: graph.nodes.map((node) => ({ id: node.id, label: node.id, type: node.type || "file" })),
+    edges: graph.edges.map((edge) => ({
+      source: edge.source,
+      target: edge.target,
+      kind: edge.kind || "static",
+      label: null,
+    })),
+  };
+}
+
+/** @returns {ExportGraph} */
+function toPackageExportGraph(packageGraph) {
+  if (!packageGraph) throw new Error("NO_PACKAGE_GRAPH");
+
+  return {
+    nodes: packageGraph.nodes.map((node) => ({ id: node.id, label: node.id, type: "workspace" })),
+    edges: packageGraph.edges.map((edge) => ({
+      source: edge.source,
+      target: edge.target,
+      kind: null,
+      label: `${edge.weight} import${edge.weight === 1 ? "" : "s"}`,
+    })),
+  };
+}
+
+/* =========================
+ * Graphviz DOT
+ * ========================= */
+// DOT quoted ID: only `"` and `\` need escaping
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/** @param {ExportGraph} graph */
+function toDot(graph) {
+  const lines = ["digraph codebase {", "  rankdir=LR;", '  node [shape=box, fontname="Helvetica"];'];
+
+  for (const node of graph.nodes) {
+    // npm / Node builtin packages and assets stand out from project files
+    const attributes =
+      node.type === "package" ? " [shape=ellipse, style=dashed]" : node.type === "asset" ? " [shape=note]" : "";
+    lines.push(`  ${quoteDot(node.id)}${attributes};`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = [];
+    if (DOT_EDGE_STYLE_BY_KIND[edge.kind]) attributes.push(`style=${DOT_EDGE_STYLE_BY_KIND[edge.kind]}`);
+    if (edge.label) attributes.push(`label=${quoteDot(edge.label)}`);
+
+    const attributeList = attributes.length ? ` [${attributes.join(", ")}]` : "";
+    lines.push(`  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)}${attributeList};`);
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/* =========================
+ * Mermaid
+ * ========================= */
+// Mermaid labels are quoted strings where `"` must be written as an entity
+function quoteMermaid(value) {
+  return `"${String(value).replace(/"/g, "#quot;")}"`;
+}
+
+/** @param {ExportGraph} graph */
+function toMermaid(graph) {
+  // Paths aren't valid Mermaid ids ("/", ".", "@"...), so nodes get short generated ids
+  const mermaidIdByNodeId = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const lines = ["flowchart LR"];
+
+  for (const node of graph.nodes) {
+    const id = mermaidIdByNodeId.get(node.id);
+    const label = quoteMermaid(node.label);
+    if (node.type === "package") lines.push(`  ${id}([${label}])`);
+    else if (node.type === "asset") lines.push(`  ${id}[/${label}/]`);
+    else lines.push(`  ${id}[${label}]`);
+  }
+
+  for (const edge of graph.edges) {
+    // Dynamic, worker, url and type-only imports are drawn with a dotted arrow
+    const arrow = DOT_EDGE_STYLE_BY_KIND[edge.kind] ? "-.->" : "-->";
+    const label = edge.label ? `|${quoteMermaid(edge.label)}|` : "";
+    lines.push(`  ${mermaidIdByNodeId.get(edge.source)} ${arrow}${label} ${mermaidIdByNodeId.get(edge.target)}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/* =========================
+ * GraphML
+ * ========================= */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** @param {ExportGraph} graph */
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+    '  <graph id="codebase" edgedefault="directed">',
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(
+      `    <node id="${escapeXml(node.id)}">` +
+        `<data key="label">${escapeXml(node.label)}</data>` +
+        `<data key="type">${escapeXml(node.type)}</data>` +
+        "</node>"
+    );
+  }
+
+  graph.edges.forEach((edge, index) => {
+    const data = [];
+    if (edge.kind) data.push(`<data key="kind">${escapeXml(edge.kind)}</data>`);
+    if (edge.label) data.push(`<data key="edgeLabel">${escapeXml(edge.label)}</data>`);
+
+    lines.push(
+      `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">` +
+        data.join("") +
+        "</edge>"
+    );
+  });
+
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportAnalysis,
+};
@@ -0,0 +1,128 @@
+/**
+ * lib/git.js
+ * ----------
+ * Read-only helpers around the `git` CLI for Codebase Explorer.
+ *
+ * Used to analyze a local repository (working tree or bare) at any ref
+ * without checking it out: the ref is resolved to a commit, then the
+ * commit's tree is exported with `git archive` as a TAR file, which goes
+ * through the same safe extraction as uploaded archives.
+ *
+ * git is always started with execFile/spawn (no shell), and refs are
+ * validated, so user input can never become a git option.
+ */
+
+const { execFile, spawn } = require("child_process"); // Runs git without a shell
+const fs = require("fs"); // File system utilities
+
+// Branch / tag names, commit hashes, HEAD~2, v1.0^{commit}... but no leading "-" (option injection)
+const GIT_REF_RE = /^(?!-)[\w./@^~{}-]+$/;
+
+// Output limit for short git commands (rev-parse etc.)
+const GIT_MAX_BUFFER_BYTES = 1024 * 1024;
+
+/**
+ * Runs a git command in a repository and resolves with its trimmed stdout.
+ * Rejects with "GIT_COMMAND_FAILED" (git missing, not a repository, unknown ref...).
+ * @param {string} repoDir - Repository directory (working tree or bare).
+ * @param {string[]} args - git arguments.
+ * @returns {Promise<string>}
+ */
+function runGit(repoDir, args) {
+  return new Promise((resolve, reject) => {
+    execFile("git", ["-C", repoDir, ...args], { maxBuffer: GIT_MAX_BUFFER_BYTES }, (err, stdout) => {
+      if (err) return reject(new Error("GIT_COMMAND_FAILED"));
+      resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * Describes the git repository a directory belongs to, or returns null when it is not in one.
+ * - bare: true for bare repositories (no working tree)
+ * @param {string} dir
+ * @returns {Promise<{bare:boolean}|null>}
+ */
+async function getRepositoryInfo(dir) {
+  try {
+    const bareFlag = await runGit(dir, ["rev-parse", "--is-bare-repository"]);
+    return { bare: bareFlag === "true" };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves a branch, tag or commit-ish to a full commit hash.
+ * Throws "INVALID_GIT_REF" for malformed refs and refs that don't exist.
+ * @param {string} repoDir - Repository directory.
+ * @param {string} ref - e.g. "main", "v1.2.0", "a1b2c3d", "HEAD~3".
+ * @returns {Promise<string>} Commit hash.
+ */
+async function resolveGitRef(repoDir, ref) {
+  if (typeof ref !== "string" || !GIT_REF_RE.test(ref)) throw new Error("INVALID_GIT_REF");
+
+  try {
+    return await runGit(repoDir, ["rev-parse", "--verify", "--quiet", "--end-of-options", `${ref}^{commit}`]);
+  } catch {
+    throw new Error("INVALID_GIT_REF");
+  }
+}
+
+/**
+ * Writes the tree of a commit to a TAR file (`git archive`), without touching the working tree.
+ * Run from a subfolder of a repository, git only exports that subfolder (paths relative to it).
+ * @param {string} repoDir - Repository directory (or a folder inside it).
+ * @param {string} commit - Commit hash from resolveGitRef().
+ * @param {string} tarPath - Destination TAR file.
+ * @param {{signal?:AbortSignal}} [options] - Aborting kills git and rejects with "JOB_CANCELLED".
+ */
+async function exportGitTree(repoDir, commit, tarPath, options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) throw new Error("JOB_CANCELLED");
+
+  await new Promise((resolve, reject) => {
+    const gitProcess = spawn("git", ["-C", repoDir, "archive", "--format=tar", commit], {
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    const writeStream = fs.createWriteStream(tarPath);
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener("abort", onAbort);
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const onAbort = () => {
+      gitProcess.kill();
+      finish(new Error("JOB_CANCELLED"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    gitProcess.stdout.pipe(writeStream);
+    gitProcess.on("error", () => finish(new Error("GIT_COMMAND_FAILED")));
+
+    // Wait for both: git exiting successfully and the file being fully written
+    let exitedOk = false;
+    let written = false;
+    gitProcess.on("close", (code) => {
+      if (code !== 0) return finish(new Error("GIT_COMMAND_FAILED"));
+      exitedOk = true;
+      if (written) finish();
+    });
+    writeStream.on("finish", () => {
+      written = true;
+      if (exitedOk) finish();
+    });
+    writeStream.on("error", finish);
+  });
+}
+
+module.exports = {
+  getRepositoryInfo,
+  resolveGitRef,
+  exportGitTree,
+};
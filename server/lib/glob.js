@@ -0,0 +1,82 @@
+/**
+ * lib/glob.js
+ * -----------
+ * Minimal glob matching for project-relative POSIX paths.
+ *
+ * Supported syntax:
+ * - "*"     any characters except "/"
+ * - "**"    any characters including "/" ("a/**\/b" also matches "a/b")
+ * - "?"     one character except "/"
+ * - "{a,b}" alternatives
+ *
+ * Architecture rules (see rules.js) also use:
+ * - captureWildcards: every "*", "**" and "?" becomes a capture group, numbered in written order
+ *                     (inside "{a,b}" too; the wildcards of an alternative that did not match capture "")
+ * - backreferences:   "$1".."$9" match the literal text captured by another pattern
+ */
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * @param {string} pattern - Glob pattern (e.g. "packages/*", "src/**\/*.ts").
+ * @param {{captureWildcards?:boolean, backreferences?:string[]}} [options]
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern, options = {}) {
+  const { captureWildcards = false, backreferences = null } = options;
+  const wildcard = (regexSource) => (captureWildcards ? `(${regexSource})` : regexSource);
+
+  const glob = String(pattern).replace(/\\/g, "/").replace(/^\.\//, "").replace(/\/+$/, "");
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" may also match zero folders
+      if (glob[i + 2] === "/") {
+        source += wildcard("(?:.*/)?");
+        i += 2;
+      } else {
+        source += wildcard(".*");
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += wildcard("[^/]*");
+    } else if (char === "?") {
+      source += wildcard("[^/]");
+    } else if (char === "$" && backreferences && /[1-9]/.test(glob[i + 1] || "")) {
+      // "$1" = exactly what the first wildcard of the other pattern matched
+      source += escapeRegExp(backreferences[Number(glob[i + 1]) - 1] ?? "");
+      i += 1;
+    } else if (char === "{") {
+      const closeIndex = glob.indexOf("}", i);
+      if (closeIndex === -1) {
+        source += "\\{";
+        continue;
+      }
+      // Same options, so wildcards inside an alternative are captured too (groups numbered in written order)
+      const alternatives = glob.slice(i + 1, closeIndex).split(",");
+      source += `(?:${alternatives.map((alt) => globToRegExp(alt, options).source.slice(1, -1)).join("|")})`;
+      i = closeIndex;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Returns true when a path matches a glob pattern.
+ * @param {string} relPath - Project-relative POSIX path.
+ * @param {string} pattern - Glob pattern.
+ */
+function matchesGlob(relPath, pattern) {
+  return globToRegExp(pattern).test(relPath);
+}
+
+module.exports = { globToRegExp, matchesGlob };
@@ -0,0 +1,300 @@
+/**
+ * lib/history.js
+ * --------------
+ * Git history analysis for Codebase Explorer: how often and how much files change,
+ * who changes them, and which files change together.
+ *
+ * Where the history comes from depends on the source of the analysis:
+ * - server directory:  the repository the directory is in (paths relative to the directory)
+ * - git ref:           the repository, up to the analyzed commit
+ * - uploaded archive:  none. git follows the config and objects of the repository it reads
+ *                      (fsmonitor, hooks, filters, lazy fetches...), so it never runs on a `.git`
+ *                      folder that came with an upload.
+ *
+ * Renames are not followed: a moved file starts a new history.
+ */
+
+const { execFile } = require("child_process"); // Runs git without a shell
+const { listFolders, round } = require("./coupling"); // Folders of a file, 3-decimal rounding
+
+// Newest commits read (the report says when the history was cut)
+const MAX_HISTORY_COMMITS = 5000;
+const GIT_LOG_MAX_BUFFER_BYTES = 64 * 1024 * 1024;
+
+// "Recent" = the last 90 days before the newest commit (not before today, so old projects still have some)
+const RECENT_DAYS = 90;
+
+// Co-change coupling: commits touching more files than this (bulk renames, formatting) are skipped,
+// and a pair needs MIN_CO_CHANGE_COMMITS commits and MIN_CO_CHANGE_CONFIDENCE to be reported
+const MAX_FILES_PER_CO_CHANGE_COMMIT = 30;
+const MIN_CO_CHANGE_COMMITS = 3;
+const MIN_CO_CHANGE_CONFIDENCE = 0.5;
+const MAX_CO_CHANGES = 100;
+const MAX_HOTSPOTS = 50;
+
+// With --no-ext-diff / --no-textconv, keeps `git log` from starting other programs or reaching the network
+// (gpg.program would run to check signatures, a partial clone would fetch missing objects)
+const SAFE_GIT_CONFIG = [
+  "-c",
+  "log.showSignature=false",
+  "-c",
+  "core.fsmonitor=false",
+  "-c",
+  "core.sshCommand=false",
+  "-c",
+  "protocol.allow=never",
+];
+const SAFE_GIT_ENV = {
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_CONFIG_GLOBAL: "/dev/null",
+  GIT_NO_LAZY_FETCH: "1",
+  GIT_TERMINAL_PROMPT: "0",
+};
+
+// Field / record separators of the git log format
+const FIELD_SEPARATOR = "\x1f";
+const RECORD_SEPARATOR = "\x1e";
+
+/**
+ * Where to read history from: a server directory (or a folder inside it) in a repository,
+ * up to `commit` (default: HEAD).
+ * @typedef {{repoDir:string, commit?:string}} HistorySource
+ */
+
+/* =========================
+ * Reading History
+ * ========================= */
+/**
+ * Reads the newest commits of a history source (merges left out), with the lines each one changed.
+ * Resolves with null when there is no usable repository.
+ * @param {HistorySource} source
+ * @param {{signal?:AbortSignal, maxCommits?:number}} [options] - Aborting rejects with "JOB_CANCELLED".
+ * @returns {Promise<{commits:{hash:string, author:string, timestamp:number, files:{path:string, added:number, deleted:number}[]}[], truncated:boolean}|null>}
+ */
+async function readGitHistory(source, options = {}) {
+  const { signal, maxCommits = MAX_HISTORY_COMMITS } = options;
+
+  const args = [
+    "-C",
+    source.repoDir,
+    ...SAFE_GIT_CONFIG,
+    // Non-ASCII paths as they are (not quoted / escaped), so they match the analyzed files
+    "-c",
+    "core.quotePath=false",
+    "log",
+    "--no-merges",
+    "--no-renames",
+    "--no-ext-diff",
+    "--no-textconv",
+    "--numstat",
+    `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%at${FIELD_SEPARATOR}%aN`,
+    `--max-count=${maxCommits + 1}`,
+    // Paths relative to the analyzed folder, restricted to it
+    "--relative",
+    source.commit || "HEAD",
+    "--",
+  ];
+
+  let output;
+  try {
+    output = await new Promise((resolve, reject) => {
+      execFile(
+        "git",
+        args,
+        { maxBuffer: GIT_LOG_MAX_BUFFER_BYTES, signal, env: { ...process.env, ...SAFE_GIT_ENV } },
+        (err, stdout) => (err ? reject(err) : resolve(String(stdout)))
+      );
+    });
+  } catch (err) {
+    if (signal?.aborted) throw new Error("JOB_CANCELLED");
+    // Not a repository, no commits yet, history too large...: the analysis goes on without it
+    return null;
+  }
+
+  const commits = output
+    .split(RECORD_SEPARATOR)
+    .filter((record) => record.trim())
+    .map(parseCommitRecord);
+
+  return {
+    commits: commits.slice(0, maxCommits),
+    truncated: commits.length > maxCommits,
+  };
+}
+
+// "<hash>\x1f<timestamp>\x1f<author>\n\n<added>\t<deleted>\t<path>\n..." (binary files: "-\t-\t<path>")
+function parseCommitRecord(record) {
+  const [header, ...lines] = record.split("\n");
+  const [hash, timestamp, author] = header.split(FIELD_SEPARATOR);
+
+  const files = [];
+  for (const line of lines) {
+    const match = /^(-|\d+)\t(-|\d+)\t(.+)$/.exec(line);
+    if (match) files.push({ path: match[3], added: Number(match[1]) || 0, deleted: Number(match[2]) || 0 });
+  }
+
+  return { hash, timestamp: Number(timestamp), author, files };
+}
+
+/* =========================
+ * Report
+ * ========================= */
+/**
+ * Builds the history report of an analysis.
+ * - files / folders: { commits, churn (lines added + deleted), recentCommits, recentChurn,
+ *   authors (count), owner (author of most commits), ownerShare (0..1), lastCommitAt }
+ * - coChanges: file pairs that often change in the same commits, strongest first
+ *   ({ source, target, commits, confidence, imported }); imported = false is hidden coupling
+ * - hotspots: files that change often and are complex (commits x cyclomatic complexity)
+ * @param {{commits:object[], truncated:boolean}} history - From readGitHistory().
+ * @param {string[]} relPaths - Analyzed files (history of other paths is ignored).
+ * @param {{nodes:{id:string, type?:string, metrics?:object}[], edges:{source:string, target:string}[]}} graph
+ * @returns {object}
+ */
+function buildHistoryReport(history, relPaths, graph) {
+  const analyzedPaths = new Set(relPaths);
+
+  const newestTimestamp = history.commits.length ? Math.max(...history.commits.map((commit) => commit.timestamp)) : 0;
+  const recentSince = newestTimestamp - RECENT_DAYS * 24 * 60 * 60;
+
+  const fileStats = new Map();
+  const folderStats = new Map();
+  const authors = new Set();
+  const filesByCommit = [];
+
+  for (const commit of history.commits) {
+    const isRecent = commit.timestamp >= recentSince;
+    const commitFiles = [];
+    const commitFolders = new Map();
+    authors.add(commit.author);
+
+    for (const file of commit.files) {
+      const id = file.path;
+      if (!analyzedPaths.has(id)) continue;
+      commitFiles.push(id);
+
+      const churn = file.added + file.deleted;
+      addChange(getStats(fileStats, id), commit, churn, isRecent);
+      for (const folder of listFolders(id)) commitFolders.set(folder, (commitFolders.get(folder) || 0) + churn);
+    }
+
+    // A commit counts once per folder, however many of its files it touches
+    for (const [folder, churn] of commitFolders) addChange(getStats(folderStats, folder), commit, churn, isRecent);
+    filesByCommit.push(commitFiles);
+  }
+
+  return {
+    summary: {
+      commits: history.commits.length,
+      truncated: history.truncated,
+      authors: authors.size,
+      firstCommitAt: history.commits.length ? toIsoDate(Math.min(...history.commits.map((c) => c.timestamp))) : null,
+      lastCommitAt: newestTimestamp ? toIsoDate(newestTimestamp) : null,
+      recentDays: RECENT_DAYS,
+    },
+    files: summarizeStats(fileStats),
+    folders: summarizeStats(folderStats),
+    coChanges: findCoChanges(filesByCommit, fileStats, graph),
+    hotspots: findHotspots(fileStats, graph),
+  };
+}
+
+/**
+ * File pairs changed together in at least MIN_CO_CHANGE_COMMITS commits, and in at least
+ * MIN_CO_CHANGE_CONFIDENCE of the commits of the less often changed file. Only graph files count.
+ */
+function findCoChanges(filesByCommit, fileStats, graph) {
+  const codeFileIds = new Set(graph.nodes.filter((node) => node.type !== "package").map((node) => node.id));
+  const importedPairs = new Set(graph.edges.map((edge) => [edge.source, edge.target].sort().join("\n")));
+
+  const commitsByPair = new Map();
+  for (const commitFiles of filesByCommit) {
+    const ids = [...new Set(commitFiles.filter((id) => codeFileIds.has(id)))].sort();
+    if (ids.length < 2 || ids.length > MAX_FILES_PER_CO_CHANGE_COMMIT) continue;
+
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const pairKey = ids[i] + "\n" + ids[j];
+        commitsByPair.set(pairKey, (commitsByPair.get(pairKey) || 0) + 1);
+      }
+    }
+  }
+
+  const coChanges = [];
+  for (const [pairKey, commits] of commitsByPair) {
+    if (commits < MIN_CO_CHANGE_COMMITS) continue;
+
+    const [source, target] = pairKey.split("\n");
+    const confidence = commits / Math.min(fileStats.get(source).commits, fileStats.get(target).commits);
+    if (confidence < MIN_CO_CHANGE_CONFIDENCE) continue;
+
+    coChanges.push({ source, target, commits, confidence: round(confidence), imported: importedPairs.has(pairKey) });
+  }
+
+  return coChanges
+    .sort((a, b) => b.commits - a.commits || b.confidence - a.confidence || a.source.localeCompare(b.source))
+    .slice(0, MAX_CO_CHANGES);
+}
+
+// Files ranked by commits x complexity (files without a complexity, e.g. unparsed, are left out)
+function findHotspots(fileStats, graph) {
+  const hotspots = [];
+  for (const node of graph.nodes) {
+    const stats = fileStats.get(node.id);
+    const complexity = node.metrics?.complexity;
+    if (!stats || !complexity) continue;
+    hotspots.push({ id: node.id, commits: stats.commits, churn: stats.churn, complexity, score: stats.commits * complexity });
+  }
+
+  return hotspots.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id)).slice(0, MAX_HOTSPOTS);
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+function getStats(statsById, id) {
+  if (!statsById.has(id)) {
+    statsById.set(id, { commits: 0, churn: 0, recentCommits: 0, recentChurn: 0, commitsByAuthor: new Map(), lastTimestamp: 0 });
+  }
+  return statsById.get(id);
+}
+
+function addChange(stats, commit, churn, isRecent) {
+  stats.commits += 1;
+  stats.churn += churn;
+  if (isRecent) {
+    stats.recentCommits += 1;
+    stats.recentChurn += churn;
+  }
+  stats.commitsByAuthor.set(commit.author, (stats.commitsByAuthor.get(commit.author) || 0) + 1);
+  stats.lastTimestamp = Math.max(stats.lastTimestamp, commit.timestamp);
+}
+
+// Map of raw stats -> plain object { id: { commits, churn, ..., owner, ownerShare } }
+function summarizeStats(statsById) {
+  const summaries = {};
+  for (const [id, stats] of [...statsById].sort(([a], [b]) => a.localeCompare(b))) {
+    const [owner, ownerCommits] = [...stats.commitsByAuthor].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+
+    summaries[id] = {
+      commits: stats.commits,
+      churn: stats.churn,
+      recentCommits: stats.recentCommits,
+      recentChurn: stats.recentChurn,
+      authors: stats.commitsByAuthor.size,
+      owner,
+      ownerShare: round(ownerCommits / stats.commits),
+      lastCommitAt: toIsoDate(stats.lastTimestamp),
+    };
+  }
+  return summaries;
+}
+
+function toIsoDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+module.exports = {
+  readGitHistory,
+  buildHistoryReport,
+};
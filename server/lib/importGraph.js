@@ -0,0 +1,178 @@
+/**
+ * lib/importGraph.js
+ * ------------------
+ * Local-import dependency graph of every language Codebase Explorer follows
+ * (JS/TS, Vue / Svelte components, CSS / SCSS / Less, Python, Go, Java / Kotlin, see lib/languages/),
+ * and of the assets they reference (images, fonts, media, data files, see lib/assets.js).
+ *
+ * Files are parsed first, then resolved: some resolvers need every file of their language
+ * (Java / Kotlin package declarations) before the first import can be resolved.
+ * Parsing (reading + import extraction) runs in batches on worker threads (see lib/workerPool.js).
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { dedupeImports, pickStrongerKind } = require("./imports"); // Import merging
+const { getLanguage } = require("./languages"); // Per-language extraction + resolution
+const { getAssetType } = require("./assets"); // Images, fonts, media, data files
+const { createAnalysisPool } = require("./analysisWorker"); // File parsing off the main thread
+
+// Files per parsing task: enough to keep thread messaging cheap, few enough to spread over the pool
+const PARSE_BATCH_SIZE = 50;
+
+/**
+ * Builds a dependency graph from the local imports of the project's source files
+ * (imports that resolve to files inside the project).
+ * One edge is created per (source, target) pair:
+ * - kind:  the most significant way source imports target
+ * - kinds: every way source imports target
+ * - specifiers: every specifier (as written) that resolved to target
+ * - names: every name of target that source uses ("*" = all of them)
+ * File nodes have a `language` ("typescript", "python"...), list the names they export
+ * (`exports`, null when the file could not be parsed or its language does not track them)
+ * and carry their code metrics (`metrics`, see lib/metrics.js).
+ * Asset nodes ({ type: "asset", assetType }) only have edges coming in.
+ *
+ * With `includeExternalPackages`, bare imports that do not resolve to a project
+ * file become package nodes ({ type: "package", id: "npm:lodash" | "node:fs" }).
+ * @param {string} rootDir - Extraction root directory.
+ * @param {string[]} filePathsAbs - Absolute file paths to consider.
+ * @param {{workspaces?:{packages:object[]}, includeExternalPackages?:boolean, manifests?:object[], analysisPool?:object, signal?:AbortSignal, onProgress?:Function}} [options]
+ *   - workspaces: detected workspaces (see lib/workspaces.js)
+ *   - includeExternalPackages: add npm / Node builtin package nodes
+ *   - manifests: package.json files (see lib/dependencies.js); a builtin name they declare is an npm package
+ *   - analysisPool: pool that parses the files (see lib/analysisWorker.js; default: the main thread)
+ *   - signal: aborting stops parsing with "JOB_CANCELLED"
+ *   - onProgress: called with { filesParsed, filesToParse } as parsed batches come back
+ * @returns {Promise<{nodes:{id:string,type:"file"|"asset"|"package",language?:string,assetType?:string,exports?:string[]|null,metrics?:object}[], edges:{source:string,target:string,kind:string,kinds:string[],specifiers:string[],names:string[]}[]}>}
+ */
+async function buildLocalImportsGraph(rootDir, filePathsAbs, options = {}) {
+  const sourceFilesAbs = filePathsAbs.filter((absPath) => getLanguage(absPath));
+
+  // Convert absolute paths into relative IDs used by the frontend
+  const relPaths = sourceFilesAbs.map((absPath) => path.relative(rootDir, absPath).replace(/\\/g, "/"));
+  const allRelPaths = filePathsAbs.map((absPath) => path.relative(rootDir, absPath).replace(/\\/g, "/"));
+  const languages = relPaths.map((relPath) => getLanguage(relPath));
+
+  const nodes = relPaths.map((id, i) => ({ id, type: "file", language: languages[i].name }));
+  const parsedModuleById = new Map();
+
+  const assetNodes = allRelPaths
+    .filter((relPath) => !getLanguage(relPath) && getAssetType(relPath))
+    .map((id) => ({ id, type: "asset", assetType: getAssetType(id) }));
+
+  // Files are read and parsed in batches on the analysis pool; results stream back batch by batch
+  const pool = options.analysisPool || createAnalysisPool(0);
+  // Stops the other batches once one fails, or when the analysis is cancelled
+  const batchesController = new AbortController();
+  const batchesSignal = batchesController.signal;
+  const abortBatches = () => batchesController.abort();
+  if (options.signal?.aborted) abortBatches();
+  options.signal?.addEventListener("abort", abortBatches, { once: true });
+  let filesParsed = 0;
+  options.onProgress?.({ filesParsed, filesToParse: sourceFilesAbs.length });
+
+  const batches = [];
+  for (let batchStart = 0; batchStart < sourceFilesAbs.length; batchStart += PARSE_BATCH_SIZE) {
+    const files = relPaths
+      .slice(batchStart, batchStart + PARSE_BATCH_SIZE)
+      .map((relPath, j) => ({ absPath: sourceFilesAbs[batchStart + j], relPath }));
+
+    const batch = pool.run("parseFiles", { files }, { signal: batchesSignal }).then((parsedModules) => {
+      parsedModules.forEach((parsedModule, j) => {
+        // Unreadable files (binary, permission, etc.) stay nodes without exports or metrics
+        if (!parsedModule) return;
+        const i = batchStart + j;
+        parsedModuleById.set(relPaths[i], parsedModule);
+        nodes[i].exports = parsedModule.exports;
+        nodes[i].metrics = parsedModule.metrics;
+      });
+
+      filesParsed += files.length;
+      options.onProgress?.({ filesParsed, filesToParse: sourceFilesAbs.length });
+    });
+    batches.push(batch);
+  }
+
+  try {
+    await Promise.all(batches);
+  } catch (err) {
+    batchesController.abort();
+    throw options.signal?.aborted ? new Error("JOB_CANCELLED") : err;
+  } finally {
+    options.signal?.removeEventListener("abort", abortBatches);
+  }
+
+  // One resolver per createResolver function (JavaScript and TypeScript share theirs)
+  const context = {
+    rootDir,
+    fileIds: new Set([...relPaths, ...assetNodes.map((node) => node.id)]),
+    allRelPaths,
+    parsedModuleById,
+    workspaces: options.workspaces,
+    manifests: options.manifests,
+  };
+  const resolverByFactory = new Map();
+  for (const language of new Set(languages)) {
+    if (!resolverByFactory.has(language.createResolver)) {
+      resolverByFactory.set(language.createResolver, await language.createResolver(context));
+    }
+  }
+
+  const edges = [];
+  const edgeByKey = new Map(); // Prevent duplicate edges (merge kinds instead)
+  const packageNodeById = new Map(); // External package nodes, created on first import
+
+  /**
+   * Resolves an import to node ids: project files, or (optionally) a package node.
+   */
+  const resolveTargetNodeIds = (resolver, fromRelPath, occurrence) => {
+    const targetRelPaths = resolver.resolve(fromRelPath, occurrence);
+    if (targetRelPaths.length > 0 || !options.includeExternalPackages) return targetRelPaths;
+
+    const externalPackage = resolver.getExternalPackage?.(fromRelPath, occurrence);
+    if (!externalPackage) return [];
+
+    if (!packageNodeById.has(externalPackage.id)) {
+      packageNodeById.set(externalPackage.id, { ...externalPackage, type: "package" });
+    }
+    return [externalPackage.id];
+  };
+
+  for (let i = 0; i < relPaths.length; i++) {
+    if (options.signal?.aborted) throw new Error("JOB_CANCELLED");
+
+    const fromRelPath = relPaths[i];
+    const parsedModule = parsedModuleById.get(fromRelPath);
+    if (!parsedModule) continue;
+
+    const resolver = resolverByFactory.get(languages[i].createResolver);
+
+    for (const occurrence of dedupeImports(parsedModule.imports)) {
+      const { specifier, kind, names } = occurrence;
+
+      for (const targetRelPath of resolveTargetNodeIds(resolver, fromRelPath, occurrence)) {
+        const edgeKey = `${fromRelPath}=>${targetRelPath}`;
+        const existingEdge = edgeByKey.get(edgeKey);
+
+        if (existingEdge) {
+          if (!existingEdge.kinds.includes(kind)) existingEdge.kinds.push(kind);
+          if (!existingEdge.specifiers.includes(specifier)) existingEdge.specifiers.push(specifier);
+          existingEdge.names = [...new Set([...existingEdge.names, ...names])];
+          existingEdge.kind = pickStrongerKind(existingEdge.kind, kind);
+          continue;
+        }
+
+        const edge = { source: fromRelPath, target: targetRelPath, kind, kinds: [kind], specifiers: [specifier], names };
+        edgeByKey.set(edgeKey, edge);
+        edges.push(edge);
+      }
+    }
+  }
+
+  nodes.push(...assetNodes, ...[...packageNodeById.values()].sort((a, b) => a.id.localeCompare(b.id)));
+  return { nodes, edges };
+}
+
+module.exports = {
+  buildLocalImportsGraph,
+};
@@ -0,0 +1,170 @@
+/**
+ * lib/importPaths.js
+ * ------------------
+ * "Why is this file imported?" queries on the import graph of an analysis.
+ *
+ * - findImportPaths:     shortest import chain from one file to another, plus every simple
+ *                        path (no file visited twice) up to a length limit
+ * - findEntryPointPaths: the entry points (see deadCode.js) that reach a file, each with its shortest chain
+ *
+ * A path is a list of node ids from the importer to the imported file; its length is its number
+ * of imports (edges). Every import kind counts, and so do package nodes when the analysis has them.
+ */
+
+const DEFAULT_MAX_PATH_LENGTH = 6;
+const MAX_PATH_LENGTH = 12;
+
+// Enumerating simple paths is exponential in the worst case: stop listing after this many
+const MAX_PATHS = 200;
+
+/* =========================
+ * Input Validation
+ * ========================= */
+/**
+ * Parses the maxLength query parameter (default DEFAULT_MAX_PATH_LENGTH).
+ * Throws INVALID_PATH_LENGTH unless it is an integer from 1 to MAX_PATH_LENGTH.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function parseMaxPathLength(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_MAX_PATH_LENGTH;
+
+  const maxLength = Number(value);
+  if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_PATH_LENGTH) {
+    throw new Error("INVALID_PATH_LENGTH");
+  }
+  return maxLength;
+}
+
+// Throws INVALID_FILE_PATH unless the id is a node of the graph
+function assertGraphNode(graph, nodeId) {
+  if (typeof nodeId !== "string" || !graph.nodes.some((node) => node.id === nodeId)) {
+    throw new Error("INVALID_FILE_PATH");
+  }
+}
+
+/* =========================
+ * Queries
+ * ========================= */
+/**
+ * Finds how `fromId` (transitively) imports `toId`.
+ * @param {{nodes:{id:string}[], edges:{source:string, target:string}[]}} graph
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {{maxLength?:number}} [options]
+ * @returns {{shortest:string[]|null, paths:string[][], truncated:boolean}}
+ *   shortest ignores maxLength (null when toId is not reachable); paths are the simple paths of
+ *   at most maxLength imports, shortest first; truncated when more than MAX_PATHS exist.
+ */
+function findImportPaths(graph, fromId, toId, { maxLength = DEFAULT_MAX_PATH_LENGTH } = {}) {
+  assertGraphNode(graph, fromId);
+  assertGraphNode(graph, toId);
+
+  const outgoingById = buildAdjacency(graph, "source", "target");
+  const incomingById = buildAdjacency(graph, "target", "source");
+
+  // Imports left to reach toId from every node that can reach it (breadth-first, backwards)
+  const { distanceById, nextHopById } = walkBackwards(incomingById, toId);
+
+  const shortest = distanceById.has(fromId) ? followNextHops(nextHopById, fromId, toId) : null;
+
+  // Depth-first over simple paths, pruned by the distance left: a node is only entered when
+  // toId can still be reached within maxLength
+  const paths = [];
+  let truncated = false;
+  const currentPath = [fromId];
+  const onPath = new Set([fromId]);
+
+  function visit(nodeId) {
+    if (truncated) return;
+    if (nodeId === toId) {
+      if (paths.length === MAX_PATHS) truncated = true;
+      else paths.push([...currentPath]);
+      return;
+    }
+
+    for (const nextId of outgoingById.get(nodeId) || []) {
+      if (onPath.has(nextId) || !distanceById.has(nextId)) continue;
+      if (currentPath.length + distanceById.get(nextId) > maxLength) continue;
+
+      currentPath.push(nextId);
+      onPath.add(nextId);
+      visit(nextId);
+      onPath.delete(nextId);
+      currentPath.pop();
+    }
+  }
+
+  if (shortest && shortest.length - 1 <= maxLength) visit(fromId);
+  paths.sort((a, b) => a.length - b.length || a.join("\n").localeCompare(b.join("\n")));
+
+  return { shortest, paths, truncated };
+}
+
+/**
+ * Lists the entry points that (transitively) import `toId`.
+ * @param {{nodes:{id:string}[], edges:{source:string, target:string}[]}} graph
+ * @param {string} toId
+ * @param {{id:string, reason:string}[]} entryPoints - stats.deadCode.entryPoints.
+ * @returns {{id:string, reason:string, path:string[]}[]} Closest entry points first, each with its shortest path.
+ */
+function findEntryPointPaths(graph, toId, entryPoints) {
+  assertGraphNode(graph, toId);
+
+  const incomingById = buildAdjacency(graph, "target", "source");
+  const { distanceById, nextHopById } = walkBackwards(incomingById, toId);
+
+  return entryPoints
+    .filter((entryPoint) => distanceById.has(entryPoint.id))
+    .map((entryPoint) => ({ ...entryPoint, path: followNextHops(nextHopById, entryPoint.id, toId) }))
+    .sort((a, b) => a.path.length - b.path.length || a.id.localeCompare(b.id));
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+// Adjacency list (sorted, so results don't depend on edge order); self-imports are skipped
+function buildAdjacency(graph, fromKey, toKey) {
+  const neighborsById = new Map();
+  for (const edge of graph.edges) {
+    if (edge.source === edge.target) continue;
+    if (!neighborsById.has(edge[fromKey])) neighborsById.set(edge[fromKey], new Set());
+    neighborsById.get(edge[fromKey]).add(edge[toKey]);
+  }
+  return new Map([...neighborsById].map(([id, neighbors]) => [id, [...neighbors].sort()]));
+}
+
+/**
+ * Breadth-first from the target along reversed edges.
+ * nextHopById: for every node that reaches the target, the next node of one of its shortest paths.
+ */
+function walkBackwards(incomingById, toId) {
+  const distanceById = new Map([[toId, 0]]);
+  const nextHopById = new Map();
+  const queue = [toId];
+
+  for (let index = 0; index < queue.length; index++) {
+    const nodeId = queue[index];
+    for (const importerId of incomingById.get(nodeId) || []) {
+      if (distanceById.has(importerId)) continue;
+      distanceById.set(importerId, distanceById.get(nodeId) + 1);
+      nextHopById.set(importerId, nodeId);
+      queue.push(importerId);
+    }
+  }
+
+  return { distanceById, nextHopById };
+}
+
+function followNextHops(nextHopById, fromId, toId) {
+  const path = [fromId];
+  while (path[path.length - 1] !== toId) path.push(nextHopById.get(path[path.length - 1]));
+  return path;
+}
+
+module.exports = {
+  MAX_PATH_LENGTH,
+  parseMaxPathLength,
+  findImportPaths,
+  findEntryPointPaths,
+};
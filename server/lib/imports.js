@@ -0,0 +1,495 @@
+/**
+ * lib/imports.js
+ * --------------
+ * Import extraction + resolution for JS/JSX/TS/TSX (the graph of every language is built by lib/importGraph.js).
+ *
+ * Imports are found by parsing each file into an AST (@babel/parser),
+ * so specifiers inside comments/strings are ignored and multi-line
+ * imports, re-exports, dynamic imports and type-only imports are found.
+ *
+ * Besides relative imports, specifiers are resolved through tsconfig/jsconfig
+ * "paths"/"baseUrl" and package.json "imports"/"exports" (see lib/aliases.js),
+ * and bare imports of monorepo workspace packages (see lib/workspaces.js).
+ *
+ * Every import carries a "kind":
+ * - "static"    import x from "y" / import "y"
+ * - "dynamic"   import("y")
+ * - "re-export" export { x } from "y" / export * from "y"
+ * - "type-only" import type { X } from "y" / import("y").X in type positions
+ * - "require"   require("y") / import x = require("y")
+ * - "worker"    new Worker("y") / new SharedWorker("y") / navigator.serviceWorker.register("y")
+ *               (also with new URL("y", import.meta.url) as the script)
+ * - "url"       new URL("y", import.meta.url), the bundler way to reference an asset or a module
+ *
+ * Imports also carry the names they use ("default", "foo", "*" = the whole module)
+ * and file nodes the names they export, for the unused exports report (lib/deadCode.js).
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { parseSource, getStaticStringValue, walkAst } = require("./ast"); // Parsing + AST traversal
+const { computeFileMetrics } = require("./metrics"); // Lines of code, complexity...
+
+/* =========================
+ * Import Kinds
+ * ========================= */
+const IMPORT_KINDS = ["static", "require", "re-export", "dynamic", "worker", "url", "type-only"];
+
+// new Worker(...) / new SharedWorker(...)
+const WORKER_CONSTRUCTORS = new Set(["Worker", "SharedWorker"]);
+
+/**
+ * Returns the more "significant" of two kinds (earlier in IMPORT_KINDS wins).
+ * Used when one file imports the same target in several ways.
+ */
+function pickStrongerKind(kindA, kindB) {
+  return IMPORT_KINDS.indexOf(kindA) <= IMPORT_KINDS.indexOf(kindB) ? kindA : kindB;
+}
+
+/* =========================
+ * Extraction (see ast.js for parsing)
+ * ========================= */
+/**
+ * Returns true when every specifier of an import declaration is type-only:
+ * import { type A, type B } from "x"
+ */
+function areAllSpecifiersTypeOnly(importDeclaration) {
+  const specifiers = importDeclaration.specifiers || [];
+  return specifiers.length > 0 && specifiers.every((specifier) => specifier.importKind === "type");
+}
+
+/**
+ * Returns the name of an import / export specifier's identifier or string ("default", "foo").
+ */
+function getModuleExportName(node) {
+  if (!node) return null;
+  return node.type === "StringLiteral" ? node.value : node.name;
+}
+
+/**
+ * Returns true for a require("...") call with a static specifier.
+ */
+function isRequireCall(node) {
+  return (
+    node?.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    getStaticStringValue(node.arguments[0]) !== null
+  );
+}
+
+/**
+ * Returns true for new URL("...", import.meta.url) with a static path.
+ */
+function isImportMetaUrl(node) {
+  if (node?.type !== "NewExpression") return false;
+  const [urlArg, baseArg] = node.arguments;
+  return (
+    node.callee.type === "Identifier" &&
+    node.callee.name === "URL" &&
+    getStaticStringValue(urlArg) !== null &&
+    baseArg?.type === "MemberExpression" &&
+    baseArg.object.type === "MetaProperty" &&
+    baseArg.property.name === "url"
+  );
+}
+
+/**
+ * Returns true for a navigator.serviceWorker.register(...) call (any object before .serviceWorker).
+ */
+function isServiceWorkerRegistration(node) {
+  const { callee } = node;
+  return (
+    callee.type === "MemberExpression" &&
+    callee.property.name === "register" &&
+    callee.object.type === "MemberExpression" &&
+    callee.object.property.name === "serviceWorker"
+  );
+}
+
+/**
+ * Extracts imports from an AST.
+ * `line` is the line of the specifier string (not of the statement), so
+ * multi-line imports point at their `from "..."` line.
+ * `names` are the imported names: "default", "foo", or "*" when the whole module is used
+ * (namespace imports, export *, dynamic imports, plain require()).
+ * @returns {{specifier:string, kind:string, line:number|null, names:string[]}[]}
+ */
+function extractImportsFromAst(ast) {
+  const imports = [];
+  const addImport = (specifier, kind, specifierNode, names = ["*"]) => {
+    if (typeof specifier === "string" && specifier) {
+      imports.push({ specifier, kind, line: specifierNode?.loc?.start.line ?? null, names });
+    }
+  };
+
+  // const { a, b } = require("y") only uses a and b (the call itself is not visited again)
+  const destructuredRequireCalls = new Set();
+  // new Worker(new URL("y", import.meta.url)) is one worker import (the URL is not visited again)
+  const workerScriptUrls = new Set();
+
+  // The script of a worker: "y" or new URL("y", import.meta.url)
+  const addWorkerImport = (scriptNode) => {
+    if (isImportMetaUrl(scriptNode)) {
+      workerScriptUrls.add(scriptNode);
+      addImport(getStaticStringValue(scriptNode.arguments[0]), "worker", scriptNode.arguments[0]);
+    } else {
+      addImport(getStaticStringValue(scriptNode), "worker", scriptNode);
+    }
+  };
+
+  walkAst(ast.program, (node) => {
+    switch (node.type) {
+      case "ImportDeclaration": {
+        const isTypeOnly = node.importKind === "type" || areAllSpecifiersTypeOnly(node);
+        const names = (node.specifiers || []).map((specifier) => {
+          if (specifier.type === "ImportDefaultSpecifier") return "default";
+          if (specifier.type === "ImportNamespaceSpecifier") return "*";
+          return getModuleExportName(specifier.imported);
+        });
+        addImport(node.source.value, isTypeOnly ? "type-only" : "static", node.source, names);
+        break;
+      }
+
+      case "ExportNamedDeclaration": {
+        if (!node.source) break;
+        const names = (node.specifiers || []).map((specifier) => {
+          if (specifier.type === "ExportNamespaceSpecifier") return "*";
+          if (specifier.type === "ExportDefaultSpecifier") return "default";
+          return getModuleExportName(specifier.local);
+        });
+        addImport(node.source.value, node.exportKind === "type" ? "type-only" : "re-export", node.source, names);
+        break;
+      }
+
+      case "ExportAllDeclaration": {
+        addImport(node.source.value, node.exportKind === "type" ? "type-only" : "re-export", node.source);
+        break;
+      }
+
+      case "VariableDeclarator": {
+        if (node.id.type !== "ObjectPattern" || !isRequireCall(node.init)) break;
+
+        const names = node.id.properties.map((property) =>
+          property.type === "RestElement" || property.computed ? "*" : getModuleExportName(property.key)
+        );
+        const [firstArg] = node.init.arguments;
+        addImport(getStaticStringValue(firstArg), "require", firstArg, names);
+        destructuredRequireCalls.add(node.init);
+        break;
+      }
+
+      case "ImportExpression": {
+        addImport(getStaticStringValue(node.source), "dynamic", node.source);
+        break;
+      }
+
+      case "CallExpression": {
+        const [firstArg] = node.arguments;
+
+        if (node.callee.type === "Import") {
+          addImport(getStaticStringValue(firstArg), "dynamic", firstArg);
+        } else if (isRequireCall(node) && !destructuredRequireCalls.has(node)) {
+          addImport(getStaticStringValue(firstArg), "require", firstArg);
+        } else if (isServiceWorkerRegistration(node)) {
+          addWorkerImport(firstArg);
+        }
+        break;
+      }
+
+      case "NewExpression": {
+        if (node.callee.type === "Identifier" && WORKER_CONSTRUCTORS.has(node.callee.name)) {
+          addWorkerImport(node.arguments[0]);
+        } else if (isImportMetaUrl(node) && !workerScriptUrls.has(node)) {
+          addImport(getStaticStringValue(node.arguments[0]), "url", node.arguments[0]);
+        }
+        break;
+      }
+
+      case "TSImportEqualsDeclaration": {
+        // import x = require("y")
+        if (node.moduleReference?.type !== "TSExternalModuleReference") break;
+        addImport(
+          getStaticStringValue(node.moduleReference.expression),
+          node.importKind === "type" ? "type-only" : "require",
+          node.moduleReference.expression
+        );
+        break;
+      }
+
+      case "TSImportType": {
+        // let x: import("y").Foo
+        const argument = node.argument?.literal || node.argument;
+        addImport(getStaticStringValue(argument), "type-only", argument);
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  return imports;
+}
+
+/**
+ * Lists the names a module exports, from its top-level statements:
+ * - ES modules: export declarations, export { a as b }, export default ("default"), export * as ns
+ * - CommonJS: module.exports = { a, b } (its keys), exports.a = / module.exports.a = ("a"),
+ *   module.exports = other value ("default")
+ * `export * from "y"` adds nothing (the names are y's).
+ * @returns {string[]} Sorted, without duplicates.
+ */
+function extractExportsFromAst(ast) {
+  const names = new Set();
+
+  const addBindingNames = (pattern) => {
+    if (!pattern) return;
+    if (pattern.type === "Identifier") names.add(pattern.name);
+    else if (pattern.type === "ObjectPattern") {
+      pattern.properties.forEach((property) => addBindingNames(property.type === "RestElement" ? property.argument : property.value));
+    } else if (pattern.type === "ArrayPattern") pattern.elements.forEach(addBindingNames);
+    else if (pattern.type === "AssignmentPattern") addBindingNames(pattern.left);
+    else if (pattern.type === "RestElement") addBindingNames(pattern.argument);
+  };
+
+  // module.exports / exports, or module.exports.x / exports.x (returns "x")
+  const getCommonJsTarget = (node) => {
+    if (node?.type !== "MemberExpression" || node.computed) return null;
+    const isModuleExports = (object) =>
+      object.type === "MemberExpression" &&
+      !object.computed &&
+      object.object.type === "Identifier" &&
+      object.object.name === "module" &&
+      object.property.name === "exports";
+
+    if (isModuleExports(node)) return { whole: true };
+    if (isModuleExports(node.object) || (node.object.type === "Identifier" && node.object.name === "exports")) {
+      return { whole: false, name: node.property.name };
+    }
+    return null;
+  };
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case "ExportNamedDeclaration": {
+        const { declaration } = statement;
+        if (declaration?.type === "VariableDeclaration") {
+          declaration.declarations.forEach((declarator) => addBindingNames(declarator.id));
+        } else if (declaration?.id) {
+          names.add(getModuleExportName(declaration.id));
+        }
+        for (const specifier of statement.specifiers || []) names.add(getModuleExportName(specifier.exported));
+        break;
+      }
+
+      case "ExportDefaultDeclaration":
+      case "TSExportAssignment": {
+        names.add("default");
+        break;
+      }
+
+      case "ExportAllDeclaration": {
+        if (statement.exported) names.add(getModuleExportName(statement.exported));
+        break;
+      }
+
+      case "ExpressionStatement": {
+        const { expression } = statement;
+        if (expression.type !== "AssignmentExpression") break;
+
+        const target = getCommonJsTarget(expression.left);
+        if (!target) break;
+
+        if (!target.whole) {
+          names.add(target.name);
+        } else if (expression.right.type === "ObjectExpression") {
+          for (const property of expression.right.properties) {
+            if (property.type !== "SpreadElement" && !property.computed) names.add(getModuleExportName(property.key));
+          }
+        } else {
+          names.add("default");
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return [...names].filter(Boolean).sort();
+}
+
+/**
+ * Fallback for files the parser cannot handle (e.g. Flow or broken syntax).
+ * Uses the old regex patterns, so results may include false positives.
+ * @returns {{specifier:string, kind:string, line:number, names:string[]}[]}
+ */
+function extractImportsWithRegex(fileContent) {
+  const imports = [];
+
+  const IMPORT_FROM_RE = /import\s+[^;]*?\sfrom\s+["']([^"']+)["']/g;
+  const IMPORT_BARE_RE = /import\s+["']([^"']+)["']/g;
+  const REQUIRE_RE = /require\(\s*["']([^"']+)["']\s*\)/g;
+
+  // Line of the specifier (the last capture ends right before the closing quote)
+  const getLine = (match) => {
+    const specifierIndex = match.index + match[0].lastIndexOf(match[1]);
+    return fileContent.slice(0, specifierIndex).split("\n").length;
+  };
+
+  let match;
+  while ((match = IMPORT_FROM_RE.exec(fileContent))) {
+    imports.push({ specifier: match[1], kind: "static", line: getLine(match), names: ["*"] });
+  }
+  while ((match = IMPORT_BARE_RE.exec(fileContent))) {
+    imports.push({ specifier: match[1], kind: "static", line: getLine(match), names: [] });
+  }
+  while ((match = REQUIRE_RE.exec(fileContent))) {
+    imports.push({ specifier: match[1], kind: "require", line: getLine(match), names: ["*"] });
+  }
+
+  return imports;
+}
+
+/**
+ * Lists every import occurrence (specifier + kind + line + names) in JS/JSX/TS/TSX content,
+ * in source order. Used by the file viewer to turn import lines into links.
+ * @param {string} fileContent - Source code.
+ * @param {string} fileRelPath - Used to pick parser plugins (TS vs JSX).
+ * @returns {{specifier:string, kind:string, line:number|null, names:string[]}[]}
+ */
+function listImportOccurrences(fileContent, fileRelPath) {
+  return parseModule(fileContent, fileRelPath).imports;
+}
+
+/**
+ * Parses a module once: its import occurrences (source order), exported names
+ * (null when the parser failed and imports come from the regex fallback) and code metrics.
+ */
+function parseModule(fileContent, fileRelPath) {
+  const ast = parseSource(fileContent, fileRelPath);
+  const imports = ast ? extractImportsFromAst(ast) : extractImportsWithRegex(fileContent);
+
+  return {
+    imports: imports.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)),
+    exports: ast ? extractExportsFromAst(ast) : null,
+    metrics: computeFileMetrics(fileContent, ast, fileRelPath),
+  };
+}
+
+/**
+ * Removes duplicate (specifier, kind) pairs: the first occurrence is kept, with the names of all of them.
+ */
+function dedupeImports(imports) {
+  const importByKey = new Map();
+
+  for (const occurrence of imports) {
+    const key = `${occurrence.kind}:${occurrence.specifier}`;
+    const existing = importByKey.get(key);
+    if (existing) {
+      existing.names = [...new Set([...existing.names, ...occurrence.names])];
+    } else {
+      importByKey.set(key, { ...occurrence });
+    }
+  }
+
+  return [...importByKey.values()];
+}
+
+/**
+ * Extracts imports (specifier + kind + names) from JS/JSX/TS/TSX content.
+ * Duplicate (specifier, kind) pairs are merged (the first occurrence is kept).
+ * @param {string} fileContent - Source code.
+ * @param {string} fileRelPath - Used to pick parser plugins (TS vs JSX).
+ * @returns {{specifier:string, kind:string, line:number|null, names:string[]}[]}
+ */
+function extractImportSpecifiers(fileContent, fileRelPath) {
+  return dedupeImports(listImportOccurrences(fileContent, fileRelPath));
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Checks whether an import specifier is local (relative path).
+ * Examples: "./x", "../y"
+ */
+function isLocalImportSpecifier(spec) {
+  return typeof spec === "string" && (spec.startsWith("./") || spec.startsWith("../"));
+}
+
+// Extensions tried after an extensionless path and for index files, in this order
+const SCRIPT_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", ".mts", ".cts"];
+
+// A path to emitted JavaScript ("./b.js") may name a TypeScript source ("b.ts", "b.mts"...)
+const JS_OUTPUT_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs"];
+const TS_SOURCE_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts"];
+
+/**
+ * Finds an existing file for a project-relative base path.
+ * It tries the path as written (which also finds assets: "./logo.svg"), then the TypeScript
+ * sources of a JS path (NodeNext / Node16 projects import "./b.js" for b.ts), then common
+ * JS/TS resolution patterns (file extension and index files).
+ */
+function resolveFileFromBase(base, existingRelPathsSet) {
+  const jsExtension = JS_OUTPUT_EXTENSIONS.find((ext) => base.endsWith(ext));
+  const stem = jsExtension ? base.slice(0, -jsExtension.length) : null;
+
+  const candidates = [
+    base,
+    ...(stem ? TS_SOURCE_EXTENSIONS.map((ext) => stem + ext) : []),
+    ...SCRIPT_EXTENSIONS.map((ext) => base + ext),
+    `${base}.json`,
+    ...SCRIPT_EXTENSIONS.map((ext) => path.posix.join(base, `index${ext}`)),
+  ];
+
+  for (const candidate of candidates) {
+    if (existingRelPathsSet.has(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Converts an import specifier into an actual file path within the extracted project.
+ * - Relative specifiers ("./x", "../y") are resolved from the importing file.
+ * - Anything else goes through the alias resolver (tsconfig paths, baseUrl,
+ *   package.json imports/exports) when one is given.
+ * @param {string} fromFileRelPath - Importing file (project-relative).
+ * @param {string} importSpec - Specifier as written in the source.
+ * @param {Set<string>} existingRelPathsSet - Project-relative paths of existing files.
+ * @param {{getCandidateBases:Function}|null} [aliasResolver] - From loadAliasResolver().
+ * @returns {string|null} Project-relative path of the imported file.
+ */
+function resolveImportToRelativeFile(fromFileRelPath, importSpec, existingRelPathsSet, aliasResolver = null) {
+  // Bundler queries name the same file: "./worker.js?worker", "./icon.svg?raw"
+  const spec = importSpec.replace(/\\/g, "/").replace(/\?.*$/, "");
+  let bases = [];
+
+  if (isLocalImportSpecifier(spec)) {
+    const fromDir = path.posix.dirname(fromFileRelPath.replace(/\\/g, "/"));
+    bases = [path.posix.normalize(path.posix.join(fromDir, spec))];
+  } else if (aliasResolver) {
+    bases = aliasResolver.getCandidateBases(fromFileRelPath, spec);
+  }
+
+  for (const base of bases) {
+    const resolved = resolveFileFromBase(base, existingRelPathsSet);
+    if (resolved) return resolved;
+  }
+
+  return null;
+}
+
+module.exports = {
+  IMPORT_KINDS,
+  pickStrongerKind,
+  parseModule,
+  dedupeImports,
+  extractImportSpecifiers,
+  listImportOccurrences,
+  isLocalImportSpecifier,
+  resolveFileFromBase,
+  resolveImportToRelativeFile,
+};
@@ -0,0 +1,108 @@
+/**
+ * lib/jobStore.js
+ * ---------------
+ * File-based storage for analysis results.
+ *
+ * Each analysis is saved as "<jobsDir>/<jobId>.json" so it survives page
+ * reloads and server restarts, and can be fetched again by its jobId.
+ * No outside service is needed.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+
+// Job IDs are crypto.randomUUID() values; anything else is rejected (no path tricks)
+const JOB_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Returns true when a string looks like a job ID.
+ */
+function isValidJobId(jobId) {
+  return typeof jobId === "string" && JOB_ID_RE.test(jobId);
+}
+
+/**
+ * Creates a job store rooted at a directory.
+ * @param {string} jobsDir - Directory where job JSON files are written.
+ */
+function createJobStore(jobsDir) {
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const getJobFilePath = (jobId) => {
+    if (!isValidJobId(jobId)) throw new Error("INVALID_JOB_ID");
+    return path.join(jobsDir, `${jobId}.json`);
+  };
+
+  return {
+    /**
+     * Saves (or overwrites) a job. Written to a temp file first so readers never see half a file.
+     * @param {{jobId:string}} job - Analysis result to persist.
+     */
+    async save(job) {
+      const filePath = getJobFilePath(job.jobId);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      await fs.promises.writeFile(tempPath, JSON.stringify(job));
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    /**
+     * Loads a job, or returns null when it does not exist.
+     * @param {string} jobId
+     */
+    async load(jobId) {
+      try {
+        return JSON.parse(await fs.promises.readFile(getJobFilePath(jobId), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Lists stored jobs, newest first, as small summaries (no tree / graph / stats).
+     * @param {number} [limit] - Max number of jobs returned.
+     * @returns {Promise<{jobId:string, originalName:string, createdAt:string, filesCount:number, source:object|null}[]>}
+     */
+    async list(limit = 50) {
+      const fileNames = (await fs.promises.readdir(jobsDir)).filter((name) => isValidJobId(name.replace(/\.json$/, "")));
+
+      const filesByAge = await Promise.all(
+        fileNames.map(async (name) => ({ name, mtimeMs: (await fs.promises.stat(path.join(jobsDir, name))).mtimeMs }))
+      );
+      filesByAge.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+      const summaries = [];
+      for (const { name } of filesByAge.slice(0, limit)) {
+        const job = await this.load(name.replace(/\.json$/, "")).catch(() => null);
+        if (!job) continue;
+
+        summaries.push({
+          jobId: job.jobId,
+          originalName: job.originalName,
+          createdAt: job.createdAt,
+          filesCount: job.filesCount,
+          source: job.source || null,
+        });
+      }
+
+      return summaries;
+    },
+
+    /**
+     * Deletes a job. Returns false when it did not exist.
+     * @param {string} jobId
+     */
+    async remove(jobId) {
+      try {
+        await fs.promises.unlink(getJobFilePath(jobId));
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createJobStore, isValidJobId };
@@ -0,0 +1,128 @@
+/**
+ * lib/jobTracker.js
+ * -----------------
+ * In-memory registry of analyses that are still running (or just finished).
+ *
+ * The upload endpoint answers right away with a jobId; the analysis then runs
+ * in the background and reports progress here. Listeners (Server-Sent Events
+ * connections) receive:
+ * - "progress"   { phase, filesExtracted, filesTotal, filesParsed, filesToParse }
+ * - "done"       { jobId }            (result saved in the job store)
+ * - "failed"     { jobId, error }
+ * - "cancelled"  { jobId, error }
+ *
+ * Finished entries are kept for a while so late subscribers still learn the outcome.
+ */
+
+// Progress events are throttled so parsing thousands of files doesn't flood the clients
+const PROGRESS_EMIT_INTERVAL_MS = 150;
+
+// How long finished jobs stay in memory (stored results are served from the job store)
+const FINISHED_JOB_RETENTION_MS = 10 * 60 * 1000; // 10 minutes
+
+const TERMINAL_STATUSES = new Set(["done", "failed", "cancelled"]);
+
+/**
+ * Creates an empty job tracker.
+ */
+function createJobTracker() {
+  const jobsById = new Map();
+
+  const emit = (job, eventName, data) => {
+    for (const listener of job.listeners) listener(eventName, data);
+  };
+
+  return {
+    /**
+     * Registers a new running job.
+     * @param {string} jobId
+     * @returns {{signal:AbortSignal, reportProgress:(progress:object) => void}}
+     */
+    start(jobId) {
+      const job = {
+        jobId,
+        status: "running",
+        progress: { phase: "queued", filesExtracted: 0, filesTotal: null, filesParsed: 0, filesToParse: null },
+        error: null,
+        controller: new AbortController(),
+        listeners: new Set(),
+        lastEmitAt: 0,
+      };
+      jobsById.set(jobId, job);
+
+      return {
+        signal: job.controller.signal,
+        reportProgress: (progress) => {
+          if (job.status !== "running") return;
+
+          const phaseChanged = progress.phase && progress.phase !== job.progress.phase;
+          job.progress = { ...job.progress, ...progress };
+
+          const now = Date.now();
+          if (!phaseChanged && now - job.lastEmitAt < PROGRESS_EMIT_INTERVAL_MS) return;
+
+          job.lastEmitAt = now;
+          emit(job, "progress", job.progress);
+        },
+      };
+    },
+
+    /**
+     * Returns a snapshot of a tracked job, or null when it is unknown (never ran here, or expired).
+     * @param {string} jobId
+     */
+    get(jobId) {
+      const job = jobsById.get(jobId);
+      if (!job) return null;
+      return { jobId, status: job.status, progress: job.progress, error: job.error };
+    },
+
+    /**
+     * Marks a job as finished and notifies listeners.
+     * @param {string} jobId
+     * @param {"done"|"failed"|"cancelled"} status
+     * @param {string|null} [error] - Message shown to the user for failed / cancelled jobs.
+     */
+    finish(jobId, status, error = null) {
+      const job = jobsById.get(jobId);
+      if (!job || TERMINAL_STATUSES.has(job.status)) return;
+
+      job.status = status;
+      job.error = error;
+      if (status === "done") job.progress = { ...job.progress, phase: "done" };
+
+      emit(job, "progress", job.progress);
+      emit(job, status, { jobId, error });
+      job.listeners.clear();
+
+      setTimeout(() => jobsById.delete(jobId), FINISHED_JOB_RETENTION_MS).unref();
+    },
+
+    /**
+     * Asks a running job to stop. Returns false when the job is not running.
+     * @param {string} jobId
+     */
+    cancel(jobId) {
+      const job = jobsById.get(jobId);
+      if (!job || job.status !== "running") return false;
+
+      job.controller.abort();
+      return true;
+    },
+
+    /**
+     * Subscribes to a job's events. Returns an unsubscribe function.
+     * @param {string} jobId
+     * @param {(eventName:string, data:object) => void} listener
+     */
+    subscribe(jobId, listener) {
+      const job = jobsById.get(jobId);
+      if (!job) return () => {};
+
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+  };
+}
+
+module.exports = { createJobTracker, TERMINAL_STATUSES };
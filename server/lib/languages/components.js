@@ -0,0 +1,90 @@
+/**
+ * lib/languages/components.js
+ * ---------------------------
+ * Vue and Svelte single-file components.
+ *
+ * The <script> blocks (<script setup>, <script context="module">...) are parsed like any
+ * JS/TS module (lang="ts" picks the TypeScript parser), and the <style> blocks like stylesheets.
+ * Imports of <style> blocks are flagged (`stylesheet: true`) and resolved like stylesheet imports.
+ * Everything around a block is blanked out before parsing, so line numbers match the component file.
+ * Metrics are the script's (complexity, functions...), with the lines of the whole file.
+ */
+
+const { parseModule } = require("../imports"); // JS/TS import extraction
+const { createScriptResolver } = require("./javascript"); // JS/TS resolution
+const { listStylesheetImports, createStylesheetResolver } = require("./stylesheets"); // <style> blocks
+const { blankOut } = require("./text"); // Blanking outside the blocks
+
+const BLOCK_RE = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+const LANG_RE = /\blang\s*=\s*["']?([\w-]+)/i;
+
+/**
+ * Parses a component: imports of its scripts and styles (in source order) and metrics.
+ * Exported names are not tracked (a component is used through its default export).
+ * @returns {{imports:{specifier:string, kind:string, line:number|null, names:string[]}[], exports:null, metrics:object}}
+ */
+function parseComponent(fileContent, fileRelPath) {
+  let scriptCode = "";
+  let styleCode = "";
+  let scriptLang = "js";
+  let position = 0;
+
+  let match;
+  BLOCK_RE.lastIndex = 0;
+  while ((match = BLOCK_RE.exec(fileContent))) {
+    const bodyStart = match.index + match[0].indexOf(">") + 1;
+    const bodyEnd = bodyStart + match[3].length;
+    const before = blankOut(fileContent.slice(position, bodyStart));
+    const isScript = match[1].toLowerCase() === "script";
+
+    scriptCode += before + (isScript ? match[3] : blankOut(match[3]));
+    styleCode += before + (isScript ? blankOut(match[3]) : match[3]);
+    position = bodyEnd;
+
+    const lang = LANG_RE.exec(match[2])?.[1].toLowerCase();
+    if (isScript && (lang === "ts" || lang === "tsx")) scriptLang = lang;
+  }
+
+  // The virtual extension picks the parser plugins (and type counts for TypeScript)
+  const script = parseModule(scriptCode, `${fileRelPath}.${scriptLang === "js" ? "jsx" : scriptLang}`);
+  const styleImports = listStylesheetImports(styleCode).map((occurrence) => ({ ...occurrence, stylesheet: true }));
+  const imports = [...script.imports, ...styleImports];
+
+  // Lines of the whole component; its markup counts as source lines, the script's comments do not
+  const nonBlankLines = (text) => text.split(/\r\n|\r|\n/).filter((line) => line.trim()).length;
+  const scriptCommentOnlyLines = nonBlankLines(scriptCode) - script.metrics.sourceLines;
+  const lines = fileContent.split(/\r\n|\r|\n/);
+  if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+
+  return {
+    imports: imports.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)),
+    exports: null,
+    metrics: {
+      ...script.metrics,
+      lines: fileContent ? lines.length : 0,
+      sourceLines: nonBlankLines(fileContent) - scriptCommentOnlyLines,
+      bytes: Buffer.byteLength(fileContent),
+    },
+  };
+}
+
+/**
+ * Resolves script imports like JS/TS ones, and style imports like stylesheet ones.
+ * @param {import("./index").ResolverContext} context
+ */
+async function createComponentResolver(context) {
+  const scriptResolver = await createScriptResolver(context);
+  const stylesheetResolver = createStylesheetResolver(context);
+  const pickResolver = (occurrence) => (occurrence.stylesheet ? stylesheetResolver : scriptResolver);
+
+  return {
+    resolve: (fromRelPath, occurrence) => pickResolver(occurrence).resolve(fromRelPath, occurrence),
+    getExternalPackage: (fromRelPath, occurrence) =>
+      pickResolver(occurrence).getExternalPackage(fromRelPath, occurrence),
+  };
+}
+
+module.exports = {
+  parseComponent,
+  createComponentResolver,
+};
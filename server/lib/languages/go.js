@@ -0,0 +1,109 @@
+/**
+ * lib/languages/go.js
+ * -------------------
+ * Go imports: import "a/b", import c "a/b", and import ( ... ) blocks.
+ *
+ * A Go import names a package, i.e. a folder. Import paths are mapped to folders through the
+ * `module` line of every go.mod in the project ("example.com/app/internal/db" -> <go.mod folder>/internal/db),
+ * and the import links to every non-test .go file of that folder.
+ * Standard library and third-party modules make no edge.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { computeFileMetrics } = require("../metrics"); // Line counts
+const { blankOutMatches, getLineNumber } = require("./text"); // Comment blanking + line numbers
+
+// Comments (strings are kept: import paths are strings)
+const COMMENT_PATTERNS = [/\/\*[\s\S]*?(?:\*\/|$)/, /\/\/[^\n]*/];
+
+const IMPORT_BLOCK_RE = /^[ \t]*import[ \t]*\(([^)]*)\)/gm;
+const SINGLE_IMPORT_RE = /^[ \t]*import[ \t]+(?:[\w.]+[ \t]+)?"([^"]+)"/gm;
+const BLOCK_ENTRY_RE = /(?:[\w.]+[ \t]+)?"([^"]+)"/g;
+const MODULE_RE = /^\s*module\s+"?([^\s"]+)"?/m;
+
+/* =========================
+ * Extraction
+ * ========================= */
+/**
+ * Parses a Go file: its imports (in source order) and line counts.
+ * @returns {{imports:{specifier:string, kind:string, line:number, names:string[]}[], exports:null, metrics:object}}
+ */
+function parseGoFile(fileContent, fileRelPath) {
+  const code = blankOutMatches(fileContent, COMMENT_PATTERNS);
+  const imports = [];
+  const addImport = (specifier, index) => {
+    imports.push({ specifier, kind: "static", line: getLineNumber(code, index), names: ["*"] });
+  };
+
+  let match;
+  SINGLE_IMPORT_RE.lastIndex = 0;
+  while ((match = SINGLE_IMPORT_RE.exec(code))) {
+    addImport(match[1], match.index + match[0].lastIndexOf(`"${match[1]}"`));
+  }
+
+  IMPORT_BLOCK_RE.lastIndex = 0;
+  while ((match = IMPORT_BLOCK_RE.exec(code))) {
+    const blockStart = match.index + match[0].indexOf("(") + 1;
+    let entry;
+    BLOCK_ENTRY_RE.lastIndex = 0;
+    while ((entry = BLOCK_ENTRY_RE.exec(match[1]))) {
+      addImport(entry[1], blockStart + entry.index + entry[0].lastIndexOf(`"${entry[1]}"`));
+    }
+  }
+
+  return {
+    imports: imports.sort((a, b) => a.line - b.line),
+    exports: null,
+    metrics: computeFileMetrics(fileContent, null, fileRelPath),
+  };
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Reads the module paths of the project's go.mod files and resolves imports to package folders.
+ * @param {{rootDir:string, fileIds:Set<string>, allRelPaths:string[]}} context
+ */
+async function createGoResolver({ rootDir, fileIds, allRelPaths }) {
+  // Longest module path first, so nested modules win over the module around them
+  const modules = [];
+  for (const relPath of allRelPaths) {
+    if (path.posix.basename(relPath) !== "go.mod") continue;
+    try {
+      const content = await fs.promises.readFile(path.join(rootDir, relPath), "utf8");
+      const modulePath = MODULE_RE.exec(content)?.[1];
+      if (modulePath) modules.push({ modulePath, folder: path.posix.dirname(relPath) });
+    } catch {
+      // Unreadable go.mod: its module is not resolved
+    }
+  }
+  modules.sort((a, b) => b.modulePath.length - a.modulePath.length);
+
+  // Package folder -> its .go files (tests are not part of the imported package)
+  const filesByFolder = new Map();
+  for (const id of fileIds) {
+    if (!id.endsWith(".go") || id.endsWith("_test.go")) continue;
+    const folder = path.posix.dirname(id);
+    if (!filesByFolder.has(folder)) filesByFolder.set(folder, []);
+    filesByFolder.get(folder).push(id);
+  }
+
+  return {
+    resolve(fromRelPath, { specifier }) {
+      const goModule = modules.find(
+        ({ modulePath }) => specifier === modulePath || specifier.startsWith(modulePath + "/")
+      );
+      if (!goModule) return [];
+
+      const packageFolder = path.posix.join(goModule.folder, specifier.slice(goModule.modulePath.length));
+      return (filesByFolder.get(packageFolder) || []).filter((id) => id !== fromRelPath);
+    },
+  };
+}
+
+module.exports = {
+  parseGoFile,
+  createGoResolver,
+};
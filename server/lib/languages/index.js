@@ -0,0 +1,84 @@
+/**
+ * lib/languages/index.js
+ * ----------------------
+ * Registry of the languages whose imports Codebase Explorer follows.
+ *
+ * Every language plugs in two functions, and they all feed the same graph (see lib/importGraph.js):
+ * - parse(fileContent, fileRelPath): the file's imports ({ specifier, kind, line, names }, in source order),
+ *   exported names (null = not tracked) and code metrics (see lib/metrics.js); extra fields
+ *   (e.g. a Java package name) are kept for the resolver
+ * - createResolver(context): called once per analysis, returns { resolve(fromRelPath, occurrence) -> file ids,
+ *   getExternalPackage?(fromRelPath, occurrence) -> package node | null }. Languages sharing the function share one resolver.
+ *
+ * To support another language, add its module next to this one and an entry below.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { parseModule } = require("../imports"); // JS/TS import extraction
+const { createScriptResolver } = require("./javascript"); // JS/TS resolution
+const { parseComponent, createComponentResolver } = require("./components"); // Vue / Svelte
+const { parseStylesheet, createStylesheetResolver } = require("./stylesheets"); // CSS / SCSS / Less
+const { parsePythonModule, createPythonResolver } = require("./python"); // Python
+const { parseGoFile, createGoResolver } = require("./go"); // Go
+const { parseJvmFile, createJvmResolver } = require("./jvm"); // Java / Kotlin
+
+/**
+ * @typedef {object} Language
+ * @property {string} name - The `language` of its file nodes.
+ * @property {string[]} extensions - Lower-case, with the dot.
+ * @property {(fileContent:string, fileRelPath:string) => {imports:object[], exports:string[]|null, metrics:object}} parse
+ * @property {(context:ResolverContext) => object|Promise<object>} createResolver
+ */
+
+/**
+ * @typedef {object} ResolverContext
+ * @property {string} rootDir - Analyzed directory.
+ * @property {Set<string>} fileIds - Every file and asset node of the graph.
+ * @property {string[]} allRelPaths - Every analyzed file, parsed or not (config files, go.mod...).
+ * @property {Map<string,object>} parsedModuleById - parse() result of every file node.
+ * @property {{packages:object[]}} [workspaces] - Detected workspaces (see lib/workspaces.js).
+ * @property {object[]} [manifests] - package.json files with their dependencies, when package nodes are
+ *   wanted (see lib/dependencies.js).
+ */
+
+/** @type {Language[]} */
+const LANGUAGES = [
+  { name: "javascript", extensions: [".js", ".jsx", ".mjs", ".cjs"], parse: parseModule, createResolver: createScriptResolver },
+  { name: "typescript", extensions: [".ts", ".tsx", ".mts", ".cts"], parse: parseModule, createResolver: createScriptResolver },
+  { name: "vue", extensions: [".vue"], parse: parseComponent, createResolver: createComponentResolver },
+  { name: "svelte", extensions: [".svelte"], parse: parseComponent, createResolver: createComponentResolver },
+  { name: "css", extensions: [".css"], parse: parseStylesheet, createResolver: createStylesheetResolver },
+  { name: "scss", extensions: [".scss"], parse: parseStylesheet, createResolver: createStylesheetResolver },
+  { name: "less", extensions: [".less"], parse: parseStylesheet, createResolver: createStylesheetResolver },
+  { name: "python", extensions: [".py"], parse: parsePythonModule, createResolver: createPythonResolver },
+  { name: "go", extensions: [".go"], parse: parseGoFile, createResolver: createGoResolver },
+  { name: "java", extensions: [".java"], parse: parseJvmFile, createResolver: createJvmResolver },
+  { name: "kotlin", extensions: [".kt", ".kts"], parse: parseJvmFile, createResolver: createJvmResolver },
+];
+
+const LANGUAGE_BY_EXTENSION = new Map(
+  LANGUAGES.flatMap((language) => language.extensions.map((ext) => [ext, language]))
+);
+
+/**
+ * Returns the language of a file from its extension, or null when its imports are not followed.
+ */
+function getLanguage(filePath) {
+  return LANGUAGE_BY_EXTENSION.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+/**
+ * Lists every import occurrence (specifier + kind + line + names) of a file, in source order.
+ * Used by the file viewer to turn import lines into links.
+ * @returns {{specifier:string, kind:string, line:number|null, names:string[]}[]} Empty for other files.
+ */
+function listSourceImports(fileContent, fileRelPath) {
+  const language = getLanguage(fileRelPath);
+  return language ? language.parse(fileContent, fileRelPath).imports : [];
+}
+
+module.exports = {
+  LANGUAGES,
+  getLanguage,
+  listSourceImports,
+};
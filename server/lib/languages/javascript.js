@@ -0,0 +1,48 @@
+/**
+ * lib/languages/javascript.js
+ * ---------------------------
+ * Resolution of JS/TS imports (extraction is in lib/imports.js). Also used for the
+ * scripts of Vue / Svelte components:
+ * - relative specifiers, tsconfig/jsconfig "paths"/"baseUrl" and package.json
+ *   "imports"/"exports" (see lib/aliases.js)
+ * - bare imports of monorepo workspace packages (see lib/workspaces.js)
+ * - other bare imports are npm / Node builtin packages (see lib/dependencies.js)
+ */
+
+const { resolveImportToRelativeFile } = require("../imports"); // Relative + alias resolution
+const { loadAliasResolver } = require("../aliases"); // tsconfig paths / package.json imports+exports
+const { createWorkspaceResolver } = require("../workspaces"); // Cross-package imports in monorepos
+const { getExternalPackage, createManifestLookup } = require("../dependencies"); // npm / Node builtin package nodes
+
+/**
+ * Loads the project's aliases and workspaces, and resolves JS/TS imports with them.
+ * @param {{rootDir:string, fileIds:Set<string>, allRelPaths:string[], workspaces?:{packages:object[]}, manifests?:object[]}} context
+ */
+async function createScriptResolver({ rootDir, fileIds, allRelPaths, workspaces, manifests }) {
+  // Aliases are read from config files anywhere in the project (not just code files)
+  const configAliasResolver = await loadAliasResolver(rootDir, allRelPaths);
+  const workspaceResolver = createWorkspaceResolver(workspaces || { packages: [] });
+  const findManifest = createManifestLookup(manifests || []);
+
+  const aliasResolver = {
+    getCandidateBases: (fromFileRelPath, specifier) => [
+      ...configAliasResolver.getCandidateBases(fromFileRelPath, specifier),
+      ...workspaceResolver.getCandidateBases(fromFileRelPath, specifier),
+    ],
+  };
+
+  return {
+    resolve(fromRelPath, { specifier }) {
+      const target = resolveImportToRelativeFile(fromRelPath, specifier, fileIds, aliasResolver);
+      return target ? [target] : [];
+    },
+    getExternalPackage(fromRelPath, { specifier }) {
+      const externalPackage = getExternalPackage(specifier, findManifest(fromRelPath)?.declared);
+      return externalPackage && { ...externalPackage, language: "javascript" };
+    },
+  };
+}
+
+module.exports = {
+  createScriptResolver,
+};
@@ -0,0 +1,109 @@
+/**
+ * lib/languages/jvm.js
+ * --------------------
+ * Java and Kotlin imports:
+ * - import a.b.C / import a.b.C.Inner / import static a.b.C.method
+ * - import a.b.* (every file of package a.b)
+ * - Kotlin: import a.b.C as D (semicolons are optional)
+ *
+ * Files are indexed by their `package` declaration + file name ("a.b.C" for a/b/C.java with
+ * `package a.b;`), so imports resolve whatever the source folder layout is (src/main/java, ...).
+ * An import links to the file of the longest matching class name. Classes of the same package
+ * (used without an import), Kotlin top-level functions and library classes make no edge.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { computeFileMetrics } = require("../metrics"); // Line counts
+const { blankOutMatches, getLineNumber } = require("./text"); // Comment blanking + line numbers
+
+// Comments, strings (text blocks first) and character literals
+const COMMENT_AND_STRING_PATTERNS = [
+  /"""[\s\S]*?(?:"""|$)/,
+  /"(?:[^"\\\n]|\\.)*"/,
+  /'(?:[^'\\\n]|\\.)*'/,
+  /\/\*[\s\S]*?(?:\*\/|$)/,
+  /\/\/[^\n]*/,
+];
+
+const PACKAGE_RE = /^[ \t]*package[ \t]+([\w.`]+)/m;
+const IMPORT_RE = /^[ \t]*import[ \t]+(static[ \t]+)?([\w`]+(?:\.[\w`]+)*(?:\.\*)?)/gm;
+
+/* =========================
+ * Extraction
+ * ========================= */
+/**
+ * Parses a Java / Kotlin file: its imports (in source order), package name and line counts.
+ * Specifiers are the imported names ("a.b.C", "a.b.*"); `names` is the imported member ("C", "*").
+ * @returns {{imports:{specifier:string, kind:string, line:number, names:string[]}[], exports:null, metrics:object, packageName:string}}
+ */
+function parseJvmFile(fileContent, fileRelPath) {
+  const code = blankOutMatches(fileContent, COMMENT_AND_STRING_PATTERNS);
+  const imports = [];
+
+  let match;
+  IMPORT_RE.lastIndex = 0;
+  while ((match = IMPORT_RE.exec(code))) {
+    const specifier = match[2].replace(/`/g, "");
+    imports.push({
+      specifier,
+      kind: "static",
+      line: getLineNumber(code, match.index),
+      names: [specifier.slice(specifier.lastIndexOf(".") + 1)],
+    });
+  }
+
+  return {
+    imports,
+    exports: null,
+    metrics: computeFileMetrics(fileContent, null, fileRelPath),
+    packageName: (PACKAGE_RE.exec(code)?.[1] || "").replace(/`/g, ""),
+  };
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Indexes Java / Kotlin files by class name and package, and resolves imports with it.
+ * @param {{parsedModuleById:Map<string,{packageName?:string}>}} context
+ */
+function createJvmResolver({ parsedModuleById }) {
+  const fileByClassName = new Map();
+  const filesByPackage = new Map();
+
+  for (const [id, parsedModule] of parsedModuleById) {
+    if (typeof parsedModule.packageName !== "string") continue;
+
+    const { packageName } = parsedModule;
+    const className = path.posix.basename(id).replace(/\.[^.]+$/, "");
+    fileByClassName.set(packageName ? `${packageName}.${className}` : className, id);
+
+    if (!filesByPackage.has(packageName)) filesByPackage.set(packageName, []);
+    filesByPackage.get(packageName).push(id);
+  }
+
+  return {
+    resolve(fromRelPath, { specifier }) {
+      const parts = specifier.split(".");
+
+      if (parts[parts.length - 1] === "*") {
+        // import a.b.* (a package) or import a.b.C.* (the nested classes / members of C)
+        const owner = parts.slice(0, -1).join(".");
+        const targets = fileByClassName.has(owner) ? [fileByClassName.get(owner)] : filesByPackage.get(owner) || [];
+        return targets.filter((id) => id !== fromRelPath);
+      }
+
+      // a.b.C.Inner.method -> a.b.C.Inner -> a.b.C
+      for (let length = parts.length; length > 0; length--) {
+        const target = fileByClassName.get(parts.slice(0, length).join("."));
+        if (target) return target === fromRelPath ? [] : [target];
+      }
+      return [];
+    },
+  };
+}
+
+module.exports = {
+  parseJvmFile,
+  createJvmResolver,
+};
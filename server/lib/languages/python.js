@@ -0,0 +1,133 @@
+/**
+ * lib/languages/python.js
+ * -----------------------
+ * Python imports:
+ * - import a.b, import a.b as c, import a, b
+ * - from a.b import c, d / from a.b import (c, d) / from a.b import *
+ * - relative imports: from . import c, from ..a import b
+ *
+ * A module "a.b" is the file a/b.py or the package a/b/__init__.py. Absolute modules are looked
+ * up from the importing file's source root (the folder above its top-level package, or its own
+ * folder when it is not in a package) and then each folder above that one, which finds them
+ * whether the source root is the project folder, "src/" or a nested project.
+ * `from a import b` also links to the submodule a/b.py when there is one.
+ * Standard library and installed packages make no edge.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { computeFileMetrics } = require("../metrics"); // Line counts
+const { blankOutMatches, getLineNumber } = require("./text"); // Comment / string blanking + line numbers
+
+// Strings (triple-quoted first) and comments; import statements never contain either
+const COMMENT_AND_STRING_PATTERNS = [
+  /"""[\s\S]*?(?:"""|$)/,
+  /'''[\s\S]*?(?:'''|$)/,
+  /"(?:[^"\\\n]|\\.)*"/,
+  /'(?:[^'\\\n]|\\.)*'/,
+  /#[^\n]*/,
+];
+
+// "import a.b as c, d" / "from .a import (b as c, d)" at the start of a statement
+const IMPORT_RE = /^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm;
+const FROM_IMPORT_RE = /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|\*|[^\n]*)/gm;
+
+/* =========================
+ * Extraction
+ * ========================= */
+/**
+ * Parses a Python module: its imports (in source order) and line counts.
+ * Specifiers are written like in the source ("a.b", ".", "..a"); `names` are the names taken
+ * from the module ("*" for `import a.b` and `from a import *`).
+ * @returns {{imports:{specifier:string, kind:string, line:number, names:string[]}[], exports:null, metrics:object}}
+ */
+function parsePythonModule(fileContent, fileRelPath) {
+  // Backslash continuations join the next line to the statement (same length, so indexes are kept)
+  const code = blankOutMatches(fileContent, COMMENT_AND_STRING_PATTERNS).replace(/\\\r?\n/g, (match) =>
+    match.replace("\\", " ")
+  );
+  const imports = [];
+
+  let match;
+  IMPORT_RE.lastIndex = 0;
+  while ((match = IMPORT_RE.exec(code))) {
+    const line = getLineNumber(code, match.index);
+    for (const part of match[1].split(",")) {
+      imports.push({ specifier: part.trim().split(/\s+/)[0], kind: "static", line, names: ["*"] });
+    }
+  }
+
+  FROM_IMPORT_RE.lastIndex = 0;
+  while ((match = FROM_IMPORT_RE.exec(code))) {
+    const names = match[2]
+      .replace(/[()]/g, "")
+      .split(",")
+      .map((part) => part.trim().split(/\s+/)[0])
+      .filter(Boolean);
+    imports.push({ specifier: match[1], kind: "static", line: getLineNumber(code, match.index), names });
+  }
+
+  return {
+    imports: imports.sort((a, b) => a.line - b.line),
+    exports: null,
+    metrics: computeFileMetrics(fileContent, null, fileRelPath),
+  };
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Resolves Python imports to modules / packages of the project.
+ * @param {{fileIds:Set<string>}} context
+ */
+function createPythonResolver({ fileIds }) {
+  // "a/b" -> a/b.py or a/b/__init__.py
+  const findModuleFile = (modulePath) =>
+    [`${modulePath}.py`, `${modulePath}/__init__.py`].find((candidate) => fileIds.has(candidate)) || null;
+
+  return {
+    resolve(fromRelPath, { specifier, names }) {
+      const dots = /^\.*/.exec(specifier)[0].length;
+      const moduleParts = specifier.slice(dots).split(".").filter(Boolean);
+      const fromFolder = path.posix.dirname(fromRelPath);
+
+      // Relative: one dot = the importing file's package, each more dot = one folder up
+      let searchFolders = [];
+      if (dots > 0) {
+        let folder = fromFolder;
+        for (let i = 1; i < dots; i++) folder = path.posix.dirname(folder);
+        searchFolders = [folder];
+      } else {
+        let sourceRoot = fromFolder;
+        while (sourceRoot !== "." && fileIds.has(`${sourceRoot}/__init__.py`)) {
+          sourceRoot = path.posix.dirname(sourceRoot);
+        }
+        for (let folder = sourceRoot; ; folder = path.posix.dirname(folder)) {
+          searchFolders.push(folder);
+          if (folder === ".") break;
+        }
+      }
+
+      for (const folder of searchFolders) {
+        const modulePath = path.posix.join(folder, ...moduleParts);
+        const moduleFile = findModuleFile(modulePath);
+
+        // from a import b: b may be a submodule of package a
+        const submoduleFiles = names
+          .filter((name) => name !== "*")
+          .map((name) => findModuleFile(path.posix.join(modulePath, name)))
+          .filter(Boolean);
+
+        const targets = [moduleFile, ...submoduleFiles].filter((target) => target && target !== fromRelPath);
+        if (targets.length > 0) return targets;
+      }
+
+      return [];
+    },
+  };
+}
+
+module.exports = {
+  parsePythonModule,
+  createPythonResolver,
+};
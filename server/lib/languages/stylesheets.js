@@ -0,0 +1,132 @@
+/**
+ * lib/languages/stylesheets.js
+ * ----------------------------
+ * CSS / SCSS / Less imports:
+ * - @import "a.css", @import url(a.css) screen, @import "a", "b" (SCSS), @import (reference) "a" (Less)
+ * - @use "a" as b, @forward "a" (Sass modules)
+ * - url(a.png) anywhere else (kind "url": images, fonts...)
+ *
+ * Paths are relative to the stylesheet ("./" is optional), like Sass and Less resolve them:
+ * "theme/colors" finds theme/colors.scss, the partial theme/_colors.scss or theme/colors/_index.scss.
+ * A leading "~" (webpack) imports from an npm package. Built-in Sass modules ("sass:math"),
+ * remote URLs, data: URIs and unresolved paths make no edge.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { computeFileMetrics } = require("../metrics"); // Line counts
+const { getExternalPackage, createManifestLookup } = require("../dependencies"); // npm package nodes
+const { blankOut, blankOutMatches, getLineNumber } = require("./text"); // Comment blanking + line numbers
+
+// Comments (// only in SCSS / Less, but a CSS file never has `//` outside strings and urls)
+const COMMENT_PATTERNS = [/\/\*[\s\S]*?(?:\*\/|$)/, /(?<![:"'(])\/\/[^\n]*/];
+
+// @import / @use / @forward rule, up to its semicolon (or the end of the line)
+const AT_RULE_RE = /@(import|use|forward)\b([^;\n]*)/g;
+
+// Each path of a rule: "a", 'a' or url(a) / url("a")
+const RULE_PATH_RE = /url\(\s*["']?([^"')\s]+)["']?\s*\)|["']([^"']+)["']/g;
+
+// url(...) of a property value (fonts, background images...); "#id" and data: URIs are not files
+const URL_RE = /url\(\s*["']?(?!#|data:)([^"')\s]+)["']?\s*\)/gi;
+
+// Extensions tried after the path as written
+const STYLESHEET_EXTENSIONS = [".scss", ".css", ".less"];
+
+/* =========================
+ * Extraction
+ * ========================= */
+/**
+ * Parses a stylesheet: its imports (in source order) and line counts. Stylesheets export nothing by name.
+ * @returns {{imports:{specifier:string, kind:string, line:number, names:string[]}[], exports:null, metrics:object}}
+ */
+function parseStylesheet(fileContent, fileRelPath) {
+  return {
+    imports: listStylesheetImports(fileContent),
+    exports: null,
+    metrics: computeFileMetrics(fileContent, null, fileRelPath),
+  };
+}
+
+/**
+ * Lists the imports of stylesheet source (also used for the <style> blocks of components).
+ */
+function listStylesheetImports(fileContent) {
+  const code = blankOutMatches(fileContent, COMMENT_PATTERNS);
+  const imports = [];
+
+  let ruleMatch;
+  AT_RULE_RE.lastIndex = 0;
+  while ((ruleMatch = AT_RULE_RE.exec(code))) {
+    const ruleStart = ruleMatch.index + ruleMatch[0].length - ruleMatch[2].length;
+
+    let pathMatch;
+    RULE_PATH_RE.lastIndex = 0;
+    while ((pathMatch = RULE_PATH_RE.exec(ruleMatch[2]))) {
+      imports.push({
+        specifier: pathMatch[1] || pathMatch[2],
+        kind: "static",
+        line: getLineNumber(code, ruleStart + pathMatch.index),
+        names: ["*"],
+      });
+      // @use / @forward take a single path ("as" / "with" follow it)
+      if (ruleMatch[1] !== "import") break;
+    }
+  }
+
+  // The rules' own url(...) are already listed
+  const declarations = code.replace(AT_RULE_RE, blankOut);
+  let urlMatch;
+  URL_RE.lastIndex = 0;
+  while ((urlMatch = URL_RE.exec(declarations))) {
+    imports.push({ specifier: urlMatch[1], kind: "url", line: getLineNumber(code, urlMatch.index), names: ["*"] });
+  }
+
+  return imports.sort((a, b) => a.line - b.line);
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Resolves stylesheet imports to project files, or (with a "~") to npm package nodes.
+ * @param {{fileIds:Set<string>, manifests?:object[]}} context
+ */
+function createStylesheetResolver({ fileIds, manifests }) {
+  const findManifest = createManifestLookup(manifests || []);
+
+  return {
+    resolve(fromRelPath, { specifier }) {
+      const target = resolveStylesheetPath(fromRelPath, specifier, fileIds);
+      return target ? [target] : [];
+    },
+    getExternalPackage(fromRelPath, { specifier }) {
+      if (!specifier.startsWith("~")) return null;
+      const externalPackage = getExternalPackage(specifier.slice(1), findManifest(fromRelPath)?.declared);
+      return externalPackage && { ...externalPackage, language: "javascript" };
+    },
+  };
+}
+
+/**
+ * Finds the project file a stylesheet path points at (extension, partial "_" prefix and index files), or null.
+ */
+function resolveStylesheetPath(fromRelPath, specifier, fileIds) {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|~|\/)/i.test(specifier)) return null;
+
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromRelPath), specifier.split(/[?#]/)[0]));
+  if (base.startsWith("../")) return null;
+
+  const folder = path.posix.dirname(base);
+  const partialBase = path.posix.join(folder, `_${path.posix.basename(base)}`);
+  const candidates = [base];
+  for (const ext of STYLESHEET_EXTENSIONS) candidates.push(base + ext, partialBase + ext);
+  for (const ext of STYLESHEET_EXTENSIONS) candidates.push(`${base}/_index${ext}`, `${base}/index${ext}`);
+
+  return candidates.find((candidate) => fileIds.has(candidate)) || null;
+}
+
+module.exports = {
+  parseStylesheet,
+  listStylesheetImports,
+  createStylesheetResolver,
+};
@@ -0,0 +1,41 @@
+/**
+ * lib/languages/text.js
+ * ---------------------
+ * Text helpers for the languages parsed without an AST (stylesheets, Python, Go, Java/Kotlin).
+ * Comments and strings are blanked out rather than removed, so indexes and line numbers
+ * in the result still match the original file.
+ */
+
+/**
+ * Replaces every character of `text` except line breaks with a space.
+ */
+function blankOut(text) {
+  return text.replace(/[^\r\n]/g, " ");
+}
+
+/**
+ * Blanks out every match of the given patterns (e.g. comments), keeping line breaks.
+ * @param {string} fileContent
+ * @param {RegExp[]} patterns - Global regular expressions, tried in one pass (the first one matching wins).
+ */
+function blankOutMatches(fileContent, patterns) {
+  const combined = new RegExp(patterns.map((pattern) => `(?:${pattern.source})`).join("|"), "g");
+  return fileContent.replace(combined, blankOut);
+}
+
+/**
+ * 1-based line number of a character index.
+ */
+function getLineNumber(fileContent, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (fileContent.charCodeAt(i) === 10) line += 1;
+  }
+  return line;
+}
+
+module.exports = {
+  blankOut,
+  blankOutMatches,
+  getLineNumber,
+};
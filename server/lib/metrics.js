@@ -0,0 +1,208 @@
+/**
+ * lib/metrics.js
+ * --------------
+ * Per-file code metrics for Codebase Explorer, and their totals per folder / extension.
+ *
+ * For every code file (graph node `metrics`):
+ * - lines:         physical lines
+ * - sourceLines:   lines with code (not blank, not only comments)
+ * - logicalLines:  statements and declarations
+ * - commentLines:  lines with a comment
+ * - functions:     functions, arrow functions and methods
+ * - complexity:    cyclomatic complexity of the whole file: 1 per function (and 1 for the
+ *                  module itself) + 1 per branch (if, ?:, case, loops, catch, &&, ||, ??)
+ * - bytes:         file size
+ * - abstractTypes: TypeScript interfaces, type aliases and abstract classes   } TS files only, for
+ * - concreteTypes: classes and top-level functions                            } abstractness (coupling.js)
+ *
+ * Files the parser cannot handle only get lines, sourceLines (non-blank lines) and bytes.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const { walkAst } = require("./ast"); // AST traversal
+
+// Metrics summed by buildMetricsReport()
+const METRIC_NAMES = [
+  "lines",
+  "sourceLines",
+  "logicalLines",
+  "commentLines",
+  "functions",
+  "complexity",
+  "bytes",
+  "abstractTypes",
+  "concreteTypes",
+];
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+  "ClassPrivateMethod",
+]);
+
+const BRANCH_TYPES = new Set([
+  "IfStatement",
+  "ConditionalExpression",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+  "CatchClause",
+]);
+
+// Containers, not logical lines of their own (exported declarations are counted once)
+const NON_LOGICAL_TYPES = new Set(["BlockStatement", "EmptyStatement", "ClassBody", "TSModuleBlock"]);
+
+/* =========================
+ * File Metrics
+ * ========================= */
+/**
+ * Computes the metrics of one file.
+ * @param {string} fileContent - Source code.
+ * @param {object|null} ast - From parseSource() (null when the file could not be parsed).
+ * @param {string} [fileRelPath] - Type counts are only measured for TypeScript files.
+ * @returns {{lines:number, sourceLines:number, logicalLines:number|null, commentLines:number|null, functions:number|null, complexity:number|null, bytes:number, abstractTypes:number|null, concreteTypes:number|null}}
+ */
+function computeFileMetrics(fileContent, ast, fileRelPath = "") {
+  const lines = fileContent.split(/\r\n|\r|\n/);
+  // A trailing newline does not start another line
+  if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+
+  const metrics = {
+    lines: fileContent ? lines.length : 0,
+    sourceLines: lines.filter((line) => line.trim()).length,
+    logicalLines: null,
+    commentLines: null,
+    functions: null,
+    complexity: null,
+    bytes: Buffer.byteLength(fileContent),
+    abstractTypes: null,
+    concreteTypes: null,
+  };
+  if (!ast) return metrics;
+
+  // Lines left blank once comments are blanked out (comments come in source order) only held comments
+  const commentLineSet = new Set();
+  let codeOnly = "";
+  let position = 0;
+  for (const comment of ast.comments || []) {
+    for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) commentLineSet.add(line);
+    const blankedComment = fileContent.slice(comment.start, comment.end).replace(/[^\r\n]/g, " ");
+    codeOnly += fileContent.slice(position, comment.start) + blankedComment;
+    position = comment.end;
+  }
+  codeOnly += fileContent.slice(position);
+  metrics.commentLines = commentLineSet.size;
+  metrics.sourceLines = codeOnly.split(/\r\n|\r|\n/).filter((line) => line.trim()).length;
+
+  let logicalLines = 0;
+  let functions = 0;
+  let branches = 0;
+
+  walkAst(ast.program, (node) => {
+    if (FUNCTION_TYPES.has(node.type)) functions += 1;
+
+    if (BRANCH_TYPES.has(node.type)) branches += 1;
+    else if (node.type === "SwitchCase" && node.test) branches += 1;
+    else if (node.type === "LogicalExpression") branches += 1;
+    else if (node.type === "AssignmentExpression" && ["&&=", "||=", "??="].includes(node.operator)) branches += 1;
+
+    const isExportWrapper =
+      (node.type === "ExportNamedDeclaration" || node.type === "ExportDefaultDeclaration") && node.declaration;
+    if (/(Statement|Declaration)$/.test(node.type) && !NON_LOGICAL_TYPES.has(node.type) && !isExportWrapper) {
+      logicalLines += 1;
+    }
+  });
+
+  metrics.logicalLines = logicalLines;
+  metrics.functions = functions;
+  metrics.complexity = 1 + functions + branches;
+
+  if (/\.([cm]?ts|tsx)$/i.test(fileRelPath)) Object.assign(metrics, countTypes(ast));
+  return metrics;
+}
+
+/**
+ * Counts the abstract (interfaces, type aliases, abstract classes) and concrete
+ * (classes, top-level functions, a default-exported function) types of a TypeScript module.
+ */
+function countTypes(ast) {
+  let abstractTypes = 0;
+  let concreteTypes = 0;
+
+  walkAst(ast.program, (node) => {
+    if (node.type === "TSInterfaceDeclaration" || node.type === "TSTypeAliasDeclaration") abstractTypes += 1;
+    else if (node.type === "ClassDeclaration" || node.type === "ClassExpression") {
+      if (node.abstract) abstractTypes += 1;
+      else concreteTypes += 1;
+    }
+  });
+
+  // Top-level functions: function f() {} / const f = () => {} / export default () => {}
+  for (const statement of ast.program.body) {
+    const declaration = statement.type.startsWith("Export") && statement.declaration ? statement.declaration : statement;
+
+    if (["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"].includes(declaration.type)) {
+      concreteTypes += 1;
+    } else if (declaration.type === "VariableDeclaration") {
+      concreteTypes += declaration.declarations.filter((declarator) =>
+        ["ArrowFunctionExpression", "FunctionExpression"].includes(declarator.init?.type)
+      ).length;
+    }
+  }
+
+  return { abstractTypes, concreteTypes };
+}
+
+/* =========================
+ * Aggregation
+ * ========================= */
+/**
+ * Sums the file metrics of a graph (package nodes and files without metrics are skipped).
+ * Every folder gets the totals of all the files below it.
+ * @param {{nodes:{id:string, type?:string, metrics?:object}[]}} graph
+ * @returns {{totals:object, byExtension:Object<string,object>, byFolder:Object<string,object>}}
+ *   Each total is { files, lines, sourceLines, ... }; metrics unknown for some files count as 0.
+ */
+function buildMetricsReport(graph) {
+  const totals = createTotals();
+  const byExtension = {};
+  const byFolder = {};
+
+  for (const node of graph.nodes) {
+    if (node.type === "package" || !node.metrics) continue;
+
+    const ext = path.posix.extname(node.id).toLowerCase() || "(none)";
+    const folders = node.id.split("/").slice(0, -1);
+    const targets = [totals, getTotals(byExtension, ext)];
+    for (let depth = 1; depth <= folders.length; depth++) {
+      targets.push(getTotals(byFolder, folders.slice(0, depth).join("/")));
+    }
+
+    for (const target of targets) {
+      target.files += 1;
+      for (const name of METRIC_NAMES) target[name] += node.metrics[name] || 0;
+    }
+  }
+
+  return { totals, byExtension, byFolder };
+}
+
+function createTotals() {
+  return Object.fromEntries([["files", 0], ...METRIC_NAMES.map((name) => [name, 0])]);
+}
+
+function getTotals(totalsByKey, key) {
+  if (!totalsByKey[key]) totalsByKey[key] = createTotals();
+  return totalsByKey[key];
+}
+
+module.exports = {
+  METRIC_NAMES,
+  computeFileMetrics,
+  buildMetricsReport,
+};
@@ -0,0 +1,74 @@
+/**
+ * lib/report.js
+ * -------------
+ * Self-contained HTML report of an analysis, for people who don't run Codebase Explorer.
+ *
+ * The page is the client's report app (client/report.html, built into one file with
+ * `npm run build:report`), with the analysis embedded as JSON: the tree, graph, stats and
+ * findings are all in the file, so it works offline (file://) with no server.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+
+// Output of `npm run build:report` in client/
+const DEFAULT_REPORT_TEMPLATE_PATH = path.join(__dirname, "..", "..", "client", "dist-report", "report.html");
+
+// Element of the template that receives the analysis
+const REPORT_DATA_ELEMENT = '<script id="report-data" type="application/json">null</script>';
+
+/**
+ * Fields of a stored analysis shown by the report. Server-side paths (the analyzed directory,
+ * the stored archive) are left out: the report is meant to be handed to other people.
+ */
+function pickReportData(job) {
+  return {
+    jobId: job.jobId,
+    originalName: job.originalName,
+    createdAt: job.createdAt,
+    source: job.source ? { type: job.source.type, ref: job.source.ref, commit: job.source.commit } : null,
+    options: job.options,
+    filesCount: job.filesCount,
+    tree: job.tree,
+    graph: job.graph,
+    packageGraph: job.packageGraph,
+    stats: job.stats,
+  };
+}
+
+/**
+ * Renders the HTML report of a stored analysis.
+ * Throws "REPORT_NOT_BUILT" when the template is missing (or is not a report template).
+ * @param {object} job - Stored analysis (see jobStore).
+ * @param {string} [templatePath] - Built report page (default: client/dist-report/report.html).
+ * @returns {Promise<string>}
+ */
+async function renderReport(job, templatePath = DEFAULT_REPORT_TEMPLATE_PATH) {
+  let template;
+  try {
+    template = await fs.promises.readFile(templatePath, "utf8");
+  } catch {
+    throw new Error("REPORT_NOT_BUILT");
+  }
+  if (!template.includes(REPORT_DATA_ELEMENT)) throw new Error("REPORT_NOT_BUILT");
+
+  // "<" is escaped so that no string of the analysis can close the script element
+  const json = JSON.stringify(pickReportData(job)).replace(/</g, "\\u003c");
+  return template.replace(REPORT_DATA_ELEMENT, () => `<script id="report-data" type="application/json">${json}</script>`);
+}
+
+/**
+ * File name of a report: "my-app-report.html" (archive extensions and unsafe characters removed).
+ */
+function getReportFileName(job) {
+  const baseName = String(job.originalName || "codebase")
+    .replace(/(\.(zip|rar|7z|tar|tgz|gz))+$/i, "")
+    .replace(/[^\w.@-]+/g, "-");
+  return `${baseName}-report.html`;
+}
+
+module.exports = {
+  DEFAULT_REPORT_TEMPLATE_PATH,
+  renderReport,
+  getReportFileName,
+};
@@ -0,0 +1,173 @@
+/**
+ * lib/rules.js
+ * ------------
+ * Architecture rules (forbidden dependencies) for Codebase Explorer.
+ *
+ * A rules file is JSON, either committed in the project as
+ * "codebase-explorer.rules.json" (globs are relative to its folder) or sent
+ * with the analysis (globs are relative to the project folder: the archive's
+ * single top-level folder, if it has one, else the analyzed root):
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "ui-not-db", "from": "src/ui/**", "to": "src/db/**", "severity": "error" },
+ *       { "name": "no-feature-internals", "from": "src/features/*\/**", "to": "src/features/*\/internal/**" },
+ *       { "type": "allow", "from": "src/features/*\/**", "to": "src/features/$1/**" }
+ *     ]
+ *   }
+ *
+ * - type "deny" (default): every import edge from -> to is a violation
+ * - type "allow": exceptions, an edge matching an allow rule is never a violation
+ * - severity: "error" (default), "warn" or "info"; only errors fail the CLI / CI
+ * - "$1".."$9" in `to` stand for what the 1st..9th wildcard of `from` matched
+ *   (above: a feature may import its own internals, not another feature's)
+ *
+ * Package nodes (npm:lodash, node:fs) can be matched by id, e.g. "to": "npm:moment".
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { globToRegExp } = require("./glob"); // Glob matching with captures
+
+// Name of the rules file looked up in analyzed projects
+const RULES_FILE_NAME = "codebase-explorer.rules.json";
+
+const RULE_TYPES = ["deny", "allow"];
+const RULE_SEVERITIES = ["error", "warn", "info"];
+
+/* =========================
+ * Parsing
+ * ========================= */
+/**
+ * Validates a rules file (already JSON-parsed, or its text) and returns normalized rules.
+ * Throws "INVALID_RULES" with a `detail` message pointing at the faulty field.
+ * @param {string|object} config - { rules: [...] } or the rules array itself.
+ * @returns {{name:string, type:"deny"|"allow", severity:string, from:string, to:string, comment:string|null}[]}
+ */
+function parseRulesConfig(config) {
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch {
+      throw createRulesError("the file is not valid JSON");
+    }
+  }
+
+  const rules = Array.isArray(config) ? config : config?.rules;
+  if (!Array.isArray(rules)) throw createRulesError('expected { "rules": [...] }');
+
+  return rules.map((rule, index) => {
+    const where = `rules[${index}]`;
+    if (!rule || typeof rule !== "object") throw createRulesError(`${where} must be an object`);
+
+    const type = rule.type ?? "deny";
+    const severity = rule.severity ?? "error";
+
+    if (!RULE_TYPES.includes(type)) throw createRulesError(`${where}.type must be "deny" or "allow"`);
+    if (!RULE_SEVERITIES.includes(severity)) throw createRulesError(`${where}.severity must be "error", "warn" or "info"`);
+    for (const field of ["from", "to"]) {
+      if (typeof rule[field] !== "string" || !rule[field].trim()) throw createRulesError(`${where}.${field} must be a glob`);
+    }
+
+    return {
+      name: typeof rule.name === "string" && rule.name ? rule.name : `${type} ${rule.from} -> ${rule.to}`,
+      type,
+      severity,
+      from: rule.from.trim(),
+      to: rule.to.trim(),
+      comment: typeof rule.comment === "string" ? rule.comment : null,
+    };
+  });
+}
+
+function createRulesError(detail) {
+  const err = new Error("INVALID_RULES");
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Finds the project's committed rules file (the one closest to the root) and parses it.
+ * @param {string} rootDir - Analyzed directory.
+ * @param {string[]} relPaths - Analyzed files (project-relative POSIX paths).
+ * @returns {Promise<{file:string, basePath:string, rules:object[]}|null>}
+ */
+async function loadProjectRules(rootDir, relPaths) {
+  const rulesFile = relPaths
+    .filter((relPath) => path.posix.basename(relPath) === RULES_FILE_NAME)
+    .sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b))[0];
+  if (!rulesFile) return null;
+
+  const text = await fs.promises.readFile(path.join(rootDir, rulesFile), "utf8");
+  const basePath = path.posix.dirname(rulesFile);
+
+  return { file: rulesFile, basePath: basePath === "." ? "" : basePath, rules: parseRulesConfig(text) };
+}
+
+/* =========================
+ * Checking
+ * ========================= */
+/**
+ * Checks every import edge against the rules.
+ * @param {{nodes:{id:string,type?:string}[], edges:{source:string,target:string,kind?:string}[]}} graph
+ * @param {object[]} rules - From parseRulesConfig().
+ * @param {{basePath?:string}} [options] - Folder the globs are relative to ("" = analyzed root).
+ * @returns {{violations:{source:string,target:string,kind:string,rule:string,severity:string,comment:string|null}[], summary:{error:number,warn:number,info:number}}}
+ */
+function checkArchitectureRules(graph, rules, options = {}) {
+  const basePath = options.basePath || "";
+  const packageIds = new Set(graph.nodes.filter((node) => node.type === "package").map((node) => node.id));
+
+  // Files outside the rules' folder are out of scope, package ids are matched as-is
+  const toRulePath = (id) => {
+    if (packageIds.has(id) || !basePath) return id;
+    return id.startsWith(basePath + "/") ? id.slice(basePath.length + 1) : null;
+  };
+
+  const compiledRules = rules.map((rule) => ({ ...rule, fromRegExp: globToRegExp(rule.from, { captureWildcards: true }) }));
+  const allowRules = compiledRules.filter((rule) => rule.type === "allow");
+  const denyRules = compiledRules.filter((rule) => rule.type === "deny");
+
+  const violations = [];
+  const summary = { error: 0, warn: 0, info: 0 };
+
+  for (const edge of graph.edges) {
+    const from = toRulePath(edge.source);
+    const to = toRulePath(edge.target);
+    if (from === null || to === null) continue;
+    if (allowRules.some((rule) => matchesRule(rule, from, to))) continue;
+
+    for (const rule of denyRules) {
+      if (!matchesRule(rule, from, to)) continue;
+
+      violations.push({
+        source: edge.source,
+        target: edge.target,
+        kind: edge.kind || "static",
+        rule: rule.name,
+        severity: rule.severity,
+        comment: rule.comment,
+      });
+      summary[rule.severity] += 1;
+    }
+  }
+
+  return { violations, summary };
+}
+
+/**
+ * Returns true when an edge (rule-relative paths) matches a rule's from + to globs.
+ */
+function matchesRule(rule, from, to) {
+  const fromMatch = rule.fromRegExp.exec(from);
+  if (!fromMatch) return false;
+
+  return globToRegExp(rule.to, { backreferences: fromMatch.slice(1) }).test(to);
+}
+
+module.exports = {
+  RULES_FILE_NAME,
+  parseRulesConfig,
+  loadProjectRules,
+  checkArchitectureRules,
+};
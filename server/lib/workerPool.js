@@ -0,0 +1,177 @@
+/**
+ * lib/workerPool.js
+ * -----------------
+ * Bounded pool of worker threads for the CPU-heavy parts of an analysis
+ * (archive extraction, file reading + import extraction, see lib/analysisWorker.js),
+ * so the server's event loop keeps answering /health and other requests meanwhile.
+ *
+ * - Tasks are queued and run on at most `size` threads, shared by every running analysis.
+ * - Threads are started on demand and kept for the next tasks; idle threads don't keep the process alive.
+ * - Aborting a task's signal rejects it with "JOB_CANCELLED": a running task's thread is terminated,
+ *   queued tasks are dropped as soon as a thread frees up.
+ * - A thread that crashes rejects its task with "ANALYSIS_WORKER_FAILED" and is replaced on demand.
+ *
+ * With `size: 0` tasks run on the main thread, one at a time (same results, no threads).
+ */
+
+const os = require("os"); // CPU count (default pool size)
+const { Worker } = require("worker_threads"); // Node worker threads
+
+// Upper bound of the default size: every thread loads its own parsers (~50MB each)
+const MAX_DEFAULT_WORKERS = 8;
+
+/**
+ * Default pool size: one thread per CPU core minus the one running the event loop (at least 1).
+ */
+function getDefaultWorkerCount() {
+  // os.availableParallelism() is Node >= 18.14
+  const cpuCount = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(cpuCount - 1, MAX_DEFAULT_WORKERS));
+}
+
+/**
+ * Creates a pool running the tasks of a worker module.
+ * The module exports `runTask(type, payload, { signal, onProgress })` (used as is when `size` is 0)
+ * and, when loaded in a worker thread, answers { type, payload } messages with
+ * { type: "progress", progress } messages followed by { type: "result", result } or { type: "error", message }.
+ * @param {string} workerScriptPath - Absolute path of the worker module.
+ * @param {{size:number}} options - Max threads (0 = main thread).
+ */
+function createWorkerPool(workerScriptPath, { size }) {
+  const queue = []; // Tasks waiting for a thread: { type, payload, signal, onProgress, resolve, reject }
+  const idleWorkers = [];
+  const busyWorkers = new Set();
+  let runningInlineTasks = 0;
+
+  /**
+   * Starts queued tasks while there is capacity.
+   */
+  const drainQueue = () => {
+    // Tasks aborted while queued never start (running ones are stopped by runOnWorker)
+    for (const task of queue.filter((queuedTask) => queuedTask.signal?.aborted)) {
+      queue.splice(queue.indexOf(task), 1);
+      task.reject(new Error("JOB_CANCELLED"));
+    }
+
+    while (queue.length > 0) {
+      if (size === 0) {
+        if (runningInlineTasks > 0) return;
+        runInline(queue.shift());
+        continue;
+      }
+
+      if (idleWorkers.length === 0 && busyWorkers.size >= size) return;
+      runOnWorker(idleWorkers.pop() || startWorker(), queue.shift());
+    }
+  };
+
+  const runInline = (task) => {
+    runningInlineTasks += 1;
+    const { runTask } = require(workerScriptPath);
+
+    Promise.resolve()
+      .then(() => runTask(task.type, task.payload, { signal: task.signal, onProgress: task.onProgress }))
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        runningInlineTasks -= 1;
+        drainQueue();
+      });
+  };
+
+  const startWorker = () => {
+    const worker = new Worker(workerScriptPath);
+
+    worker.on("message", (message) => {
+      const task = worker.currentTask;
+      if (!task) return;
+
+      if (message.type === "progress") {
+        task.onProgress?.(message.progress);
+        return;
+      }
+
+      releaseWorker(worker);
+      if (message.type === "result") task.resolve(message.result);
+      else task.reject(new Error(message.message));
+    });
+
+    // Uncaught exceptions end the thread: "error" comes first, then "exit"
+    worker.on("error", () => worker.currentTask?.reject(new Error("ANALYSIS_WORKER_FAILED")));
+    worker.on("exit", () => {
+      const task = worker.currentTask;
+      if (task) {
+        task.signal?.removeEventListener("abort", task.onAbortWhileRunning);
+        task.reject(new Error("ANALYSIS_WORKER_FAILED"));
+      }
+
+      worker.currentTask = null;
+      busyWorkers.delete(worker);
+      const idleIndex = idleWorkers.indexOf(worker);
+      if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+      drainQueue();
+    });
+
+    return worker;
+  };
+
+  const runOnWorker = (worker, task) => {
+    worker.currentTask = task;
+    busyWorkers.add(worker);
+    worker.ref();
+
+    task.onAbortWhileRunning = () => {
+      task.reject(new Error("JOB_CANCELLED"));
+      worker.currentTask = null;
+      worker.terminate();
+    };
+    task.signal?.addEventListener("abort", task.onAbortWhileRunning, { once: true });
+
+    worker.postMessage({ type: task.type, payload: task.payload });
+  };
+
+  const releaseWorker = (worker) => {
+    const task = worker.currentTask;
+    task.signal?.removeEventListener("abort", task.onAbortWhileRunning);
+
+    worker.currentTask = null;
+    busyWorkers.delete(worker);
+    worker.unref();
+    idleWorkers.push(worker);
+    drainQueue();
+  };
+
+  return {
+    size,
+
+    /**
+     * Queues a task and resolves with its result.
+     * @param {string} type - Task type handled by the worker module.
+     * @param {object} payload - Structured-cloneable task input.
+     * @param {{signal?:AbortSignal, onProgress?:(progress:object) => void}} [options]
+     * @returns {Promise<any>}
+     */
+    run(type, payload, { signal, onProgress } = {}) {
+      if (signal?.aborted) return Promise.reject(new Error("JOB_CANCELLED"));
+
+      return new Promise((resolve, reject) => {
+        queue.push({ type, payload, signal, onProgress, resolve, reject });
+        drainQueue();
+      });
+    },
+
+    /**
+     * Stops every thread (queued tasks are rejected with "JOB_CANCELLED").
+     */
+    async destroy() {
+      for (const task of queue.splice(0)) task.reject(new Error("JOB_CANCELLED"));
+      const workers = [...idleWorkers, ...busyWorkers];
+      idleWorkers.length = 0;
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
+
+module.exports = {
+  getDefaultWorkerCount,
+  createWorkerPool,
+};
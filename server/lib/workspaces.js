@@ -0,0 +1,266 @@
+/**
+ * lib/workspaces.js
+ * -----------------
+ * Monorepo workspace detection for Codebase Explorer.
+ *
+ * Workspace roots are detected from:
+ * - package.json "workspaces" (npm / yarn, array or { packages: [...] })
+ * - pnpm-workspace.yaml "packages"
+ * - lerna.json "packages"
+ *
+ * Every package.json matched by those globs becomes a workspace package
+ * (name -> folder + entry points), which lets the import graph resolve
+ * "@acme/ui" to a sibling folder and lets us build a package-level graph.
+ */
+
+const path = require("path"); // Cross-platform path utilities
+const fs = require("fs"); // File system utilities
+const { readJsonFile, resolvePackageExports } = require("./aliases"); // JSON(C) reading + "exports" resolution
+const { globToRegExp } = require("./glob"); // Workspace glob matching
+
+// Build output folders that usually hold the compiled version of "src"
+const BUILD_OUTPUT_FOLDERS = ["dist", "build", "lib", "out", "esm", "cjs"];
+
+/* =========================
+ * Config readers
+ * ========================= */
+/**
+ * Extracts the "packages" list from pnpm-workspace.yaml.
+ * Only the simple list form used by pnpm is supported:
+ *   packages:
+ *     - "packages/*"
+ *     - '!**\/test/**'
+ */
+function parsePnpmWorkspacePackages(yamlText) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const rawLine of String(yamlText).split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, "");
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+
+    // A new top-level key ends the list
+    if (!/^\s/.test(line)) inPackages = false;
+    if (!inPackages) continue;
+
+    const item = line.trim().match(/^-\s*(.+)$/);
+    if (item) patterns.push(item[1].trim().replace(/^["']|["']$/g, ""));
+  }
+
+  return patterns;
+}
+
+/**
+ * Returns the workspace glob patterns declared by the config files of one folder.
+ */
+async function readWorkspacePatterns(rootDir, folder, existingRelPathsSet) {
+  const patterns = [];
+  const join = (name) => path.posix.join(folder, name);
+
+  if (existingRelPathsSet.has(join("package.json"))) {
+    const packageJson = await readJsonFile(rootDir, join("package.json"));
+    const workspaces = packageJson?.workspaces;
+    if (Array.isArray(workspaces)) patterns.push(...workspaces);
+    else if (Array.isArray(workspaces?.packages)) patterns.push(...workspaces.packages);
+  }
+
+  if (existingRelPathsSet.has(join("pnpm-workspace.yaml"))) {
+    try {
+      const yamlText = await fs.promises.readFile(path.join(rootDir, join("pnpm-workspace.yaml")), "utf8");
+      patterns.push(...parsePnpmWorkspacePackages(yamlText));
+    } catch {
+      // Ignore unreadable config
+    }
+  }
+
+  if (existingRelPathsSet.has(join("lerna.json"))) {
+    const lernaJson = await readJsonFile(rootDir, join("lerna.json"));
+    if (Array.isArray(lernaJson?.packages)) patterns.push(...lernaJson.packages);
+  }
+
+  return patterns.filter((pattern) => typeof pattern === "string");
+}
+
+/* =========================
+ * Detection
+ * ========================= */
+/**
+ * Detects workspace packages in the extracted project.
+ * @param {string} rootDir - Extraction root directory.
+ * @param {string[]} relPaths - Project-relative paths of all analyzed files.
+ * @returns {Promise<{roots:string[], packages:{name:string, folder:string, version:string|null, packageJson:object}[]}>}
+ */
+async function detectWorkspaces(rootDir, relPaths) {
+  const existingRelPathsSet = new Set(relPaths);
+  const WORKSPACE_CONFIG_FILES = ["package.json", "pnpm-workspace.yaml", "lerna.json"];
+
+  // Folders that contain a workspace config file
+  const candidateRootFolders = new Set(
+    relPaths
+      .filter((relPath) => WORKSPACE_CONFIG_FILES.includes(path.posix.basename(relPath)))
+      .map((relPath) => path.posix.dirname(relPath))
+  );
+
+  // Folders that contain a package.json (possible workspace packages)
+  const packageFolders = relPaths
+    .filter((relPath) => path.posix.basename(relPath) === "package.json")
+    .map((relPath) => path.posix.dirname(relPath));
+
+  const roots = [];
+  const packagesByFolder = new Map();
+
+  for (const rootFolder of candidateRootFolders) {
+    const patterns = await readWorkspacePatterns(rootDir, rootFolder, existingRelPathsSet);
+    if (!patterns.length) continue;
+
+    roots.push(rootFolder === "." ? "" : rootFolder);
+
+    const includes = patterns.filter((p) => !p.startsWith("!")).map(globToRegExp);
+    const excludes = patterns.filter((p) => p.startsWith("!")).map((p) => globToRegExp(p.slice(1)));
+
+    for (const packageFolder of packageFolders) {
+      // Patterns are relative to the workspace root folder
+      const relToRoot = path.posix.relative(rootFolder, packageFolder);
+      if (!relToRoot || relToRoot.startsWith("..")) continue;
+
+      if (!includes.some((re) => re.test(relToRoot))) continue;
+      if (excludes.some((re) => re.test(relToRoot))) continue;
+      if (packagesByFolder.has(packageFolder)) continue;
+
+      const packageJson = await readJsonFile(rootDir, path.posix.join(packageFolder, "package.json"));
+      if (!packageJson?.name) continue;
+
+      packagesByFolder.set(packageFolder, {
+        name: packageJson.name,
+        folder: packageFolder,
+        version: packageJson.version || null,
+        packageJson,
+      });
+    }
+  }
+
+  const packages = [...packagesByFolder.values()].sort((a, b) => a.name.localeCompare(b.name));
+  return { roots, packages };
+}
+
+/* =========================
+ * Resolution
+ * ========================= */
+/**
+ * Splits a bare specifier into package name + subpath.
+ * "@acme/ui/button" -> { name: "@acme/ui", subpath: "./button" }
+ * "lodash"          -> { name: "lodash", subpath: "." }
+ */
+function splitPackageSpecifier(specifier) {
+  const parts = specifier.split("/");
+  const nameLength = specifier.startsWith("@") ? 2 : 1;
+  const name = parts.slice(0, nameLength).join("/");
+  const rest = parts.slice(nameLength).join("/");
+  return { name, subpath: rest ? `./${rest}` : "." };
+}
+
+/**
+ * Returns extra candidates for a package target that points at build output:
+ * "./dist/index.js" -> "./src/index" (the archive rarely contains built files).
+ */
+function getSourceFallbacks(target) {
+  const normalized = target.replace(/^\.\//, "");
+  const [firstSegment, ...rest] = normalized.split("/");
+  if (!BUILD_OUTPUT_FOLDERS.includes(firstSegment) || !rest.length) return [];
+
+  const withoutExtension = rest.join("/").replace(/\.(c|m)?js$|\.d\.ts$/, "");
+  return [`./src/${withoutExtension}`, `./${withoutExtension}`];
+}
+
+/**
+ * Creates a resolver for imports that point at workspace packages.
+ * @param {{packages:{name:string, folder:string, packageJson:object}[]}} workspaces - From detectWorkspaces().
+ * @returns {{getCandidateBases:(fromFileRelPath:string, specifier:string) => string[]}}
+ */
+function createWorkspaceResolver(workspaces) {
+  const packageByName = new Map(workspaces.packages.map((pkg) => [pkg.name, pkg]));
+
+  function getCandidateBases(fromFileRelPath, specifier) {
+    if (specifier.startsWith(".") || specifier.startsWith("#")) return [];
+
+    const { name, subpath } = splitPackageSpecifier(specifier);
+    const pkg = packageByName.get(name);
+    if (!pkg) return [];
+
+    const targets = resolvePackageExports(pkg.packageJson, subpath);
+
+    // Entry points for the package root, from most to least specific
+    if (subpath === ".") {
+      if (typeof pkg.packageJson.source === "string") targets.unshift(pkg.packageJson.source);
+      targets.push("./src/index", "./index");
+    }
+
+    const withFallbacks = targets.flatMap((target) => [target, ...getSourceFallbacks(target)]);
+    return withFallbacks.map((target) => path.posix.normalize(path.posix.join(pkg.folder, target)));
+  }
+
+  return { getCandidateBases };
+}
+
+/* =========================
+ * Package Graph
+ * ========================= */
+/**
+ * Returns the workspace package that owns a file (deepest package folder wins).
+ */
+function findOwningPackage(fileRelPath, packagesByDepth) {
+  return packagesByDepth.find((pkg) => fileRelPath.startsWith(`${pkg.folder}/`)) || null;
+}
+
+/**
+ * Collapses the file-level graph into a package-level graph.
+ * Edge weight = number of file-level imports between the two packages.
+ * @param {{packages:{name:string, folder:string, version:string|null}[]}} workspaces - From detectWorkspaces().
+ * @param {{nodes:{id:string}[], edges:{source:string,target:string}[]}} fileGraph - File-level graph.
+ * @returns {{nodes:{id:string, folder:string, version:string|null, files:number}[], edges:{source:string,target:string,weight:number}[]}|null}
+ */
+function buildPackageGraph(workspaces, fileGraph) {
+  if (!workspaces.packages.length) return null;
+
+  const packagesByDepth = [...workspaces.packages].sort((a, b) => b.folder.length - a.folder.length);
+  const filesByPackage = new Map(workspaces.packages.map((pkg) => [pkg.name, 0]));
+
+  for (const node of fileGraph.nodes) {
+    const pkg = findOwningPackage(node.id, packagesByDepth);
+    if (pkg) filesByPackage.set(pkg.name, filesByPackage.get(pkg.name) + 1);
+  }
+
+  const edgeByKey = new Map();
+  for (const edge of fileGraph.edges) {
+    const sourcePackage = findOwningPackage(edge.source, packagesByDepth);
+    const targetPackage = findOwningPackage(edge.target, packagesByDepth);
+    if (!sourcePackage || !targetPackage || sourcePackage === targetPackage) continue;
+
+    const key = `${sourcePackage.name}=>${targetPackage.name}`;
+    const existing = edgeByKey.get(key);
+    if (existing) existing.weight += 1;
+    else edgeByKey.set(key, { source: sourcePackage.name, target: targetPackage.name, weight: 1 });
+  }
+
+  return {
+    nodes: workspaces.packages.map((pkg) => ({
+      id: pkg.name,
+      folder: pkg.folder,
+      version: pkg.version,
+      files: filesByPackage.get(pkg.name),
+    })),
+    edges: [...edgeByKey.values()],
+  };
+}
+
+module.exports = {
+  detectWorkspaces,
+  createWorkspaceResolver,
+  buildPackageGraph,
+  splitPackageSpecifier,
+};